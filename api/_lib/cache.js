@@ -0,0 +1,119 @@
+import { getCacheStore } from './cacheStores.js';
+import { logError } from './http.js';
+
+/**
+ * In-memory response cache for serverless functions
+ * Lives as long as the function instance, so it only absorbs bursts of identical requests.
+ * @param {Object} options - `{ ttl, maxSize }` (ttl in ms)
+ */
+export function createResponseCache({ ttl = 5 * 60 * 1000, maxSize = 100 } = {}) {
+  const entries = new Map();
+
+  return {
+    ttl,
+
+    /**
+     * @returns {Object|null} Fresh `{ data, timestamp, ...meta }` entry, or null
+     */
+    get(key) {
+      const entry = entries.get(key);
+      return entry && Date.now() - entry.timestamp < ttl ? entry : null;
+    },
+
+    set(key, data, meta = {}) {
+      entries.set(key, { ...meta, data, timestamp: Date.now() });
+    },
+
+    /**
+     * Drop expired entries and trim the oldest ones beyond maxSize
+     */
+    cleanup() {
+      const now = Date.now();
+      for (const [key, entry] of entries.entries()) {
+        if (now - entry.timestamp > ttl) {
+          entries.delete(key);
+        }
+      }
+
+      if (entries.size > maxSize) {
+        const sorted = Array.from(entries.entries()).sort((a, b) => a[1].timestamp - b[1].timestamp);
+        sorted.slice(0, entries.size - maxSize).forEach(([key]) => entries.delete(key));
+      }
+    }
+  };
+}
+
+/**
+ * Shared server cache with stale-while-revalidate and single-flight loads
+ * Entries live in the configured store (see cacheStores.js) for `ttl + staleTtl`:
+ * younger than `ttl` they are a HIT; older ones are served as STALE while one
+ * background load refreshes them, so an upstream outage keeps serving the last good
+ * data. Concurrent misses for a key share a single load.
+ * The background refresh outlives the response; on hosts that freeze idle instances
+ * it finishes on the instance's next invocation.
+ * @param {Object} options - `{ namespace, ttl, staleTtl, store }` (durations in ms, store defaults to getCacheStore())
+ */
+export function createSharedCache({ namespace, ttl = 5 * 60 * 1000, staleTtl = 24 * 60 * 60 * 1000, store = null } = {}) {
+  const inflight = new Map();
+  const storeKey = (key) => `${namespace}:${key}`;
+
+  async function readEntry(key) {
+    try {
+      return await (store || getCacheStore()).get(storeKey(key));
+    } catch (error) {
+      logError(`⚠️ Cache read failed for ${storeKey(key)}:`, error.message);
+      return null;
+    }
+  }
+
+  function load(key, loader, shouldStore) {
+    if (!inflight.has(key)) {
+      const promise = (async () => {
+        const entry = { data: await loader(), timestamp: Date.now() };
+        if (!shouldStore(entry.data)) {
+          return entry;
+        }
+        try {
+          await (store || getCacheStore()).set(storeKey(key), entry, ttl + staleTtl);
+        } catch (error) {
+          logError(`⚠️ Cache write failed for ${storeKey(key)}:`, error.message);
+        }
+        return entry;
+      })().finally(() => inflight.delete(key));
+      inflight.set(key, promise);
+    }
+    return inflight.get(key);
+  }
+
+  return {
+    ttl,
+
+    /**
+     * Read through the cache
+     * @param {string} key
+     * @param {Function} loader - `async () => data`; throwing leaves the cached entry untouched
+     * @param {Object} options - `{ shouldStore }`: `(data) => boolean`, false returns the data without caching it
+     * @returns {Promise<{data: *, timestamp: number, cacheStatus: 'HIT'|'STALE'|'MISS'}>}
+     */
+    async fetch(key, loader, { shouldStore = () => true } = {}) {
+      const entry = await readEntry(key);
+
+      if (entry && Date.now() - entry.timestamp < ttl) {
+        return { ...entry, cacheStatus: 'HIT' };
+      }
+
+      if (entry) {
+        load(key, loader, shouldStore).catch(error => {
+          logError(`⚠️ Background refresh failed for ${storeKey(key)}:`, error.message);
+        });
+        return { ...entry, cacheStatus: 'STALE' };
+      }
+
+      return { ...await load(key, loader, shouldStore), cacheStatus: 'MISS' };
+    },
+
+    async delete(key) {
+      await (store || getCacheStore()).delete(storeKey(key));
+    }
+  };
+}
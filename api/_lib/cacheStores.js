@@ -0,0 +1,199 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Cache Stores
+ * Pluggable backends for the shared server cache (createSharedCache in ./cache.js).
+ *
+ * Every store implements:
+ * - `get(key)` resolving to the stored entry or null when missing/expired
+ * - `set(key, entry, ttlMs)` keeping the entry for ttlMs
+ * - `delete(key)`
+ * Entries are plain JSON objects, so stores may serialize them.
+ */
+
+/**
+ * Per-instance Map; entries die with the function instance
+ */
+export class MemoryCacheStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxSize = options.maxSize || 500;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return item.entry;
+  }
+
+  async set(key, entry, ttlMs) {
+    // Re-insert so Map order stays oldest-write first for trimming
+    this.entries.delete(key);
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * One JSON file per key (SERVER_CACHE_DIR, defaults to the temp dir)
+ * Survives function restarts on the same host and is shared by local processes.
+ */
+export class FileCacheStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || process.env.SERVER_CACHE_DIR || join(tmpdir(), 'nft-strat-cache');
+    this.ready = null;
+  }
+
+  pathFor(key) {
+    return join(this.dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      const item = JSON.parse(await readFile(this.pathFor(key), 'utf8'));
+      if (item.key !== key || item.expiresAt <= Date.now()) {
+        return null;
+      }
+      return item.entry;
+    } catch {
+      return null;
+    }
+  }
+
+  async set(key, entry, ttlMs) {
+    if (!this.ready) {
+      this.ready = mkdir(this.dir, { recursive: true }).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+
+    // Write then rename, so concurrent readers never see a partial file
+    const file = this.pathFor(key);
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tempFile, JSON.stringify({ key, entry, expiresAt: Date.now() + ttlMs }));
+    await rename(tempFile, file);
+  }
+
+  async delete(key) {
+    await rm(this.pathFor(key), { force: true });
+  }
+}
+
+/**
+ * Client for the Redis REST protocol (Upstash, or a local serverless-redis-http container)
+ * `command(...args)` sends one Redis command and resolves to its result.
+ */
+export class RedisRestClient {
+  constructor(options = {}) {
+    this.url = options.url || process.env.REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_URL;
+    this.token = options.token || process.env.REDIS_REST_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    this.timeout = options.timeout || 2000;
+
+    if (!this.url) {
+      throw new Error('Redis cache store needs REDIS_REST_URL');
+    }
+  }
+
+  async command(...args) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+        },
+        body: JSON.stringify(args),
+        signal: controller.signal
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.error) {
+        throw new Error(`Redis ${args[0]} failed: ${body.error || response.status}`);
+      }
+      return body.result;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+/**
+ * Redis-compatible store. Takes any client with `command(...args)`, so tests and
+ * local runs can swap in a stand-in for RedisRestClient.
+ */
+export class RedisCacheStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.client = options.client || new RedisRestClient(options);
+    this.prefix = options.prefix || 'nft-strat:cache:';
+  }
+
+  async get(key) {
+    const value = await this.client.command('GET', this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, entry, ttlMs) {
+    await this.client.command('SET', this.prefix + key, JSON.stringify(entry), 'PX', String(Math.max(1, Math.round(ttlMs))));
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.prefix + key);
+  }
+}
+
+const stores = {
+  memory: MemoryCacheStore,
+  file: FileCacheStore,
+  redis: RedisCacheStore
+};
+
+/**
+ * Create a store by name
+ */
+export const createCacheStore = (name = 'memory', options = {}) => {
+  const Store = stores[name];
+  if (!Store) {
+    throw new Error(`Unknown cache store: ${name}. Available: ${Object.keys(stores).join(', ')}`);
+  }
+  return new Store(options);
+};
+
+let storeInstance = null;
+
+/**
+ * Get the configured store (SERVER_CACHE_STORE, defaults to memory)
+ */
+export const getCacheStore = () => {
+  if (!storeInstance) {
+    storeInstance = createCacheStore(process.env.SERVER_CACHE_STORE || 'memory');
+  }
+  return storeInstance;
+};
+
+/**
+ * Override the active store (tests, scripts)
+ */
+export const setCacheStore = (store) => {
+  storeInstance = store;
+};
@@ -0,0 +1,152 @@
+import {
+  isProduction,
+  logDebug,
+  logError,
+  setSecurityHeaders,
+  setCacheHeaders,
+  setCORSHeaders,
+  createRequestId
+} from './http.js';
+import { parseExportFormat, sendCsv } from './export.js';
+
+/**
+ * Serve a provider-backed read through a shared cache (createSharedCache)
+ * Runs the shared request pipeline (security/CORS headers, rate limit, validation) and loads
+ * through `cache.fetch`. Data flagged `stale` (a database fallback) is served but not cached,
+ * so the next request tries the provider again, and gets the shorter `staleMaxAge`.
+ *
+ * @param {Object} req - Vercel request
+ * @param {Object} res - Vercel response
+ * @param {Object} options
+ * @param {string} options.name - Route name for logs
+ * @param {Object} options.cache - createSharedCache() instance
+ * @param {Object} options.rateLimiter - createRateLimiter() instance
+ * @param {number} options.maxAge - Cache-Control max-age in seconds
+ * @param {number} options.staleMaxAge - max-age when the data is stale
+ * @param {number} options.staleWhileRevalidate - Cache-Control stale-while-revalidate (defaults to a day)
+ * @param {Function} options.resolve - `(query) => ({ key, load, body?, headers?, csv? }) | { error }`:
+ *   `load: async (requestId) => data` throws upstreamError() on provider failures,
+ *   `body: async (data) => body | null` shapes the response (null answers 404 with `notFoundMessage`),
+ *   `headers: (body) => ({ name: value })` adds response headers. Routes that answer
+ *   `?format=csv` add `csv: (body) => ({ name, rows, columns })`.
+ */
+export async function handleCachedRequest(req, res, { name, cache, rateLimiter, maxAge, staleMaxAge, staleWhileRevalidate, resolve }) {
+  const startTime = Date.now();
+  const requestId = createRequestId();
+
+  logDebug(`🚀 [${requestId}] ${name} API called:`, {
+    method: req.method,
+    query: req.query,
+    userAgent: req.headers['user-agent']?.substring(0, 100)
+  });
+
+  rateLimiter.cleanup();
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCORSHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Rate limiting
+  if (!rateLimiter.check(req)) {
+    logError(`🚦 [${requestId}] Rate limit exceeded`);
+    res.setHeader('Retry-After', '60');
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded. Please try again later.',
+      retryAfter: 60,
+      requestId
+    });
+  }
+
+  if (req.method !== 'GET') {
+    logError(`❌ [${requestId}] Method not allowed:`, req.method);
+    return res.status(405).json({ error: 'Method not allowed', requestId });
+  }
+
+  try {
+    const request = resolve(req.query || {});
+    if (request.error) {
+      logError(`❌ [${requestId}] Invalid parameters:`, request.error);
+      return res.status(400).json({ error: request.error, requestId });
+    }
+
+    const { format, error: formatError } = parseExportFormat(req.query || {});
+    if (formatError || (format === 'csv' && !request.csv)) {
+      return res.status(400).json({ error: formatError || `${name} is not available as CSV`, requestId });
+    }
+
+    const { data, cacheStatus } = await cache.fetch(request.key, () => {
+      logDebug(`🔄 [${requestId}] Loading ${name} (${request.key})`);
+      return request.load(requestId);
+    }, {
+      shouldStore: data => !data.stale
+    });
+
+    if (cacheStatus !== 'MISS') {
+      logDebug(`⚡ [${requestId}] Cache ${cacheStatus} - returning cached ${name}`);
+    }
+
+    const body = request.body ? await request.body(data) : data;
+    if (body === null) {
+      return res.status(404).json({ error: 'Not found', message: request.notFoundMessage, requestId });
+    }
+
+    logDebug(`✅ [${requestId}] Served ${name} from ${data.source}`);
+
+    // Set response headers
+    setCacheHeaders(res, data.stale ? staleMaxAge : maxAge, staleWhileRevalidate);
+    res.setHeader('X-Cache-Status', cacheStatus);
+    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+    Object.entries(request.headers ? request.headers(body) : {}).forEach(([header, value]) => res.setHeader(header, value));
+
+    if (format === 'csv') {
+      return sendCsv(res, request.csv(body));
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.status(200).json(body);
+
+  } catch (error) {
+    // Provider failed and nothing is cached
+    if (error.status) {
+      logError(`❌ [${requestId}] ${error.message}:`, error.details);
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+    }
+
+    const isTimeout = error.name === 'AbortError' || error.code === 'ECONNABORTED';
+    const isNetworkError = error.code === 'ECONNRESET' || error.code === 'ENOTFOUND';
+
+    logError(`❌ [${requestId}] ${name} API error:`, {
+      message: error.message,
+      type: error.name,
+      code: error.code,
+      timeout: isTimeout,
+      network: isNetworkError
+    });
+
+    const errorResponse = {
+      error: 'Internal server error',
+      message: isTimeout ? 'Request timeout' : isNetworkError ? 'Network error' : 'Server error',
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+
+    // Include stack trace only in development
+    if (!isProduction()) {
+      errorResponse.stack = error.stack;
+    }
+
+    const statusCode = isTimeout ? 504 : isNetworkError ? 502 : 500;
+    return res.status(statusCode).json(errorResponse);
+  }
+}
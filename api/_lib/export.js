@@ -0,0 +1,26 @@
+import { API_EXPORT_FORMATS, toCsv, getExportFilename } from '../../src/utils/exportUtils.js';
+
+/**
+ * Validate the `format` query parameter ('json' when omitted)
+ * @returns {{format: string}|{error: string}}
+ */
+export function parseExportFormat({ format = 'json' }) {
+  if (!API_EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${API_EXPORT_FORMATS.join(', ')}` };
+  }
+  return { format };
+}
+
+/**
+ * Answer with rows as a CSV attachment, using the same columns as the dashboard's export
+ * @param {Object} res - Vercel response
+ * @param {Object} table
+ * @param {string} table.name - File name base (date and extension are appended)
+ * @param {Array} table.rows
+ * @param {Array} table.columns - Column definitions from src/utils/exportUtils
+ */
+export function sendCsv(res, { name, rows, columns }) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(name, 'csv')}"`);
+  return res.status(200).send(toCsv(rows, columns));
+}
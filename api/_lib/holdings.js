@@ -0,0 +1,113 @@
+import { createSharedCache } from './cache.js';
+import { logDebug, upstreamError } from './http.js';
+
+const HOLDINGS_URL = 'https://www.nftstrategy.fun/api/holdings';
+
+// Holdings move with every buy/sell, so the fresh window is short; stale entries are served for a day
+const cache = createSharedCache({ namespace: 'holdings', ttl: 2 * 60 * 1000 }); // 2 minutes
+
+/**
+ * Fetch the NFTs a strategy holds (raw nftstrategy.fun rows, prices in wei) through the shared cache
+ * Upstream failures throw an upstreamError() when there is nothing cached to serve.
+ *
+ * @param {Object} options
+ * @param {string} options.strategyAddress
+ * @param {string} options.nftAddress
+ * @param {string} options.requestId - Forwarded as X-Request-ID
+ * @returns {Promise<{data: Array|Object, fetchedAt: number, cacheStatus: 'HIT'|'STALE'|'MISS'}>}
+ */
+export async function fetchHoldings({ strategyAddress, nftAddress, requestId } = {}) {
+  const key = `${strategyAddress.toLowerCase()}_${nftAddress.toLowerCase()}`;
+  const { data, timestamp, cacheStatus } = await cache.fetch(key, () => loadHoldings(strategyAddress, nftAddress, requestId));
+  if (cacheStatus !== 'MISS') {
+    logDebug(`⚡ [${requestId}] Cache ${cacheStatus} - returning cached holdings`);
+  }
+  return { data, fetchedAt: timestamp, cacheStatus };
+}
+
+async function loadHoldings(strategyAddress, nftAddress, requestId) {
+  // Build URL with proper encoding
+  const url = new URL(HOLDINGS_URL);
+  url.searchParams.append('strategyAddress', strategyAddress);
+  url.searchParams.append('nftAddress', nftAddress);
+
+  logDebug(`📡 [${requestId}] External API URL:`, url.toString());
+
+  // Fetch with timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 25000); // 25s timeout
+
+  let response;
+  try {
+    response = await fetch(url.toString(), {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'Accept-Encoding': 'gzip, deflate',
+        'User-Agent': `NFT-Floor-Strat-Dashboard/1.0 (${process.env.VERCEL_URL || 'localhost'})`,
+        ...(requestId ? { 'X-Request-ID': requestId } : {})
+      },
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  logDebug(`📡 [${requestId}] External API response:`, {
+    status: response.status,
+    contentLength: response.headers.get('content-length'),
+    contentType: response.headers.get('content-type')
+  });
+
+  if (!response.ok) {
+    throw upstreamError('External API error', response.status >= 500 ? 502 : response.status, {
+      status: response.status,
+      message: response.status === 429 ? 'External API rate limited' : response.statusText
+    });
+  }
+
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw upstreamError('Invalid response format from external API', 502, { contentType });
+  }
+
+  const data = await response.json();
+
+  // Holdings can be an array or an object, but never empty
+  if (data === null || data === undefined) {
+    throw upstreamError('Empty response from external API', 502);
+  }
+
+  return data;
+}
+
+/**
+ * Holdings count and listed value for many strategies, `concurrency` upstream requests at a time
+ * A failed pair is reported in its row (`error`) instead of failing the batch.
+ *
+ * @param {Array<{strategyAddress: string, nftAddress: string}>} pairs - Extra fields are kept in the rows
+ * @param {Object} options - `{ requestId, concurrency }`
+ * @returns {Promise<Array<{strategyAddress, nftAddress, count, totalValueEth, cacheStatus, error}>>}
+ */
+export async function fetchHoldingsSummaries(pairs, { requestId, concurrency = 6 } = {}) {
+  const rows = new Array(pairs.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < pairs.length) {
+      const index = next++;
+      const pair = pairs[index];
+      try {
+        const { data, cacheStatus } = await fetchHoldings({ ...pair, requestId });
+        const holdings = Array.isArray(data) ? data : [];
+        const totalValueEth = holdings.reduce((sum, holding) => sum + (parseFloat(holding.current_price) || 0) / 1e18, 0);
+        rows[index] = { ...pair, count: holdings.length, totalValueEth: Math.round(totalValueEth * 1e6) / 1e6, cacheStatus, error: null };
+      } catch (error) {
+        rows[index] = { ...pair, count: null, totalValueEth: null, cacheStatus: null, error: error.message };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, pairs.length) }, worker));
+  return rows;
+}
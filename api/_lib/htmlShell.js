@@ -0,0 +1,106 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { logError } from './http.js';
+
+// Built SPA shell (vercel.json ships dist/index.html with the prerender function)
+const SHELL_PATH = join(process.cwd(), 'dist', 'index.html');
+
+// Head tags owned by SEO.jsx; the static defaults are dropped before the generated ones go in
+const SEO_TAG_PATTERNS = [
+  /<title>[\s\S]*?<\/title>\s*/gi,
+  /<meta\s+name="(?:description|keywords|robots|twitter:[\w:]+)"[^>]*>\s*/gi,
+  /<meta\s+property="(?:og:[\w:]+|article:[\w:]+)"[^>]*>\s*/gi,
+  /<link\s+rel="canonical"[^>]*>\s*/gi
+];
+
+let shellPromise = null;
+
+/**
+ * The built index.html, read once per function instance
+ * Falls back to fetching the deployed shell when the file isn't bundled (e.g. `vercel dev`).
+ * @param {Object} req - Incoming request, used for the host of the fallback fetch
+ * @returns {Promise<string>}
+ */
+export function loadHtmlShell(req) {
+  if (!shellPromise) {
+    shellPromise = readFile(SHELL_PATH, 'utf8')
+      .catch(async error => {
+        logError('⚠️ dist/index.html not bundled, fetching the shell:', error.message);
+        const protocol = req.headers['x-forwarded-proto'] || 'https';
+        const response = await fetch(`${protocol}://${req.headers.host}/`, { headers: { Accept: 'text/html' } });
+        if (!response.ok) {
+          throw new Error(`HTML shell responded ${response.status}`);
+        }
+        return response.text();
+      })
+      .catch(error => {
+        shellPromise = null;
+        throw error;
+      });
+  }
+  return shellPromise;
+}
+
+/**
+ * Replace the shell's static SEO tags with the ones SEO.jsx would set in the browser
+ * Tags are written the way SEO.jsx looks them up, so the client updates them in place.
+ * @param {string} html - index.html shell
+ * @param {Object} meta - seoService.generateStrategyMeta() result
+ * @returns {string}
+ */
+export function injectSeoMeta(html, meta) {
+  const tags = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    metaTag('name', 'description', meta.description),
+    metaTag('name', 'keywords', meta.keywords),
+    metaTag('name', 'robots', 'index, follow, max-image-preview:large'),
+    `<link rel="canonical" href="${escapeHtml(meta.canonical)}" />`,
+    metaTag('property', 'og:title', meta.openGraph.title),
+    metaTag('property', 'og:description', meta.openGraph.description),
+    metaTag('property', 'og:url', meta.openGraph.url),
+    metaTag('property', 'og:type', meta.openGraph.type),
+    metaTag('property', 'og:image', meta.openGraph.image),
+    metaTag('property', 'og:image:type', 'image/png'),
+    metaTag('property', 'og:image:width', '1200'),
+    metaTag('property', 'og:image:height', '630'),
+    metaTag('property', 'og:image:alt', meta.openGraph.imageAlt || meta.openGraph.title),
+    metaTag('property', 'og:site_name', meta.openGraph.siteName),
+    metaTag('property', 'og:locale', meta.openGraph.locale),
+    ...(meta.openGraph.article
+      ? [
+          metaTag('property', 'article:section', meta.openGraph.article.section),
+          ...meta.openGraph.article.tag.map(tag => metaTag('property', 'article:tag', tag))
+        ]
+      : []),
+    metaTag('name', 'twitter:card', meta.twitter.card),
+    metaTag('name', 'twitter:site', meta.twitter.site),
+    metaTag('name', 'twitter:title', meta.twitter.title),
+    metaTag('name', 'twitter:description', meta.twitter.description),
+    metaTag('name', 'twitter:image', meta.twitter.image),
+    metaTag('name', 'twitter:image:alt', meta.twitter.imageAlt || meta.twitter.title),
+    ...(meta.jsonLd
+      ? [`<script type="application/ld+json" data-seo-id="strategy">${serializeJsonLd(meta.jsonLd)}</script>`]
+      : [])
+  ].filter(Boolean);
+
+  const stripped = SEO_TAG_PATTERNS.reduce((result, pattern) => result.replace(pattern, ''), html);
+  return stripped.replace(/\s*<\/head>/, `\n    ${tags.join('\n    ')}\n  </head>`);
+}
+
+function metaTag(attribute, name, content) {
+  if (!content) return null;
+  return `<meta ${attribute}="${name}" content="${escapeHtml(content)}" />`;
+}
+
+// JSON-LD is raw script text, so only a closing tag could break out of it
+function serializeJsonLd(jsonLd) {
+  return JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,58 @@
+// Shared helpers for the serverless API routes (files under api/_lib are not deployed as functions)
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9._-]{0,99}$/i;
+
+export function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+export function logDebug(...args) {
+  if (!isProduction()) {
+    console.log(...args);
+  }
+}
+
+export function logError(...args) {
+  console.error(...args);
+}
+
+export function setSecurityHeaders(res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+}
+
+export function setCacheHeaders(res, maxAge = 300, staleWhileRevalidate = 86400) {
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}, s-maxage=${maxAge * 2}, stale-while-revalidate=${staleWhileRevalidate}`);
+  res.setHeader('Vary', 'Accept-Encoding');
+}
+
+export function setCORSHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*'); // For API endpoints, allow all
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+/**
+ * Error for an upstream failure: `status` is the HTTP status to answer with and
+ * `details` holds extra fields for the JSON error body
+ */
+export function upstreamError(message, status, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+export function createRequestId() {
+  return Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Collection slugs as used by NFTPriceFloor and the local database
+ */
+export function isValidSlug(slug) {
+  return typeof slug === 'string' && SLUG_PATTERN.test(slug);
+}
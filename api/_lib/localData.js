@@ -0,0 +1,188 @@
+import { createHash } from 'crypto';
+import {
+  isProduction,
+  logDebug,
+  logError,
+  setSecurityHeaders,
+  setCORSHeaders,
+  createRequestId
+} from './http.js';
+import { parseExportFormat, sendCsv } from './export.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Granularities LocalAPIService.aggregatePriceHistory rolls daily rows up to
+export const HISTORY_GRANULARITIES = ['1d', '1w', '1M'];
+const MAX_RANGE_DAYS = 3660;
+const DEFAULT_RANGE_DAYS = 30;
+
+// The local database is optional on serverless hosts; routes answer 503 without it
+let localAPI;
+async function loadLocalAPI() {
+  if (localAPI === undefined) {
+    try {
+      const { getLocalAPI } = await import('../../src/services/localAPI.js');
+      localAPI = getLocalAPI();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for floor data:', error.message);
+      localAPI = null;
+    }
+  }
+  return localAPI;
+}
+
+/**
+ * Parse `start`/`end` (YYYY-MM-DD), defaulting to the last 30 days
+ * @returns {{startDate: string, endDate: string}|{error: string}}
+ */
+export function parseDateRange({ start, end }) {
+  if ((start !== undefined && !DATE_PATTERN.test(start)) || (end !== undefined && !DATE_PATTERN.test(end))) {
+    return { error: 'start and end must be dates as YYYY-MM-DD' };
+  }
+
+  const endDate = end || new Date().toISOString().split('T')[0];
+  const startDate = start || new Date(Date.parse(`${endDate}T00:00:00Z`) - DEFAULT_RANGE_DAYS * 86400000).toISOString().split('T')[0];
+  const days = (Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000;
+
+  if (isNaN(days) || days < 0) {
+    return { error: 'start must be on or before end' };
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+  return { startDate, endDate };
+}
+
+/**
+ * Serve a read from the synced floor data (SQLite, or PostgreSQL with DATABASE_URL)
+ * Runs the shared request pipeline (security/CORS headers, rate limit, validation) and
+ * answers conditional requests from the last sync time: the ETag hashes the request URL with
+ * the last completed sync, Last-Modified is that sync's completion time.
+ *
+ * @param {Object} req - Vercel request
+ * @param {Object} res - Vercel response
+ * @param {Object} options
+ * @param {string} options.name - Route name for logs
+ * @param {Object} options.rateLimiter - createRateLimiter() instance
+ * @param {Function} options.resolve - `(query) => ({ key, read: async (localAPI) => body | null, csv? }) | { error }`;
+ *   `read` returning null answers 404. Routes that answer `?format=csv` add
+ *   `csv: (body) => ({ name, rows, columns })`.
+ */
+export async function handleLocalDataRequest(req, res, { name, rateLimiter, resolve }) {
+  const startTime = Date.now();
+  const requestId = createRequestId();
+
+  logDebug(`🚀 [${requestId}] ${name} API called:`, {
+    method: req.method,
+    query: req.query,
+    userAgent: req.headers['user-agent']?.substring(0, 100)
+  });
+
+  rateLimiter.cleanup();
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCORSHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Rate limiting
+  if (!rateLimiter.check(req)) {
+    logError(`🚦 [${requestId}] Rate limit exceeded`);
+    res.setHeader('Retry-After', '60');
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded. Please try again later.',
+      retryAfter: 60,
+      requestId
+    });
+  }
+
+  if (req.method !== 'GET') {
+    logError(`❌ [${requestId}] Method not allowed:`, req.method);
+    return res.status(405).json({ error: 'Method not allowed', requestId });
+  }
+
+  try {
+    const request = resolve(req.query || {});
+    if (request.error) {
+      return res.status(400).json({ error: request.error, requestId });
+    }
+
+    const { format, error: formatError } = parseExportFormat(req.query || {});
+    if (formatError || (format === 'csv' && !request.csv)) {
+      return res.status(400).json({ error: formatError || `${name} is not available as CSV`, requestId });
+    }
+
+    const api = await loadLocalAPI();
+    if (!api) {
+      return res.status(503).json({
+        error: 'Floor data unavailable',
+        message: 'Local database unavailable',
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+    }
+
+    const lastSync = await api.getLastSyncTime();
+    const etag = `W/"${createHash('sha1').update(`${request.key}|${format}|${lastSync?.toISOString() || 'never'}`).digest('hex').slice(0, 27)}"`;
+
+    res.setHeader('Cache-Control', 'public, max-age=300, must-revalidate');
+    res.setHeader('ETag', etag);
+    if (lastSync) {
+      res.setHeader('Last-Modified', lastSync.toUTCString());
+    }
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = ifNoneMatch
+      ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+      : lastSync && !isNaN(ifModifiedSince) && Math.floor(lastSync.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+
+    if (notModified) {
+      logDebug(`⚡ [${requestId}] Not modified since last sync`);
+      return res.status(304).end();
+    }
+
+    const body = await request.read(api);
+    if (body === null) {
+      return res.status(404).json({ error: 'Not found', message: request.notFoundMessage, requestId });
+    }
+
+    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+
+    if (format === 'csv') {
+      return sendCsv(res, request.csv(body));
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.status(200).json({
+      ...body,
+      lastSyncAt: lastSync?.toISOString() || null
+    });
+
+  } catch (error) {
+    logError(`❌ [${requestId}] ${name} API error:`, {
+      message: error.message,
+      type: error.name,
+      code: error.code
+    });
+
+    const errorResponse = {
+      error: 'Internal server error',
+      message: 'Server error',
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+
+    // Include stack trace only in development
+    if (!isProduction()) {
+      errorResponse.stack = error.stack;
+    }
+
+    return res.status(500).json(errorResponse);
+  }
+}
@@ -0,0 +1,198 @@
+import {
+  isProduction,
+  logDebug,
+  logError,
+  setSecurityHeaders,
+  setCacheHeaders,
+  setCORSHeaders,
+  createRequestId
+} from './http.js';
+
+// NFTPriceFloor (RapidAPI) credentials stay on the server; VITE_* names are still read
+// so existing deployments keep working until the env vars are renamed
+const NFTPF_HOST = process.env.RAPIDAPI_HOST || process.env.VITE_RAPIDAPI_HOST || 'nftpf-api-v0.p.rapidapi.com';
+
+const GRANULARITY_PATTERN = /^\d{1,2}[mhd]$/;
+
+export function getNftpfApiKey() {
+  return process.env.RAPIDAPI_KEY || process.env.VITE_RAPIDAPI_KEY || null;
+}
+
+export function isValidGranularity(value) {
+  return typeof value === 'string' && GRANULARITY_PATTERN.test(value);
+}
+
+/**
+ * Proxy a GET request to the NFTPriceFloor API
+ * Runs the same request pipeline as api/strategies.js: security/CORS headers, rate limit,
+ * in-memory cache with ETag revalidation, 25s upstream timeout.
+ *
+ * @param {Object} req - Vercel request
+ * @param {Object} res - Vercel response
+ * @param {Object} options
+ * @param {string} options.name - Route name for logs
+ * @param {Object} options.cache - createResponseCache() instance
+ * @param {Object} options.rateLimiter - createRateLimiter() instance
+ * @param {Function} options.resolve - `(query) => ({ path, params, cacheKey, transform }) | { error }`
+ * @param {number} options.maxAge - Cache-Control max-age in seconds
+ */
+export async function proxyNftpfRequest(req, res, { name, cache, rateLimiter, resolve, maxAge = 300 }) {
+  const startTime = Date.now();
+  const requestId = createRequestId();
+
+  logDebug(`🚀 [${requestId}] ${name} API called:`, {
+    method: req.method,
+    url: req.url,
+    userAgent: req.headers['user-agent']?.substring(0, 100)
+  });
+
+  // Cleanup cache periodically
+  cache.cleanup();
+  rateLimiter.cleanup();
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCORSHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Rate limiting
+  if (!rateLimiter.check(req)) {
+    logError(`🚦 [${requestId}] Rate limit exceeded`);
+    res.setHeader('Retry-After', '60');
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded. Please try again later.',
+      retryAfter: 60
+    });
+  }
+
+  if (req.method !== 'GET') {
+    logError(`❌ [${requestId}] Method not allowed:`, req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const request = resolve(req.query || {});
+  if (request.error) {
+    return res.status(400).json({ error: 'Invalid request', message: request.error });
+  }
+
+  const apiKey = getNftpfApiKey();
+  if (!apiKey) {
+    logError(`❌ [${requestId}] RAPIDAPI_KEY is not configured`);
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'NFTPriceFloor API key is not configured',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const cached = cache.get(request.cacheKey);
+
+    if (cached) {
+      logDebug(`⚡ [${requestId}] Cache HIT - ${request.cacheKey}`);
+      setCacheHeaders(res, maxAge);
+      res.setHeader('X-Cache-Status', 'HIT');
+      res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+      if (cached.etag) {
+        res.setHeader('ETag', cached.etag);
+        if (req.headers['if-none-match'] === cached.etag) {
+          return res.status(304).end();
+        }
+      }
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      return res.status(200).json(cached.data);
+    }
+
+    logDebug(`🔄 [${requestId}] Cache MISS - fetching ${request.path}`);
+
+    const url = new URL(`https://${NFTPF_HOST}${request.path}`);
+    Object.entries(request.params || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    // Fetch with timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 25000); // 25s timeout
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'X-RapidAPI-Key': apiKey,
+        'X-RapidAPI-Host': NFTPF_HOST
+      },
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      logError(`❌ [${requestId}] NFTPriceFloor API error:`, response.status, response.statusText);
+
+      const message = response.status === 404
+        ? 'Collection not found'
+        : response.status === 429
+          ? 'External API rate limited'
+          : response.statusText;
+
+      // Auth failures are our configuration problem, not the client's
+      const status = response.status >= 500 || response.status === 401 || response.status === 403 ? 502 : response.status;
+      return res.status(status).json({
+        error: 'External API error',
+        status: response.status,
+        message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const raw = await response.json();
+    const data = request.transform ? request.transform(raw) : raw;
+    const etag = response.headers.get('etag');
+
+    cache.set(request.cacheKey, data, { etag });
+
+    setCacheHeaders(res, maxAge);
+    res.setHeader('X-Cache-Status', 'MISS');
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
+
+    return res.status(200).json(data);
+
+  } catch (error) {
+    const isTimeout = error.name === 'AbortError';
+    const isNetworkError = error.code === 'ECONNRESET' || error.code === 'ENOTFOUND';
+
+    logError(`❌ [${requestId}] ${name} API error:`, {
+      message: error.message,
+      type: error.name,
+      code: error.code,
+      timeout: isTimeout,
+      network: isNetworkError
+    });
+
+    const errorResponse = {
+      error: 'Internal server error',
+      message: isTimeout ? 'Request timeout' : isNetworkError ? 'Network error' : 'Server error',
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+
+    // Include stack trace only in development
+    if (!isProduction()) {
+      errorResponse.stack = error.stack;
+    }
+
+    const statusCode = isTimeout ? 504 : isNetworkError ? 502 : 500;
+    return res.status(statusCode).json(errorResponse);
+  }
+}
@@ -0,0 +1,248 @@
+import { writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Resvg } from '@resvg/resvg-js';
+import { logDebug, logError } from './http.js';
+
+// OpenGraph cards (1200x630), drawn as SVG and rasterized to PNG because most
+// social crawlers don't render SVG images
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+const BRAND_COLOR = '#FFAADD';
+const ACCENT_COLOR = '#000000';
+const BACKGROUND_COLOR = '#FFFFFF';
+const TEXT_COLOR = '#000000';
+const MUTED_COLOR = '#666666';
+const POSITIVE_COLOR = '#16a34a';
+const NEGATIVE_COLOR = '#dc2626';
+
+const FONT_FAMILY = 'Space Grotesk';
+const FONT_STACK = `${FONT_FAMILY}, DejaVu Sans, Arial, sans-serif`;
+// Without a browser user agent Google Fonts answers with TTF sources, which resvg can load
+const FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@400;700';
+const FONT_RETRY_MS = 10 * 60 * 1000; // After a failed font download
+
+const SPARKLINE = { x: 80, y: 400, width: 1040, height: 120 };
+
+/**
+ * Brand card used for the dashboard and as the og:image of non-strategy pages
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function renderDashboardCard() {
+  const features = ['Real-time Data', 'Performance Metrics', 'Interactive Charts', 'Strategy Comparison'];
+
+  const body = `
+    <text x="80" y="200" font-size="64" font-weight="700" fill="${TEXT_COLOR}">NFT Strategy</text>
+    <text x="80" y="280" font-size="64" font-weight="700" fill="${TEXT_COLOR}">Dashboard</text>
+    <text x="80" y="340" font-size="32" fill="${MUTED_COLOR}">Comprehensive strategy analysis</text>
+    <text x="80" y="380" font-size="32" fill="${MUTED_COLOR}">&amp; performance tracking</text>
+    ${features.map((feature, index) => {
+      const x = 80 + (index % 2) * 340;
+      const y = 450 + Math.floor(index / 2) * 40;
+      return `<rect x="${x}" y="${y - 14}" width="12" height="12" fill="${BRAND_COLOR}" stroke="${ACCENT_COLOR}" stroke-width="2"/>
+      <text x="${x + 24}" y="${y}" font-size="24" fill="${TEXT_COLOR}">${feature}</text>`;
+    }).join('\n')}`;
+
+  return rasterize(frame(body, 'nftstrategy.fun'));
+}
+
+/**
+ * Strategy card: live token metrics, NAV premium and a 30-day token price sparkline
+ * @param {Object} card
+ * @param {Object} card.strategy - Strategy from the nftstrategy.fun list
+ * @param {string} card.slug - Router slug, printed in the footer
+ * @param {Object|null} card.nav - NAV breakdown (`premiumPct`, `floorPriceEth`), null when unavailable
+ * @param {Array} card.candles - Daily candles `{ timestamp, close }`, oldest first
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function renderStrategyCard({ strategy, slug, nav = null, candles = [] }) {
+  const pool = strategy.poolData || {};
+  const change24h = toNumber(pool.price_change_24h);
+  const premium = toNumber(nav?.premiumPct);
+  const floor = toNumber(nav?.floorPriceEth);
+
+  const metrics = [
+    { label: 'Token Price', value: formatPrice(toNumber(pool.price_usd)) },
+    { label: 'Market Cap', value: formatCompactUsd(toNumber(pool.market_cap_usd)) },
+    { label: '24h Change', value: formatPercent(change24h), color: signColor(change24h) },
+    { label: 'NAV Premium', value: formatPercent(premium), color: signColor(premium) }
+  ];
+  const metricWidth = 1040 / metrics.length;
+
+  const title = truncate(strategy.collectionName || strategy.tokenName || 'NFT Strategy', 24);
+  const subtitle = strategy.tokenName ? `${truncate(strategy.tokenName, 24)} Strategy` : 'NFT Strategy';
+
+  const body = `
+    <text x="80" y="130" font-size="56" font-weight="700" fill="${TEXT_COLOR}">${escapeXml(title)}</text>
+    <text x="80" y="180" font-size="28" fill="${MUTED_COLOR}">${escapeXml(subtitle)}${floor !== null ? ` · Floor ${floor.toFixed(floor < 1 ? 3 : 2)} ETH` : ''}</text>
+
+    <rect x="80" y="215" width="1040" height="130" fill="${BRAND_COLOR}" fill-opacity="0.15" stroke="${BRAND_COLOR}" stroke-width="3"/>
+    ${metrics.map((metric, index) => {
+      const x = 80 + index * metricWidth + metricWidth / 2;
+      return `<text x="${x}" y="260" font-size="20" text-anchor="middle" fill="${MUTED_COLOR}">${metric.label}</text>
+      <text x="${x}" y="315" font-size="38" font-weight="700" text-anchor="middle" fill="${metric.color || TEXT_COLOR}">${escapeXml(metric.value)}</text>`;
+    }).join('\n')}
+
+    <text x="80" y="385" font-size="20" fill="${MUTED_COLOR}">Token price · 30 days</text>
+    ${renderSparkline(candles)}`;
+
+  return rasterize(frame(body, `nftstrategy.fun/nftstrategies/${truncate(slug, 60)}`));
+}
+
+/**
+ * Sparkline path scaled into the SPARKLINE box; a placeholder line without enough points
+ */
+function renderSparkline(candles) {
+  const points = (candles || [])
+    .map(candle => ({ t: Number(candle.timestamp), v: toNumber(candle.close) }))
+    .filter(point => Number.isFinite(point.t) && point.v !== null && point.v > 0)
+    .sort((a, b) => a.t - b.t);
+
+  const { x, y, width, height } = SPARKLINE;
+
+  if (points.length < 2) {
+    return `<line x1="${x}" y1="${y + height / 2}" x2="${x + width}" y2="${y + height / 2}" stroke="#cccccc" stroke-width="3" stroke-dasharray="10 8"/>
+    <text x="${x + width / 2}" y="${y + height / 2 - 16}" font-size="20" text-anchor="middle" fill="#999999">No price history yet</text>`;
+  }
+
+  const minT = points[0].t;
+  const spanT = points[points.length - 1].t - minT || 1;
+  const values = points.map(point => point.v);
+  const minV = Math.min(...values);
+  const spanV = Math.max(...values) - minV || 1;
+
+  const coords = points.map(point => [
+    (x + ((point.t - minT) / spanT) * width).toFixed(1),
+    (y + height - ((point.v - minV) / spanV) * height).toFixed(1)
+  ]);
+  const line = coords.map(([px, py], index) => `${index === 0 ? 'M' : 'L'} ${px} ${py}`).join(' ');
+  const area = `${line} L ${x + width} ${y + height} L ${x} ${y + height} Z`;
+  const color = values[values.length - 1] >= values[0] ? POSITIVE_COLOR : NEGATIVE_COLOR;
+
+  return `<path d="${area}" fill="${color}" fill-opacity="0.08" stroke="none"/>
+    <path d="${line}" fill="none" stroke="${color}" stroke-width="4" stroke-linejoin="round" stroke-linecap="round"/>`;
+}
+
+/**
+ * Shared card chrome: background, logo block and footer
+ */
+function frame(body, footerText) {
+  const updated = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+  return `<svg width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}" xmlns="http://www.w3.org/2000/svg" font-family="${FONT_STACK}">
+    <rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="${BACKGROUND_COLOR}"/>
+    <rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="${BRAND_COLOR}" fill-opacity="0.08"/>
+
+    <rect x="1000" y="56" width="120" height="120" fill="${BRAND_COLOR}" stroke="${ACCENT_COLOR}" stroke-width="3"/>
+    <text x="1060" y="108" font-size="24" font-weight="700" text-anchor="middle" fill="${ACCENT_COLOR}">NFT</text>
+    <text x="1060" y="138" font-size="24" font-weight="700" text-anchor="middle" fill="${ACCENT_COLOR}">STRAT</text>
+
+    ${body}
+
+    <rect x="0" y="${OG_HEIGHT - 70}" width="${OG_WIDTH}" height="70" fill="${ACCENT_COLOR}" fill-opacity="0.05"/>
+    <text x="80" y="${OG_HEIGHT - 28}" font-size="20" fill="${MUTED_COLOR}">${escapeXml(footerText)}</text>
+    <text x="${OG_WIDTH - 80}" y="${OG_HEIGHT - 28}" font-size="18" text-anchor="end" fill="#999999">Updated ${updated}</text>
+  </svg>`;
+}
+
+async function rasterize(svg) {
+  const fontFiles = await loadFonts();
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: OG_WIDTH },
+    font: {
+      fontFiles,
+      loadSystemFonts: true,
+      defaultFontFamily: fontFiles.length > 0 ? FONT_FAMILY : undefined
+    }
+  });
+  return resvg.render().asPng();
+}
+
+// Serverless hosts ship without fonts, so the brand font is downloaded once per
+// instance into the temp dir. On failure the cards use system fonts, and the download
+// is retried after FONT_RETRY_MS rather than on every render.
+let fontFilesPromise = null;
+let fontFailedAt = null;
+function loadFonts() {
+  if (!fontFilesPromise || (fontFailedAt !== null && Date.now() - fontFailedAt > FONT_RETRY_MS)) {
+    fontFailedAt = null;
+    fontFilesPromise = downloadFonts().catch(error => {
+      logError('⚠️ OG image font download failed, using system fonts:', error.message);
+      fontFailedAt = Date.now();
+      return [];
+    });
+  }
+  return fontFilesPromise;
+}
+
+async function downloadFonts() {
+  const css = await fetchWithTimeout(FONT_CSS_URL).then(response => response.text());
+  const urls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+\.ttf)\)/g)].map(match => match[1]);
+  if (urls.length === 0) {
+    throw new Error('No TTF sources in font stylesheet');
+  }
+
+  const files = await Promise.all(urls.map(async (url, index) => {
+    const buffer = Buffer.from(await fetchWithTimeout(url).then(response => response.arrayBuffer()));
+    const file = join(tmpdir(), `og-space-grotesk-${index}.ttf`);
+    await writeFile(file, buffer);
+    return file;
+  }));
+
+  logDebug(`🔤 Loaded ${files.length} OG image font file(s)`);
+  return files;
+}
+
+async function fetchWithTimeout(url, timeout = 5000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status}`);
+    }
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function signColor(value) {
+  if (value === null || value === 0) return TEXT_COLOR;
+  return value > 0 ? POSITIVE_COLOR : NEGATIVE_COLOR;
+}
+
+function formatPrice(value) {
+  if (value === null) return 'N/A';
+  if (value >= 1) return `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+  return `$${value.toPrecision(3)}`;
+}
+
+function formatCompactUsd(value) {
+  if (value === null) return 'N/A';
+  return `$${new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 2 }).format(value)}`;
+}
+
+function formatPercent(value) {
+  if (value === null) return 'N/A';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
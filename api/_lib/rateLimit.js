@@ -0,0 +1,45 @@
+/**
+ * Sliding-window rate limiter keyed by client IP
+ * @param {Object} options - `{ windowMs, max }` (max requests per window)
+ */
+export function createRateLimiter({ windowMs = 60 * 1000, max = 60 } = {}) {
+  const requestsByIp = new Map();
+
+  return {
+    windowMs,
+
+    /**
+     * Record a request
+     * @returns {boolean} false when the client is over the limit
+     */
+    check(req) {
+      const clientIP = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+      const now = Date.now();
+      const validRequests = (requestsByIp.get(clientIP) || []).filter(time => now - time < windowMs);
+
+      if (validRequests.length >= max) {
+        requestsByIp.set(clientIP, validRequests);
+        return false;
+      }
+
+      validRequests.push(now);
+      requestsByIp.set(clientIP, validRequests);
+      return true;
+    },
+
+    /**
+     * Forget clients without requests in the current window
+     */
+    cleanup() {
+      const now = Date.now();
+      for (const [ip, times] of requestsByIp.entries()) {
+        const validTimes = times.filter(time => now - time < windowMs);
+        if (validTimes.length === 0) {
+          requestsByIp.delete(ip);
+        } else {
+          requestsByIp.set(ip, validTimes);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,75 @@
+import { createSharedCache } from './cache.js';
+import { logDebug, upstreamError } from './http.js';
+
+const STRATEGIES_URL = 'https://www.nftstrategy.fun/api/strategies';
+
+// Shared by every route that needs the strategies list; stale entries are served for a day
+const cache = createSharedCache({ namespace: 'strategies', ttl: 5 * 60 * 1000 }); // 5 minutes
+const CACHE_KEY = 'all';
+
+/**
+ * Fetch the nftstrategy.fun strategies list through the shared cache
+ * Upstream failures throw an upstreamError() when there is nothing cached to serve.
+ *
+ * @param {Object} options
+ * @param {string} options.requestId - Forwarded as X-Request-ID
+ * @returns {Promise<{data: Array, fetchedAt: number, cacheStatus: 'HIT'|'STALE'|'MISS'}>}
+ */
+export async function fetchStrategies({ requestId } = {}) {
+  const { data, timestamp, cacheStatus } = await cache.fetch(CACHE_KEY, () => loadStrategies(requestId));
+  if (cacheStatus !== 'MISS') {
+    logDebug(`⚡ [${requestId}] Cache ${cacheStatus} - returning cached strategies`);
+  }
+  return { data, fetchedAt: timestamp, cacheStatus };
+}
+
+async function loadStrategies(requestId) {
+  logDebug(`🔄 [${requestId}] Fetching fresh strategies`);
+
+  // Fetch with timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 25000); // 25s timeout
+
+  let response;
+  try {
+    response = await fetch(STRATEGIES_URL, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'Accept-Encoding': 'gzip, deflate',
+        'User-Agent': `NFT-Floor-Strat-Dashboard/1.0 (${process.env.VERCEL_URL || 'localhost'})`,
+        ...(requestId ? { 'X-Request-ID': requestId } : {})
+      },
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  logDebug(`📡 [${requestId}] External API response:`, {
+    status: response.status,
+    contentLength: response.headers.get('content-length'),
+    contentType: response.headers.get('content-type')
+  });
+
+  if (!response.ok) {
+    throw upstreamError('External API error', response.status >= 500 ? 502 : response.status, {
+      status: response.status,
+      message: response.status === 429 ? 'External API rate limited' : response.statusText
+    });
+  }
+
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw upstreamError('Invalid response format from external API', 502, { contentType });
+  }
+
+  const data = await response.json();
+
+  // Validate response structure
+  if (!Array.isArray(data)) {
+    throw upstreamError('Invalid data structure from external API', 502);
+  }
+
+  return data;
+}
@@ -0,0 +1,33 @@
+import { getTokenPriceProvider } from '../../src/services/tokenPriceProviders.js';
+import { logError } from './http.js';
+
+// The local database is optional here: on hosts without a writable SQLite file
+// the routes still serve provider data, they just can't backfill or fall back
+let tokenPriceSyncService;
+async function loadTokenPriceSyncService() {
+  if (tokenPriceSyncService === undefined) {
+    try {
+      const { getTokenPriceSyncService } = await import('../../src/services/tokenPriceSyncService.js');
+      tokenPriceSyncService = getTokenPriceSyncService();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for token price history:', error.message);
+      tokenPriceSyncService = null;
+    }
+  }
+  return tokenPriceSyncService;
+}
+
+/**
+ * Daily token candles, through the sync service when the local database is available
+ * @returns {Promise<{success: boolean, candles?: Array, source?: string, stale?: boolean, error?: string}>}
+ */
+export async function fetchTokenPriceHistory(tokenAddress, days) {
+  const syncService = await loadTokenPriceSyncService();
+  if (syncService) {
+    return syncService.getTokenPriceHistory(tokenAddress, { days });
+  }
+
+  const provider = getTokenPriceProvider();
+  const candles = await provider.getCandles(tokenAddress, { days });
+  return { success: true, candles, source: provider.name };
+}
@@ -0,0 +1,32 @@
+import { createResponseCache } from '../_lib/cache.js';
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { isValidSlug } from '../_lib/http.js';
+import { proxyNftpfRequest } from '../_lib/nftpf.js';
+
+// In-memory cache for serverless functions
+const cache = createResponseCache({ ttl: 5 * 60 * 1000, maxSize: 200 }); // 5 minutes
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 }); // 60 requests per minute
+
+/**
+ * GET /api/collections/:slug
+ * NFTPriceFloor project details (floor, market cap, owners, temporality stats)
+ */
+export default async function handler(req, res) {
+  return proxyNftpfRequest(req, res, {
+    name: 'Collection',
+    cache,
+    rateLimiter,
+    maxAge: 300,
+    resolve: ({ slug }) => {
+      if (!isValidSlug(slug)) {
+        return { error: 'slug must be a collection slug (letters, digits, ".", "_" or "-")' };
+      }
+      return {
+        path: `/projects/${slug}`,
+        cacheKey: `collection:${slug}`
+      };
+    }
+  });
+}
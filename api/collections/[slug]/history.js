@@ -0,0 +1,57 @@
+import { createResponseCache } from '../../_lib/cache.js';
+import { createRateLimiter } from '../../_lib/rateLimit.js';
+import { isValidSlug } from '../../_lib/http.js';
+import { proxyNftpfRequest, isValidGranularity } from '../../_lib/nftpf.js';
+
+// In-memory cache for serverless functions
+const cache = createResponseCache({ ttl: 30 * 60 * 1000, maxSize: 200 }); // 30 minutes, matches the upstream max-age
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 }); // 60 requests per minute
+
+const isTimestamp = (value) => value === undefined || /^\d{1,13}$/.test(value);
+
+/**
+ * GET /api/collections/:slug/history
+ *
+ * Query parameters:
+ * - `granularity` - Floor price history granularity ('1d', '1h', ...), default '1d'
+ * - `start`, `end` - Range as unix seconds (optional)
+ * - `chart`       - Return the chart series (`{ timestamps, floorNative, ... }`) for this
+ *                   timeframe instead of the history points, e.g. `chart=1d`
+ */
+export default async function handler(req, res) {
+  return proxyNftpfRequest(req, res, {
+    name: 'Collection history',
+    cache,
+    rateLimiter,
+    maxAge: 1800,
+    resolve: ({ slug, granularity = '1d', start, end, chart }) => {
+      if (!isValidSlug(slug)) {
+        return { error: 'slug must be a collection slug (letters, digits, ".", "_" or "-")' };
+      }
+
+      if (chart !== undefined) {
+        if (!isValidGranularity(chart)) {
+          return { error: 'chart must be a timeframe such as 1d' };
+        }
+        return {
+          path: `/projects/${slug}/charts/${chart}`,
+          cacheKey: `chart:${slug}:${chart}`
+        };
+      }
+
+      if (!isValidGranularity(granularity)) {
+        return { error: 'granularity must be a value such as 1d or 1h' };
+      }
+      if (!isTimestamp(start) || !isTimestamp(end)) {
+        return { error: 'start and end must be unix timestamps' };
+      }
+      return {
+        path: `/projects/${slug}/history/pricefloor/${granularity}`,
+        params: { start, end },
+        cacheKey: `history:${slug}:${granularity}:${start || ''}:${end || ''}`
+      };
+    }
+  });
+}
@@ -0,0 +1,39 @@
+import { createResponseCache } from '../_lib/cache.js';
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { proxyNftpfRequest } from '../_lib/nftpf.js';
+
+// In-memory cache for serverless functions
+const cache = createResponseCache({ ttl: 60 * 60 * 1000, maxSize: 10 }); // 1 hour, rankings move slowly
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 }); // Large payload, fewer requests
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+
+/**
+ * GET /api/collections/top?limit=500
+ * NFTPriceFloor projects ordered by ranking, trimmed to `limit` (max 1000)
+ */
+export default async function handler(req, res) {
+  return proxyNftpfRequest(req, res, {
+    name: 'Top collections',
+    cache,
+    rateLimiter,
+    maxAge: 1800,
+    resolve: ({ limit }) => {
+      const parsedLimit = limit === undefined ? DEFAULT_LIMIT : parseInt(limit, 10);
+      if (!(parsedLimit > 0 && parsedLimit <= MAX_LIMIT)) {
+        return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+      }
+      return {
+        path: '/projects',
+        cacheKey: `top:${parsedLimit}`,
+        transform: (projects) => (Array.isArray(projects) ? projects : [])
+          .filter(project => project?.slug)
+          .sort((a, b) => (a.ranking ?? Infinity) - (b.ranking ?? Infinity))
+          .slice(0, parsedLimit)
+      };
+    }
+  });
+}
@@ -0,0 +1,87 @@
+import { getEthPriceProvider } from '../src/services/ethPriceProviders.js';
+import { createSharedCache } from './_lib/cache.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import { logError, upstreamError } from './_lib/http.js';
+import { handleCachedRequest } from './_lib/cachedRequest.js';
+
+// The spot price moves constantly: fresh for a minute, served stale for 10 while it refreshes
+const cache = createSharedCache({ namespace: 'eth-price', ttl: 60 * 1000, staleTtl: 10 * 60 * 1000 });
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 }); // Every USD figure in the app depends on this route
+
+const MAX_DAYS = 365;
+
+// The local database is optional here: on hosts without a writable SQLite file
+// the route still serves provider data, it just can't store closes or fall back
+let ethPriceService;
+async function loadEthPriceService() {
+  if (ethPriceService === undefined) {
+    try {
+      const { getEthPriceSyncService } = await import('../src/services/ethPriceSyncService.js');
+      ethPriceService = getEthPriceSyncService();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for ETH price:', error.message);
+      ethPriceService = null;
+    }
+  }
+  return ethPriceService;
+}
+
+async function loadEthPrice(days) {
+  const service = await loadEthPriceService();
+  if (service) {
+    const spot = await service.getSpotPrice();
+    const history = days ? await service.getDailyCloses(days) : null;
+    return { spot, history };
+  }
+  
+  const provider = getEthPriceProvider();
+  const spot = { success: true, ...(await provider.getSpotPrice()), source: provider.name };
+  const history = days
+    ? { success: true, closes: await provider.getDailyCloses(days), source: provider.name }
+    : null;
+  return { spot, history };
+}
+
+/**
+ * GET /api/eth-price?days=30
+ * ETH/USD spot price, plus `days` daily closes when asked for
+ */
+export default async function handler(req, res) {
+  return handleCachedRequest(req, res, {
+    name: 'ETH price',
+    cache,
+    rateLimiter,
+    maxAge: 60,
+    staleMaxAge: 15,
+    staleWhileRevalidate: 3600,
+    resolve: ({ days }) => {
+      const parsedDays = days === undefined ? null : parseInt(days);
+      if (days !== undefined && (isNaN(parsedDays) || parsedDays < 1 || parsedDays > MAX_DAYS)) {
+        return { error: `Invalid days parameter (1-${MAX_DAYS})` };
+      }
+      
+      return {
+        key: parsedDays || 'spot',
+        load: async () => {
+          const { spot, history } = await loadEthPrice(parsedDays);
+          if (!spot.success || (history && !history.success)) {
+            throw upstreamError('ETH price provider error', 502, { message: !spot.success ? spot.error : history.error });
+          }
+          
+          const data = {
+            priceUsd: spot.priceUsd,
+            timestamp: spot.timestamp,
+            source: spot.source,
+            stale: Boolean(spot.stale || history?.stale)
+          };
+          if (history) {
+            data.closes = history.closes;
+          }
+          return data;
+        }
+      };
+    }
+  });
+}
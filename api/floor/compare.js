@@ -0,0 +1,43 @@
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { isValidSlug } from '../_lib/http.js';
+import { handleLocalDataRequest, parseDateRange, HISTORY_GRANULARITIES } from '../_lib/localData.js';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+
+const MAX_COLLECTIONS = 10;
+
+/**
+ * GET /api/floor/compare?slugs=azuki,pudgypenguins&start=2025-01-01&granularity=1d
+ * Floor history of 2-10 collections over the same range, each with its change over the range
+ * Slugs without synced data are listed in `missing` instead of failing the request.
+ */
+export default async function handler(req, res) {
+  return handleLocalDataRequest(req, res, {
+    name: 'Floor comparison',
+    rateLimiter,
+    resolve: ({ slugs, start, end, granularity = '1d' }) => {
+      const collectionSlugs = [...new Set(String(slugs || '').split(',').map(slug => slug.trim()).filter(Boolean))];
+
+      if (collectionSlugs.length < 2 || collectionSlugs.length > MAX_COLLECTIONS) {
+        return { error: `slugs must list 2 to ${MAX_COLLECTIONS} comma-separated collection slugs` };
+      }
+      if (!collectionSlugs.every(isValidSlug)) {
+        return { error: 'Invalid collection slug in slugs parameter' };
+      }
+      if (!HISTORY_GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of: ${HISTORY_GRANULARITIES.join(', ')}` };
+      }
+
+      const range = parseDateRange({ start, end });
+      if (range.error) {
+        return range;
+      }
+
+      return {
+        key: `compare|${collectionSlugs.join(',')}|${range.startDate}|${range.endDate}|${granularity}`,
+        read: (localAPI) => localAPI.getLocalFloorComparison(collectionSlugs, { ...range, granularity })
+      };
+    }
+  });
+}
@@ -0,0 +1,47 @@
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { isValidSlug } from '../_lib/http.js';
+import { handleLocalDataRequest, parseDateRange, HISTORY_GRANULARITIES } from '../_lib/localData.js';
+import { FLOOR_HISTORY_EXPORT_COLUMNS } from '../../src/utils/exportUtils.js';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 }); // Local reads are cheap
+
+/**
+ * GET /api/floor/history?slug=azuki&start=2025-01-01&end=2025-06-30&granularity=1w
+ * Floor price history from the synced price_history table (no RapidAPI calls)
+ * `granularity` is '1d' (default), '1w' or '1M'; the range defaults to the last 30 days.
+ * `format=csv` answers the points as a CSV file.
+ */
+export default async function handler(req, res) {
+  return handleLocalDataRequest(req, res, {
+    name: 'Floor history',
+    rateLimiter,
+    resolve: ({ slug, start, end, granularity = '1d' }) => {
+      if (!isValidSlug(slug)) {
+        return { error: 'Missing or invalid slug parameter' };
+      }
+      if (!HISTORY_GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of: ${HISTORY_GRANULARITIES.join(', ')}` };
+      }
+
+      const range = parseDateRange({ start, end });
+      if (range.error) {
+        return range;
+      }
+
+      return {
+        key: `history|${slug}|${range.startDate}|${range.endDate}|${granularity}`,
+        notFoundMessage: `Collection '${slug}' is not tracked`,
+        read: async (localAPI) => {
+          const result = await localAPI.getLocalFloorHistory(slug, { ...range, granularity });
+          return result.success ? result : null;
+        },
+        csv: (body) => ({
+          name: `floor-history-${slug}-${granularity}`,
+          rows: body.points,
+          columns: FLOOR_HISTORY_EXPORT_COLUMNS
+        })
+      };
+    }
+  });
+}
@@ -0,0 +1,34 @@
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { isValidSlug } from '../_lib/http.js';
+import { handleLocalDataRequest } from '../_lib/localData.js';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 });
+
+/**
+ * GET /api/floor/latest[?slugs=azuki,pudgypenguins]
+ * Latest synced floor of the top-250 collections (`latest_prices` view), by market cap rank
+ */
+export default async function handler(req, res) {
+  return handleLocalDataRequest(req, res, {
+    name: 'Latest floor prices',
+    rateLimiter,
+    resolve: ({ slugs }) => {
+      const collectionSlugs = slugs
+        ? [...new Set(String(slugs).split(',').map(slug => slug.trim()).filter(Boolean))]
+        : null;
+
+      if (collectionSlugs && !collectionSlugs.every(isValidSlug)) {
+        return { error: 'Invalid collection slug in slugs parameter' };
+      }
+
+      return {
+        key: `latest|${collectionSlugs ? collectionSlugs.join(',') : '*'}`,
+        read: async (localAPI) => {
+          const prices = await localAPI.getLatestPrices(collectionSlugs);
+          return { count: prices.length, prices, source: 'local_database' };
+        }
+      };
+    }
+  });
+}
@@ -0,0 +1,34 @@
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { isValidSlug } from '../_lib/http.js';
+import { handleLocalDataRequest } from '../_lib/localData.js';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 });
+
+/**
+ * GET /api/floor/stats[?slug=azuki]
+ * Days tracked, first/last data date and floor average/min/max per collection (`collection_stats` view)
+ */
+export default async function handler(req, res) {
+  return handleLocalDataRequest(req, res, {
+    name: 'Collection stats',
+    rateLimiter,
+    resolve: ({ slug }) => {
+      if (slug !== undefined && !isValidSlug(slug)) {
+        return { error: 'Invalid slug parameter' };
+      }
+
+      return {
+        key: `stats|${slug || '*'}`,
+        notFoundMessage: `Collection '${slug}' is not tracked`,
+        read: async (localAPI) => {
+          const stats = await localAPI.getCollectionStats(slug || null);
+          if (slug) {
+            return stats.length > 0 ? { stats: stats[0], source: 'local_database' } : null;
+          }
+          return { count: stats.length, stats, source: 'local_database' };
+        }
+      };
+    }
+  });
+}
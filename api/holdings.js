@@ -1,92 +1,26 @@
-// In-memory cache for serverless functions
-let cache = new Map();
-const CACHE_TTL = 2 * 60 * 1000; // 2 minutes (shorter for holdings data)
-const MAX_CACHE_SIZE = 200;
+import { pnlService } from '../src/services/pnlService.js';
+import { createSharedCache } from './_lib/cache.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import {
+  isProduction,
+  logDebug,
+  logError,
+  setSecurityHeaders,
+  setCacheHeaders,
+  setCORSHeaders,
+  createRequestId
+} from './_lib/http.js';
+import { fetchHoldings } from './_lib/holdings.js';
+import { parseExportFormat, sendCsv } from './_lib/export.js';
+import { HOLDINGS_EXPORT_COLUMNS } from '../src/utils/exportUtils.js';
 
-// Rate limiting
-const rateLimiter = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX = 120; // Higher limit for holdings (more dynamic data)
-
-function isProduction() {
-  return process.env.NODE_ENV === 'production';
-}
-
-function logDebug(...args) {
-  if (!isProduction()) {
-    console.log(...args);
-  }
-}
-
-function logError(...args) {
-  console.error(...args);
-}
-
-function cleanupCache() {
-  const now = Date.now();
-  for (const [key, entry] of cache.entries()) {
-    if (now - entry.timestamp > CACHE_TTL) {
-      cache.delete(key);
-    }
-  }
-  
-  // Cleanup old rate limit entries
-  for (const [ip, entries] of rateLimiter.entries()) {
-    const validEntries = entries.filter(time => now - time < RATE_LIMIT_WINDOW);
-    if (validEntries.length === 0) {
-      rateLimiter.delete(ip);
-    } else {
-      rateLimiter.set(ip, validEntries);
-    }
-  }
-  
-  // Limit cache size
-  if (cache.size > MAX_CACHE_SIZE) {
-    const entries = Array.from(cache.entries());
-    entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-    const toRemove = entries.slice(0, cache.size - MAX_CACHE_SIZE);
-    toRemove.forEach(([key]) => cache.delete(key));
-  }
-}
+// P&L summaries, keyed by strategy/collection (holdings themselves are cached in _lib/holdings.js)
+const pnlCache = createSharedCache({ namespace: 'holdings-pnl', ttl: 2 * 60 * 1000, staleTtl: 10 * 60 * 1000 });
 
-function checkRateLimit(req) {
-  const clientIP = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-  const now = Date.now();
-  
-  if (!rateLimiter.has(clientIP)) {
-    rateLimiter.set(clientIP, []);
-  }
-  
-  const requests = rateLimiter.get(clientIP);
-  const validRequests = requests.filter(time => now - time < RATE_LIMIT_WINDOW);
-  
-  if (validRequests.length >= RATE_LIMIT_MAX) {
-    return false;
-  }
-  
-  validRequests.push(now);
-  rateLimiter.set(clientIP, validRequests);
-  return true;
-}
-
-function setSecurityHeaders(res) {
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-}
-
-function setCacheHeaders(res, maxAge = 120) { // Shorter cache for holdings
-  res.setHeader('Cache-Control', `public, max-age=${maxAge}, s-maxage=${maxAge * 2}, stale-while-revalidate=3600`);
-  res.setHeader('Vary', 'Accept-Encoding');
-}
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 }); // Higher limit for holdings (more dynamic data)
 
-function setCORSHeaders(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*'); // For API endpoints, allow all
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Max-Age', '86400');
-}
+const SUPPORTED_INCLUDES = ['pnl'];
 
 function validateQueryParams(query) {
   const { strategyAddress, nftAddress } = query;
@@ -113,12 +47,156 @@ function validateQueryParams(query) {
     };
   }
   
+  if (query.include && !query.include.split(',').every(part => SUPPORTED_INCLUDES.includes(part.trim()))) {
+    return {
+      valid: false,
+      error: `Invalid include parameter. Supported: ${SUPPORTED_INCLUDES.join(', ')}`
+    };
+  }
+  
+  if (query.collectionSlug && !/^[a-z0-9][a-z0-9._-]*$/i.test(query.collectionSlug)) {
+    return {
+      valid: false,
+      error: 'Invalid collectionSlug format'
+    };
+  }
+  
+  const { format, error: formatError } = parseExportFormat(query);
+  if (formatError) {
+    return {
+      valid: false,
+      error: formatError
+    };
+  }
+  
+  // The CSV is a flat list of NFTs, there's no place for the P&L summary
+  if (format === 'csv' && query.include) {
+    return {
+      valid: false,
+      error: 'include is not supported with format=csv'
+    };
+  }
+  
   return { valid: true };
 }
 
+// Server-side services for ?include=pnl, loaded on demand. Each one is optional:
+// without the local database the route uses the providers directly
+const pnlDependencies = {};
+async function loadOptional(name, loader) {
+  if (!(name in pnlDependencies)) {
+    try {
+      pnlDependencies[name] = await loader();
+    } catch (error) {
+      logError(`⚠️ ${name} unavailable for P&L:`, error.message);
+      pnlDependencies[name] = null;
+    }
+  }
+  return pnlDependencies[name];
+}
+
+async function fetchStrategyTrades(strategyAddress, nftAddress, tokenIds) {
+  const salesService = await loadOptional('salesService', async () =>
+    (await import('../src/services/salesService.js')).getSalesService());
+  if (salesService) {
+    return salesService.getStrategyTrades(strategyAddress, nftAddress, tokenIds);
+  }
+  
+  const { getSalesProvider } = await import('../src/services/salesProviders.js');
+  const page = await getSalesProvider().getAccountSales(strategyAddress, { contractAddress: nftAddress });
+  return {
+    trades: page.sales.filter(sale => sale.contractAddress === nftAddress.toLowerCase()),
+    tokenSales: [],
+    tradesError: null
+  };
+}
+
+async function fetchFloorPriceEth(collectionSlug) {
+  if (!collectionSlug) {
+    return null;
+  }
+  
+  const localAPI = await loadOptional('localAPI', async () => (await import('../src/services/localAPI.js')).getLocalAPI());
+  const result = localAPI
+    ? await localAPI.getCurrentFloorPrice(collectionSlug)
+    : await (await import('../src/services/nftAPI.js')).getCurrentFloorPrice(collectionSlug);
+  
+  return result.success ? parseFloat(result.floorPrice) || null : null;
+}
+
+async function fetchEthUsd() {
+  const ethPriceService = await loadOptional('ethPriceService', async () =>
+    (await import('../src/services/ethPriceSyncService.js')).getEthPriceSyncService());
+  if (ethPriceService) {
+    const spot = await ethPriceService.getSpotPrice();
+    return spot.success ? spot.priceUsd : null;
+  }
+  
+  const { getEthPriceProvider } = await import('../src/services/ethPriceProviders.js');
+  return (await getEthPriceProvider().getSpotPrice()).priceUsd;
+}
+
+/**
+ * Attach P&L to raw holdings. Every input is best effort: a missing floor or
+ * ETH price leaves the matching fields null instead of failing the request
+ */
+async function withPnl(holdings, { strategyAddress, nftAddress, collectionSlug }, requestId) {
+  const rows = Array.isArray(holdings) ? holdings : [];
+  const pnlKey = `${strategyAddress}_${nftAddress}_${collectionSlug || ''}`.toLowerCase();
+  const { data: pnl } = await pnlCache.fetch(pnlKey, () => calculatePnl(rows, { strategyAddress, nftAddress, collectionSlug }, requestId));
+  return { holdings, pnl };
+}
+
+async function calculatePnl(rows, { strategyAddress, nftAddress, collectionSlug }, requestId) {
+  const tokenIds = rows.map(holding => String(holding.token_id));
+  const settle = (promise) => promise.catch(error => {
+    logError(`⚠️ [${requestId}] P&L input failed:`, error.message);
+    return null;
+  });
+  
+  const [tradesResult, floorPriceEth, ethUsd] = await Promise.all([
+    settle(fetchStrategyTrades(strategyAddress, nftAddress, tokenIds)),
+    settle(fetchFloorPriceEth(collectionSlug)),
+    settle(fetchEthUsd())
+  ]);
+  
+  const pnl = pnlService.calculateHoldingsPnl({
+    holdings: rows.map(holding => ({
+      tokenId: holding.token_id,
+      listPriceEth: holding.current_price ? parseFloat(holding.current_price) / 1e18 : null
+    })),
+    trades: tradesResult?.trades || [],
+    tokenSales: tradesResult?.tokenSales || [],
+    floorPriceEth,
+    ethUsd,
+    strategyAddress
+  });
+  
+  pnl.ethUsd = ethUsd;
+  pnl.warnings = [
+    !tradesResult ? 'Trade history unavailable' : null,
+    tradesResult?.tradesError ? `Purchase events unavailable: ${tradesResult.tradesError}` : null,
+    floorPriceEth === null ? 'Current floor price unavailable' : null,
+    !ethUsd ? 'ETH/USD price unavailable' : null
+  ].filter(Boolean);
+  
+  return pnl;
+}
+
+// Upstream holdings (prices in wei) in the shape holdingsService hands to the UI export
+function sendHoldingsCsv(res, data, strategyAddress) {
+  const rows = (Array.isArray(data) ? data : []).map(holding => ({
+    tokenId: holding.token_id,
+    priceInEth: holding.current_price ? parseFloat(holding.current_price) / 1e18 : null,
+    priceInUsd: null,
+    imageUrl: holding.image_url
+  }));
+  return sendCsv(res, { name: `holdings-${strategyAddress}`, rows, columns: HOLDINGS_EXPORT_COLUMNS });
+}
+
 export default async function handler(req, res) {
   const startTime = Date.now();
-  const requestId = Math.random().toString(36).substr(2, 9);
+  const requestId = createRequestId();
   
   logDebug(`🚀 [${requestId}] Holdings API called:`, {
     method: req.method,
@@ -126,8 +204,8 @@ export default async function handler(req, res) {
     userAgent: req.headers['user-agent']?.substring(0, 100)
   });
 
-  // Cleanup cache periodically
-  cleanupCache();
+  // Cleanup rate limiter periodically
+  rateLimiter.cleanup();
   
   // Set security headers
   setSecurityHeaders(res);
@@ -140,7 +218,7 @@ export default async function handler(req, res) {
   }
 
   // Rate limiting
-  if (!checkRateLimit(req)) {
+  if (!rateLimiter.check(req)) {
     logError(`🚦 [${requestId}] Rate limit exceeded`);
     res.setHeader('Retry-After', '60');
     return res.status(429).json({ 
@@ -168,109 +246,43 @@ export default async function handler(req, res) {
     }
     
     const { strategyAddress, nftAddress } = req.query;
-    const cacheKey = `holdings_${strategyAddress}_${nftAddress}`;
-    const cached = cache.get(cacheKey);
-    
-    // Return cached response if available and fresh
-    if (cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
-      logDebug(`⚡ [${requestId}] Cache HIT - returning cached holdings`);
-      setCacheHeaders(res, 120);
-      res.setHeader('X-Cache-Status', 'HIT');
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
-      return res.status(200).json(cached.data);
-    }
-    
-    logDebug(`🔄 [${requestId}] Cache MISS - fetching fresh holdings data`);
+    const includePnl = (req.query.include || '').split(',').map(part => part.trim()).includes('pnl');
+    const asCsv = req.query.format === 'csv';
     
-    // Build URL with proper encoding
-    const url = new URL('https://www.nftstrategy.fun/api/holdings');
-    url.searchParams.append('strategyAddress', strategyAddress);
-    url.searchParams.append('nftAddress', nftAddress);
+    const { data, cacheStatus } = await fetchHoldings({ strategyAddress, nftAddress, requestId });
     
-    logDebug(`📡 [${requestId}] External API URL:`, url.toString());
-    
-    // Fetch with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 25000); // 25s timeout
+    const dataSize = Array.isArray(data) ? data.length : typeof data === 'object' ? Object.keys(data).length : 1;
+    if (cacheStatus === 'MISS') {
+      logDebug(`✅ [${requestId}] Successfully fetched and cached holdings data (${dataSize} items)`);
+    }
     
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Accept-Encoding': 'gzip, deflate',
-        'User-Agent': `NFT-Floor-Strat-Dashboard/1.0 (${process.env.VERCEL_URL || 'localhost'})`,
-        'X-Request-ID': requestId
-      },
-      signal: controller.signal
-    });
+    // Set response headers
+    setCacheHeaders(res, 120);
+    res.setHeader('X-Cache-Status', cacheStatus);
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('X-Data-Size', dataSize.toString());
     
-    clearTimeout(timeoutId);
-
-    logDebug(`📡 [${requestId}] External API response:`, {
-      status: response.status,
-      contentLength: response.headers.get('content-length'),
-      contentType: response.headers.get('content-type')
-    });
-
-    if (!response.ok) {
-      logError(`❌ [${requestId}] External API error:`, response.status, response.statusText);
-      
-      // Return appropriate error codes
-      const errorResponse = { 
-        error: 'External API error', 
-        status: response.status,
-        message: response.status === 429 ? 'External API rate limited' : response.statusText,
-        timestamp: new Date().toISOString(),
-        requestId
-      };
-      
-      return res.status(response.status >= 500 ? 502 : response.status).json(errorResponse);
+    if (asCsv) {
+      res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+      return sendHoldingsCsv(res, data, strategyAddress);
     }
-
-    const contentType = response.headers.get('content-type');
     
-    if (!contentType || !contentType.includes('application/json')) {
-      logError(`❌ [${requestId}] Invalid content type:`, contentType);
-      return res.status(502).json({ 
-        error: 'Invalid response format from external API',
-        contentType: contentType,
-        timestamp: new Date().toISOString(),
-        requestId
-      });
-    }
+    const body = includePnl ? await withPnl(data, req.query, requestId) : data;
+    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+    return res.status(200).json(body);
 
-    const data = await response.json();
-    
-    // Validate response structure (holdings can be array or object)
-    if (data === null || data === undefined) {
-      logError(`❌ [${requestId}] Empty response from external API`);
-      return res.status(502).json({ 
-        error: 'Empty response from external API',
+  } catch (error) {
+    // Upstream answered with an error or an unexpected payload
+    if (error.status) {
+      logError(`❌ [${requestId}] ${error.message}:`, error.details);
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
         timestamp: new Date().toISOString(),
         requestId
       });
     }
-    
-    // Cache successful response
-    cache.set(cacheKey, {
-      data,
-      timestamp: Date.now()
-    });
-    
-    const dataSize = Array.isArray(data) ? data.length : typeof data === 'object' ? Object.keys(data).length : 1;
-    logDebug(`✅ [${requestId}] Successfully fetched and cached holdings data (${dataSize} items)`);
-    
-    // Set response headers
-    setCacheHeaders(res, 120);
-    res.setHeader('X-Cache-Status', 'MISS');
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
-    res.setHeader('X-Data-Size', dataSize.toString());
-    
-    return res.status(200).json(data);
 
-  } catch (error) {
     const isTimeout = error.name === 'AbortError';
     const isNetworkError = error.code === 'ECONNRESET' || error.code === 'ENOTFOUND';
     
@@ -0,0 +1,180 @@
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import {
+  isProduction,
+  logDebug,
+  logError,
+  setSecurityHeaders,
+  setCacheHeaders,
+  setCORSHeaders,
+  createRequestId
+} from '../_lib/http.js';
+import { fetchStrategies } from '../_lib/strategies.js';
+import { fetchHoldingsSummaries } from '../_lib/holdings.js';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 }); // One call replaces a page's worth of /api/holdings
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const MAX_PAIRS = 100;
+const UPSTREAM_CONCURRENCY = 6;
+
+/**
+ * `pairs=<strategyAddress>:<nftAddress>,...`
+ * @returns {{pairs: Array|null}|{error: string}} null pairs means every known strategy
+ */
+function parsePairs(value) {
+  if (value === undefined || value === '') {
+    return { pairs: null };
+  }
+
+  const pairs = String(value).split(',').map(part => {
+    const [strategyAddress, nftAddress] = part.trim().split(':');
+    return { strategyAddress, nftAddress };
+  });
+
+  if (pairs.length > MAX_PAIRS) {
+    return { error: `pairs is limited to ${MAX_PAIRS} entries` };
+  }
+  if (!pairs.every(pair => ADDRESS_PATTERN.test(pair.strategyAddress || '') && ADDRESS_PATTERN.test(pair.nftAddress || ''))) {
+    return { error: 'pairs must list <strategyAddress>:<nftAddress> contract addresses' };
+  }
+
+  // Same pair twice would only repeat the upstream request
+  const unique = new Map(pairs.map(pair => [`${pair.strategyAddress}:${pair.nftAddress}`.toLowerCase(), pair]));
+  return { pairs: [...unique.values()] };
+}
+
+/**
+ * GET /api/holdings/bulk[?pairs=<strategyAddress>:<nftAddress>,...]
+ * Holdings count and listed value (ETH) of many strategies in one response.
+ * Without `pairs` it covers every strategy in the nftstrategy.fun list. Upstream
+ * requests go through the shared holdings cache, a few at a time.
+ */
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = createRequestId();
+
+  logDebug(`🚀 [${requestId}] Bulk holdings API called:`, {
+    method: req.method,
+    query: req.query,
+    userAgent: req.headers['user-agent']?.substring(0, 100)
+  });
+
+  // Cleanup rate limiter periodically
+  rateLimiter.cleanup();
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCORSHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Rate limiting
+  if (!rateLimiter.check(req)) {
+    logError(`🚦 [${requestId}] Rate limit exceeded`);
+    res.setHeader('Retry-After', '60');
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded. Please try again later.',
+      retryAfter: 60,
+      requestId
+    });
+  }
+
+  if (req.method !== 'GET') {
+    logError(`❌ [${requestId}] Method not allowed:`, req.method);
+    return res.status(405).json({ error: 'Method not allowed', requestId });
+  }
+
+  const parsed = parsePairs(req.query?.pairs);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error, requestId });
+  }
+
+  try {
+    let pairs = parsed.pairs;
+    if (!pairs) {
+      const { data: strategies } = await fetchStrategies({ requestId });
+      pairs = strategies
+        .map(strategy => ({
+          strategyId: strategy.id,
+          strategyAddress: strategy.tokenAddress,
+          nftAddress: strategy.collection || strategy.contractAddress
+        }))
+        .filter(pair => ADDRESS_PATTERN.test(pair.strategyAddress || '') && ADDRESS_PATTERN.test(pair.nftAddress || ''));
+    }
+
+    const holdings = await fetchHoldingsSummaries(pairs, { requestId, concurrency: UPSTREAM_CONCURRENCY });
+    const succeeded = holdings.filter(row => !row.error);
+
+    if (holdings.length > 0 && succeeded.length === 0) {
+      logError(`❌ [${requestId}] Every holdings request failed:`, holdings[0].error);
+      return res.status(502).json({
+        error: 'External API error',
+        message: holdings[0].error,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+    }
+
+    const summary = {
+      strategies: holdings.length,
+      failed: holdings.length - succeeded.length,
+      totalCount: succeeded.reduce((sum, row) => sum + row.count, 0),
+      totalValueEth: Math.round(succeeded.reduce((sum, row) => sum + row.totalValueEth, 0) * 1e6) / 1e6
+    };
+
+    // Worst status of the batch: any upstream call means MISS, any stale entry STALE
+    const statuses = holdings.map(row => row.cacheStatus);
+    const cacheStatus = statuses.includes('MISS') ? 'MISS' : statuses.includes('STALE') ? 'STALE' : 'HIT';
+
+    logDebug(`✅ [${requestId}] Holdings for ${summary.strategies} strategies (${summary.failed} failed)`);
+
+    setCacheHeaders(res, 120);
+    res.setHeader('X-Cache-Status', cacheStatus);
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+    res.setHeader('X-Data-Count', holdings.length.toString());
+
+    return res.status(200).json({
+      holdings,
+      summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    // The strategies list itself is unavailable
+    if (error.status) {
+      logError(`❌ [${requestId}] ${error.message}:`, error.details);
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+    }
+
+    logError(`❌ [${requestId}] Bulk holdings API error:`, {
+      message: error.message,
+      type: error.name,
+      code: error.code
+    });
+
+    const errorResponse = {
+      error: 'Internal server error',
+      message: error.name === 'AbortError' ? 'Request timeout' : 'Server error',
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+
+    // Include stack trace only in development
+    if (!isProduction()) {
+      errorResponse.stack = error.stack;
+    }
+
+    return res.status(error.name === 'AbortError' ? 504 : 500).json(errorResponse);
+  }
+}
@@ -0,0 +1,197 @@
+import { timingSafeEqual } from 'crypto';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import {
+  isProduction,
+  logDebug,
+  logError,
+  setSecurityHeaders,
+  setCacheHeaders,
+  createRequestId
+} from './_lib/http.js';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+
+const REVIEW_ACTIONS = ['confirm', 'correct'];
+
+// The mapping table lives in the local database; without it the route answers 503
+let slugMappingService;
+async function loadSlugMappingService() {
+  if (slugMappingService === undefined) {
+    try {
+      const { getSlugMappingService } = await import('../src/services/slugMappingService.js');
+      slugMappingService = getSlugMappingService();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for collection mappings:', error.message);
+      slugMappingService = null;
+    }
+  }
+  return slugMappingService;
+}
+
+function setCORSHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+/**
+ * Writes need `Authorization: Bearer <MAPPING_ADMIN_TOKEN>`. Without a configured
+ * token they are open in development and refused in production.
+ * @returns {{ok: boolean, status?: number, error?: string}}
+ */
+function authorize(req) {
+  const token = process.env.MAPPING_ADMIN_TOKEN;
+  if (!token) {
+    return isProduction()
+      ? { ok: false, status: 503, error: 'Mapping review is disabled (MAPPING_ADMIN_TOKEN is not set)' }
+      : { ok: true };
+  }
+
+  const provided = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return { ok: false, status: 401, error: 'Invalid or missing admin token' };
+  }
+  return { ok: true };
+}
+
+/**
+ * GET  /api/mappings[?review=1]
+ *   Every strategy collection mapping, or only the review queue (fuzzy and generated
+ *   matches plus names without a slug)
+ * POST /api/mappings  `{ id, action: 'confirm'|'correct', nftpfSlug?, openSeaSlug?, contractAddress? }`
+ *   Confirm a mapping as is, or correct it; both turn it into a reviewed manual mapping
+ */
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = createRequestId();
+
+  logDebug(`🚀 [${requestId}] Mappings API called:`, {
+    method: req.method,
+    query: req.query,
+    userAgent: req.headers['user-agent']?.substring(0, 100)
+  });
+
+  // Cleanup rate limiter periodically
+  rateLimiter.cleanup();
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCORSHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Rate limiting
+  if (!rateLimiter.check(req)) {
+    logError(`🚦 [${requestId}] Rate limit exceeded`);
+    res.setHeader('Retry-After', '60');
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded. Please try again later.',
+      retryAfter: 60,
+      requestId
+    });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logError(`❌ [${requestId}] Method not allowed:`, req.method);
+    return res.status(405).json({ error: 'Method not allowed', requestId });
+  }
+
+  if (req.method === 'POST') {
+    const auth = authorize(req);
+    if (!auth.ok) {
+      logError(`🔒 [${requestId}] Mapping review refused:`, auth.error);
+      return res.status(auth.status).json({ error: auth.error, requestId });
+    }
+  }
+
+  const service = await loadSlugMappingService();
+  if (!service) {
+    return res.status(503).json({
+      error: 'Local database unavailable',
+      message: 'Collection mappings are served from the synced SQLite database',
+      requestId
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const review = req.query?.review === '1' || req.query?.review === 'true';
+      const mappings = review ? service.getReviewQueue() : service.list();
+
+      // The review queue changes with every confirmation
+      if (review) {
+        res.setHeader('Cache-Control', 'no-store');
+      } else {
+        setCacheHeaders(res, 300);
+      }
+      res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+      res.setHeader('X-Data-Count', mappings.length.toString());
+
+      return res.status(200).json({
+        count: mappings.length,
+        mappings,
+        stats: service.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+    const id = parseInt(body.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({ error: 'id must be a mapping id', requestId });
+    }
+    if (!REVIEW_ACTIONS.includes(body.action)) {
+      return res.status(400).json({ error: `action must be one of: ${REVIEW_ACTIONS.join(', ')}`, requestId });
+    }
+
+    let mapping;
+    try {
+      mapping = body.action === 'confirm'
+        ? service.confirm(id)
+        : service.correct(id, {
+          nftpfSlug: body.nftpfSlug,
+          openSeaSlug: body.openSeaSlug,
+          contractAddress: body.contractAddress
+        });
+    } catch (error) {
+      return res.status(/not found/.test(error.message) ? 404 : 400).json({ error: error.message, requestId });
+    }
+
+    logDebug(`✅ [${requestId}] Mapping ${id} ${body.action}ed: "${mapping.name}" -> ${mapping.nftpfSlug}`);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
+    return res.status(200).json({ mapping, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: 'Request body must be JSON', requestId });
+    }
+
+    logError(`❌ [${requestId}] Mappings API error:`, {
+      message: error.message,
+      type: error.name
+    });
+
+    const errorResponse = {
+      error: 'Internal server error',
+      message: 'Server error',
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+
+    // Include stack trace only in development
+    if (!isProduction()) {
+      errorResponse.stack = error.stack;
+    }
+
+    return res.status(500).json(errorResponse);
+  }
+}
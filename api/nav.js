@@ -0,0 +1,96 @@
+import { createSharedCache } from './_lib/cache.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import { logError, upstreamError } from './_lib/http.js';
+import { handleCachedRequest } from './_lib/cachedRequest.js';
+
+// One live NAV run reads every strategy, so it's computed once for all of them and served stale for an hour
+const cache = createSharedCache({ namespace: 'nav', ttl: 10 * 60 * 1000, staleTtl: 60 * 60 * 1000 });
+const CACHE_KEY = 'all';
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 }); // 60 requests per minute
+
+const MAX_DAYS = 365;
+const DEFAULT_DAYS = 90;
+
+// NAV needs the local database (holdings snapshots, floors and the stored
+// history), so unlike the price routes there is no provider-only fallback
+let navSyncService;
+async function loadNavSyncService() {
+  if (navSyncService === undefined) {
+    try {
+      const { getNavSyncService } = await import('../src/services/navSyncService.js');
+      navSyncService = getNavSyncService();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for NAV:', error.message);
+      navSyncService = null;
+    }
+  }
+  return navSyncService;
+}
+
+/**
+ * GET /api/nav?strategyId=...&days=90
+ * Live NAV for every strategy, or one strategy's NAV with its stored daily history
+ */
+export default async function handler(req, res) {
+  return handleCachedRequest(req, res, {
+    name: 'NAV',
+    cache,
+    rateLimiter,
+    maxAge: 600, // NAV moves with floors and holdings, not per block
+    staleMaxAge: 60,
+    staleWhileRevalidate: 3600,
+    resolve: ({ strategyId, days }) => {
+      if (strategyId !== undefined && (typeof strategyId !== 'string' || !/^[\w-]{1,100}$/.test(strategyId))) {
+        return { error: 'Invalid strategyId parameter' };
+      }
+      
+      const parsedDays = days === undefined ? DEFAULT_DAYS : parseInt(days);
+      if (days !== undefined) {
+        if (!strategyId) {
+          return { error: 'days requires a strategyId' };
+        }
+        if (isNaN(parsedDays) || parsedDays < 1 || parsedDays > MAX_DAYS) {
+          return { error: `Invalid days parameter (1-${MAX_DAYS})` };
+        }
+      }
+      
+      return {
+        key: CACHE_KEY,
+        notFoundMessage: `No NAV for strategy '${strategyId}'`,
+        load: async () => {
+          if (!(await loadNavSyncService())) {
+            throw upstreamError('NAV unavailable', 503, { message: 'Local database unavailable' });
+          }
+          
+          const result = await navSyncService.getNav();
+          if (!result.success) {
+            throw upstreamError('NAV computation error', 502, { message: result.error });
+          }
+          return result;
+        },
+        body: async (result) => {
+          const stale = Boolean(result.stale);
+          if (!strategyId) {
+            return {
+              navs: result.navs,
+              ethUsd: result.ethUsd ?? null,
+              timestamp: result.timestamp ?? null,
+              source: result.source,
+              stale
+            };
+          }
+          
+          // A cached result may come from another instance, so the service isn't loaded yet
+          const service = await loadNavSyncService();
+          const nav = result.navs.find(item => item.strategyId === strategyId) || null;
+          const history = service ? service.getNavHistory(strategyId, parsedDays) : [];
+          return nav || history.length > 0
+            ? { strategyId, nav, history, source: result.source, stale }
+            : null;
+        }
+      };
+    }
+  });
+}
@@ -0,0 +1,130 @@
+import { createResponseCache } from '../_lib/cache.js';
+import { createRateLimiter } from '../_lib/rateLimit.js';
+import { createRequestId, logDebug, logError, setCacheHeaders, setSecurityHeaders } from '../_lib/http.js';
+import { fetchStrategies } from '../_lib/strategies.js';
+import { fetchTokenPriceHistory } from '../_lib/tokenPrices.js';
+import { renderDashboardCard, renderStrategyCard } from '../_lib/ogImage.js';
+import { findStrategyByEncodedName } from '../../src/utils/urlUtils.js';
+
+// In-memory cache for serverless functions (rendered PNGs)
+const cache = createResponseCache({ ttl: 30 * 60 * 1000, maxSize: 100 }); // 30 minutes
+
+// Rate limiting, rendering is CPU heavy
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
+const DASHBOARD_SLUG = 'dashboard';
+const STRATEGY_SLUG_PATTERN = /^[a-z0-9-]{1,120}$/;
+const SPARKLINE_DAYS = 30;
+
+// NAV needs the local database; without it the card shows the premium as N/A
+let navSyncService;
+async function loadNavSyncService() {
+  if (navSyncService === undefined) {
+    try {
+      const { getNavSyncService } = await import('../../src/services/navSyncService.js');
+      navSyncService = getNavSyncService();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for OG image NAV:', error.message);
+      navSyncService = null;
+    }
+  }
+  return navSyncService;
+}
+
+/**
+ * Live NAV for one strategy, the latest stored row when the live inputs fail
+ */
+async function fetchStrategyNav(strategy) {
+  const service = await loadNavSyncService();
+  if (!service) {
+    return null;
+  }
+
+  try {
+    const { navs } = await service.computeNav([strategy]);
+    if (navs[0]?.premiumPct !== null && navs[0]?.premiumPct !== undefined) {
+      return navs[0];
+    }
+  } catch (error) {
+    logError(`⚠️ Live NAV failed for ${strategy.id}, using stored NAV:`, error.message);
+  }
+
+  return service.getNavHistory(strategy.id, 7).at(-1) || null;
+}
+
+async function fetchSparklineCandles(strategy) {
+  if (!strategy.tokenAddress) {
+    return [];
+  }
+
+  try {
+    const result = await fetchTokenPriceHistory(strategy.tokenAddress.toLowerCase(), SPARKLINE_DAYS);
+    return result.success ? result.candles : [];
+  } catch (error) {
+    logError(`⚠️ No sparkline data for ${strategy.tokenAddress}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * GET /api/og-image/:slug
+ * OpenGraph PNG for a strategy, looked up by its router slug (`/nftstrategies/:slug`);
+ * `dashboard` renders the brand card. Every number on the card is read server-side.
+ */
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  const requestId = createRequestId();
+
+  cache.cleanup();
+  rateLimiter.cleanup();
+  setSecurityHeaders(res);
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', requestId });
+  }
+
+  if (!rateLimiter.check(req)) {
+    res.setHeader('Retry-After', '60');
+    return res.status(429).json({ error: 'Too Many Requests', retryAfter: 60, requestId });
+  }
+
+  const slug = String(req.query.slug || DASHBOARD_SLUG).toLowerCase();
+  if (!STRATEGY_SLUG_PATTERN.test(slug)) {
+    return res.status(400).json({ error: 'slug must be a strategy slug (letters, digits or "-")', requestId });
+  }
+
+  try {
+    const cached = cache.get(slug);
+    let png = cached?.data;
+
+    if (!png) {
+      if (slug === DASHBOARD_SLUG) {
+        png = await renderDashboardCard();
+      } else {
+        const { data: strategies } = await fetchStrategies({ requestId });
+        const strategy = findStrategyByEncodedName(strategies, slug);
+        if (!strategy) {
+          return res.status(404).json({ error: 'Strategy not found', slug, requestId });
+        }
+
+        const [nav, candles] = await Promise.all([
+          fetchStrategyNav(strategy),
+          fetchSparklineCandles(strategy)
+        ]);
+        png = await renderStrategyCard({ strategy, slug, nav, candles });
+      }
+
+      cache.set(slug, png);
+    }
+
+    logDebug(`🖼️ [${requestId}] OG image for ${slug} (${cached ? 'HIT' : 'MISS'}, ${Date.now() - startTime}ms)`);
+
+    setCacheHeaders(res, 3600);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('X-Cache-Status', cached ? 'HIT' : 'MISS');
+    return res.status(200).send(png);
+  } catch (error) {
+    logError(`❌ [${requestId}] Error generating OG image:`, error.message);
+    return res.status(error.status ? 502 : 500).json({ error: 'Failed to generate image', requestId });
+  }
+}
@@ -0,0 +1,51 @@
+import { createRequestId, logDebug, logError } from './_lib/http.js';
+import { fetchStrategies } from './_lib/strategies.js';
+import { injectSeoMeta, loadHtmlShell } from './_lib/htmlShell.js';
+import { findStrategyByEncodedName } from '../src/utils/urlUtils.js';
+import { seoService } from '../src/services/seoService.js';
+
+/**
+ * GET /nftstrategies/:strategyName (rewritten to /api/prerender?strategyName=...)
+ * Serves the SPA shell with the strategy's title, description, OG/Twitter tags and
+ * JSON-LD already in <head>, so link unfurls and non-JS crawlers see them. The app
+ * boots as usual on top; unknown strategies (and /nftstrategies/compare) get the plain shell.
+ */
+export default async function handler(req, res) {
+  const requestId = createRequestId();
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let html;
+  try {
+    html = await loadHtmlShell(req);
+  } catch (error) {
+    logError(`❌ [${requestId}] HTML shell unavailable:`, error.message);
+    return res.status(502).send('Page temporarily unavailable');
+  }
+
+  const { strategyName } = req.query || {};
+  let prerendered = false;
+
+  try {
+    const { data: strategies } = await fetchStrategies({ requestId });
+    const strategy = findStrategyByEncodedName(strategies, strategyName);
+
+    if (strategy) {
+      html = injectSeoMeta(html, seoService.generateStrategyMeta(strategy));
+      prerendered = true;
+    }
+  } catch (error) {
+    // The page still works without the tags, the client sets them once the list loads
+    logError(`⚠️ [${requestId}] Serving plain shell for ${strategyName}:`, error.message);
+  }
+
+  logDebug(`📄 [${requestId}] /nftstrategies/${strategyName} (${prerendered ? 'prerendered' : 'plain shell'})`);
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  // Short edge cache: the shell's asset hashes change on every deploy
+  res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=300, stale-while-revalidate=600');
+  res.setHeader('X-Prerendered', prerendered ? 'true' : 'false');
+  return res.status(200).send(html);
+}
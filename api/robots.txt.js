@@ -1,6 +1,8 @@
+import { sitemapGenerator } from '../src/utils/sitemapGenerator.js';
+
 /**
  * Generate robots.txt for the NFT Strategy Dashboard
- * Vercel-compatible version with inline robots.txt generation
+ * Points crawlers at /sitemap.xml, which lists the live strategies
  */
 export default async function handler(req, res) {
   try {
@@ -8,31 +10,12 @@ export default async function handler(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // Site configuration
-    const siteUrl = 'https://nftstrategy.fun';
-
-    // Generate robots.txt content
-    const robotsTxt = [
-      'User-agent: *',
-      'Allow: /',
-      '',
-      '# Crawl-delay for respectful crawling',
-      'Crawl-delay: 1',
-      '',
-      '# Sitemap location',
-      `Sitemap: ${siteUrl}/api/sitemap.xml`,
-      '',
-      '# Block unnecessary paths',
-      'Disallow: /api/',
-      'Disallow: /.vite/',
-      'Disallow: /node_modules/',
-      ''
-    ].join('\n');
+    const robotsTxt = sitemapGenerator.generateRobotsTxt();
 
     // Set appropriate headers
     res.setHeader('Content-Type', 'text/plain');
     res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-    
+
     res.status(200).send(robotsTxt);
   } catch (error) {
     console.error('Error generating robots.txt:', error);
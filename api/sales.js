@@ -0,0 +1,101 @@
+import { getSalesProvider } from '../src/services/salesProviders.js';
+import { createSharedCache } from './_lib/cache.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import { logError, upstreamError, isValidSlug } from './_lib/http.js';
+import { handleCachedRequest } from './_lib/cachedRequest.js';
+import { SALES_EXPORT_COLUMNS } from '../src/utils/exportUtils.js';
+
+// New sales land continuously: fresh for 2 minutes, served stale for an hour while they refresh
+const cache = createSharedCache({ namespace: 'sales', ttl: 2 * 60 * 1000, staleTtl: 60 * 60 * 1000 });
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 120 }); // Same budget as holdings (paging makes several calls per view)
+
+const MAX_LIMIT = 50;
+
+// The local database is optional here: on hosts without a writable SQLite file
+// the route still serves provider data, it just can't store or fall back
+let salesService;
+async function loadSalesService() {
+  if (salesService === undefined) {
+    try {
+      const { getSalesService } = await import('../src/services/salesService.js');
+      salesService = getSalesService();
+    } catch (error) {
+      logError('⚠️ Local database unavailable for sales:', error.message);
+      salesService = null;
+    }
+  }
+  return salesService;
+}
+
+async function loadSales(collection, options) {
+  const service = await loadSalesService();
+  if (service) {
+    return service.getSales(collection, options);
+  }
+  
+  const provider = getSalesProvider();
+  const { sales, next } = await provider.getSales(collection, options);
+  return { success: true, sales, next, source: provider.name };
+}
+
+/**
+ * GET /api/sales?collection=azuki&contractAddress=0x...&limit=50&cursor=...
+ * One page of marketplace sales; `format=csv` answers it as a CSV file with the
+ * `next` cursor in the X-Next-Cursor header, since CSV has no place for it
+ */
+export default async function handler(req, res) {
+  return handleCachedRequest(req, res, {
+    name: 'Sales',
+    cache,
+    rateLimiter,
+    maxAge: 120,
+    staleMaxAge: 30,
+    staleWhileRevalidate: 3600,
+    resolve: (query) => {
+      if (!query.collection) {
+        return { error: 'Missing required parameter: collection' };
+      }
+      if (!isValidSlug(query.collection)) {
+        return { error: 'Invalid collection slug format' };
+      }
+      if (query.contractAddress && !/^0x[a-fA-F0-9]{40}$/.test(query.contractAddress)) {
+        return { error: 'Invalid contractAddress format' };
+      }
+      if (query.limit !== undefined) {
+        const parsedLimit = parseInt(query.limit);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+          return { error: `Invalid limit parameter (1-${MAX_LIMIT})` };
+        }
+      }
+      
+      const collection = query.collection.toLowerCase();
+      const contractAddress = query.contractAddress?.toLowerCase() || null;
+      const limit = parseInt(query.limit) || MAX_LIMIT;
+      const cursor = query.cursor || null;
+      return {
+        key: `${collection}_${contractAddress}_${limit}_${cursor}`,
+        load: async () => {
+          const result = await loadSales(collection, { contractAddress, limit, cursor });
+          if (!result.success) {
+            throw upstreamError('Sales provider error', 502, { message: result.error });
+          }
+          
+          return {
+            collection,
+            source: result.source,
+            stale: result.stale || false,
+            sales: result.sales,
+            next: result.next || null
+          };
+        },
+        headers: (body) => ({
+          'X-Data-Size': body.sales.length.toString(),
+          ...(body.next ? { 'X-Next-Cursor': body.next } : {})
+        }),
+        csv: (body) => ({ name: `sales-${body.collection}`, rows: body.sales, columns: SALES_EXPORT_COLUMNS })
+      };
+    }
+  });
+}
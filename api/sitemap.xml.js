@@ -1,92 +1,52 @@
+import { createRequestId, logDebug, logError } from './_lib/http.js';
+import { fetchStrategies } from './_lib/strategies.js';
+import { sitemapGenerator } from '../src/utils/sitemapGenerator.js';
+
 /**
- * Generate XML sitemap for the NFT Strategy Dashboard
- * Vercel-compatible version with inline sitemap generation
+ * GET /sitemap.xml (rewritten to /api/sitemap.xml)
+ * One URL per live strategy, slugged like the router. Once the list outgrows one file the
+ * response is a sitemap index and the pages are served as /sitemap-<n>.xml (`?page=n`).
  */
 export default async function handler(req, res) {
+  const requestId = createRequestId();
+
   try {
     if (req.method !== 'GET') {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // Site configuration
-    const siteUrl = 'https://nftstrategy.fun';
-    const currentDate = new Date().toISOString();
-
-    // Strategy list - in production, fetch from your data source
-    const strategies = [
-      { collectionName: 'CryptoPunks' },
-      { collectionName: 'Moonbirds' },
-      { collectionName: 'Chromie Squiggles' },
-      { collectionName: 'Bored Ape Yacht Club' },
-      { collectionName: 'Pudgy Penguins' },
-      { collectionName: 'Azuki' },
-      { collectionName: 'Mutant Ape Yacht Club' },
-      { collectionName: 'CloneX' },
-      { collectionName: 'Doodles' },
-      { collectionName: 'World of Women' }
-    ];
-
-    // Generate slug from collection name
-    const generateSlug = (text) => {
-      return text
-        .toLowerCase()
-        .replace(/[^a-z0-9 -]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-')
-        .trim();
-    };
-
-    // Escape XML characters
-    const escapeXML = (text) => {
-      return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-    };
-
-    // Build sitemap XML
-    let sitemap = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    sitemap += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+    const { page } = req.query || {};
+    if (page !== undefined && !/^[1-9]\d{0,3}$/.test(page)) {
+      return res.status(400).json({ error: 'page must be a positive integer' });
+    }
 
-    // Add main pages
-    const urls = [
-      { loc: siteUrl, priority: '1.0', changefreq: 'daily' },
-      { loc: `${siteUrl}/nftstrategies`, priority: '0.9', changefreq: 'hourly' }
-    ];
+    // Same cached upstream as /api/strategies
+    const { data: strategies, fetchedAt } = await fetchStrategies({ requestId });
+    const pages = sitemapGenerator.paginate(sitemapGenerator.getUrls(strategies, { fetchedAt }));
 
-    // Add strategy pages
-    strategies.forEach(strategy => {
-      if (strategy && strategy.collectionName) {
-        const strategySlug = generateSlug(strategy.collectionName);
-        urls.push({
-          loc: `${siteUrl}/nftstrategies/${strategySlug}`,
-          priority: '0.8',
-          changefreq: 'hourly'
-        });
+    let sitemap;
+    if (page !== undefined) {
+      const urls = pages[parseInt(page) - 1];
+      if (!urls) {
+        return res.status(404).json({ error: 'Sitemap page not found', pages: pages.length });
       }
-    });
-
-    // Generate XML for each URL
-    urls.forEach(url => {
-      sitemap += '  <url>\n';
-      sitemap += `    <loc>${escapeXML(url.loc)}</loc>\n`;
-      sitemap += `    <lastmod>${currentDate}</lastmod>\n`;
-      sitemap += `    <changefreq>${url.changefreq}</changefreq>\n`;
-      sitemap += `    <priority>${url.priority}</priority>\n`;
-      sitemap += '  </url>\n';
-    });
+      sitemap = sitemapGenerator.generateXML(urls);
+    } else {
+      sitemap = pages.length > 1
+        ? sitemapGenerator.generateSitemapIndex(pages)
+        : sitemapGenerator.generateXML(pages[0] || []);
+    }
 
-    sitemap += '</urlset>';
+    logDebug(`🗺️ [${requestId}] Sitemap generated for ${strategies.length} strategies (${pages.length} page(s))`);
 
     // Set appropriate headers
-    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
     res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-    
+
     res.status(200).send(sitemap);
   } catch (error) {
-    console.error('Error generating sitemap:', error);
-    res.status(500).json({ error: 'Failed to generate sitemap' });
+    logError(`❌ [${requestId}] Error generating sitemap:`, error.message);
+    // A 5xx makes crawlers retry later instead of dropping the strategy URLs
+    res.status(error.status ? 502 : 500).json({ error: 'Failed to generate sitemap' });
   }
 }
@@ -0,0 +1,61 @@
+import { fetchTokenPriceHistory } from './_lib/tokenPrices.js';
+import { createSharedCache } from './_lib/cache.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import { upstreamError } from './_lib/http.js';
+import { handleCachedRequest } from './_lib/cachedRequest.js';
+import { TOKEN_PRICE_EXPORT_COLUMNS } from '../src/utils/exportUtils.js';
+
+// Daily candles move slowly: fresh for 10 minutes, served stale for a day while they refresh
+const cache = createSharedCache({ namespace: 'token-price', ttl: 10 * 60 * 1000 });
+
+// Rate limiting
+const rateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 }); // 60 requests per minute
+
+const MAX_DAYS = 1000;
+const DEFAULT_DAYS = 90;
+
+/**
+ * GET /api/token-price-history?tokenAddress=0x...&days=90
+ * Daily OHLC candles for a strategy token; `format=csv` answers them as a CSV file
+ */
+export default async function handler(req, res) {
+  return handleCachedRequest(req, res, {
+    name: 'Token price history',
+    cache,
+    rateLimiter,
+    maxAge: 600,
+    staleMaxAge: 60,
+    resolve: ({ tokenAddress, days }) => {
+      if (!tokenAddress) {
+        return { error: 'Missing required parameter: tokenAddress' };
+      }
+      if (!/^0x[a-fA-F0-9]{40}$/.test(tokenAddress)) {
+        return { error: 'Invalid tokenAddress format' };
+      }
+      const parsedDays = days === undefined ? DEFAULT_DAYS : parseInt(days);
+      if (days !== undefined && (isNaN(parsedDays) || parsedDays < 1 || parsedDays > MAX_DAYS)) {
+        return { error: `Invalid days parameter (1-${MAX_DAYS})` };
+      }
+      
+      const address = tokenAddress.toLowerCase();
+      return {
+        key: `${address}_${parsedDays}`,
+        load: async () => {
+          const result = await fetchTokenPriceHistory(address, parsedDays);
+          if (!result.success) {
+            throw upstreamError('Token price provider error', 502, { message: result.error });
+          }
+          
+          return {
+            tokenAddress: address,
+            source: result.source,
+            stale: result.stale || false,
+            candles: result.candles
+          };
+        },
+        headers: (body) => ({ 'X-Data-Count': body.candles.length.toString() }),
+        csv: (body) => ({ name: `token-price-${body.tokenAddress}`, rows: body.candles, columns: TOKEN_PRICE_EXPORT_COLUMNS })
+      };
+    }
+  });
+}
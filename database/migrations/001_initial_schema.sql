@@ -0,0 +1,340 @@
+-- NFT Floor Price Database Schema
+-- SQLite compatible schema for local deployment
+--
+-- Baseline migration: every statement is IF NOT EXISTS, so databases created before
+-- migrations existed are adopted in place. It has no down section and can't be rolled back.
+
+-- migrate:up
+
+-- Collections table
+CREATE TABLE IF NOT EXISTS collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    ranking INTEGER,
+    image TEXT,
+    total_supply INTEGER,
+    owners INTEGER,
+    market_cap REAL,
+    market_cap_rank INTEGER,
+    is_active BOOLEAN DEFAULT 1,
+    is_top_250 BOOLEAN DEFAULT 0,
+    selection_period TEXT, -- Format: YYYY-Q1, YYYY-Q2, etc.
+    selected_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Price history table with daily granularity
+CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection_slug TEXT NOT NULL,
+    date DATE NOT NULL,
+    timestamp INTEGER NOT NULL,
+    floor_eth REAL,
+    floor_usd REAL,
+    volume_eth REAL,
+    volume_usd REAL,
+    sales_count INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (collection_slug) REFERENCES collections(slug) ON DELETE CASCADE,
+    UNIQUE(collection_slug, date)
+);
+
+-- Strategy snapshots table (periodic captures of nftstrategy.fun pool data)
+CREATE TABLE IF NOT EXISTS strategy_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    strategy_id TEXT NOT NULL,
+    strategy_name TEXT,
+    token_address TEXT,
+    collection_address TEXT,
+    collection_name TEXT,
+    snapshot_at TIMESTAMP NOT NULL, -- Truncated to the hour, ISO 8601 (UTC)
+    timestamp INTEGER NOT NULL,
+    price_usd REAL,
+    market_cap_usd REAL,
+    price_change_24h REAL,
+    burn_percentage REAL,
+    holdings_count INTEGER,
+    total_holders INTEGER,
+    pool_data TEXT, -- Raw poolData JSON as returned by the API
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(strategy_id, snapshot_at)
+);
+
+-- Token price history table (daily OHLCV candles for strategy tokens, USD)
+CREATE TABLE IF NOT EXISTS token_price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_address TEXT NOT NULL, -- Lowercase contract address
+    date DATE NOT NULL,
+    timestamp INTEGER NOT NULL,
+    open_usd REAL,
+    high_usd REAL,
+    low_usd REAL,
+    close_usd REAL,
+    volume_usd REAL,
+    provider TEXT, -- 'geckoterminal', 'fixture'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(token_address, date)
+);
+
+-- ETH/USD daily closes (price oracle history, one row per UTC day)
+CREATE TABLE IF NOT EXISTS eth_price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date DATE NOT NULL UNIQUE,
+    timestamp INTEGER NOT NULL, -- UTC midnight, seconds
+    close_usd REAL NOT NULL,
+    provider TEXT, -- 'coingecko', 'fixture'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sales table (normalized marketplace sales for strategy collections)
+CREATE TABLE IF NOT EXISTS sales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection_slug TEXT NOT NULL, -- Marketplace (OpenSea) collection slug
+    contract_address TEXT, -- Lowercase NFT contract address
+    token_id TEXT NOT NULL,
+    name TEXT,
+    image_url TEXT,
+    price_eth REAL,
+    price_usd REAL,
+    payment_symbol TEXT, -- 'ETH', 'WETH', 'USDC', ...
+    marketplace TEXT,
+    buyer TEXT,
+    seller TEXT,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    date DATE NOT NULL,
+    provider TEXT, -- 'opensea', 'fixture'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tx_hash, collection_slug, token_id)
+);
+
+-- Strategy NAV history (one row per strategy per UTC day, last computation of the day wins)
+CREATE TABLE IF NOT EXISTS strategy_nav_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    strategy_id TEXT NOT NULL,
+    strategy_name TEXT,
+    date DATE NOT NULL,
+    timestamp INTEGER NOT NULL,
+    collection_slug TEXT, -- NFTPriceFloor slug the floor was read from
+    holdings_count INTEGER,
+    floor_price_eth REAL,
+    nft_value_eth REAL, -- holdings_count * floor_price_eth
+    treasury_eth REAL, -- ETH balance of the strategy contract, NULL when unavailable
+    nav_eth REAL,
+    nav_usd REAL,
+    eth_usd REAL,
+    circulating_supply REAL, -- Total supply minus burned tokens
+    nav_per_token_usd REAL,
+    price_usd REAL, -- Strategy token price (poolData.price_usd)
+    premium_pct REAL, -- (price_usd / nav_per_token_usd - 1) * 100, negative = discount
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(strategy_id, date)
+);
+
+-- Alert rules evaluated against synced data
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    metric TEXT NOT NULL, -- 'token_price_change_24h', 'token_price_usd', 'floor_price_eth', 'nav_premium_pct', 'nav_discount_pct'
+    target TEXT NOT NULL, -- Strategy id for token/NAV metrics, collection slug for floor metrics
+    operator TEXT NOT NULL, -- 'below', 'above'
+    threshold REAL NOT NULL,
+    channel TEXT NOT NULL, -- 'webhook', 'discord', 'slack', 'email'
+    destination TEXT NOT NULL, -- Webhook URL or email address
+    cooldown_minutes INTEGER DEFAULT 360, -- Minimum time between two deliveries of the rule
+    enabled BOOLEAN DEFAULT 1,
+    last_value REAL,
+    last_evaluated_at TIMESTAMP,
+    last_triggered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notification delivery log (rule alerts and scheduler notifications)
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER, -- NULL for scheduler notifications
+    event_type TEXT NOT NULL, -- 'alert', 'success', 'failure', 'crash', 'test'
+    channel TEXT NOT NULL,
+    destination TEXT,
+    status TEXT NOT NULL, -- 'sent', 'failed', 'skipped'
+    payload TEXT, -- Message JSON
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE SET NULL
+);
+
+-- Collections the daily sync always covers, one row per collection and origin
+CREATE TABLE IF NOT EXISTS tracked_collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection_slug TEXT NOT NULL,
+    origin TEXT NOT NULL, -- 'top_250', 'strategy', 'manual'
+    source_ref TEXT, -- Selection period, strategy id or a note
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    backfilled_at TIMESTAMP, -- History backfill done for the collection (copied across its origins)
+    UNIQUE(collection_slug, origin)
+);
+
+-- Strategy collection name -> contract / OpenSea / NFTPriceFloor slug mappings
+CREATE TABLE IF NOT EXISTS collection_mappings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE, -- Strategy collection name (or alias)
+    contract_address TEXT, -- Lowercased
+    opensea_slug TEXT,
+    nftpf_slug TEXT,
+    provenance TEXT NOT NULL, -- 'direct', 'fuzzy', 'generated', 'manual'
+    matched_via TEXT, -- Known name a fuzzy match resolved through
+    seen_count INTEGER DEFAULT 0,
+    last_seen_at TIMESTAMP,
+    reviewed_at TIMESTAMP, -- Set when confirmed or corrected
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sync log table to track data fetching
+CREATE TABLE IF NOT EXISTS sync_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sync_type TEXT NOT NULL, -- 'daily', 'full', 'collection', 'repair'
+    collection_slug TEXT, -- NULL for full syncs
+    status TEXT NOT NULL, -- 'started', 'completed', 'failed'
+    records_processed INTEGER DEFAULT 0,
+    records_inserted INTEGER DEFAULT 0,
+    records_updated INTEGER DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    duration_seconds INTEGER
+);
+
+-- Long-running sync jobs (full-year sync) with a checkpoint per collection
+CREATE TABLE IF NOT EXISTS sync_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_type TEXT NOT NULL, -- 'full_year'
+    status TEXT NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed', 'abandoned'
+    days_to_sync INTEGER,
+    selection_period TEXT,
+    runs INTEGER DEFAULT 1, -- Incremented by every --resume
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sync_job_items (
+    job_id INTEGER NOT NULL,
+    collection_slug TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'running', 'done', 'failed'
+    last_date_fetched DATE, -- Latest stored price date once the collection is done
+    attempts INTEGER DEFAULT 0,
+    records_inserted INTEGER DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    duration_ms INTEGER, -- Wall time of the last run of this collection
+    PRIMARY KEY (job_id, collection_slug),
+    FOREIGN KEY (job_id) REFERENCES sync_jobs(id) ON DELETE CASCADE
+);
+
+-- Collection selection periods tracking
+CREATE TABLE IF NOT EXISTS collection_selection_periods (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    period TEXT UNIQUE NOT NULL, -- Format: YYYY-Q1, YYYY-Q2, etc.
+    selection_date DATE NOT NULL,
+    total_collections_selected INTEGER,
+    selection_criteria TEXT, -- 'market_cap_usd'
+    min_market_cap REAL,
+    max_market_cap REAL,
+    avg_market_cap REAL,
+    status TEXT DEFAULT 'active', -- 'active', 'expired'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API rate limit tracking
+CREATE TABLE IF NOT EXISTS api_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    endpoint TEXT NOT NULL,
+    requests_made INTEGER DEFAULT 0,
+    last_request_at TIMESTAMP,
+    rate_limit_reset TIMESTAMP,
+    remaining_requests INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_price_history_collection_date ON price_history(collection_slug, date DESC);
+CREATE INDEX IF NOT EXISTS idx_price_history_date ON price_history(date DESC);
+CREATE INDEX IF NOT EXISTS idx_collections_slug ON collections(slug);
+CREATE INDEX IF NOT EXISTS idx_collections_ranking ON collections(ranking);
+CREATE INDEX IF NOT EXISTS idx_collections_market_cap ON collections(market_cap DESC);
+CREATE INDEX IF NOT EXISTS idx_collections_top_250 ON collections(is_top_250, selection_period);
+CREATE INDEX IF NOT EXISTS idx_collection_periods ON collection_selection_periods(period, status);
+CREATE INDEX IF NOT EXISTS idx_sync_log_date ON sync_log(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_strategy_snapshots_strategy_time ON strategy_snapshots(strategy_id, snapshot_at DESC);
+CREATE INDEX IF NOT EXISTS idx_strategy_snapshots_time ON strategy_snapshots(snapshot_at DESC);
+CREATE INDEX IF NOT EXISTS idx_token_price_history_token_date ON token_price_history(token_address, date DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_collection_time ON sales(collection_slug, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_contract_token ON sales(contract_address, token_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_strategy_nav_history_strategy_date ON strategy_nav_history(strategy_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON alert_rules(enabled);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_created ON alert_deliveries(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_type ON sync_jobs(job_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_job_items_status ON sync_job_items(job_id, status, position);
+CREATE INDEX IF NOT EXISTS idx_tracked_collections_slug ON tracked_collections(collection_slug);
+CREATE INDEX IF NOT EXISTS idx_collection_mappings_contract ON collection_mappings(contract_address);
+CREATE INDEX IF NOT EXISTS idx_collection_mappings_opensea ON collection_mappings(opensea_slug);
+CREATE INDEX IF NOT EXISTS idx_collection_mappings_nftpf ON collection_mappings(nftpf_slug);
+CREATE INDEX IF NOT EXISTS idx_collection_mappings_provenance ON collection_mappings(provenance);
+
+-- Views for common queries
+CREATE VIEW IF NOT EXISTS latest_prices AS
+SELECT 
+    c.slug,
+    c.name,
+    c.ranking,
+    c.market_cap,
+    c.market_cap_rank,
+    c.selection_period,
+    ph.floor_eth,
+    ph.floor_usd,
+    ph.volume_usd,
+    ph.date as last_updated
+FROM collections c
+LEFT JOIN price_history ph ON c.slug = ph.collection_slug
+    AND ph.date = (
+        SELECT MAX(date) 
+        FROM price_history ph2 
+        WHERE ph2.collection_slug = c.slug
+    )
+WHERE c.is_top_250 = 1
+ORDER BY c.market_cap_rank ASC;
+
+-- View for current top 250 collections by market cap
+CREATE VIEW IF NOT EXISTS current_top_250 AS
+SELECT 
+    c.*,
+    csp.period,
+    csp.selection_date
+FROM collections c
+JOIN collection_selection_periods csp ON c.selection_period = csp.period
+WHERE c.is_top_250 = 1 
+    AND csp.status = 'active'
+ORDER BY c.market_cap_rank ASC;
+
+-- View for collection statistics
+CREATE VIEW IF NOT EXISTS collection_stats AS
+SELECT 
+    c.slug,
+    c.name,
+    COUNT(ph.date) as days_tracked,
+    MIN(ph.date) as first_data_date,
+    MAX(ph.date) as last_data_date,
+    AVG(ph.floor_eth) as avg_floor_eth,
+    MAX(ph.floor_eth) as max_floor_eth,
+    MIN(ph.floor_eth) as min_floor_eth
+FROM collections c
+LEFT JOIN price_history ph ON c.slug = ph.collection_slug
+GROUP BY c.slug, c.name;
@@ -0,0 +1,18 @@
+-- Days the floor price API has no data for
+-- Gap repair records the days a successful request came back without, and the gap scan
+-- treats them as present so they don't use up the request budget on every run.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS price_history_unavailable (
+    collection_slug TEXT NOT NULL,
+    date DATE NOT NULL, -- YYYY-MM-DD format
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Older checks are forgotten and retried
+    PRIMARY KEY (collection_slug, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_unavailable_checked ON price_history_unavailable(checked_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS price_history_unavailable;
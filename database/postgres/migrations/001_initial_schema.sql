@@ -1,86 +1,80 @@
 -- NFT Floor Price Database Schema
--- SQLite compatible schema for local deployment
+-- PostgreSQL schema for the storage backend selected by DATABASE_URL
+--
+-- Covers the tables behind the storage interface (collections, price history, sync log,
+-- selection periods) and the same views as the SQLite schema. Flags stay 0/1 integers and
+-- timestamps UTC without a zone so rows read the same from either backend.
+--
+-- Baseline migration: it has no down section and can't be rolled back.
+
+-- migrate:up
 
 -- Collections table
 CREATE TABLE IF NOT EXISTS collections (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    id SERIAL PRIMARY KEY,
     slug TEXT UNIQUE NOT NULL,
     name TEXT NOT NULL,
     ranking INTEGER,
     image TEXT,
-    total_supply INTEGER,
+    total_supply BIGINT,
     owners INTEGER,
-    market_cap REAL,
+    market_cap DOUBLE PRECISION,
     market_cap_rank INTEGER,
-    is_active BOOLEAN DEFAULT 1,
-    is_top_250 BOOLEAN DEFAULT 0,
+    is_active INTEGER DEFAULT 1,
+    is_top_250 INTEGER DEFAULT 0,
     selection_period TEXT, -- Format: YYYY-Q1, YYYY-Q2, etc.
-    selected_at TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    selected_at TIMESTAMP(0),
+    created_at TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc'),
+    updated_at TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc')
 );
 
 -- Price history table with daily granularity
 CREATE TABLE IF NOT EXISTS price_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    collection_slug TEXT NOT NULL,
+    id SERIAL PRIMARY KEY,
+    collection_slug TEXT NOT NULL REFERENCES collections(slug) ON DELETE CASCADE,
     date DATE NOT NULL,
-    timestamp INTEGER NOT NULL,
-    floor_eth REAL,
-    floor_usd REAL,
-    volume_eth REAL,
-    volume_usd REAL,
+    timestamp BIGINT NOT NULL,
+    floor_eth DOUBLE PRECISION,
+    floor_usd DOUBLE PRECISION,
+    volume_eth DOUBLE PRECISION,
+    volume_usd DOUBLE PRECISION,
     sales_count INTEGER,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (collection_slug) REFERENCES collections(slug) ON DELETE CASCADE,
+    created_at TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc'),
     UNIQUE(collection_slug, date)
 );
 
 -- Sync log table to track data fetching
 CREATE TABLE IF NOT EXISTS sync_log (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    sync_type TEXT NOT NULL, -- 'daily', 'full', 'collection'
+    id SERIAL PRIMARY KEY,
+    sync_type TEXT NOT NULL, -- 'daily', 'full', 'collection', 'repair'
     collection_slug TEXT, -- NULL for full syncs
     status TEXT NOT NULL, -- 'started', 'completed', 'failed'
     records_processed INTEGER DEFAULT 0,
     records_inserted INTEGER DEFAULT 0,
     records_updated INTEGER DEFAULT 0,
     error_message TEXT,
-    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    completed_at TIMESTAMP,
+    started_at TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc'),
+    completed_at TIMESTAMP(0),
     duration_seconds INTEGER
 );
 
 -- Collection selection periods tracking
 CREATE TABLE IF NOT EXISTS collection_selection_periods (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    id SERIAL PRIMARY KEY,
     period TEXT UNIQUE NOT NULL, -- Format: YYYY-Q1, YYYY-Q2, etc.
     selection_date DATE NOT NULL,
     total_collections_selected INTEGER,
     selection_criteria TEXT, -- 'market_cap_usd'
-    min_market_cap REAL,
-    max_market_cap REAL,
-    avg_market_cap REAL,
+    min_market_cap DOUBLE PRECISION,
+    max_market_cap DOUBLE PRECISION,
+    avg_market_cap DOUBLE PRECISION,
     status TEXT DEFAULT 'active', -- 'active', 'expired'
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- API rate limit tracking
-CREATE TABLE IF NOT EXISTS api_usage (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    endpoint TEXT NOT NULL,
-    requests_made INTEGER DEFAULT 0,
-    last_request_at TIMESTAMP,
-    rate_limit_reset TIMESTAMP,
-    remaining_requests INTEGER,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc')
 );
 
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_price_history_collection_date ON price_history(collection_slug, date DESC);
 CREATE INDEX IF NOT EXISTS idx_price_history_date ON price_history(date DESC);
-CREATE INDEX IF NOT EXISTS idx_collections_slug ON collections(slug);
 CREATE INDEX IF NOT EXISTS idx_collections_ranking ON collections(ranking);
 CREATE INDEX IF NOT EXISTS idx_collections_market_cap ON collections(market_cap DESC);
 CREATE INDEX IF NOT EXISTS idx_collections_top_250 ON collections(is_top_250, selection_period);
@@ -88,8 +82,8 @@ CREATE INDEX IF NOT EXISTS idx_collection_periods ON collection_selection_period
 CREATE INDEX IF NOT EXISTS idx_sync_log_date ON sync_log(started_at DESC);
 
 -- Views for common queries
-CREATE VIEW IF NOT EXISTS latest_prices AS
-SELECT 
+CREATE OR REPLACE VIEW latest_prices AS
+SELECT
     c.slug,
     c.name,
     c.ranking,
@@ -103,28 +97,28 @@ SELECT
 FROM collections c
 LEFT JOIN price_history ph ON c.slug = ph.collection_slug
     AND ph.date = (
-        SELECT MAX(date) 
-        FROM price_history ph2 
+        SELECT MAX(date)
+        FROM price_history ph2
         WHERE ph2.collection_slug = c.slug
     )
 WHERE c.is_top_250 = 1
 ORDER BY c.market_cap_rank ASC;
 
 -- View for current top 250 collections by market cap
-CREATE VIEW IF NOT EXISTS current_top_250 AS
-SELECT 
+CREATE OR REPLACE VIEW current_top_250 AS
+SELECT
     c.*,
     csp.period,
     csp.selection_date
 FROM collections c
 JOIN collection_selection_periods csp ON c.selection_period = csp.period
-WHERE c.is_top_250 = 1 
+WHERE c.is_top_250 = 1
     AND csp.status = 'active'
 ORDER BY c.market_cap_rank ASC;
 
 -- View for collection statistics
-CREATE VIEW IF NOT EXISTS collection_stats AS
-SELECT 
+CREATE OR REPLACE VIEW collection_stats AS
+SELECT
     c.slug,
     c.name,
     COUNT(ph.date) as days_tracked,
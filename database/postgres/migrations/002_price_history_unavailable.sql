@@ -0,0 +1,16 @@
+-- Days the floor price API has no data for (see the SQLite migration of the same name)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS price_history_unavailable (
+    collection_slug TEXT NOT NULL,
+    date DATE NOT NULL,
+    checked_at TIMESTAMP(0) DEFAULT (now() AT TIME ZONE 'utc'),
+    PRIMARY KEY (collection_slug, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_unavailable_checked ON price_history_unavailable(checked_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS price_history_unavailable;
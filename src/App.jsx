@@ -1,17 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import StrategiesDataTable from './components/StrategiesDataTable';
 import StrategyDetailView from './components/StrategyDetailView';
+import StrategyCompareView from './components/StrategyCompareView';
 import InfoCards from './components/InfoCards';
 import SettingsModal from './components/SettingsModal';
 import SEO from './components/SEO';
 import { ThemeProvider, useTheme } from './contexts/ThemeContext';
-import { createStrategyUrl, createStrategiesUrl, findStrategyByEncodedName } from './utils/urlUtils';
+import { createStrategyUrl, createStrategiesUrl, findStrategyByEncodedName, createUrlParams, parseUrlParams, createCompareUrl, parseCompareParam, COMPARE_PATH_SEGMENT } from './utils/urlUtils';
+import { MAX_COMPARE_STRATEGIES } from './utils/compareUtils';
+import { watchlistService } from './services/watchlistService';
 import { posthogService } from './services/posthogService';
 import logoLightImage from './assets/NFTPriceFloor_logo_light.png'; // Dark text for light mode
 import logoDarkImage from './assets/NFTPriceFloor_logo_dark.png'; // Light text for dark mode
 import mobileLogoImage from './assets/nftpf_logo_mobile.png';
 
+// Order-insensitive, so the app's own watchlist link doesn't show as a shared one
+function isSameWatchlist(shared, local) {
+  return shared.length === 0 || (shared.length === local.length && shared.every(id => local.includes(id)));
+}
+
 function AppContent() {
   const location = useLocation();
   const navigate = useNavigate();
@@ -19,11 +27,35 @@ function AppContent() {
   
   // Extract strategy name from URL path
   const pathParts = location.pathname.split('/');
-  const strategyName = pathParts[2]; // /nftstrategies/strategy-name
+  const isCompareView = pathParts[2] === COMPARE_PATH_SEGMENT; // /nftstrategies/compare?s=a,b
+  const strategyName = isCompareView ? undefined : pathParts[2]; // /nftstrategies/strategy-name
   
   const [selectedStrategy, setSelectedStrategy] = useState(null); // Track selected strategy for detail view
   const [strategies, setStrategies] = useState([]); // Store strategies for URL-based lookup
   const [isSettingsOpen, setIsSettingsOpen] = useState(false); // Settings modal state
+  const [urlState] = useState(() => parseUrlParams(new URLSearchParams(location.search))); // Watchlist/filter from a shared link
+  const [watchlist, setWatchlist] = useState(() => watchlistService.getIds());
+  // A shared watchlist is shown read-only until it is added to the local one or dismissed
+  const [sharedWatchlist, setSharedWatchlist] = useState(() => (
+    isSameWatchlist(urlState.watchlist, watchlist) ? null : urlState.watchlist
+  ));
+  const displayedWatchlist = sharedWatchlist || watchlist;
+  const [tableFilter, setTableFilter] = useState(urlState.filter); // 'all' or 'watchlist'
+  const [tableFilters, setTableFilters] = useState({ search: urlState.search, ranges: urlState.ranges }); // Search + range filters
+  const [hiddenColumns, setHiddenColumns] = useState(urlState.hiddenColumns);
+
+  const watchedStrategies = useMemo(() => {
+    const watchedIds = new Set(displayedWatchlist);
+    return strategies.filter(strategy => watchedIds.has(String(strategy.id)));
+  }, [strategies, displayedWatchlist]);
+
+  // Compared strategies come from `?s=` so comparisons can be shared; unknown slugs are dropped
+  const compareStrategies = useMemo(() => {
+    if (!isCompareView) return [];
+    return parseCompareParam(new URLSearchParams(location.search))
+      .map(slug => findStrategyByEncodedName(strategies, slug))
+      .filter(Boolean);
+  }, [isCompareView, location.search, strategies]);
 
   // Test PostHog tracking on app load
   useEffect(() => {
@@ -70,6 +102,34 @@ function AppContent() {
     }
   }, [strategyName, strategies, navigate]);
 
+  // Keep the table filters, columns and watchlist view in the URL so the view can be shared
+  useEffect(() => {
+    if (strategyName || isCompareView) return;
+
+    const params = createUrlParams({
+      filter: tableFilter,
+      watchlist: tableFilter === 'watchlist' ? displayedWatchlist : [],
+      search: tableFilters.search,
+      ranges: tableFilters.ranges,
+      hiddenColumns
+    });
+    const search = params.toString() ? `?${params.toString()}` : '';
+    if (search !== location.search) {
+      navigate({ pathname: location.pathname, search }, { replace: true });
+    }
+  }, [tableFilter, displayedWatchlist, tableFilters, hiddenColumns, strategyName, isCompareView, location.pathname, location.search, navigate]);
+
+  // Handle table filter change (All / Watchlist)
+  const handleFilterChange = (filter) => {
+    setTableFilter(filter);
+
+    posthogService.trackSearchEvent('filter', {
+      term: '',
+      filterType: filter,
+      resultsCount: filter === 'watchlist' ? watchedStrategies.length : strategies.length
+    });
+  };
+
   // Handle strategy selection for detailed view
   const handleStrategySelect = (strategy) => {
     console.log('📊 Strategy selected for detailed view:', strategy);
@@ -105,6 +165,22 @@ function AppContent() {
     navigate('/');
   };
 
+  // Open the comparison view, starting from the watchlist when it has strategies
+  const handleOpenCompare = () => {
+    navigate(createCompareUrl(watchedStrategies));
+
+    posthogService.trackEngagementEvent('compare_opened', {
+      interactionsCount: 1
+    }, {
+      preselected_count: Math.min(watchedStrategies.length, MAX_COMPARE_STRATEGIES)
+    });
+  };
+
+  // Handle comparison selection changes from StrategyCompareView
+  const handleCompareChange = (nextStrategies) => {
+    navigate(createCompareUrl(nextStrategies), { replace: true });
+  };
+
   // Handle strategies data update from StrategiesDataTable
   const handleStrategiesUpdate = (strategiesData) => {
     console.log('📊 Strategies data updated:', strategiesData.length, 'strategies');
@@ -151,18 +227,16 @@ function AppContent() {
                 </a>
                 <button 
                   onClick={() => navigate('/nftstrategies')} 
-                  className={`${location.pathname.includes('/nftstrategies') || location.pathname === '/' ? 'text-[#DD5994]' : isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-[#DD5994] font-medium transition-colors cursor-pointer whitespace-nowrap flex-shrink-0`}
+                  className={`${(location.pathname.includes('/nftstrategies') || location.pathname === '/') && !isCompareView ? 'text-[#DD5994]' : isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-[#DD5994] font-medium transition-colors cursor-pointer whitespace-nowrap flex-shrink-0`}
                 >
                   Strategies™
                 </button>
-                <div className="relative flex items-center flex-shrink-0 hidden lg:flex">
-                  <span className={`${isDark ? 'text-gray-500' : 'text-gray-400'} cursor-not-allowed whitespace-nowrap`}>
-                    Compare
-                  </span>
-                  <span className={`ml-1 text-[10px] ${isDark ? 'bg-gray-700 text-gray-400' : 'bg-gray-200 text-gray-600'} px-1.5 py-0.5 rounded-full font-medium whitespace-nowrap`}>
-                    Coming Soon
-                  </span>
-                </div>
+                <button 
+                  onClick={handleOpenCompare} 
+                  className={`${isCompareView ? 'text-[#DD5994]' : isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-[#DD5994] font-medium transition-colors cursor-pointer whitespace-nowrap flex-shrink-0`}
+                >
+                  Compare
+                </button>
               </nav>
               
               {/* Right side actions */}
@@ -205,6 +279,19 @@ function AppContent() {
                     {selectedStrategy.collectionName} - {selectedStrategy.tokenName}
                   </span>
                 </>
+              ) : isCompareView ? (
+                <>
+                  <button
+                    onClick={() => navigate('/')}
+                    className={`hover:text-[#DD5994] transition-colors`}
+                  >
+                    NFT Strategies
+                  </button>
+                  <span>→</span>
+                  <span className={`${isDark ? 'text-white' : 'text-black'} font-medium`}>
+                    Compare
+                  </span>
+                </>
               ) : (
                 <span className={`${isDark ? 'text-white' : 'text-black'} font-medium`}>
                   NFT Strategies
@@ -239,7 +326,9 @@ function AppContent() {
                       </h1>
                     </div>
                   ) : (
-                    <h1 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-black'}`}>NFT Strategies</h1>
+                    <h1 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-black'}`}>
+                      {isCompareView ? 'Compare Strategies' : 'NFT Strategies'}
+                    </h1>
                   )}
                 </div>
                 
@@ -252,13 +341,36 @@ function AppContent() {
                     />
                   ) : (
                     <>
-                      {/* Info Cards */}
-                      <InfoCards strategies={strategies} />
+                      {isCompareView ? (
+                        <StrategyCompareView
+                          strategies={strategies}
+                          selectedStrategies={compareStrategies}
+                          onSelectionChange={handleCompareChange}
+                          onStrategySelect={handleStrategySelect}
+                          loading={strategies.length === 0}
+                        />
+                      ) : (
+                        /* Info Cards */
+                        <InfoCards
+                          strategies={tableFilter === 'watchlist' ? watchedStrategies : strategies}
+                          scope={tableFilter}
+                        />
+                      )}
                       
-                      {/* Strategies Table */}
+                      {/* Strategies Table (also loads the strategies the comparison picks from) */}
                       <StrategiesDataTable 
                         onStrategySelect={handleStrategySelect}
                         onStrategiesUpdate={handleStrategiesUpdate}
+                        watchlist={displayedWatchlist}
+                        onWatchlistChange={setWatchlist}
+                        isSharedWatchlist={Boolean(sharedWatchlist)}
+                        onSharedWatchlistClose={() => setSharedWatchlist(null)}
+                        filter={tableFilter}
+                        onFilterChange={handleFilterChange}
+                        filters={tableFilters}
+                        onFiltersChange={setTableFilters}
+                        hiddenColumns={hiddenColumns}
+                        onHiddenColumnsChange={setHiddenColumns}
                       />
                     </>
                   )}
@@ -287,24 +399,22 @@ function AppContent() {
           </a>
           <button 
             onClick={() => navigate('/nftstrategies')} 
-            className={`flex flex-col items-center gap-1 ${location.pathname.includes('/nftstrategies') || location.pathname === '/' ? 'text-[#DD5994]' : isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-[#DD5994] font-medium transition-colors min-w-0 cursor-pointer`}
+            className={`flex flex-col items-center gap-1 ${(location.pathname.includes('/nftstrategies') || location.pathname === '/') && !isCompareView ? 'text-[#DD5994]' : isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-[#DD5994] font-medium transition-colors min-w-0 cursor-pointer`}
           >
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
             </svg>
             <span className="text-xs font-medium truncate">Strategies</span>
           </button>
-          <div className="flex flex-col items-center gap-1 text-gray-400 dark:text-gray-500 cursor-not-allowed min-w-0 relative">
+          <button 
+            onClick={handleOpenCompare} 
+            className={`flex flex-col items-center gap-1 ${isCompareView ? 'text-[#DD5994]' : isDark ? 'text-gray-400' : 'text-gray-600'} hover:text-[#DD5994] font-medium transition-colors min-w-0 cursor-pointer`}
+          >
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
             </svg>
-            <div className="flex flex-col items-center">
-              <span className="text-xs font-medium truncate">Compare</span>
-              <span className="text-[8px] bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-400 px-1 py-0.5 rounded-full font-medium whitespace-nowrap">
-                Coming Soon
-              </span>
-            </div>
-          </div>
+            <span className="text-xs font-medium truncate">Compare</span>
+          </button>
         </div>
       </nav>
       
@@ -9,63 +9,47 @@ const ApiHealthCheck = ({ onClose }) => {
     setStatus('checking');
     setDetails(null);
 
+    // The RapidAPI key lives server-side; test the collections proxy the app uses
+    const endpoint = '/api/collections/azuki/history?granularity=1d&start=1640995200&end=1672444800';
     const results = {
-      envVars: {},
+      endpoint,
       apiTest: null,
       timestamp: new Date().toISOString()
     };
 
-    // Check environment variables
-    results.envVars = {
-      VITE_RAPIDAPI_KEY: import.meta.env.VITE_RAPIDAPI_KEY ? 
-        `${import.meta.env.VITE_RAPIDAPI_KEY.substring(0, 8)}...` : 'NOT SET',
-      VITE_RAPIDAPI_HOST: import.meta.env.VITE_RAPIDAPI_HOST || 'NOT SET',
-      hasKey: !!import.meta.env.VITE_RAPIDAPI_KEY,
-      hasHost: !!import.meta.env.VITE_RAPIDAPI_HOST
-    };
+    try {
+      const response = await axios.get(endpoint, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: 30000 // 30 seconds - same as main API service
+      });
+
+      results.apiTest = {
+        success: response.status >= 200 && response.status < 300,
+        status: response.status,
+        statusText: response.statusText,
+        cacheStatus: response.headers['x-cache-status'] || null,
+        headers: response.headers
+      };
 
-    // Test API connection using axios (same as main API service)
-    if (results.envVars.hasKey && results.envVars.hasHost) {
-      try {
-        const response = await axios.get(`https://${import.meta.env.VITE_RAPIDAPI_HOST}/projects/azuki/history/pricefloor/1d?start=1640995200&end=1672444800`, {
-          headers: {
-            'X-RapidAPI-Key': import.meta.env.VITE_RAPIDAPI_KEY,
-            'X-RapidAPI-Host': import.meta.env.VITE_RAPIDAPI_HOST,
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000 // 30 seconds - same as main API service
-        });
-
-        results.apiTest = {
-          success: response.status >= 200 && response.status < 300,
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers
-        };
-
-        if (results.apiTest.success) {
-          const data = response.data;
-          results.apiTest.dataLength = Array.isArray(data) ? data.length : 'Not array';
-          results.apiTest.sample = Array.isArray(data) && data.length > 0 ? data[0] : null;
-        } else {
-          results.apiTest.errorData = response.data;
-        }
-
-      } catch (error) {
-        results.apiTest = {
-          success: false,
-          error: error.message,
-          code: error.code,
-          type: error.constructor.name,
-          status: error.response?.status,
-          statusText: error.response?.statusText,
-          errorData: error.response?.data
-        };
+      if (results.apiTest.success) {
+        const data = response.data;
+        results.apiTest.dataLength = Array.isArray(data) ? data.length : 'Not array';
+        results.apiTest.sample = Array.isArray(data) && data.length > 0 ? data[0] : null;
+      } else {
+        results.apiTest.errorData = response.data;
       }
-    } else {
+
+    } catch (error) {
       results.apiTest = {
         success: false,
-        error: 'Missing required environment variables'
+        error: error.response?.data?.message || error.message,
+        code: error.code,
+        type: error.constructor.name,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        errorData: error.response?.data
       };
     }
 
@@ -125,16 +109,14 @@ const ApiHealthCheck = ({ onClose }) => {
 
           {details && (
             <div className="space-y-4">
-              {/* Environment Variables */}
+              {/* Endpoint */}
               <div>
-                <h3 className="font-semibold text-gray-800 mb-2">Environment Variables</h3>
-                <div className="bg-gray-50 p-3 rounded border text-sm font-mono">
-                  <div>VITE_RAPIDAPI_KEY: {details.envVars.VITE_RAPIDAPI_KEY}</div>
-                  <div>VITE_RAPIDAPI_HOST: {details.envVars.VITE_RAPIDAPI_HOST}</div>
-                  <div className="mt-2">
-                    Status: {details.envVars.hasKey && details.envVars.hasHost ? 
-                      '✅ All variables set' : '❌ Missing variables'}
-                  </div>
+                <h3 className="font-semibold text-gray-800 mb-2">Endpoint</h3>
+                <div className="bg-gray-50 p-3 rounded border text-sm font-mono break-all">
+                  <div>GET {details.endpoint}</div>
+                  {details.apiTest.cacheStatus && (
+                    <div className="mt-2">Cache: {details.apiTest.cacheStatus}</div>
+                  )}
                 </div>
               </div>
 
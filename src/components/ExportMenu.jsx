@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './ExportMenu.css';
+
+/**
+ * Export button with a dropdown of download options
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{id: string, label: string}>} props.options - Menu entries
+ * @param {Function} props.onExport - Called with the chosen option id; may return a promise
+ * @param {string} props.label - Button label
+ * @param {boolean} props.disabled - Disable the button (e.g. nothing loaded yet)
+ * @param {boolean} props.isDark - Dark theme
+ */
+const ExportMenu = ({ options, onExport, label = 'Download', disabled = false, isDark = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const handleSelect = async (optionId) => {
+    setIsOpen(false);
+    setIsExporting(true);
+    setError(null);
+    try {
+      await onExport(optionId);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError('Export failed');
+      setTimeout(() => setError(null), 3000);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className={`export-menu ${isDark ? 'dark' : ''}`} ref={menuRef}>
+      {error && <span className="export-menu-error" role="status">{error}</span>}
+      <button
+        type="button"
+        className="export-menu-button"
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled || isExporting}
+        aria-expanded={isOpen}
+        aria-haspopup="menu"
+      >
+        {isExporting ? 'Exporting…' : label}
+      </button>
+
+      {isOpen && (
+        <div className="export-menu-list" role="menu">
+          {options.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              role="menuitem"
+              className="export-menu-item"
+              onClick={() => handleSelect(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
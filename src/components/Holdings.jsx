@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { holdingsService } from '../services/holdingsService';
+import { ethPriceService } from '../services/ethPriceService';
 import { useTheme } from '../contexts/ThemeContext';
 import { strategyToSlugMappingService } from '../services/strategyToSlugMapping';
 
@@ -9,7 +10,8 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [summary, setSummary] = useState(null);
-  const [sortBy, setSortBy] = useState('price'); // 'price' or 'tokenId'
+  const [pnl, setPnl] = useState(null);
+  const [sortBy, setSortBy] = useState('price'); // 'price', 'tokenId' or 'pnl'
   const [sortOrder, setSortOrder] = useState('asc'); // 'asc' or 'desc'
 
   useEffect(() => {
@@ -20,7 +22,8 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
           setLoading(true);
           setError(null);
           
-          const summaryData = holdingsService.getHoldingsSummary(holdingsData);
+          const ethUsd = await ethPriceService.getCurrentPrice();
+          const summaryData = holdingsService.getHoldingsSummary(holdingsData, ethUsd);
           
           setHoldings(holdingsData);
           setSummary(summaryData);
@@ -44,8 +47,11 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
         setLoading(true);
         setError(null);
         
-        const fetchedHoldingsData = await holdingsService.fetchHoldings(strategyAddress, nftAddress);
-        const summaryData = holdingsService.getHoldingsSummary(fetchedHoldingsData);
+        const [fetchedHoldingsData, ethUsd] = await Promise.all([
+          holdingsService.fetchHoldings(strategyAddress, nftAddress),
+          ethPriceService.getCurrentPrice()
+        ]);
+        const summaryData = holdingsService.getHoldingsSummary(fetchedHoldingsData, ethUsd);
         
         setHoldings(fetchedHoldingsData);
         setSummary(summaryData);
@@ -61,7 +67,35 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
     fetchHoldings();
   }, [strategyAddress, nftAddress, holdingsData]);
 
+  // P&L loads separately so the holdings grid never waits on trade history
+  useEffect(() => {
+    const pnlStrategyAddress = strategy?.tokenAddress || strategyAddress;
+    if (!pnlStrategyAddress || !nftAddress) {
+      setPnl(null);
+      return;
+    }
+
+    let cancelled = false;
+    const collectionSlug = strategy?.collectionSlug ||
+      strategyToSlugMappingService.getSlugFromStrategyName(collectionName);
+
+    holdingsService.fetchHoldingsPnl(pnlStrategyAddress, nftAddress, collectionSlug)
+      .then(result => {
+        if (!cancelled) setPnl(result);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [strategyAddress, nftAddress, strategy, collectionName]);
+
+  const pnlByToken = useMemo(
+    () => new Map((pnl?.positions || []).map(position => [String(position.tokenId), position])),
+    [pnl]
+  );
+
   const formatCurrency = (value, currency = 'USD') => {
+    if (value === null) return 'N/A'; // ETH/USD oracle unavailable
     if (!value || value === '0') return '$0.00';
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -76,6 +110,21 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
     return `${parseFloat(value).toFixed(4)} ETH`;
   };
 
+  const formatSignedEth = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    return `${value > 0 ? '+' : ''}${parseFloat(value).toFixed(4)} ETH`;
+  };
+
+  const formatSignedCurrency = (value) => {
+    if (value === null || value === undefined) return null;
+    return `${value < 0 ? '-' : '+'}${formatCurrency(Math.abs(value))}`;
+  };
+
+  const pnlColor = (value) => {
+    if (value === null || value === undefined || value === 0) return isDark ? 'text-gray-300' : 'text-gray-600';
+    return value > 0 ? 'text-green-500' : 'text-red-500';
+  };
+
   // Sort holdings based on current sort settings
   const sortedHoldings = useMemo(() => {
     if (!holdings || holdings.length === 0) return holdings;
@@ -86,6 +135,9 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
       if (sortBy === 'price') {
         aValue = parseFloat(a.priceInEth) || 0;
         bValue = parseFloat(b.priceInEth) || 0;
+      } else if (sortBy === 'pnl') {
+        aValue = pnlByToken.get(String(a.tokenId))?.unrealizedEth ?? -Infinity;
+        bValue = pnlByToken.get(String(b.tokenId))?.unrealizedEth ?? -Infinity;
       } else { // tokenId
         aValue = parseInt(a.tokenId) || 0;
         bValue = parseInt(b.tokenId) || 0;
@@ -97,7 +149,7 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
         return bValue - aValue;
       }
     });
-  }, [holdings, sortBy, sortOrder]);
+  }, [holdings, sortBy, sortOrder, pnlByToken]);
 
   // Handle sort change
   const handleSortChange = (newSortBy) => {
@@ -107,7 +159,7 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
     } else {
       // Change sort type and reset to default order
       setSortBy(newSortBy);
-      setSortOrder(newSortBy === 'price' ? 'asc' : 'asc'); // Price defaults to asc (lowest first), tokenId defaults to asc
+      setSortOrder(newSortBy === 'pnl' ? 'desc' : 'asc'); // Price and tokenId default to asc (lowest first), P&L to best first
     }
   };
 
@@ -219,6 +271,46 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
         </div>
       </div>
 
+      {/* P&L Summary */}
+      {pnl && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className={`rounded-none ${isDark ? 'thick-border-dark bg-gray-800' : 'thick-border-light bg-white'} p-4`}>
+            <h3 className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-600'} mb-1`}>Avg Cost Basis</h3>
+            <p className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-black'}`}>
+              {pnl.summary.averageCostEth !== null ? formatEth(pnl.summary.averageCostEth) : 'N/A'}
+            </p>
+            <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              {pnl.summary.costedCount} of {pnl.summary.heldCount} NFTs with known cost
+            </p>
+          </div>
+
+          <div className={`rounded-none ${isDark ? 'thick-border-dark bg-gray-800' : 'thick-border-light bg-white'} p-4`}>
+            <h3 className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-600'} mb-1`}>Unrealized P&amp;L</h3>
+            <p className={`text-2xl font-bold ${pnlColor(pnl.summary.unrealizedEth)}`}>{formatSignedEth(pnl.summary.unrealizedEth)}</p>
+            <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              {pnl.summary.floorEth !== null ? `vs floor ${formatEth(pnl.summary.floorEth)}` : 'Floor unavailable'}
+              {formatSignedCurrency(pnl.summary.unrealizedUsd) ? ` · ${formatSignedCurrency(pnl.summary.unrealizedUsd)}` : ''}
+            </p>
+          </div>
+
+          <div className={`rounded-none ${isDark ? 'thick-border-dark bg-gray-800' : 'thick-border-light bg-white'} p-4`}>
+            <h3 className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-600'} mb-1`}>Realized P&amp;L</h3>
+            <p className={`text-2xl font-bold ${pnlColor(pnl.summary.realizedEth)}`}>{formatSignedEth(pnl.summary.realizedEth)}</p>
+            <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              {pnl.summary.soldCount} sold
+              {formatSignedCurrency(pnl.summary.realizedUsd) ? ` · ${formatSignedCurrency(pnl.summary.realizedUsd)}` : ''}
+            </p>
+          </div>
+
+          <div className={`rounded-none ${isDark ? 'thick-border-dark bg-gray-800' : 'thick-border-light bg-white'} p-4`}>
+            <h3 className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-600'} mb-1`}>Avg Holding Time</h3>
+            <p className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-black'}`}>
+              {pnl.summary.averageHoldingDays !== null ? `${pnl.summary.averageHoldingDays} days` : 'N/A'}
+            </p>
+          </div>
+        </div>
+      )}
+
       {/* Holdings Grid */}
       <div className="space-y-6">
         <div className="flex items-center justify-between">
@@ -256,6 +348,22 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
                 >
                   Token ID {sortBy === 'tokenId' && (sortOrder === 'desc' ? '↓' : '↑')}
                 </button>
+                {pnl && (
+                  <button
+                    onClick={() => handleSortChange('pnl')}
+                    className={`px-3 py-1 text-xs font-medium rounded-md transition-all ${
+                      sortBy === 'pnl'
+                        ? isDark
+                          ? 'bg-white text-black shadow-sm'
+                          : 'bg-black text-white shadow-sm'
+                        : isDark
+                          ? 'text-gray-300 hover:text-white hover:bg-gray-600'
+                          : 'text-gray-600 hover:text-black hover:bg-gray-200'
+                    }`}
+                  >
+                    P&amp;L {sortBy === 'pnl' && (sortOrder === 'desc' ? '↓' : '↑')}
+                  </button>
+                )}
               </div>
             </div>
             <span className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>{holdings.length} items</span>
@@ -308,6 +416,22 @@ const Holdings = ({ strategyAddress, nftAddress, collectionName, holdingsData, s
                     <p className={`text-sm font-bold ${isDark ? 'text-white' : 'text-black'}`}>{formatEth(holding.priceInEth)}</p>
                     <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>{formatCurrency(holding.priceInUsd)}</p>
                   </div>
+                  {pnlByToken.get(String(holding.tokenId))?.acquisition && (() => {
+                    const position = pnlByToken.get(String(holding.tokenId));
+                    return (
+                      <div title={position.acquisition.estimated ? 'Estimated from the last recorded sale of this token' : undefined}>
+                        <p className={`text-xs ${isDark ? 'text-gray-300' : 'text-gray-600'} uppercase tracking-wide`}>
+                          Cost{position.acquisition.estimated ? ' (est.)' : ''}
+                        </p>
+                        <p className={`text-sm font-bold ${isDark ? 'text-white' : 'text-black'}`}>{formatEth(position.costEth)}</p>
+                        <p className={`text-xs font-medium ${pnlColor(position.unrealizedEth)}`}>
+                          {formatSignedEth(position.unrealizedEth)}
+                          {position.unrealizedPct !== null ? ` (${position.unrealizedPct > 0 ? '+' : ''}${position.unrealizedPct}%)` : ''}
+                        </p>
+                        <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Held {position.holdingDays} days</p>
+                      </div>
+                    );
+                  })()}
                 </div>
               </div>
             </div>
@@ -1,8 +1,14 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useTheme } from '../contexts/ThemeContext';
+import { ethPriceService } from '../services/ethPriceService';
 
-const InfoCards = ({ strategies = [] }) => {
+const InfoCards = ({ strategies = [], scope = 'all' }) => {
   const { isDark } = useTheme();
+  const [ethUsd, setEthUsd] = useState(null);
+
+  useEffect(() => {
+    ethPriceService.getCurrentPrice().then(setEthUsd);
+  }, []);
   
   // Calculate total market cap from all strategies
   const totalMarketCap = strategies.reduce((sum, strategy) => {
@@ -13,6 +19,9 @@ const InfoCards = ({ strategies = [] }) => {
   // Count live strategies
   const liveStrategiesCount = strategies.length;
 
+  // Watchlist view summarizes only the watched strategies
+  const isWatchlist = scope === 'watchlist';
+
   // Calculate Punkstrategy dominance
   const punkstrategies = strategies.filter(strategy => 
     strategy.collectionName?.toLowerCase().includes('punk') ||
@@ -26,6 +35,12 @@ const InfoCards = ({ strategies = [] }) => {
 
   const punkDominancePercentage = totalMarketCap > 0 ? (punkMarketCap / totalMarketCap) * 100 : 0;
 
+  // NFTs held across the strategies in scope, from the table's /api/holdings/bulk counts
+  // (strategies whose holdings couldn't be fetched have a null count and are left out)
+  const heldStrategies = strategies.filter(strategy => strategy.holdingsCount !== null && strategy.holdingsCount !== undefined);
+  const totalHeldCount = heldStrategies.reduce((sum, strategy) => sum + strategy.holdingsCount, 0);
+  const totalHeldValueEth = heldStrategies.reduce((sum, strategy) => sum + (strategy.holdingsValueEth || 0), 0);
+
   // Format currency values
   const formatCurrency = (value) => {
     const numValue = parseFloat(value);
@@ -42,6 +57,12 @@ const InfoCards = ({ strategies = [] }) => {
     }
   };
 
+  // Format ETH values
+  const formatEth = (value) => {
+    if (!value) return null;
+    return `${value.toLocaleString('en-US', { maximumFractionDigits: 0 })} ETH`;
+  };
+
   // Format percentage values
   const formatPercentage = (value) => {
     const numValue = parseFloat(value);
@@ -52,9 +73,9 @@ const InfoCards = ({ strategies = [] }) => {
   const cards = [
     {
       id: 'market-cap',
-      title: 'Total Market Cap',
+      title: isWatchlist ? 'Watchlist Market Cap' : 'Total Market Cap',
       value: formatCurrency(totalMarketCap),
-      subtitle: 'Combined value',
+      subtitle: ethUsd && totalMarketCap > 0 ? `≈ ${formatEth(totalMarketCap / ethUsd)}` : 'Combined value',
       bgColor: isDark ? 'bg-gradient-to-br from-gray-800 to-gray-900' : 'bg-gradient-to-br from-pink-50 to-rose-50',
       borderColor: isDark ? 'border-white border-2' : 'border-black border-2',
       textColor: isDark ? 'text-pink-400' : 'text-pink-600',
@@ -62,14 +83,24 @@ const InfoCards = ({ strategies = [] }) => {
     },
     {
       id: 'live-strategies',
-      title: 'Live Strategies',
+      title: isWatchlist ? 'Watched Strategies' : 'Live Strategies',
       value: liveStrategiesCount.toString(),
-      subtitle: 'Active strategies',
+      subtitle: isWatchlist ? 'On your watchlist' : 'Active strategies',
       bgColor: isDark ? 'bg-gradient-to-br from-gray-800 to-gray-900' : 'bg-gradient-to-br from-pink-50 to-pink-100',
       borderColor: isDark ? 'border-white border-2' : 'border-black border-2',
       textColor: isDark ? 'text-pink-400' : 'text-pink-700',
       valueColor: isDark ? 'text-pink-300' : 'text-pink-800'
     },
+    {
+      id: 'nfts-held',
+      title: 'NFTs Held',
+      value: heldStrategies.length > 0 ? totalHeldCount.toLocaleString('en-US') : '-',
+      subtitle: totalHeldValueEth > 0 ? `${formatEth(totalHeldValueEth)} listed` : 'Across strategies',
+      bgColor: isDark ? 'bg-gradient-to-br from-gray-800 to-gray-900' : 'bg-gradient-to-br from-pink-50 to-rose-100',
+      borderColor: isDark ? 'border-white border-2' : 'border-black border-2',
+      textColor: isDark ? 'text-pink-400' : 'text-pink-600',
+      valueColor: isDark ? 'text-pink-300' : 'text-pink-700'
+    },
     {
       id: 'punk-dominance',
       title: 'Punk Dominance',
@@ -85,7 +116,7 @@ const InfoCards = ({ strategies = [] }) => {
   return (
     <div className="mb-6">
       {/* Desktop and Tablet: Grid Layout */}
-      <div className="hidden sm:grid sm:grid-cols-2 lg:grid-cols-3 gap-3 lg:gap-4">
+      <div className="hidden sm:grid sm:grid-cols-2 lg:grid-cols-4 gap-3 lg:gap-4">
         {cards.map((card) => (
           <div
             key={card.id}
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { mappingAdminService } from '../services/mappingAdminService';
+
+const PROVENANCE_STYLES = {
+  fuzzy: 'bg-yellow-100 text-yellow-800',
+  generated: 'bg-red-100 text-red-800',
+  direct: 'bg-gray-100 text-gray-800',
+  manual: 'bg-green-100 text-green-800'
+};
+
+/**
+ * /admin/mappings - confirm or correct the collection → NFTPriceFloor slug matches
+ * the resolver wasn't sure about (fuzzy, generated, or no slug at all)
+ */
+const MappingReviewView = () => {
+  const { isDark } = useTheme();
+  const [token, setToken] = useState(() => mappingAdminService.getToken());
+  const [showAll, setShowAll] = useState(false);
+  const [mappings, setMappings] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+
+  const loadMappings = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await mappingAdminService.fetchMappings({ review: !showAll });
+      setMappings(result.mappings);
+      setStats(result.stats);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMappings();
+  }, [showAll]);
+
+  const handleTokenChange = (event) => {
+    setToken(event.target.value);
+    mappingAdminService.setToken(event.target.value);
+  };
+
+  const handleDraftChange = (id, field, value) => {
+    setDrafts(current => ({ ...current, [id]: { ...current[id], [field]: value } }));
+  };
+
+  const review = async (mapping, action) => {
+    setSavingId(mapping.id);
+    setError(null);
+    setNotice(null);
+    try {
+      const saved = action === 'confirm'
+        ? await mappingAdminService.confirm(mapping.id)
+        : await mappingAdminService.correct(mapping.id, drafts[mapping.id] || {});
+      setNotice(`"${saved.name}" → ${saved.nftpfSlug} saved`);
+      setDrafts(current => ({ ...current, [mapping.id]: undefined }));
+      await loadMappings();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const inputClass = `w-full rounded border px-2 py-1 text-sm ${isDark ? 'bg-gray-900 border-gray-700 text-white' : 'bg-white border-gray-300 text-black'}`;
+  const buttonClass = 'rounded px-3 py-1 text-sm font-medium disabled:opacity-50';
+
+  return (
+    <div
+      className={`min-h-screen ${isDark ? 'text-white' : 'text-black'}`}
+      style={{ fontFamily: '"Space Grotesk", sans-serif', backgroundColor: isDark ? '#000000' : '#FFF6FB' }}
+    >
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-10 py-8 space-y-6">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold">Collection Mappings</h1>
+            <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+              {stats
+                ? `${stats.total} mappings, ${stats.pendingReview} awaiting review`
+                : 'Strategy collection → NFTPriceFloor slug'}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={showAll} onChange={(event) => setShowAll(event.target.checked)} />
+              Show all mappings
+            </label>
+            <input
+              type="password"
+              value={token}
+              onChange={handleTokenChange}
+              placeholder="Admin token"
+              aria-label="Admin token"
+              className={`${inputClass} w-48`}
+            />
+          </div>
+        </div>
+
+        {error && <p className="rounded bg-red-100 px-3 py-2 text-sm text-red-800" role="alert">{error}</p>}
+        {notice && <p className="rounded bg-green-100 px-3 py-2 text-sm text-green-800" role="status">{notice}</p>}
+
+        {loading ? (
+          <p className="text-sm">Loading mappings...</p>
+        ) : mappings.length === 0 ? (
+          <p className="text-sm">Nothing to review.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className={`text-left ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <th className="py-2 pr-4">Collection</th>
+                  <th className="py-2 pr-4">Match</th>
+                  <th className="py-2 pr-4">NFTPriceFloor slug</th>
+                  <th className="py-2 pr-4">OpenSea slug</th>
+                  <th className="py-2 pr-4">Contract</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {mappings.map(mapping => {
+                  const draft = drafts[mapping.id] || {};
+                  const hasChanges = Object.values(draft).some(value => value && value.trim());
+
+                  return (
+                    <tr key={mapping.id} className={`border-t align-top ${isDark ? 'border-gray-800' : 'border-gray-200'}`}>
+                      <td className="py-2 pr-4">
+                        <div className="font-medium">{mapping.name}</div>
+                        <div className="text-xs text-gray-500">
+                          seen {mapping.seenCount}x{mapping.lastSeenAt ? `, last ${mapping.lastSeenAt}` : ''}
+                        </div>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <span className={`rounded px-2 py-0.5 text-xs ${PROVENANCE_STYLES[mapping.provenance] || ''}`}>
+                          {mapping.provenance}
+                        </span>
+                        {mapping.matchedVia && <div className="text-xs mt-1">via "{mapping.matchedVia}"</div>}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          value={draft.nftpfSlug ?? ''}
+                          onChange={(event) => handleDraftChange(mapping.id, 'nftpfSlug', event.target.value)}
+                          placeholder={mapping.nftpfSlug || 'slug required'}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          value={draft.openSeaSlug ?? ''}
+                          onChange={(event) => handleDraftChange(mapping.id, 'openSeaSlug', event.target.value)}
+                          placeholder={mapping.openSeaSlug || '—'}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          value={draft.contractAddress ?? ''}
+                          onChange={(event) => handleDraftChange(mapping.id, 'contractAddress', event.target.value)}
+                          placeholder={mapping.contractAddress || '0x…'}
+                          className={`${inputClass} font-mono`}
+                        />
+                      </td>
+                      <td className="py-2 whitespace-nowrap space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => review(mapping, 'confirm')}
+                          disabled={savingId === mapping.id || !mapping.nftpfSlug || mapping.provenance === 'manual'}
+                          className={`${buttonClass} bg-green-600 text-white`}
+                        >
+                          Confirm
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => review(mapping, 'correct')}
+                          disabled={savingId === mapping.id || !hasChanges}
+                          className={`${buttonClass} bg-pink-500 text-white`}
+                        >
+                          Save
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MappingReviewView;
@@ -120,9 +120,10 @@ export function SEO({
     updateMetaTag('og:url', meta.openGraph.url, true);
     updateMetaTag('og:type', meta.openGraph.type, true);
     updateMetaTag('og:image', meta.openGraph.image, true);
+    updateMetaTag('og:image:type', 'image/png', true);
     updateMetaTag('og:image:width', '1200', true);
     updateMetaTag('og:image:height', '630', true);
-    updateMetaTag('og:image:alt', meta.openGraph.title, true);
+    updateMetaTag('og:image:alt', meta.openGraph.imageAlt || meta.openGraph.title, true);
     updateMetaTag('og:site_name', meta.openGraph.siteName, true);
     updateMetaTag('og:locale', meta.openGraph.locale, true);
     
@@ -148,7 +149,7 @@ export function SEO({
     updateMetaTag('twitter:title', meta.twitter.title);
     updateMetaTag('twitter:description', meta.twitter.description);
     updateMetaTag('twitter:image', meta.twitter.image);
-    updateMetaTag('twitter:image:alt', meta.twitter.title);
+    updateMetaTag('twitter:image:alt', meta.twitter.imageAlt || meta.twitter.title);
     
     // Update structured data
     if (meta.jsonLd) {
@@ -163,8 +164,7 @@ export function SEO({
     // Add preconnect links if they don't exist
     const preconnectLinks = [
       'https://fonts.googleapis.com',
-      'https://fonts.gstatic.com',
-      'https://nftpf-api-v0.p.rapidapi.com'
+      'https://fonts.gstatic.com'
     ];
 
     preconnectLinks.forEach(href => {
@@ -44,6 +44,11 @@ const SkeletonRow = () => (
       <div className="skeleton-text skeleton-market-cap-ratio" aria-label="Loading market cap ratio"></div>
     </td>
     
+    {/* NAV Premium Cell */}
+    <td className="skeleton-cell nav-premium-cell" role="gridcell">
+      <div className="skeleton-text skeleton-burn" aria-label="Loading NAV premium"></div>
+    </td>
+    
     {/* Market Cap Cell */}
     <td className="skeleton-cell market-cap-value-cell" role="gridcell">
       <div className="skeleton-text skeleton-market-cap" aria-label="Loading market cap"></div>
@@ -109,7 +114,7 @@ const SkeletonTable = ({ rows = 10 }) => {
               <th role="columnheader" aria-label="NFT Collection">
                 NFT Collection
               </th>
-              <th role="columnheader" aria-label="Strategy">
+              <th className="strategy-header" role="columnheader" aria-label="Strategy">
                 Strategy
               </th>
               <th role="columnheader" aria-label="Holdings">
@@ -127,6 +132,9 @@ const SkeletonTable = ({ rows = 10 }) => {
               <th role="columnheader" aria-label="Market cap ratio">
                 Market Cap Ratio
               </th>
+              <th role="columnheader" aria-label="Premium to NAV">
+                NAV Prem.
+              </th>
               <th role="columnheader" aria-label="Market cap">
                 Market Cap
               </th>
@@ -1,19 +1,49 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import './StrategiesDataTable.css';
 import { nftStrategyService } from '../services/nftStrategyService.js';
 import { fetchTopCollections } from '../services/nftAPI.js';
 import { holdingsService } from '../services/holdingsService.js';
+import { navService } from '../services/navService.js';
+import { watchlistService } from '../services/watchlistService.js';
 import SkeletonTable from './SkeletonTable.jsx';
+import StrategyFilterBar from './StrategyFilterBar.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import { exportService } from '../services/exportService.js';
+import { isFeatureEnabled } from '../config/environment.js';
 import { posthogService } from '../services/posthogService';
 import { strategyToSlugMappingService } from '../services/strategyToSlugMapping';
 import { useTheme } from '../contexts/ThemeContext';
+import { createUrlParams } from '../utils/urlUtils';
+import { STRATEGY_COLUMNS, applyStrategyFilters } from '../utils/strategyFilters';
+import { STRATEGY_EXPORT_COLUMNS } from '../utils/exportUtils.js';
 
-const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
+const TABLE_EXPORT_OPTIONS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+  { id: 'xlsx', label: 'Excel (XLSX)' }
+];
+
+const StrategiesDataTable = ({
+  onStrategySelect,
+  onStrategiesUpdate,
+  watchlist = [],
+  onWatchlistChange,
+  isSharedWatchlist = false,
+  onSharedWatchlistClose,
+  filter = 'all',
+  onFilterChange,
+  filters = { search: '', ranges: {} },
+  onFiltersChange,
+  hiddenColumns = [],
+  onHiddenColumnsChange
+}) => {
   const { isDark } = useTheme();
   const [strategies, setStrategies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sortConfig, setSortConfig] = useState({ key: 'nftStrategyMarketCap', direction: 'desc' });
+  const [watchlistNotice, setWatchlistNotice] = useState(null);
+  const importInputRef = useRef(null);
 
   // Fetch data from API with retry mechanism
   useEffect(() => {
@@ -28,6 +58,12 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
         
         // Use the nftStrategyService which handles environment-specific URLs
         const data = await nftStrategyService.fetchStrategies();
+        
+        // NAV and holdings counts are computed server-side from the same strategies;
+        // start them now so they resolve alongside the enhancement requests below
+        const navPromise = navService.getAllNav();
+        const holdingsPromise = holdingsService.fetchHoldingsBulk(data);
+        const mappingsPromise = strategyToSlugMappingService.loadMappings();
         console.log('✅ Successfully fetched strategies data:', data.length, 'strategies');
         
         // Enhance data with additional API calls for burn percentage and holders
@@ -45,31 +81,25 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
           console.warn('Failed to fetch collections data for market cap calculations:', err);
         }
 
-        // Enhance data with holdings count for each strategy
+        // One /api/holdings/bulk response covers every strategy's holdings count
+        const holdingsByStrategy = await holdingsPromise;
+        await mappingsPromise;
+        
         const finalData = await Promise.all(enhancedData.map(async (strategy) => {
           try {
             // Get market cap from NFTpricefloor API using the mapping service for accurate matching
             let nftPriceFloorMarketCap = null;
             
             if (allCollections.length > 0) {
-              // Use mapping service to get the correct NFTPriceFloor slug
-              const mappedSlug = strategyToSlugMappingService.getSlugFromStrategyName(strategy.collectionName);
+              // Mapped by NFT contract first, then by name (database mappings, see /admin/mappings)
+              const mappedSlug = strategyToSlugMappingService.getSlugForStrategy(strategy);
               console.log(`🔄 Mapping "${strategy.collectionName}" -> "${mappedSlug}"`);
               
-              // Try to find collection by mapped slug first (most accurate)
-              let project = allCollections.find(p => p.slug === mappedSlug);
-              
-              // Fallback to name matching if slug match fails
-              if (!project) {
-                project = allCollections.find(p => 
-                  p.name.toLowerCase().includes(strategy.collectionName.toLowerCase()) ||
-                  strategy.collectionName.toLowerCase().includes(p.name.toLowerCase())
-                );
-                if (project) {
-                  console.log(`⚠️ Slug match failed, using name match for "${strategy.collectionName}": ${project.name}`);
-                }
-              } else {
+              const project = allCollections.find(p => p.slug === mappedSlug);
+              if (project) {
                 console.log(`✅ Found exact slug match for "${strategy.collectionName}": ${project.slug}`);
+              } else {
+                console.warn(`⚠️ No NFTPriceFloor collection for "${strategy.collectionName}" (${mappedSlug}), review its mapping`);
               }
               
               if (project && project.marketCap) {
@@ -89,43 +119,40 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
             
 
             
-            // Fetch holdings count for this strategy
-            let holdingsCount = 0;
-            try {
-              console.log(`🔄 Fetching holdings for strategy: ${strategy.name}`);
-              const strategyAddress = strategy.tokenAddress;
-              const nftAddress = strategy.collection || strategy.contractAddress;
-              
-              if (strategyAddress && nftAddress) {
-                const holdings = await holdingsService.fetchHoldings(strategyAddress, nftAddress);
-                holdingsCount = holdings?.length || 0;
-                console.log(`✅ Holdings count for ${strategy.name}: ${holdingsCount}`);
-              } else {
-                console.warn(`Missing required addresses for strategy ${strategy.name}:`, { strategyAddress, nftAddress });
-                holdingsCount = 0;
-              }
-            } catch (holdingsErr) {
-              console.warn(`Failed to fetch holdings for strategy ${strategy.name}:`, holdingsErr);
-              holdingsCount = 0;
-            }
+            // Holdings count for this strategy (null, shown as unknown, when it couldn't be fetched)
+            const holdings = holdingsByStrategy.get(
+              holdingsService.getHoldingsKey(strategy.tokenAddress || '', strategy.collection || strategy.contractAddress || '')
+            );
+            const holdingsCount = holdings ? holdings.count : null;
             
             return {
               ...strategy,
               nftPriceFloorMarketCap,
               nftStrategyMarketCap,
               floorMarketCapRatio,
-              holdingsCount
+              holdingsCount,
+              holdingsValueEth: holdings?.totalValueEth ?? null
             };
           } catch (err) {
             console.warn('Failed to add market cap coefficient:', err);
             return {
               ...strategy,
               floorMarketCapRatio: null,
-              holdingsCount: 0
+              holdingsCount: null
             };
           }
         }));
         
+        // Premium/discount of the token price to NAV per token
+        const navByStrategy = await navPromise;
+        finalData.forEach(strategy => {
+          const nav = navByStrategy.get(strategy.id);
+          strategy.navEth = nav?.navEth ?? null;
+          strategy.treasuryEth = nav?.treasuryEth ?? null;
+          strategy.navPerTokenUsd = nav?.navPerTokenUsd ?? null;
+          strategy.navPremium = nav?.premiumPct ?? null;
+        });
+        
         setStrategies(finalData);
         
         // Notify parent component about strategies update
@@ -187,6 +214,13 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
         bValue = parseFloat(bValue);
       }
 
+      // Unknown values (e.g. holdings that couldn't be fetched) go last in both directions
+      const aMissing = aValue === null || aValue === undefined;
+      const bMissing = bValue === null || bValue === undefined;
+      if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+      }
+
       if (aValue < bValue) {
         return sortConfig.direction === 'asc' ? -1 : 1;
       }
@@ -197,6 +231,103 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
     });
   }, [strategies, sortConfig]);
 
+  const watchedIds = useMemo(() => new Set(watchlist), [watchlist]);
+
+  // Search and range filters narrow the sorted list
+  const filteredStrategies = useMemo(
+    () => applyStrategyFilters(sortedStrategies, filters),
+    [sortedStrategies, filters]
+  );
+
+  // Watched strategies are pinned above the rest; the Watchlist filter shows only them
+  const visibleStrategies = useMemo(() => {
+    const watched = filteredStrategies.filter(strategy => watchedIds.has(String(strategy.id)));
+    if (filter === 'watchlist') {
+      return watched;
+    }
+    return [...watched, ...filteredStrategies.filter(strategy => !watchedIds.has(String(strategy.id)))];
+  }, [filteredStrategies, watchedIds, filter]);
+
+  const isColumnVisible = (key) => !hiddenColumns.includes(key);
+  const visibleColumnCount = STRATEGY_COLUMNS.filter(column => isColumnVisible(column.key)).length;
+
+  const showWatchlistNotice = (message) => {
+    setWatchlistNotice(message);
+    setTimeout(() => setWatchlistNotice(null), 3000);
+  };
+
+  // Star toggle (kept from bubbling up to the row click)
+  const handleToggleWatch = (event, strategy) => {
+    event.stopPropagation();
+    const isWatched = watchedIds.has(String(strategy.id));
+    onWatchlistChange?.(watchlistService.toggle(strategy.id));
+
+    posthogService.trackStrategyEvent(isWatched ? 'unwatched' : 'watched', strategy, {
+      source: 'strategy_table',
+      watchlist_size: watchlist.length + (isWatched ? -1 : 1)
+    });
+  };
+
+  const handleExportWatchlist = () => {
+    const blob = new Blob([watchlistService.exportJson(strategies)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `nft-strategies-watchlist-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportWatchlist = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = watchlistService.importJson(await file.text());
+    if (result.success) {
+      onWatchlistChange?.(result.ids);
+      showWatchlistNotice(`Imported ${result.added} new ${result.added === 1 ? 'strategy' : 'strategies'}`);
+    } else {
+      showWatchlistNotice(result.error);
+    }
+  };
+
+  // A shared watchlist only reaches localStorage when the user adds it
+  const handleAddSharedWatchlist = () => {
+    const result = watchlistService.importIds(watchlist);
+    onWatchlistChange?.(result.ids);
+    onSharedWatchlistClose?.();
+    showWatchlistNotice(`Added ${result.added} new ${result.added === 1 ? 'strategy' : 'strategies'}`);
+  };
+
+  const handleCopyWatchlistLink = async () => {
+    const params = createUrlParams({ watchlist, filter: 'watchlist' });
+    const shareUrl = `${window.location.origin}/nftstrategies?${params.toString()}`;
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      showWatchlistNotice('Watchlist link copied');
+    } catch (err) {
+      console.warn('Failed to copy watchlist link:', err);
+      showWatchlistNotice(shareUrl);
+    }
+  };
+
+  // Exports the rows as shown (filters, sort, pinned watchlist) with every computed field
+  const handleExportTable = async (format) => {
+    const filename = await exportService.download({
+      name: filter === 'watchlist' ? 'nft-strategies-watchlist' : 'nft-strategies',
+      format,
+      sheets: [{ key: 'strategies', name: 'Strategies', rows: visibleStrategies, columns: STRATEGY_EXPORT_COLUMNS }]
+    });
+
+    posthogService.track('data_exported', {
+      source: 'strategy_table',
+      format,
+      rows: visibleStrategies.length,
+      filename
+    });
+  };
+
   // Handle sorting
   const handleSort = (key) => {
     const newDirection = sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc';
@@ -371,6 +502,84 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
 
   return (
     <div className={`strategies-table-container ${isDark ? 'dark' : ''}`}>
+      {/* Watchlist Toolbar */}
+      <div className="table-toolbar">
+        <div className="filter-tabs" role="tablist" aria-label="Filter strategies">
+          <button
+            type="button"
+            role="tab"
+            aria-selected={filter === 'all'}
+            className={`filter-tab ${filter === 'all' ? 'active' : ''}`}
+            onClick={() => onFilterChange?.('all')}
+          >
+            All ({strategies.length})
+          </button>
+          <button
+            type="button"
+            role="tab"
+            aria-selected={filter === 'watchlist'}
+            className={`filter-tab ${filter === 'watchlist' ? 'active' : ''}`}
+            onClick={() => onFilterChange?.('watchlist')}
+          >
+            ★ Watchlist ({strategies.filter(strategy => watchedIds.has(String(strategy.id))).length})
+          </button>
+        </div>
+        <div className="watchlist-actions">
+          {watchlistNotice && (
+            <span className="watchlist-notice" role="status">{watchlistNotice}</span>
+          )}
+          {isSharedWatchlist ? (
+            <>
+              <span className="watchlist-notice">Viewing a shared watchlist</span>
+              <button type="button" className="toolbar-button" onClick={handleAddSharedWatchlist}>
+                Add to my watchlist
+              </button>
+              <button type="button" className="toolbar-button" onClick={() => onSharedWatchlistClose?.()}>
+                Dismiss
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" className="toolbar-button" onClick={handleCopyWatchlistLink} disabled={watchlist.length === 0}>
+                Share
+              </button>
+              <button type="button" className="toolbar-button" onClick={handleExportWatchlist} disabled={watchlist.length === 0}>
+                Export
+              </button>
+              <button type="button" className="toolbar-button" onClick={() => importInputRef.current?.click()}>
+                Import
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="sr-only"
+                aria-label="Import watchlist JSON"
+                onChange={handleImportWatchlist}
+              />
+            </>
+          )}
+          {isFeatureEnabled('enableExport') && (
+            <ExportMenu
+              label="Download"
+              options={TABLE_EXPORT_OPTIONS}
+              onExport={handleExportTable}
+              disabled={visibleStrategies.length === 0}
+              isDark={isDark}
+            />
+          )}
+        </div>
+      </div>
+
+      <StrategyFilterBar
+        filters={filters}
+        onFiltersChange={onFiltersChange}
+        hiddenColumns={hiddenColumns}
+        onHiddenColumnsChange={onHiddenColumnsChange}
+        resultCount={visibleStrategies.length}
+        totalCount={filter === 'watchlist' ? strategies.filter(strategy => watchedIds.has(String(strategy.id))).length : strategies.length}
+      />
+
       <div className="table-wrapper">
         <table 
           className="strategies-table"
@@ -397,115 +606,155 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
               >
                 NFT Collection {getSortIcon('collectionName')}
               </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'tokenName' ? 'active' : ''}`}
-                onClick={() => handleSort('tokenName')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('tokenName')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'tokenName' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by strategy type"
-              >
-                Strategy {getSortIcon('tokenName')}
-              </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'holdingsCount' ? 'active' : ''}`}
-                onClick={() => handleSort('holdingsCount')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('holdingsCount')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'holdingsCount' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by number of NFT holdings"
-              >
-                Holdings {getSortIcon('holdingsCount')}
-              </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'poolData.price_usd' ? 'active' : ''}`}
-                onClick={() => handleSort('poolData.price_usd')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('poolData.price_usd')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'poolData.price_usd' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by price"
-              >
-                Price {getSortIcon('poolData.price_usd')}
-              </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'poolData.price_change_24h' ? 'active' : ''}`}
-                onClick={() => handleSort('poolData.price_change_24h')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('poolData.price_change_24h')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'poolData.price_change_24h' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by 24 hour price change"
-              >
-                24h Change {getSortIcon('poolData.price_change_24h')}
-              </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'burnPercentage' ? 'active' : ''}`}
-                onClick={() => handleSort('burnPercentage')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('burnPercentage')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'burnPercentage' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by burn percentage"
-              >
-                % Burn {getSortIcon('burnPercentage')}
-              </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'floorMarketCapRatio' ? 'active' : ''}`}
-                onClick={() => handleSort('floorMarketCapRatio')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('floorMarketCapRatio')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'floorMarketCapRatio' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by market cap ratio"
-              >
-                MC Ratio {getSortIcon('floorMarketCapRatio')}
-              </th>
-              <th 
-                className={`sortable ${sortConfig.key === 'nftStrategyMarketCap' ? 'active' : ''}`}
-                onClick={() => handleSort('nftStrategyMarketCap')}
-                onKeyDown={(e) => e.key === 'Enter' && handleSort('nftStrategyMarketCap')}
-                tabIndex="0"
-                role="columnheader"
-                aria-sort={
-                  sortConfig.key === 'nftStrategyMarketCap' 
-                    ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
-                    : 'none'
-                }
-                aria-label="Sort by market cap"
-              >
-                Market Cap {getSortIcon('nftStrategyMarketCap')}
-              </th>
+              {isColumnVisible('strategy') && (
+                <th 
+                  className={`sortable strategy-header ${sortConfig.key === 'tokenName' ? 'active' : ''}`}
+                  onClick={() => handleSort('tokenName')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('tokenName')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'tokenName' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by strategy type"
+                >
+                  Strategy {getSortIcon('tokenName')}
+                </th>
+              )}
+              {isColumnVisible('holdings') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'holdingsCount' ? 'active' : ''}`}
+                  onClick={() => handleSort('holdingsCount')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('holdingsCount')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'holdingsCount' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by number of NFT holdings"
+                >
+                  Holdings {getSortIcon('holdingsCount')}
+                </th>
+              )}
+              {isColumnVisible('price') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'poolData.price_usd' ? 'active' : ''}`}
+                  onClick={() => handleSort('poolData.price_usd')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('poolData.price_usd')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'poolData.price_usd' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by price"
+                >
+                  Price {getSortIcon('poolData.price_usd')}
+                </th>
+              )}
+              {isColumnVisible('change24h') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'poolData.price_change_24h' ? 'active' : ''}`}
+                  onClick={() => handleSort('poolData.price_change_24h')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('poolData.price_change_24h')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'poolData.price_change_24h' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by 24 hour price change"
+                >
+                  24h Change {getSortIcon('poolData.price_change_24h')}
+                </th>
+              )}
+              {isColumnVisible('burn') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'burnPercentage' ? 'active' : ''}`}
+                  onClick={() => handleSort('burnPercentage')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('burnPercentage')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'burnPercentage' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by burn percentage"
+                >
+                  % Burn {getSortIcon('burnPercentage')}
+                </th>
+              )}
+              {isColumnVisible('ratio') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'floorMarketCapRatio' ? 'active' : ''}`}
+                  onClick={() => handleSort('floorMarketCapRatio')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('floorMarketCapRatio')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'floorMarketCapRatio' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by market cap ratio"
+                >
+                  MC Ratio {getSortIcon('floorMarketCapRatio')}
+                </th>
+              )}
+              {isColumnVisible('navPremium') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'navPremium' ? 'active' : ''}`}
+                  onClick={() => handleSort('navPremium')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('navPremium')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'navPremium' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by premium or discount to NAV"
+                >
+                  NAV Prem. {getSortIcon('navPremium')}
+                </th>
+              )}
+              {isColumnVisible('marketCap') && (
+                <th 
+                  className={`sortable ${sortConfig.key === 'nftStrategyMarketCap' ? 'active' : ''}`}
+                  onClick={() => handleSort('nftStrategyMarketCap')}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSort('nftStrategyMarketCap')}
+                  tabIndex="0"
+                  role="columnheader"
+                  aria-sort={
+                    sortConfig.key === 'nftStrategyMarketCap' 
+                      ? sortConfig.direction === 'asc' ? 'ascending' : 'descending'
+                      : 'none'
+                  }
+                  aria-label="Sort by market cap"
+                >
+                  Market Cap {getSortIcon('nftStrategyMarketCap')}
+                </th>
+              )}
             </tr>
           </thead>
           <tbody>
-            {sortedStrategies.map((strategy, index) => (
+            {visibleStrategies.length === 0 && strategies.length > 0 && (
+              <tr role="row">
+                <td colSpan={visibleColumnCount} className="empty-watchlist-cell" role="gridcell">
+                  {filteredStrategies.length === 0
+                    ? 'No strategies match the current filters.'
+                    : 'No watched strategies yet. Star a strategy to add it to your watchlist.'}
+                </td>
+              </tr>
+            )}
+            {visibleStrategies.map((strategy, index) => (
               <tr 
                 key={strategy.id} 
                 role="row"
@@ -539,6 +788,17 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
               >
                 <td className="collection-cell" role="gridcell">
                   <div className="collection-info">
+                    <button
+                      type="button"
+                      className={`watch-toggle ${watchedIds.has(String(strategy.id)) ? 'watched' : ''}`}
+                      onClick={(e) => handleToggleWatch(e, strategy)}
+                      onKeyDown={(e) => e.stopPropagation()}
+                      disabled={isSharedWatchlist}
+                      aria-pressed={watchedIds.has(String(strategy.id))}
+                      aria-label={`${watchedIds.has(String(strategy.id)) ? 'Remove' : 'Add'} ${strategy.collectionName} ${strategy.tokenName} ${watchedIds.has(String(strategy.id)) ? 'from' : 'to'} watchlist`}
+                    >
+                      {watchedIds.has(String(strategy.id)) ? '★' : '☆'}
+                    </button>
                     {strategy.collectionImage && (
                       <img 
                         src={strategy.collectionImage} 
@@ -556,72 +816,124 @@ const StrategiesDataTable = ({ onStrategySelect, onStrategiesUpdate }) => {
                     </div>
                   </div>
                 </td>
-                <td className="strategy-cell" role="gridcell">
-                  <span className="strategy-badge" aria-label={`Strategy type: ${strategy.tokenName}`}>
-                    {strategy.tokenName || 'N/A'}
-                  </span>
-                </td>
-                <td className="holdings-cell" role="gridcell">
-                  <span aria-label={`Holdings count: ${strategy.holdingsCount || 0}`}>
-                    {strategy.holdingsCount || 0}
-                  </span>
-                </td>
-                <td className="price-cell" role="gridcell">
-                  <span aria-label={`Price: ${formatCurrency(strategy.poolData?.price_usd)}`}>
-                    {formatCurrency(strategy.poolData?.price_usd)}
-                  </span>
-                </td>
-                <td className={`change-cell ${parseFloat(strategy.poolData?.price_change_24h) >= 0 ? 'positive' : 'negative'}`} role="gridcell">
-                  <span aria-label={`24 hour change: ${parseFloat(strategy.poolData?.price_change_24h) >= 0 ? 'positive' : 'negative'} ${formatPercentage(strategy.poolData?.price_change_24h)}`}>
-                    {formatPercentage(strategy.poolData?.price_change_24h)}
-                  </span>
-                </td>
-                <td className="burn-cell" role="gridcell">
-                  <span aria-label={`Burn percentage: ${formatPercentage(strategy.burnPercentage)}`}>
-                    {strategy.burnPercentage ? formatPercentage(strategy.burnPercentage) : 'N/A'}
-                  </span>
-                </td>
-                <td className="market-cap-cell" role="gridcell">
-                  {strategy.floorMarketCapRatio !== null && strategy.floorMarketCapRatio !== undefined ? (
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-                      <span>{strategy.floorMarketCapRatio.toFixed(2)}%</span>
-                      <div className="custom-tooltip" role="tooltip">
-                        <span 
-                          className="tooltip-icon"
-                          aria-label="Información detallada del ratio de capitalización de mercado"
-                          aria-describedby={`tooltip-${strategy.id}`}
-                          tabIndex="0"
-                          role="button"
-                        >?</span>
-                        <div 
-                          className="tooltip-content"
-                          id={`tooltip-${strategy.id}`}
-                          role="tooltip"
-                          aria-hidden={true}
-                          aria-live="polite"
-                        >
-                          <div className="tooltip-row" role="group" aria-label="Capitalización del piso NFT">
-                             <span className="tooltip-label">NFT Floor Cap:</span>
-                             <span className="tooltip-value" aria-label={`${formatMillions(strategy.nftPriceFloorMarketCap)} millones`}>
-                               {formatMillions(strategy.nftPriceFloorMarketCap)}
-                             </span>
-                           </div>
-                           <div className="tooltip-row" role="group" aria-label="Capitalización de mercado del token">
-                             <span className="tooltip-label">Token Market Cap:</span>
-                             <span className="tooltip-value" aria-label={`${formatMillions(strategy.nftStrategyMarketCap)} millones`}>
-                               {formatMillions(strategy.nftStrategyMarketCap)}
-                             </span>
-                           </div>
+                {isColumnVisible('strategy') && (
+                  <td className="strategy-cell" role="gridcell">
+                    <span className="strategy-badge" aria-label={`Strategy type: ${strategy.tokenName}`}>
+                      {strategy.tokenName || 'N/A'}
+                    </span>
+                  </td>
+                )}
+                {isColumnVisible('holdings') && (
+                  <td className="holdings-cell" role="gridcell">
+                    <span aria-label={`Holdings count: ${strategy.holdingsCount ?? 'unknown'}`}>
+                      {strategy.holdingsCount ?? '—'}
+                    </span>
+                  </td>
+                )}
+                {isColumnVisible('price') && (
+                  <td className="price-cell" role="gridcell">
+                    <span aria-label={`Price: ${formatCurrency(strategy.poolData?.price_usd)}`}>
+                      {formatCurrency(strategy.poolData?.price_usd)}
+                    </span>
+                  </td>
+                )}
+                {isColumnVisible('change24h') && (
+                  <td className={`change-cell ${parseFloat(strategy.poolData?.price_change_24h) >= 0 ? 'positive' : 'negative'}`} role="gridcell">
+                    <span aria-label={`24 hour change: ${parseFloat(strategy.poolData?.price_change_24h) >= 0 ? 'positive' : 'negative'} ${formatPercentage(strategy.poolData?.price_change_24h)}`}>
+                      {formatPercentage(strategy.poolData?.price_change_24h)}
+                    </span>
+                  </td>
+                )}
+                {isColumnVisible('burn') && (
+                  <td className="burn-cell" role="gridcell">
+                    <span aria-label={`Burn percentage: ${formatPercentage(strategy.burnPercentage)}`}>
+                      {strategy.burnPercentage ? formatPercentage(strategy.burnPercentage) : 'N/A'}
+                    </span>
+                  </td>
+                )}
+                {isColumnVisible('ratio') && (
+                  <td className="market-cap-cell" role="gridcell">
+                    {strategy.floorMarketCapRatio !== null && strategy.floorMarketCapRatio !== undefined ? (
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <span>{strategy.floorMarketCapRatio.toFixed(2)}%</span>
+                        <div className="custom-tooltip" role="tooltip">
+                          <span 
+                            className="tooltip-icon"
+                            aria-label="Información detallada del ratio de capitalización de mercado"
+                            aria-describedby={`tooltip-${strategy.id}`}
+                            tabIndex="0"
+                            role="button"
+                          >?</span>
+                          <div 
+                            className="tooltip-content"
+                            id={`tooltip-${strategy.id}`}
+                            role="tooltip"
+                            aria-hidden={true}
+                            aria-live="polite"
+                          >
+                            <div className="tooltip-row" role="group" aria-label="Capitalización del piso NFT">
+                               <span className="tooltip-label">NFT Floor Cap:</span>
+                               <span className="tooltip-value" aria-label={`${formatMillions(strategy.nftPriceFloorMarketCap)} millones`}>
+                                 {formatMillions(strategy.nftPriceFloorMarketCap)}
+                               </span>
+                             </div>
+                             <div className="tooltip-row" role="group" aria-label="Capitalización de mercado del token">
+                               <span className="tooltip-label">Token Market Cap:</span>
+                               <span className="tooltip-value" aria-label={`${formatMillions(strategy.nftStrategyMarketCap)} millones`}>
+                                 {formatMillions(strategy.nftStrategyMarketCap)}
+                               </span>
+                             </div>
+                          </div>
                         </div>
                       </div>
-                    </div>
-                  ) : 'N/A'}
-                </td>
-                <td className="market-cap-value-cell" role="gridcell">
-                  <span aria-label={`Market cap: ${formatCurrency(strategy.nftStrategyMarketCap)}`}>
-                    {formatCurrency(strategy.nftStrategyMarketCap)}
-                  </span>
-                </td>
+                    ) : 'N/A'}
+                  </td>
+                )}
+                {isColumnVisible('navPremium') && (
+                  <td className="nav-premium-cell" role="gridcell">
+                    {strategy.navPremium !== null && strategy.navPremium !== undefined ? (
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <span>{formatPercentage(strategy.navPremium)}</span>
+                        <div className="custom-tooltip" role="tooltip">
+                          <span 
+                            className="tooltip-icon"
+                            aria-label="NAV breakdown"
+                            aria-describedby={`nav-tooltip-${strategy.id}`}
+                            tabIndex="0"
+                            role="button"
+                          >?</span>
+                          <div 
+                            className="tooltip-content"
+                            id={`nav-tooltip-${strategy.id}`}
+                            role="tooltip"
+                            aria-hidden={true}
+                            aria-live="polite"
+                          >
+                            <div className="tooltip-row" role="group" aria-label="NAV per token">
+                              <span className="tooltip-label">NAV / Token:</span>
+                              <span className="tooltip-value">{formatCurrency(strategy.navPerTokenUsd)}</span>
+                            </div>
+                            <div className="tooltip-row" role="group" aria-label="Total NAV">
+                              <span className="tooltip-label">NAV:</span>
+                              <span className="tooltip-value">{strategy.navEth !== null ? `${strategy.navEth.toFixed(2)} ETH` : 'N/A'}</span>
+                            </div>
+                            <div className="tooltip-row" role="group" aria-label="Treasury">
+                              <span className="tooltip-label">Treasury:</span>
+                              <span className="tooltip-value">{strategy.treasuryEth !== null ? `${strategy.treasuryEth.toFixed(2)} ETH` : 'N/A'}</span>
+                            </div>
+                          </div>
+                        </div>
+                      </div>
+                    ) : 'N/A'}
+                  </td>
+                )}
+                {isColumnVisible('marketCap') && (
+                  <td className="market-cap-value-cell" role="gridcell">
+                    <span aria-label={`Market cap: ${formatCurrency(strategy.nftStrategyMarketCap)}`}>
+                      {formatCurrency(strategy.nftStrategyMarketCap)}
+                    </span>
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import './StrategyDetailView.css';
+import './StrategyCompareView.css';
+import TradingViewChart, { SERIES_COLORS } from './TradingViewChart';
+import { nftStrategyService } from '../services/nftStrategyService';
+import { fetchFloorPriceHistory } from '../services/nftAPI';
+import { strategyToSlugMappingService } from '../services/strategyToSlugMapping';
+import { posthogService } from '../services/posthogService';
+import {
+  MIN_COMPARE_STRATEGIES,
+  MAX_COMPARE_STRATEGIES,
+  COMPARE_RANGES,
+  getCompareRange,
+  rebaseSeries,
+  getRebasedChange
+} from '../utils/compareUtils';
+import { useTheme } from '../contexts/ThemeContext';
+
+// Rebased series are an index, not a price
+const formatIndex = (value) => parseFloat(value).toFixed(1);
+
+const formatCurrency = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  const num = parseFloat(value);
+  if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+  if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+  if (num >= 1e3) return `$${(num / 1e3).toFixed(2)}K`;
+  if (num >= 1) return `$${num.toFixed(2)}`;
+  return `$${num.toFixed(6)}`;
+};
+
+const formatPercentage = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  const num = parseFloat(value);
+  return `${num >= 0 ? '+' : ''}${num.toFixed(2)}%`;
+};
+
+const changeColor = (value) => value === null || value === undefined
+  ? ''
+  : value >= 0 ? 'text-green-600' : 'text-red-600';
+
+// Rows of the metrics table; values come from the enhanced strategies of StrategiesDataTable
+const COMPARE_METRICS = [
+  { key: 'price', label: 'Token Price', getValue: strategy => strategy.poolData?.price_usd, format: formatCurrency },
+  { key: 'marketCap', label: 'Market Cap', getValue: strategy => strategy.nftStrategyMarketCap, format: formatCurrency },
+  {
+    key: 'ratio',
+    label: 'MC Ratio',
+    getValue: strategy => strategy.floorMarketCapRatio,
+    format: value => (value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}%`)
+  },
+  { key: 'holdings', label: 'Holdings', getValue: strategy => strategy.holdingsCount, format: value => (value === null || value === undefined ? 'N/A' : `${value} NFTs`) },
+  { key: 'burn', label: '% Burn', getValue: strategy => strategy.burnPercentage, format: formatPercentage },
+  {
+    key: 'navPremium',
+    label: 'NAV Premium',
+    getValue: strategy => strategy.navPremium,
+    format: formatPercentage,
+    // Premium is red, discount is green (matches the detail view)
+    color: value => (value === null || value === undefined ? '' : value > 0 ? 'text-red-600' : 'text-green-600')
+  }
+];
+
+const getCollectionSlug = (strategy) => (
+  strategy.collectionSlug || strategyToSlugMappingService.getSlugForStrategy(strategy)
+);
+
+/**
+ * Fetch token candles and collection floor history for one strategy
+ * @returns {Promise<{token: Array, floor: Array}>} Raw `{ x, y }` series (token in USD, floor in ETH)
+ */
+const fetchStrategySeries = async (strategy, range) => {
+  const { startTime, endTime } = getCompareRange(range.days);
+  await strategyToSlugMappingService.loadMappings();
+  const collectionSlug = getCollectionSlug(strategy);
+
+  const [candles, floor] = await Promise.all([
+    nftStrategyService.getTokenPriceHistory(strategy.tokenAddress, range.days),
+    collectionSlug
+      ? fetchFloorPriceHistory(collectionSlug, '1d', startTime, endTime, range.timeframe)
+      : Promise.resolve(null)
+  ]);
+
+  return {
+    token: (candles || []).map(candle => ({ x: candle.timestamp, y: candle.close })),
+    floor: floor?.success ? floor.priceHistory : []
+  };
+};
+
+const StrategyCompareView = ({
+  strategies = [],
+  selectedStrategies = [],
+  onSelectionChange,
+  onStrategySelect,
+  loading = false
+}) => {
+  const { isDark } = useTheme();
+  const [range, setRange] = useState(COMPARE_RANGES[0]);
+  const [seriesById, setSeriesById] = useState({});
+  const [loadingSeries, setLoadingSeries] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const selectedKey = selectedStrategies.map(strategy => strategy.id).join(',');
+  const canCompare = selectedStrategies.length >= MIN_COMPARE_STRATEGIES;
+
+  // Fetch every compared strategy's series for the selected range
+  useEffect(() => {
+    if (!canCompare) {
+      setSeriesById({});
+      return;
+    }
+
+    let cancelled = false;
+    setLoadingSeries(true);
+
+    Promise.all(selectedStrategies.map(async (strategy) => {
+      try {
+        return [strategy.id, await fetchStrategySeries(strategy, range)];
+      } catch (err) {
+        console.error(`❌ Error fetching comparison data for ${strategy.collectionName}:`, err);
+        return [strategy.id, { token: [], floor: [] }];
+      }
+    })).then(entries => {
+      if (cancelled) return;
+      setSeriesById(Object.fromEntries(entries));
+      setLoadingSeries(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedKey, range, canCompare]);
+
+  // Rebase each series to 100 at the start of the range so different price levels share one axis
+  const rebased = useMemo(() => {
+    const { startTime } = getCompareRange(range.days);
+    return selectedStrategies.map(strategy => ({
+      strategy,
+      token: rebaseSeries(seriesById[strategy.id]?.token, startTime),
+      floor: rebaseSeries(seriesById[strategy.id]?.floor, startTime)
+    }));
+  }, [seriesById, selectedKey, range]);
+
+  const tokenCollections = useMemo(() => rebased.map(({ strategy, token }) => ({
+    name: strategy.tokenName,
+    data: token
+  })), [rebased]);
+
+  const floorCollections = useMemo(() => rebased.map(({ strategy, floor }) => ({
+    name: strategy.collectionName,
+    data: floor
+  })), [rebased]);
+
+  const availableStrategies = useMemo(() => {
+    const selectedIds = new Set(selectedStrategies.map(strategy => strategy.id));
+    return strategies
+      .filter(strategy => !selectedIds.has(strategy.id))
+      .sort((a, b) => (b.nftStrategyMarketCap || 0) - (a.nftStrategyMarketCap || 0));
+  }, [strategies, selectedKey]);
+
+  const showNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(null), 3000);
+  };
+
+  const handleAdd = (strategyId) => {
+    const strategy = strategies.find(item => String(item.id) === strategyId);
+    if (!strategy || selectedStrategies.length >= MAX_COMPARE_STRATEGIES) return;
+
+    onSelectionChange?.([...selectedStrategies, strategy]);
+    posthogService.trackStrategyEvent('compare_add', strategy, {
+      source: 'strategy_compare',
+      compared_count: selectedStrategies.length + 1
+    });
+  };
+
+  const handleRemove = (strategy) => {
+    onSelectionChange?.(selectedStrategies.filter(item => item.id !== strategy.id));
+    posthogService.trackStrategyEvent('compare_remove', strategy, {
+      source: 'strategy_compare',
+      compared_count: selectedStrategies.length - 1
+    });
+  };
+
+  const handleRangeChange = (nextRange) => {
+    posthogService.trackChartEvent('range_change', {
+      type: 'strategy_compare',
+      timeframe: nextRange.label,
+      collections: selectedStrategies
+    }, {
+      previous_range: range.label,
+      new_range: nextRange.label
+    });
+    setRange(nextRange);
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showNotice('Comparison link copied');
+    } catch (err) {
+      console.warn('Failed to copy comparison link:', err);
+      showNotice(window.location.href);
+    }
+  };
+
+  const renderChart = (title, subtitle, collections) => (
+    <div className="chart-container">
+      <div className="chart-header">
+        <div>
+          <h3 className="chart-title">{title}</h3>
+          <p className="chart-subtitle">{subtitle}</p>
+        </div>
+      </div>
+      <div className="chart-body">
+        {loadingSeries ? (
+          <div className="chart-loading">
+            <div className="chart-loading-spinner"></div>
+            <p>Loading price history...</p>
+          </div>
+        ) : collections.some(collection => collection.data.length > 0) ? (
+          <TradingViewChart
+            collections={collections}
+            title={title}
+            height={320}
+            formatValue={formatIndex}
+          />
+        ) : (
+          <div className="chart-empty">
+            <div className="chart-empty-icon">📊</div>
+            <h3 className="chart-empty-title">{title}</h3>
+            <p className="chart-empty-subtitle">No chart data available</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className={`strategy-detail-container strategy-compare-container w-full min-w-0 mb-8 ${isDark ? 'dark' : ''}`} style={{ backgroundColor: isDark ? '#000000' : '#FFF6FB' }}>
+      {/* Strategy picker */}
+      <div className="compare-toolbar">
+        <div className="compare-selection">
+          {selectedStrategies.map((strategy, index) => (
+            <span key={strategy.id} className="compare-chip">
+              <span className="compare-swatch" style={{ backgroundColor: SERIES_COLORS[index].line }} aria-hidden="true"></span>
+              <button type="button" className="compare-chip-name" onClick={() => onStrategySelect?.(strategy)}>
+                {strategy.collectionName} - {strategy.tokenName}
+              </button>
+              <button
+                type="button"
+                className="compare-chip-remove"
+                onClick={() => handleRemove(strategy)}
+                aria-label={`Remove ${strategy.collectionName} from comparison`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+
+          {selectedStrategies.length < MAX_COMPARE_STRATEGIES && (
+            <select
+              className="compare-add"
+              value=""
+              onChange={(e) => handleAdd(e.target.value)}
+              disabled={loading || availableStrategies.length === 0}
+              aria-label="Add a strategy to the comparison"
+            >
+              <option value="">{loading ? 'Loading strategies...' : '+ Add strategy'}</option>
+              {availableStrategies.map(strategy => (
+                <option key={strategy.id} value={String(strategy.id)}>
+                  {strategy.collectionName} - {strategy.tokenName}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div className="compare-actions">
+          {COMPARE_RANGES.map(item => (
+            <button
+              key={item.label}
+              type="button"
+              className={`compare-range-button ${range.label === item.label ? 'active' : ''}`}
+              onClick={() => handleRangeChange(item)}
+              aria-pressed={range.label === item.label}
+            >
+              {item.label}
+            </button>
+          ))}
+          <button type="button" className="compare-range-button" onClick={handleCopyLink} disabled={!canCompare}>
+            Copy link
+          </button>
+          {notice && <span className="compare-notice" role="status">{notice}</span>}
+        </div>
+      </div>
+
+      {!canCompare ? (
+        <div className="chart-container">
+          <div className="chart-empty">
+            <div className="chart-empty-icon">⚖️</div>
+            <h3 className="chart-empty-title">Pick {MIN_COMPARE_STRATEGIES} to {MAX_COMPARE_STRATEGIES} strategies</h3>
+            <p className="chart-empty-subtitle">
+              {loading ? 'Loading strategies...' : 'Add strategies above to overlay their prices and compare their metrics'}
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {renderChart('Token Price', `Rebased to 100 at the start of the ${range.label} range`, tokenCollections)}
+            {renderChart('Collection Floor', `Rebased to 100 at the start of the ${range.label} range`, floorCollections)}
+          </div>
+
+          {/* Side-by-side metrics */}
+          <div className="comparison-table-container overflow-x-auto">
+            <table className="comparison-table compare-metrics-table">
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  {selectedStrategies.map((strategy, index) => (
+                    <th key={strategy.id}>
+                      <span className="compare-swatch" style={{ backgroundColor: SERIES_COLORS[index].line }} aria-hidden="true"></span>
+                      {strategy.tokenName}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARE_METRICS.map(metric => (
+                  <tr key={metric.key}>
+                    <td className="metric-label">{metric.label}</td>
+                    {selectedStrategies.map(strategy => {
+                      const value = metric.getValue(strategy);
+                      return (
+                        <td key={strategy.id}>
+                          <span className={`font-medium ${metric.color ? metric.color(value) : ''}`}>{metric.format(value)}</span>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr>
+                  <td className="metric-label">Token {range.label} Change</td>
+                  {rebased.map(({ strategy, token }) => (
+                    <td key={strategy.id}>
+                      <span className={`font-medium ${changeColor(getRebasedChange(token))}`}>
+                        {loadingSeries ? '...' : formatPercentage(getRebasedChange(token))}
+                      </span>
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="metric-label">Floor {range.label} Change</td>
+                  {rebased.map(({ strategy, floor }) => (
+                    <td key={strategy.id}>
+                      <span className={`font-medium ${changeColor(getRebasedChange(floor))}`}>
+                        {loadingSeries ? '...' : formatPercentage(getRebasedChange(floor))}
+                      </span>
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StrategyCompareView;
@@ -3,37 +3,41 @@ import './StrategyDetailView.css';
 import TradingViewChart from './TradingViewChart';
 import MockChart from './MockChart';
 import DexScreenerChart from './DexScreenerChart';
+import TokenCandlesChart from './TokenCandlesChart';
 import Holdings from './Holdings';
 import StrategyDetailSkeleton from './StrategyDetailSkeleton';
+import ExportMenu from './ExportMenu';
 import { nftStrategyService } from '../services/nftStrategyService';
 import { holdingsService } from '../services/holdingsService';
+import { ethPriceService } from '../services/ethPriceService';
+import { navService } from '../services/navService';
 import { fetchFloorPriceHistory, fetchCollectionDetails } from '../services/nftAPI';
 import { collectionMappingService } from '../services/collectionMappingService';
 import { strategyToSlugMappingService } from '../services/strategyToSlugMapping';
 import { getDefaultDateRange, dateToTimestamp, getOptimalGranularity } from '../utils/dateUtils';
 import { useTheme } from '../contexts/ThemeContext';
+import { exportService } from '../services/exportService';
+import { posthogService } from '../services/posthogService';
+import { isFeatureEnabled } from '../config/environment';
+import {
+  FLOOR_HISTORY_EXPORT_COLUMNS,
+  TOKEN_PRICE_EXPORT_COLUMNS,
+  HOLDINGS_EXPORT_COLUMNS,
+  SALES_EXPORT_COLUMNS,
+  filterRowsByDays
+} from '../utils/exportUtils';
 
-// Helper function to generate mock price data for testing
-const generateMockPriceData = (days = 30, basePrice = 1.5) => {
-  const data = [];
-  const now = new Date();
-  
-  for (let i = days; i >= 0; i--) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    
-    // Generate a random price fluctuation (±15%)
-    const randomFactor = 0.85 + (Math.random() * 0.3);
-    const price = basePrice * randomFactor;
-    
-    data.push({
-      x: date,
-      y: parseFloat(price.toFixed(4))
-    });
-  }
-  
-  return data;
-};
+// `<dataset>:<format>`; CSV holds one table, XLSX/JSON take every dataset
+const DETAIL_EXPORT_OPTIONS = [
+  { id: 'all:xlsx', label: 'All data (XLSX)' },
+  { id: 'all:json', label: 'All data (JSON)' },
+  { id: 'floor:csv', label: 'Floor history (CSV)' },
+  { id: 'token:csv', label: 'Token history (CSV)' },
+  { id: 'holdings:csv', label: 'Holdings (CSV)' },
+  { id: 'sales:csv', label: 'Sales (CSV)' }
+];
+
+const DEFAULT_EXPORT_DAYS = 30; // Matches the floor chart's default range
 
 const StrategyDetailView = ({ strategy, onBack }) => {
   const { isDark } = useTheme();
@@ -41,10 +45,15 @@ const StrategyDetailView = ({ strategy, onBack }) => {
   const [tokenPriceData, setTokenPriceData] = useState(null);
   const [holdingsData, setHoldingsData] = useState(null);
   const [salesData, setSalesData] = useState(null);
+  const [salesPaging, setSalesPaging] = useState(null); // { slug, contractAddress, next }
+  const [loadingMoreSales, setLoadingMoreSales] = useState(false);
   const [collectionDetails, setCollectionDetails] = useState(null);
+  const [ethUsd, setEthUsd] = useState(null);
+  const [navData, setNavData] = useState(null); // { nav, history }
   const [loading, setLoading] = useState(true); // Only for initial page load
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [exportDays, setExportDays] = useState(DEFAULT_EXPORT_DAYS); // Floor chart range, applied to dated exports
   const [loadingStates, setLoadingStates] = useState({
     nftPrice: true,
     tokenPrice: true,
@@ -80,7 +89,8 @@ const StrategyDetailView = ({ strategy, onBack }) => {
         setLoading(false);
 
         // Use strategy-to-slug mapping service for accurate NFTPriceFloor API slug
-        const mappedSlug = strategyToSlugMappingService.getSlugFromStrategyName(strategy.collectionName);
+        await strategyToSlugMappingService.loadMappings();
+        const mappedSlug = strategyToSlugMappingService.getSlugForStrategy(strategy);
         const collectionSlug = strategy.collectionSlug || mappedSlug;
         
         console.log(`🔄 Strategy mapping: "${strategy.collectionName}" -> "${mappedSlug}"`);
@@ -96,14 +106,14 @@ const StrategyDetailView = ({ strategy, onBack }) => {
         // Fetch all data in parallel for better performance
         const dataPromises = [];
 
-        // 1. Fetch NFT floor price history using RapidAPI endpoint with mapped slug
-        console.log(`🔗 Fetching NFT price history from: https://nftpf-api-v0.p.rapidapi.com/projects/${collectionSlug}/charts/1d`);
+        // 1. Fetch NFT floor price history through the collections proxy with mapped slug
+        const chartUrl = `/api/collections/${encodeURIComponent(collectionSlug)}/history?chart=1d`;
+        console.log(`🔗 Fetching NFT price history from: ${chartUrl}`);
         dataPromises.push(
-          fetch(`https://nftpf-api-v0.p.rapidapi.com/projects/${collectionSlug}/charts/1d`, {
+          fetch(chartUrl, {
             method: 'GET',
             headers: {
-              'X-RapidAPI-Key': import.meta.env.VITE_RAPIDAPI_KEY || '8365737378msh545ccf17407a091p1adbfcjsn47252db2d5db',
-              'X-RapidAPI-Host': 'nftpf-api-v0.p.rapidapi.com'
+              'Accept': 'application/json'
             }
           })
             .then(response => {
@@ -113,7 +123,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
               return response.json();
             })
             .then(result => {
-              console.log('📈 NFT Price History Result from RapidAPI:', result);
+              console.log('📈 NFT Price History Result from NFTPriceFloor:', result);
               console.log('🔍 API Response structure check:', {
                 hasTimestamps: !!result?.timestamps,
                 timestampsLength: result?.timestamps?.length,
@@ -167,7 +177,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                 if (transformedData.length > 0) {
                    console.log('📈 Setting NFT price data...');
                    setNftPriceData(transformedData);
-                   console.log(`✅ Successfully loaded ${transformedData.length} NFT price data points from RapidAPI`);
+                   console.log(`✅ Successfully loaded ${transformedData.length} NFT price data points from NFTPriceFloor`);
                    
                    // Additional validation
                    console.log('🔍 Data validation:', {
@@ -198,7 +208,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
               setErrorStates(prev => ({ ...prev, nftPrice: null }));
             })
             .catch(err => {
-              console.error('❌ Error fetching NFT price data from RapidAPI:', err);
+              console.error('❌ Error fetching NFT price data from NFTPriceFloor:', err);
               setNftPriceData([]);
               setLoadingStates(prev => ({ ...prev, nftPrice: false }));
               setErrorStates(prev => ({ ...prev, nftPrice: 'Failed to load NFT price data. Please try again.' }));
@@ -210,17 +220,15 @@ const StrategyDetailView = ({ strategy, onBack }) => {
         dataPromises.push(
           (async () => {
             try {
-              // Use the direct NFTPriceFloor API approach as fallback
-              const directApiUrl = `https://nftpf-api-v0.p.rapidapi.com/projects/${collectionSlug}`;
-              console.log(`🔄 Direct API call to: ${directApiUrl}`);
+              // NFTPriceFloor project details through the collections proxy
+              const collectionUrl = `/api/collections/${encodeURIComponent(collectionSlug)}`;
+              console.log(`🔄 Collection API call to: ${collectionUrl}`);
               
-              const response = await fetch(directApiUrl, {
+              const response = await fetch(collectionUrl, {
                 method: 'GET',
                 headers: {
-                  'X-RapidAPI-Key': import.meta.env.VITE_RAPIDAPI_KEY || '8365737378msh545ccf17407a091p1adbfcjsn47252db2d5db',
-                  'X-RapidAPI-Host': 'nftpf-api-v0.p.rapidapi.com'
-                },
-                timeout: 30000
+                  'Accept': 'application/json'
+                }
               });
               
               if (!response.ok) {
@@ -308,13 +316,13 @@ const StrategyDetailView = ({ strategy, onBack }) => {
               
               // Set the collection details
               setCollectionDetails(transformedData);
-              console.log(`✅ Direct API: Collection details loaded for ${transformedData.name}`);
+              console.log(`✅ Collection API: Collection details loaded for ${transformedData.name}`);
               
               setLoadingStates(prev => ({ ...prev, collection: false }));
               setErrorStates(prev => ({ ...prev, collection: null }));
               
             } catch (directApiError) {
-              console.warn('⚠️ Direct API failed, trying service fallback:', directApiError.message);
+              console.warn('⚠️ Collection API failed, trying service fallback:', directApiError.message);
               
               try {
                 // Fallback to the original service method
@@ -374,57 +382,16 @@ const StrategyDetailView = ({ strategy, onBack }) => {
             })
         );
 
-        // 5. Fetch historical sales data from NFT Strategy API
-        // Use OpenSea slug if available, otherwise use the mapped slug
+        // 5. Fetch the first page of marketplace sales (OpenSea slug, falling back to the mapped slug)
         const salesApiSlug = strategy.collectionOsSlug || collectionSlug;
         console.log(`📊 Fetching sales data with slug: ${salesApiSlug}`);
+        const salesContractAddress = strategy.collection || strategy.contractAddress;
+        setSalesPaging(null);
         dataPromises.push(
-          fetch(`https://www.nftstrategy.fun/api/opensea/floor-price?collectionOsSlug=${salesApiSlug}&contractAddress=${strategy.collection || strategy.contractAddress}`)
-            .then(response => {
-              if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-              }
-              return response.json();
-            })
-            .then(result => {
-              console.log('📊 Sales Data Result:', result);
-              // Transform the API response to match expected format
-              let transformedData = [];
-              
-              if (result && typeof result === 'object') {
-                // If result is a single object, wrap it in an array
-                if (!Array.isArray(result)) {
-                  transformedData = [{
-                    id: 1,
-                    tokenId: result.tokenId || result.token_id || 'N/A',
-                    name: result.name || `${strategy.collectionName} #${result.tokenId || result.token_id || ''}` || 'NFT',
-                    imageUrl: result.image || result.imageUrl || result.image_url || '',
-                    price: result.floorPrice || result.floor_price || result.price || 0,
-                    priceEth: result.floorPriceEth || result.floor_price_eth || result.price_eth || 0,
-                    marketplace: result.marketplace || 'OpenSea',
-                    buyer: result.owner || result.current_owner || 'Unknown',
-                    date: result.lastUpdated || result.last_updated || new Date().toISOString(),
-                    contractAddress: strategy.collection || strategy.contractAddress
-                  }];
-                } else {
-                  // If result is already an array, transform each item
-                  transformedData = result.map((item, index) => ({
-                    id: index + 1,
-                    tokenId: item.tokenId || item.token_id || 'N/A',
-                    name: item.name || `${strategy.collectionName} #${item.tokenId || item.token_id || ''}` || 'NFT',
-                    imageUrl: item.image || item.imageUrl || item.image_url || '',
-                    price: item.floorPrice || item.floor_price || item.price || 0,
-                    priceEth: item.floorPriceEth || item.floor_price_eth || item.price_eth || 0,
-                    marketplace: item.marketplace || 'OpenSea',
-                    buyer: item.owner || item.current_owner || 'Unknown',
-                    date: item.lastUpdated || item.last_updated || new Date().toISOString(),
-                    contractAddress: strategy.collection || strategy.contractAddress
-                  }));
-                }
-              }
-              
-              console.log('Transformed sales data:', transformedData);
-              setSalesData(transformedData);
+          nftStrategyService.getHistoricalSales(salesApiSlug, { contractAddress: salesContractAddress })
+            .then(page => {
+              setSalesData(page.sales);
+              setSalesPaging({ slug: salesApiSlug, contractAddress: salesContractAddress, next: page.next });
               setLoadingStates(prev => ({ ...prev, sales: false }));
               setErrorStates(prev => ({ ...prev, sales: null }));
             })
@@ -436,6 +403,11 @@ const StrategyDetailView = ({ strategy, onBack }) => {
             })
         );
 
+        // 6. Current ETH/USD for converting live ETH figures
+        dataPromises.push(
+          ethPriceService.getCurrentPrice().then(setEthUsd)
+        );
+
         // Wait for all promises to complete
         await Promise.allSettled(dataPromises);
         
@@ -456,6 +428,25 @@ const StrategyDetailView = ({ strategy, onBack }) => {
     }
   }, [strategy]);
 
+  // NAV and its daily history come from /api/nav; when unavailable the cards show N/A
+  useEffect(() => {
+    if (!strategy?.id) {
+      return;
+    }
+
+    let cancelled = false;
+    setNavData(null);
+    navService.getStrategyNav(strategy.id, 90).then(data => {
+      if (!cancelled) {
+        setNavData(data);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [strategy?.id]);
+
   const formatCurrency = (value, currency = 'USD') => {
     if (!value) return 'N/A';
     return new Intl.NumberFormat('en-US', {
@@ -518,10 +509,55 @@ const StrategyDetailView = ({ strategy, onBack }) => {
     </div>
   );
 
+  // Floor, token and sales rows limited to the range picked on the floor chart;
+  // holdings are a current snapshot
+  const getExportSheets = () => [
+    {
+      key: 'floorHistory',
+      name: 'Floor history',
+      rows: filterRowsByDays(
+        (nftPriceData || []).map(point => ({ timestamp: Math.floor(point.x.getTime() / 1000), floorEth: point.y })),
+        exportDays
+      ),
+      columns: FLOOR_HISTORY_EXPORT_COLUMNS
+    },
+    {
+      key: 'tokenHistory',
+      name: 'Token history',
+      rows: filterRowsByDays(Array.isArray(tokenPriceData) ? tokenPriceData : [], exportDays),
+      columns: TOKEN_PRICE_EXPORT_COLUMNS
+    },
+    { key: 'holdings', name: 'Holdings', rows: holdingsData || [], columns: HOLDINGS_EXPORT_COLUMNS },
+    { key: 'sales', name: 'Sales', rows: filterRowsByDays(salesData || [], exportDays), columns: SALES_EXPORT_COLUMNS }
+  ];
+
+  const handleExport = async (optionId) => {
+    const [dataset, format] = optionId.split(':');
+    const datasetKeys = { floor: 'floorHistory', token: 'tokenHistory', holdings: 'holdings', sales: 'sales' };
+    const sheets = dataset === 'all'
+      ? getExportSheets()
+      : getExportSheets().filter(sheet => sheet.key === datasetKeys[dataset]);
+
+    const filename = await exportService.download({
+      name: `${strategy.collectionName || ''} ${strategy.tokenName || ''} ${dataset === 'all' ? '' : dataset}`,
+      format,
+      sheets
+    });
+
+    posthogService.trackStrategyEvent('data_exported', strategy, {
+      source: 'strategy_detail',
+      dataset,
+      format,
+      range_days: exportDays,
+      filename
+    });
+  };
+
   const renderOverviewTab = () => {
     // Get properly mapped collection slug for NFTPricefloor URL
-    const mappedSlug = strategyToSlugMappingService.getSlugFromStrategyName(strategy.collectionName);
+    const mappedSlug = strategyToSlugMappingService.getSlugForStrategy(strategy);
     const collectionSlug = strategy.collectionSlug || mappedSlug;
+    const hasTokenCandles = Array.isArray(tokenPriceData) && tokenPriceData.length > 0;
 
     return (
       <div className="space-y-6">
@@ -565,7 +601,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                     ) : (
                       <span className="font-medium">
                         {collectionDetails?.floor_price_eth ? 
-                          `${parseFloat(collectionDetails.floor_price_eth).toFixed(2)} ETH` : 
+                          `${parseFloat(collectionDetails.floor_price_eth).toFixed(2)} ETH${ethUsd ? ` (${formatCurrency(parseFloat(collectionDetails.floor_price_eth) * ethUsd)})` : ''}` : 
                           <span className={isDark ? 'text-gray-400' : 'text-gray-400'}>N/A</span>
                         }
                       </span>
@@ -736,6 +772,93 @@ const StrategyDetailView = ({ strategy, onBack }) => {
           </div>
         </div>
 
+        {/* Net Asset Value */}
+        {(() => {
+          const nav = navData?.nav;
+          const premiumHistory = (navData?.history || []).filter(point => point.premiumPct !== null);
+          const premiumColor = (value) => value === null || value === undefined
+            ? ''
+            : value > 0 ? 'text-red-600' : 'text-green-600';
+
+          return (
+            <div className="space-y-4">
+              <h2 className="text-2xl font-bold">Net Asset Value</h2>
+              <p className="text-gray-600 dark:text-gray-400">Held NFTs marked at the collection floor plus treasury ETH</p>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 lg:gap-6">
+                {/* Premium / Discount to NAV */}
+                <div className="metric-card">
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm lg:text-lg font-bold truncate">Premium to NAV</h4>
+                    <div className="group relative flex-shrink-0 ml-2">
+                      <span className="text-gray-400 cursor-help">ℹ️</span>
+                      <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-3 py-2 bg-black text-white text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10">
+                        Token price vs NAV per token; negative means the token trades at a discount
+                      </div>
+                    </div>
+                  </div>
+                  <div className={`text-xl lg:text-3xl font-bold ${premiumColor(nav?.premiumPct)}`}>
+                    {formatPercentage(nav?.premiumPct)}
+                  </div>
+                  {premiumHistory.length > 1 ? (() => {
+                    const values = premiumHistory.map(point => point.premiumPct);
+                    const min = Math.min(...values);
+                    const range = Math.max(...values) - min || 1;
+                    const points = values
+                      .map((value, index) => `${(index / (values.length - 1)) * 100},${30 - ((value - min) / range) * 30}`)
+                      .join(' ');
+
+                    return (
+                      <div className="mt-2">
+                        <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8" aria-label="Premium to NAV trend">
+                          <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                        </svg>
+                        <p className="text-xs lg:text-sm mt-1">{premiumHistory.length}-day trend</p>
+                      </div>
+                    );
+                  })() : (
+                    <p className="text-xs lg:text-sm mt-1">Trend builds up from daily snapshots</p>
+                  )}
+                </div>
+
+                {/* NAV per Token */}
+                <div className="metric-card">
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm lg:text-lg font-bold truncate">NAV per Token</h4>
+                    <div className="group relative flex-shrink-0 ml-2">
+                      <span className="text-gray-400 cursor-help">ℹ️</span>
+                      <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-3 py-2 bg-black text-white text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10">
+                        NAV divided by circulating supply (total supply minus burned tokens)
+                      </div>
+                    </div>
+                  </div>
+                  <div className="text-xl lg:text-3xl font-bold">
+                    {formatCurrencyWithDecimals(nav?.navPerTokenUsd, 6)}
+                  </div>
+                  <p className="text-xs lg:text-sm mt-1">
+                    Token price {formatCurrencyWithDecimals(strategy.poolData?.price_usd, 6)}
+                  </p>
+                </div>
+
+                {/* Total NAV */}
+                <div className="metric-card sm:col-span-2 lg:col-span-1">
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm lg:text-lg font-bold truncate">Total NAV</h4>
+                  </div>
+                  <div className="text-xl lg:text-3xl font-bold">
+                    {nav?.navEth !== null && nav?.navEth !== undefined ? `${nav.navEth.toFixed(2)} ETH` : 'N/A'}
+                  </div>
+                  <p className="text-xs lg:text-sm mt-1">
+                    {nav?.navEth !== null && nav?.navEth !== undefined
+                      ? `${nav.holdingsCount} NFTs × ${nav.floorPriceEth.toFixed(3)} ETH + ${nav.treasuryEth !== null ? `${nav.treasuryEth.toFixed(2)} ETH treasury` : 'treasury unavailable'}`
+                      : 'Floor or holdings unavailable'}
+                  </p>
+                </div>
+              </div>
+            </div>
+          );
+        })()}
+
         {/* Charts Section */}
         <div className="space-y-6">
           <h2 className="text-2xl font-bold">Price Charts</h2>
@@ -788,6 +911,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                       }]}
                       title={`${strategy.collectionName} Floor Price`}
                       height={320}
+                      onRangeChange={setExportDays}
                     />
                   );
                 })() : (
@@ -821,7 +945,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                 </div>
                 <div className="chart-powered-by">
                   <div className="chart-powered-label">Powered by</div>
-                  <div className="chart-powered-source">DexScreener</div>
+                  <div className="chart-powered-source">{hasTokenCandles ? 'GeckoTerminal' : 'DexScreener'}</div>
                 </div>
               </div>
               <div className="chart-body">
@@ -842,6 +966,12 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                     <div className="chart-loading-spinner"></div>
                     <p>Loading token price data...</p>
                   </div>
+                ) : hasTokenCandles ? (
+                  <TokenCandlesChart
+                    candles={tokenPriceData}
+                    height={320}
+                    isDark={isDark}
+                  />
                 ) : (
                   <DexScreenerChart
                     strategy={strategy}
@@ -899,6 +1029,24 @@ const StrategyDetailView = ({ strategy, onBack }) => {
     );
   };
 
+  const loadMoreSales = async () => {
+    if (!salesPaging?.next || loadingMoreSales) return;
+
+    setLoadingMoreSales(true);
+    try {
+      const page = await nftStrategyService.getHistoricalSales(salesPaging.slug, {
+        contractAddress: salesPaging.contractAddress,
+        cursor: salesPaging.next
+      });
+      setSalesData(prev => [...(prev || []), ...page.sales]);
+      setSalesPaging(prev => ({ ...prev, next: page.next }));
+    } catch (err) {
+      console.error('❌ Error fetching more sales:', err);
+    } finally {
+      setLoadingMoreSales(false);
+    }
+  };
+
   const renderSalesTab = () => {
     // Helper functions for formatting (matching Holdings component)
     const formatEth = (value) => {
@@ -949,23 +1097,38 @@ const StrategyDetailView = ({ strategy, onBack }) => {
       );
     }
 
-    // Calculate summary data
-    const totalSales = salesData.length;
-    const floorPrice = salesData[0]?.priceEth || salesData[0]?.price || 0;
-    const averagePrice = salesData.reduce((sum, item) => sum + (item.priceEth || item.price || 0), 0) / totalSales;
+    // Calculate summary data over the pages loaded so far
+    const pricedSales = salesData.filter(sale => sale.priceEth);
+    const lastSalePrice = pricedSales[0]?.priceEth || 0;
+    const averagePrice = pricedSales.length > 0
+      ? pricedSales.reduce((sum, sale) => sum + sale.priceEth, 0) / pricedSales.length
+      : 0;
+    const marketplaceCounts = salesData.reduce((counts, sale) => {
+      counts[sale.marketplace] = (counts[sale.marketplace] || 0) + 1;
+      return counts;
+    }, {});
+    const topMarketplace = Object.entries(marketplaceCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'OpenSea';
+
+    const formatSaleDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+
+    const formatAddress = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'Unknown';
 
     return (
       <div className="content-section">
         {/* Sales Summary */}
         <div className="sales-summary-grid">
           <div className="metric-card">
-            <p className="metric-description" style={{marginBottom: '4px'}}>Total Sales</p>
-            <p className="metric-value">{totalSales}</p>
+            <p className="metric-description" style={{marginBottom: '4px'}}>Sales Loaded</p>
+            <p className="metric-value">{salesData.length}</p>
           </div>
           
           <div className="metric-card">
-            <p className="metric-description" style={{marginBottom: '4px'}}>Floor Price</p>
-            <p className="metric-value">{formatEth(floorPrice)}</p>
+            <p className="metric-description" style={{marginBottom: '4px'}}>Last Sale</p>
+            <p className="metric-value">{formatEth(lastSalePrice)}</p>
           </div>
           
           <div className="metric-card">
@@ -974,30 +1137,30 @@ const StrategyDetailView = ({ strategy, onBack }) => {
           </div>
           
           <div className="metric-card">
-            <p className="metric-description" style={{marginBottom: '4px'}}>Marketplace</p>
-            <p className="metric-value">{salesData[0]?.marketplace || 'OpenSea'}</p>
+            <p className="metric-description" style={{marginBottom: '4px'}}>Top Marketplace</p>
+            <p className="metric-value">{topMarketplace}</p>
           </div>
         </div>
 
         {/* Sales Grid */}
         <div className="card">
           <div className="card-header">
-            <h3 className="card-title">Floor Price Data</h3>
-            <span className="card-subtitle">{salesData.length} items</span>
+            <h3 className="card-title">Sales History</h3>
+            <span className="card-subtitle">{salesData.length} sales</span>
           </div>
           <div className="card-body">
             <div className="sales-grid">
-              {salesData.map((nft, index) => (
+              {salesData.map((sale, index) => (
                 <div 
-                  key={`${nft.tokenId}-${index}`}
+                  key={`${sale.txHash}-${sale.tokenId}-${index}`}
                   className="sales-item"
                 >
                   {/* NFT Image */}
                   <div className="sales-item-image">
-                    {nft.imageUrl ? (
+                    {sale.imageUrl ? (
                       <img
-                        src={nft.imageUrl}
-                        alt={nft.name}
+                        src={sale.imageUrl}
+                        alt={sale.name || `${strategy.collectionName} #${sale.tokenId}`}
                         onError={(e) => {
                           e.target.style.display = 'none';
                           e.target.nextSibling.style.display = 'flex';
@@ -1008,7 +1171,7 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                     {/* Fallback for missing/broken images */}
                     <div 
                       className="sales-item-fallback"
-                      style={{ display: nft.imageUrl ? 'none' : 'flex' }}
+                      style={{ display: sale.imageUrl ? 'none' : 'flex' }}
                     >
                       <div className="sales-item-fallback-icon">🖼️</div>
                       <p className="sales-item-fallback-text">No Image</p>
@@ -1016,18 +1179,36 @@ const StrategyDetailView = ({ strategy, onBack }) => {
                     
                     {/* Token ID Badge */}
                     <div className="sales-item-badge">
-                      #{nft.tokenId}
+                      #{sale.tokenId}
                     </div>
                   </div>
                   
-                  {/* NFT Details */}
+                  {/* Sale Details */}
                   <div className="sales-item-details">
-                    <p className="sales-item-price-label">Current Price</p>
-                    <p className="sales-item-price-value">{formatEth(nft.priceEth || nft.price)}</p>
+                    <p className="sales-item-price-label">{sale.marketplace} · {formatSaleDate(sale.timestamp)}</p>
+                    <p className="sales-item-price-value">
+                      {sale.priceEth ? formatEth(sale.priceEth) : formatCurrency(sale.priceUsd)}
+                    </p>
+                    {sale.priceEth && sale.priceUsd ? (
+                      <p className="sales-item-price-label">{formatCurrency(sale.priceUsd)} at sale</p>
+                    ) : null}
+                    <p className="sales-item-price-label" title={sale.buyer || ''}>Buyer {formatAddress(sale.buyer)}</p>
                   </div>
                 </div>
               ))}
             </div>
+
+            {salesPaging?.next && (
+              <div style={{ display: 'flex', justifyContent: 'center', marginTop: '16px' }}>
+                <button
+                  className="action-button"
+                  onClick={loadMoreSales}
+                  disabled={loadingMoreSales}
+                >
+                  {loadingMoreSales ? 'Loading...' : 'Load more sales'}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -1074,6 +1255,17 @@ const StrategyDetailView = ({ strategy, onBack }) => {
             {tab.label}
           </button>
         ))}
+        {isFeatureEnabled('enableExport') && (
+          <div className="tab-navigation-actions">
+            <ExportMenu
+              label="Export"
+              options={DETAIL_EXPORT_OPTIONS}
+              onExport={handleExport}
+              disabled={loadingStates.nftPrice && loadingStates.tokenPrice && loadingStates.holdings && loadingStates.sales}
+              isDark={isDark}
+            />
+          </div>
+        )}
       </div>
 
       {/* Tab Content */}
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { posthogService } from '../services/posthogService';
+import { columnPresetService } from '../services/columnPresetService';
+import { STRATEGY_COLUMNS, RANGE_FILTERS, countActiveFilters } from '../utils/strategyFilters';
+
+const EMPTY_FILTERS = { search: '', ranges: {} };
+
+const StrategyFilterBar = ({
+  filters = EMPTY_FILTERS,
+  onFiltersChange,
+  hiddenColumns = [],
+  onHiddenColumnsChange,
+  resultCount,
+  totalCount
+}) => {
+  const [draft, setDraft] = useState(filters);
+  const [isRangesOpen, setIsRangesOpen] = useState(() => Object.keys(filters.ranges || {}).length > 0);
+  const [isColumnsOpen, setIsColumnsOpen] = useState(false);
+  const [presets, setPresets] = useState(() => columnPresetService.getPresets());
+  const [presetName, setPresetName] = useState('');
+  const [presetError, setPresetError] = useState(null);
+  const columnsMenuRef = useRef(null);
+  const lastAppliedRef = useRef(JSON.stringify(filters));
+
+  // Follow filter changes made outside the bar (back/forward, shared links)
+  useEffect(() => {
+    const incoming = JSON.stringify(filters);
+    if (incoming !== lastAppliedRef.current) {
+      lastAppliedRef.current = incoming;
+      setDraft(filters);
+    }
+  }, [filters]);
+
+  // Apply typed filters after 300ms without changes
+  useEffect(() => {
+    const serialized = JSON.stringify(draft);
+    if (serialized === lastAppliedRef.current) return;
+
+    const timeoutId = setTimeout(() => {
+      lastAppliedRef.current = serialized;
+      onFiltersChange?.(draft);
+
+      posthogService.trackSearchEvent('strategy_filter', {
+        term: draft.search,
+        filterType: 'strategy_table',
+        resultsCount: resultCount
+      }, {
+        active_filters: countActiveFilters(draft),
+        range_filters: Object.keys(draft.ranges)
+      });
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [draft]);
+
+  // Close columns menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (columnsMenuRef.current && !columnsMenuRef.current.contains(event.target)) {
+        setIsColumnsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const handleRangeChange = (key, bound, value) => {
+    setDraft(current => {
+      const range = { ...current.ranges[key], [bound]: value === '' ? null : value };
+      const ranges = { ...current.ranges, [key]: range };
+      if ((range.min ?? null) === null && (range.max ?? null) === null) {
+        delete ranges[key];
+      }
+      return { ...current, ranges };
+    });
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_FILTERS);
+    lastAppliedRef.current = JSON.stringify(EMPTY_FILTERS);
+    onFiltersChange?.(EMPTY_FILTERS);
+  };
+
+  const handleColumnToggle = (key) => {
+    onHiddenColumnsChange?.(
+      hiddenColumns.includes(key) ? hiddenColumns.filter(column => column !== key) : [...hiddenColumns, key]
+    );
+  };
+
+  const handlePresetSelect = (name) => {
+    const preset = presets.find(item => item.name === name);
+    if (preset) {
+      onHiddenColumnsChange?.(preset.hiddenColumns);
+    }
+  };
+
+  const handlePresetSave = (e) => {
+    e.preventDefault();
+    const result = columnPresetService.savePreset(presetName, hiddenColumns);
+    if (result.success) {
+      setPresets(result.presets);
+      setPresetName('');
+      setPresetError(null);
+    } else {
+      setPresetError(result.error);
+    }
+  };
+
+  const handlePresetDelete = (name) => {
+    setPresets(columnPresetService.deletePreset(name));
+  };
+
+  const activePreset = presets.find(preset =>
+    preset.hiddenColumns.length === hiddenColumns.length &&
+    preset.hiddenColumns.every(column => hiddenColumns.includes(column))
+  );
+  const activeFilterCount = countActiveFilters(draft);
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-bar-row">
+        <input
+          type="search"
+          value={draft.search}
+          onChange={(e) => setDraft(current => ({ ...current, search: e.target.value }))}
+          placeholder="Search strategy, collection or token..."
+          className="search-input filter-search"
+          aria-label="Search strategies by strategy, collection or token name"
+        />
+
+        <button
+          type="button"
+          className={`toolbar-button ${isRangesOpen ? 'active' : ''}`}
+          onClick={() => setIsRangesOpen(open => !open)}
+          aria-expanded={isRangesOpen}
+          aria-controls="strategy-range-filters"
+        >
+          Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+        </button>
+
+        <div className="columns-menu" ref={columnsMenuRef}>
+          <button
+            type="button"
+            className="toolbar-button"
+            onClick={() => setIsColumnsOpen(open => !open)}
+            aria-expanded={isColumnsOpen}
+            aria-haspopup="true"
+          >
+            Columns{hiddenColumns.length > 0 ? ` (${STRATEGY_COLUMNS.length - hiddenColumns.length}/${STRATEGY_COLUMNS.length})` : ''}
+          </button>
+
+          {isColumnsOpen && (
+            <div className="columns-popover" role="dialog" aria-label="Show or hide columns">
+              <div className="columns-popover-section">
+                {STRATEGY_COLUMNS.map(column => (
+                  <label key={column.key} className="column-option">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenColumns.includes(column.key)}
+                      disabled={column.hideable === false}
+                      onChange={() => handleColumnToggle(column.key)}
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="columns-popover-section">
+                <label className="column-preset-label" htmlFor="column-preset-select">Preset</label>
+                <select
+                  id="column-preset-select"
+                  value={activePreset?.name || ''}
+                  onChange={(e) => handlePresetSelect(e.target.value)}
+                >
+                  {!activePreset && <option value="">Custom</option>}
+                  {presets.map(preset => (
+                    <option key={preset.name} value={preset.name}>{preset.name}</option>
+                  ))}
+                </select>
+                {activePreset && !activePreset.builtIn && (
+                  <button type="button" className="preset-delete" onClick={() => handlePresetDelete(activePreset.name)}>
+                    Delete
+                  </button>
+                )}
+              </div>
+
+              <form className="columns-popover-section" onSubmit={handlePresetSave}>
+                <input
+                  type="text"
+                  value={presetName}
+                  onChange={(e) => setPresetName(e.target.value)}
+                  placeholder="Save current as..."
+                  aria-label="Preset name"
+                  maxLength={40}
+                />
+                <button type="submit" className="toolbar-button" disabled={!presetName.trim()}>Save</button>
+              </form>
+              {presetError && <p className="preset-error" role="alert">{presetError}</p>}
+            </div>
+          )}
+        </div>
+
+        {activeFilterCount > 0 && (
+          <>
+            <span className="filter-result-count" role="status">
+              {resultCount} of {totalCount}
+            </span>
+            <button type="button" className="filter-clear" onClick={handleClear}>
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {isRangesOpen && (
+        <div className="range-filters" id="strategy-range-filters">
+          {RANGE_FILTERS.map(filter => (
+            <fieldset key={filter.key} className="range-filter">
+              <legend>{filter.label} <span className="range-unit">({filter.unit})</span></legend>
+              <input
+                type="number"
+                inputMode="decimal"
+                value={draft.ranges[filter.key]?.min ?? ''}
+                onChange={(e) => handleRangeChange(filter.key, 'min', e.target.value)}
+                placeholder="Min"
+                aria-label={`Minimum ${filter.label}`}
+              />
+              <span className="range-separator">–</span>
+              <input
+                type="number"
+                inputMode="decimal"
+                value={draft.ranges[filter.key]?.max ?? ''}
+                onChange={(e) => handleRangeChange(filter.key, 'max', e.target.value)}
+                placeholder="Max"
+                aria-label={`Maximum ${filter.label}`}
+              />
+            </fieldset>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StrategyFilterBar;
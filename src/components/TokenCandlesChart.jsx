@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+import { createChart, CandlestickSeries } from 'lightweight-charts';
+import './TradingViewChart.css';
+
+const formatUsd = (price) => {
+  const value = parseFloat(price);
+  return value >= 1 ? `$${value.toFixed(2)}` : `$${value.toPrecision(4)}`;
+};
+
+/**
+ * Daily OHLC candles for a strategy token, as returned by /api/token-price-history
+ * (`{ timestamp, open, high, low, close }`, timestamp in seconds, prices in USD)
+ */
+const TokenCandlesChart = ({ candles = [], height = 320, isDark = false }) => {
+  const chartContainerRef = useRef();
+
+  useEffect(() => {
+    if (!chartContainerRef.current || candles.length === 0) return;
+
+    const chart = createChart(chartContainerRef.current, {
+      layout: {
+        background: { type: 'solid', color: isDark ? '#111827' : 'white' },
+        textColor: isDark ? '#d1d5db' : '#666666',
+      },
+      width: chartContainerRef.current.clientWidth || 600,
+      height,
+      grid: {
+        vertLines: { visible: false },
+        horzLines: { color: isDark ? '#1f2937' : '#f0f0f0', style: 1 },
+      },
+      rightPriceScale: { borderVisible: false },
+      timeScale: { borderVisible: false, timeVisible: false },
+    });
+
+    const series = chart.addSeries(CandlestickSeries, {
+      upColor: '#10b981',
+      downColor: '#ef4444',
+      borderVisible: false,
+      wickUpColor: '#10b981',
+      wickDownColor: '#ef4444',
+      priceFormat: { type: 'custom', formatter: formatUsd },
+    });
+
+    series.setData(candles
+      .filter(candle => candle.timestamp > 0 && candle.close > 0)
+      .map(candle => ({
+        time: candle.timestamp,
+        open: Number(candle.open),
+        high: Number(candle.high),
+        low: Number(candle.low),
+        close: Number(candle.close)
+      }))
+      .sort((a, b) => a.time - b.time));
+    chart.timeScale().fitContent();
+
+    const handleResize = () => {
+      if (chartContainerRef.current) {
+        chart.applyOptions({ width: chartContainerRef.current.clientWidth });
+      }
+    };
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chart.remove();
+    };
+  }, [candles, height, isDark]);
+
+  return (
+    <div className="trading-view-chart-container" style={{ width: '100%', position: 'relative' }}>
+      <div ref={chartContainerRef} style={{ width: '100%', height: `${height}px` }} />
+    </div>
+  );
+};
+
+export default TokenCandlesChart;
@@ -4,11 +4,22 @@ import './TradingViewChart.css';
 import logoImage from '../assets/NFTPriceFloor_logo.png';
 import { posthogService } from '../services/posthogService';
 
+// Series palette, in collection order
+export const SERIES_COLORS = [
+  { line: '#e91e63', top: '#e91e6320', bottom: '#e91e6308' }, // Pink gradient
+  { line: '#9c27b0', top: '#9c27b020', bottom: '#9c27b008' }, // Purple gradient
+  { line: '#673ab7', top: '#673ab720', bottom: '#673ab708' }, // Deep purple gradient
+  { line: '#3f51b5', top: '#3f51b520', bottom: '#3f51b508' }  // Indigo gradient
+];
+
+const formatEth = (price) => `${parseFloat(price).toFixed(2)} ETH`;
+
 const TradingViewChart = ({ 
   collections = [], 
   title = 'Floor Price Chart',
   onRangeChange,
-  height = 400 
+  height = 400,
+  formatValue = formatEth
 }) => {
   const chartContainerRef = useRef();
   const chartRef = useRef();
@@ -22,13 +33,6 @@ const TradingViewChart = ({
     { label: '1Y', days: 365 }
   ];
 
-  const colors = [
-    { line: '#e91e63', top: '#e91e6320', bottom: '#e91e6308' }, // Pink gradient
-    { line: '#9c27b0', top: '#9c27b020', bottom: '#9c27b008' }, // Purple gradient
-    { line: '#673ab7', top: '#673ab720', bottom: '#673ab708' }, // Deep purple gradient
-    { line: '#3f51b5', top: '#3f51b520', bottom: '#3f51b508' }  // Indigo gradient
-  ];
-
   useEffect(() => {
     console.log('📈 TradingViewChart useEffect triggered with collections:', {
       collectionsCount: collections?.length,
@@ -137,7 +141,7 @@ const TradingViewChart = ({
         console.log(`✅ Collection ${index} (${collection.name}) has valid data, creating series...`);
         try {
           // Use v5.0 API with AreaSeries type for gradient fill
-          const colorConfig = colors[index] || colors[0];
+          const colorConfig = SERIES_COLORS[index] || SERIES_COLORS[0];
           const areaSeries = chart.addSeries(AreaSeries, {
             lineColor: colorConfig.line,
             topColor: colorConfig.top,
@@ -223,13 +227,11 @@ const TradingViewChart = ({
           seriesRefs.current[index] = areaSeries;
           console.log(`✅ Successfully set ${chartData.length} data points on series`);
           
-          // Add custom tooltip formatting with 2 decimal places
+          // Add custom tooltip formatting (2 decimal ETH by default)
           areaSeries.applyOptions({
             priceFormat: {
               type: 'custom',
-              formatter: (price) => {
-                return `${parseFloat(price).toFixed(2)} ETH`;
-              },
+              formatter: formatValue,
             },
           });
         }
@@ -280,7 +282,7 @@ const TradingViewChart = ({
     return () => {
       clearTimeout(timer);
     };
-  }, [collections, height]);
+  }, [collections, height, formatValue]);
 
   const handleRangeClick = (range) => {
     const previousRange = selectedRange;
@@ -26,7 +26,7 @@ const baseConfig = {
   app: {
     name: 'NFT Strategy Dashboard',
     version: process.env.npm_package_version || '1.0.0',
-    buildTime: __BUILD_TIME__ || new Date().toISOString(),
+    buildTime: (typeof __BUILD_TIME__ !== 'undefined' && __BUILD_TIME__) || new Date().toISOString(),
     environment
   },
   
@@ -160,7 +160,7 @@ const environments = {
     
     analytics: {
       enabled: true,
-      trackingId: import.meta.env.VITE_POSTHOG_KEY_STAGING,
+      trackingId: import.meta.env?.VITE_POSTHOG_KEY_STAGING,
       sampleRate: 0.5 // 50% sampling in staging
     },
     
@@ -205,7 +205,7 @@ const environments = {
     
     analytics: {
       enabled: true,
-      trackingId: import.meta.env.VITE_POSTHOG_KEY,
+      trackingId: import.meta.env?.VITE_POSTHOG_KEY,
       enableErrorTracking: true,
       enablePerformanceTracking: true,
       sampleRate: 1.0 // 100% sampling in production
@@ -246,6 +246,14 @@ const config = {
   ...environments[environment]
 };
 
+// Server processes (scheduler, scripts) can switch notification delivery per deployment
+if (typeof window === 'undefined' && process.env.ENABLE_NOTIFICATIONS !== undefined) {
+  config.features = {
+    ...config.features,
+    enableNotifications: process.env.ENABLE_NOTIFICATIONS === 'true'
+  };
+}
+
 // Environment-specific API key management
 const getApiKey = (service) => {
   const prefix = environment === 'production' ? 'VITE_' : `VITE_${environment.toUpperCase()}_`;
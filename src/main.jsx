@@ -2,6 +2,8 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App.jsx'
+import MappingReviewView from './components/MappingReviewView.jsx'
+import { ThemeProvider } from './contexts/ThemeContext'
 import './index.css'
 import { posthogService } from './services/posthogService.js'
 
@@ -14,6 +16,7 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       <Route path="/" element={<App />} />
       <Route path="/nftstrategies" element={<App />} />
       <Route path="/nftstrategies/:strategyName" element={<App />} />
+      <Route path="/admin/mappings" element={<ThemeProvider><MappingReviewView /></ThemeProvider>} />
     </Routes>
   </BrowserRouter>
 )
@@ -6,18 +6,48 @@
 import cron from 'node-cron';
 import { getDataSyncService } from '../services/dataSyncService.js';
 import { getDatabase } from '../services/databaseService.js';
+import { getStorage } from '../services/storageBackends.js';
 import { getMarketCapSelectionService } from '../services/marketCapSelectionService.js';
+import { getStrategySnapshotService } from '../services/strategySnapshotService.js';
+import { getTokenPriceSyncService } from '../services/tokenPriceSyncService.js';
+import { getSalesService } from '../services/salesService.js';
+import { getEthPriceSyncService } from '../services/ethPriceSyncService.js';
+import { getNavSyncService } from '../services/navSyncService.js';
+import { getAlertService } from '../services/alertService.js';
+import { getNotificationService } from '../services/notificationService.js';
+import { getGapRepairService } from '../services/gapRepairService.js';
 
 class DailySyncScheduler {
   constructor() {
     this.syncService = getDataSyncService();
     this.db = getDatabase();
+    this.storage = getStorage();
     this.marketCapService = getMarketCapSelectionService();
+    this.snapshotService = getStrategySnapshotService();
+    this.tokenPriceService = getTokenPriceSyncService();
+    this.salesService = getSalesService();
+    this.ethPriceService = getEthPriceSyncService();
+    this.navService = getNavSyncService();
+    this.alertService = getAlertService();
+    this.notificationService = getNotificationService();
+    this.gapRepairService = getGapRepairService();
     this.config = {
       // Run at 2:00 AM daily (when traffic is typically lowest)
       dailySyncTime: '0 2 * * *',
       // Run cleanup weekly on Sundays at 3:00 AM
       weeklyCleanupTime: '0 3 * * 0',
+      // Capture strategy snapshots at the top of every hour
+      strategySnapshotTime: '0 * * * *',
+      // Backfill strategy token candles daily at 2:30 AM
+      tokenPriceSyncTime: '30 2 * * *',
+      // Sync strategy collection sales every 6 hours (15 minutes past)
+      salesSyncTime: '15 */6 * * *',
+      // Store the previous day's ETH/USD close shortly after midnight
+      ethPriceSyncTime: '10 0 * * *',
+      // Store strategy NAV daily at 2:45 AM, after the floor price sync
+      navSyncTime: '45 2 * * *',
+      // Evaluate alert rules hourly, after the strategy snapshot
+      alertEvaluationTime: '5 * * * *',
       // Enable scheduling by default
       enabled: process.env.NODE_ENV !== 'development',
       // Timezone
@@ -30,6 +60,12 @@ class DailySyncScheduler {
     console.log('📅 Daily Sync Scheduler initialized');
     console.log('🕐 Daily sync scheduled for:', this.config.dailySyncTime);
     console.log('🧹 Weekly cleanup scheduled for:', this.config.weeklyCleanupTime);
+    console.log('📸 Strategy snapshots scheduled for:', this.config.strategySnapshotTime);
+    console.log('💹 Token price backfill scheduled for:', this.config.tokenPriceSyncTime);
+    console.log('🧾 Sales sync scheduled for:', this.config.salesSyncTime);
+    console.log('💵 ETH/USD close sync scheduled for:', this.config.ethPriceSyncTime);
+    console.log('🧮 Strategy NAV capture scheduled for:', this.config.navSyncTime);
+    console.log('🔔 Alert evaluation scheduled for:', this.config.alertEvaluationTime);
   }
 
   /**
@@ -63,9 +99,63 @@ class DailySyncScheduler {
         timezone: this.config.timezone
       });
 
+      // Schedule hourly strategy snapshots
+      const strategySnapshotJob = cron.schedule(this.config.strategySnapshotTime, async () => {
+        await this.runStrategySnapshot();
+      }, {
+        scheduled: false,
+        timezone: this.config.timezone
+      });
+
+      // Schedule daily token price backfill
+      const tokenPriceSyncJob = cron.schedule(this.config.tokenPriceSyncTime, async () => {
+        await this.runTokenPriceSync();
+      }, {
+        scheduled: false,
+        timezone: this.config.timezone
+      });
+
+      // Schedule strategy collection sales sync
+      const salesSyncJob = cron.schedule(this.config.salesSyncTime, async () => {
+        await this.runSalesSync();
+      }, {
+        scheduled: false,
+        timezone: this.config.timezone
+      });
+
+      // Schedule daily ETH/USD close sync
+      const ethPriceSyncJob = cron.schedule(this.config.ethPriceSyncTime, async () => {
+        await this.runEthPriceSync();
+      }, {
+        scheduled: false,
+        timezone: this.config.timezone
+      });
+
+      // Schedule daily strategy NAV capture
+      const navSyncJob = cron.schedule(this.config.navSyncTime, async () => {
+        await this.runNavSync();
+      }, {
+        scheduled: false,
+        timezone: this.config.timezone
+      });
+
+      // Schedule hourly alert rule evaluation
+      const alertEvaluationJob = cron.schedule(this.config.alertEvaluationTime, async () => {
+        await this.runAlertEvaluation();
+      }, {
+        scheduled: false,
+        timezone: this.config.timezone
+      });
+
       // Store job references
       this.jobs.set('dailySync', dailySyncJob);
       this.jobs.set('weeklyCleanup', weeklyCleanupJob);
+      this.jobs.set('strategySnapshot', strategySnapshotJob);
+      this.jobs.set('tokenPriceSync', tokenPriceSyncJob);
+      this.jobs.set('salesSync', salesSyncJob);
+      this.jobs.set('ethPriceSync', ethPriceSyncJob);
+      this.jobs.set('navSync', navSyncJob);
+      this.jobs.set('alertEvaluation', alertEvaluationJob);
 
       // Start all jobs
       this.jobs.forEach((job, name) => {
@@ -118,7 +208,7 @@ class DailySyncScheduler {
 
     try {
       // Check if another sync is already running
-      const recentLogs = this.db.getRecentSyncLogs(5);
+      const recentLogs = await this.storage.getRecentSyncLogs(5);
       const runningSyncs = recentLogs.filter(log => 
         log.status === 'started' && 
         log.sync_type === 'daily' &&
@@ -175,6 +265,156 @@ class DailySyncScheduler {
     }
   }
 
+  /**
+   * Execute strategy snapshot job
+   */
+  async runStrategySnapshot() {
+    try {
+      const result = await this.snapshotService.captureSnapshots();
+
+      if (!result.success) {
+        await this.sendNotification('failure', {
+          type: 'strategy_snapshot',
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('💥 Strategy snapshot crashed:', error);
+
+      await this.sendNotification('crash', {
+        type: 'strategy_snapshot',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Execute token price backfill job
+   */
+  async runTokenPriceSync() {
+    try {
+      const result = await this.tokenPriceService.backfillStrategyTokens();
+
+      if (!result.success) {
+        await this.sendNotification('failure', {
+          type: 'token_price_sync',
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('💥 Token price backfill crashed:', error);
+
+      await this.sendNotification('crash', {
+        type: 'token_price_sync',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Execute strategy collection sales sync job
+   */
+  async runSalesSync() {
+    try {
+      const result = await this.salesService.syncStrategySales();
+
+      if (!result.success) {
+        await this.sendNotification('failure', {
+          type: 'sales_sync',
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('💥 Sales sync crashed:', error);
+
+      await this.sendNotification('crash', {
+        type: 'sales_sync',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Execute ETH/USD daily close sync job
+   */
+  async runEthPriceSync() {
+    try {
+      const result = await this.ethPriceService.syncDailyCloses();
+
+      if (!result.success) {
+        await this.sendNotification('failure', {
+          type: 'eth_price_sync',
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('💥 ETH price sync crashed:', error);
+
+      await this.sendNotification('crash', {
+        type: 'eth_price_sync',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Execute daily strategy NAV capture job
+   */
+  async runNavSync() {
+    try {
+      const result = await this.navService.captureDailyNav();
+
+      if (!result.success) {
+        await this.sendNotification('failure', {
+          type: 'nav_sync',
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('💥 NAV capture crashed:', error);
+
+      await this.sendNotification('crash', {
+        type: 'nav_sync',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Execute alert rule evaluation job
+   */
+  async runAlertEvaluation() {
+    try {
+      const result = await this.alertService.evaluateRules();
+
+      if (!result.success) {
+        await this.sendNotification('failure', {
+          type: 'alert_evaluation',
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('💥 Alert evaluation crashed:', error);
+
+      await this.sendNotification('crash', {
+        type: 'alert_evaluation',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Execute weekly cleanup job
    */
@@ -183,17 +423,26 @@ class DailySyncScheduler {
     
     try {
       // Clean old price data (keep 1 year as per methodology)
-      const cleanedRecords = this.db.cleanOldData(365);
+      const cleanedRecords = await this.storage.cleanOldData(365);
+
+      // Backfill days the daily syncs missed (within the repair request budget)
+      const gapRepair = await this.gapRepairService.repair();
+
+      // Clean old strategy snapshots (same 1 year window)
+      const cleanedSnapshots = this.snapshotService.cleanupSnapshots(365);
       
       // Clean old sync logs (keep 30 days)
-      const cleanedLogs = this.syncService.cleanupSyncLogs(30);
+      const cleanedLogs = await this.syncService.cleanupSyncLogs(30);
       
       // Vacuum database
       this.db.vacuum();
       
       console.log(`✅ Weekly cleanup completed:`, {
         cleanedRecords,
+        cleanedSnapshots,
         cleanedLogs,
+        repairedGaps: gapRepair.repaired,
+        repairedDays: gapRepair.inserted,
         vacuumed: true
       });
 
@@ -201,7 +450,13 @@ class DailySyncScheduler {
       await this.sendNotification('success', {
         type: 'weekly_cleanup',
         cleanedRecords,
-        cleanedLogs
+        cleanedSnapshots,
+        cleanedLogs,
+        gapsFound: gapRepair.gaps,
+        gapsRepaired: gapRepair.repaired,
+        gapsFailed: gapRepair.failed,
+        repairedDays: gapRepair.inserted,
+        repairRequestsDeferred: gapRepair.deferred
       });
 
     } catch (error) {
@@ -219,7 +474,7 @@ class DailySyncScheduler {
    */
   async checkAndRunInitialSync() {
     try {
-      const dbStats = this.db.getStats();
+      const dbStats = await this.storage.getStats();
       
       // If database is empty or has very little data, run initial sync
       if (dbStats.totalPriceRecords < 100) {
@@ -254,43 +509,18 @@ class DailySyncScheduler {
   }
 
   /**
-   * Send notification (placeholder for webhook/email integration)
+   * Send notification to the channels configured in the environment
+   * (Discord/Slack/generic webhook, email), logged in `alert_deliveries`
    */
   async sendNotification(type, data) {
-    // This is where you could integrate with:
-    // - Discord webhook
-    // - Slack webhook  
-    // - Email service
-    // - SMS service
-    // - Logging service
-    
-    const notification = {
-      timestamp: new Date().toISOString(),
-      type: type, // 'success', 'failure', 'crash'
-      service: 'nft-floor-compare-sync',
-      ...data
-    };
-
-    // For now, just log to console
-    // In production, you might send this to a webhook or notification service
-    console.log('📢 Notification:', notification);
-
-    // Example webhook integration (uncomment and configure):
-    /*
-    if (process.env.DISCORD_WEBHOOK_URL) {
-      try {
-        await fetch(process.env.DISCORD_WEBHOOK_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            content: `🤖 NFT Floor Compare Sync ${type}: ${JSON.stringify(data, null, 2)}`
-          })
-        });
-      } catch (error) {
-        console.error('Failed to send Discord notification:', error);
-      }
+    try {
+      await this.notificationService.notifySystem(type, {
+        service: 'nft-floor-compare-sync',
+        ...data
+      });
+    } catch (error) {
+      console.error('Failed to send notification:', error);
     }
-    */
   }
 
   /**
@@ -320,6 +550,12 @@ class DailySyncScheduler {
       // This is a simplified version - in production, you might use a library like cron-parser
       status.nextRuns.dailySync = 'Next day at 2:00 AM UTC';
       status.nextRuns.weeklyCleanup = 'Next Sunday at 3:00 AM UTC';
+      status.nextRuns.strategySnapshot = 'Top of the next hour UTC';
+      status.nextRuns.tokenPriceSync = 'Next day at 2:30 AM UTC';
+      status.nextRuns.salesSync = 'Every 6 hours at :15 UTC';
+      status.nextRuns.ethPriceSync = 'Next day at 12:10 AM UTC';
+      status.nextRuns.navSync = 'Next day at 2:45 AM UTC';
+      status.nextRuns.alertEvaluation = 'Every hour at :05 UTC';
       
       dailySyncCron.destroy();
       weeklyCleanupCron.destroy();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest Script
+ * Runs the floor-sweep backtest over local price history for one or more collections
+ *
+ * Usage: npm run backtest -- <slug[,slug...]> [options]
+ */
+
+import { getBacktestService } from '../services/backtestService.js';
+
+const OPTIONS = {
+  '--from': { key: 'startDate' },
+  '--to': { key: 'endDate' },
+  '--initial': { key: 'initialTreasuryEth', number: true },
+  '--inflow': { key: 'dailyInflowEth', number: true },
+  '--threshold': { key: 'thresholdEth', number: true },
+  '--markup': { key: 'markupPct', number: true },
+  '--max-hold': { key: 'maxHoldDays', number: true },
+  '--buys-per-day': { key: 'maxBuysPerDay', number: true }
+};
+
+function parseArgs(argv) {
+  const slugs = [];
+  const options = {};
+  let json = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--json') {
+      json = true;
+    } else if (OPTIONS[arg]) {
+      const { key, number } = OPTIONS[arg];
+      const value = argv[++i];
+      if (value === undefined || (number && isNaN(parseFloat(value)))) {
+        throw new Error(`Invalid value for ${arg}`);
+      }
+      options[key] = number ? parseFloat(value) : value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      slugs.push(...arg.split(',').filter(Boolean));
+    }
+  }
+
+  return { slugs, options, json };
+}
+
+function printUsage() {
+  console.log('Usage: npm run backtest -- <slug[,slug...]> [options]');
+  console.log('\nOptions:');
+  console.log('  --from YYYY-MM-DD        - Start date (default: one year before --to)');
+  console.log('  --to YYYY-MM-DD          - End date (default: today)');
+  console.log('  --initial <eth>          - Starting treasury (default: 0)');
+  console.log('  --inflow <eth>           - Treasury inflow per day (default: 1)');
+  console.log('  --threshold <eth>        - Treasury level that triggers a floor buy (default: the floor)');
+  console.log('  --markup <pct>           - Relist markup over cost (default: 20)');
+  console.log('  --max-hold <days>        - Sell unsold NFTs at the floor after N days (default: hold)');
+  console.log('  --buys-per-day <n>       - Maximum floor buys per day (default: 1)');
+  console.log('  --json                   - Print full results as JSON');
+  console.log('\nExamples:');
+  console.log('  npm run backtest -- cryptopunks --threshold 60 --markup 20');
+  console.log('  npm run backtest -- pudgy-penguins,azuki --from 2025-01-01 --max-hold 90');
+}
+
+const formatPct = (value) => (value === null || value === undefined ? 'N/A' : `${value}%`);
+
+function printResult(result, showTrades) {
+  const { summary } = result;
+
+  console.log(`\n📈 ${result.collectionSlug} (${result.startDate} → ${result.endDate}, ${summary.days} days)`);
+  console.log(`   Buys: ${summary.buys} (${summary.closedTrades} sold, ${summary.openPositions} held)`);
+  console.log(`   Hit rate: ${formatPct(summary.hitRate)}`);
+  console.log(`   Realized profit: ${summary.realizedProfitEth} ETH, unrealized: ${summary.unrealizedProfitEth} ETH`);
+  console.log(`   Final NAV: ${summary.finalNavEth} ETH (treasury ${summary.finalTreasuryEth} ETH, inflow ${summary.totalInflowEth} ETH)`);
+  console.log(`   Return on inflow: ${formatPct(summary.returnOnInflowPct)}`);
+  console.log(`   Max drawdown: ${summary.maxDrawdownPct}%${summary.drawdownPeakDate ? ` (${summary.drawdownPeakDate} → ${summary.drawdownTroughDate})` : ''}`);
+
+  if (showTrades && result.trades.length > 0) {
+    console.log('\n   Trades:');
+    result.trades.forEach(trade => {
+      console.log(`   #${trade.positionId} ${trade.boughtOn} buy ${trade.buyPriceEth} → ${trade.soldOn} sell ${trade.sellPriceEth} (${trade.returnPct >= 0 ? '+' : ''}${trade.returnPct}%, ${trade.holdingDays}d, ${trade.exit})`);
+    });
+  }
+
+  if (showTrades && result.openPositions.length > 0) {
+    console.log('\n   Still held:');
+    result.openPositions.forEach(position => {
+      console.log(`   #${position.positionId} ${position.boughtOn} buy ${position.buyPriceEth}, listed ${position.listPriceEth}, marked ${position.markEth} (${position.holdingDays}d)`);
+    });
+  }
+}
+
+async function runBacktest() {
+  const { slugs, options, json } = parseArgs(process.argv.slice(2));
+
+  if (slugs.length === 0) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const backtestService = getBacktestService();
+  const results = await Promise.all(slugs.map(slug => backtestService.run(slug, options)));
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+    return results;
+  }
+
+  results.forEach((result, index) => {
+    if (result.success) {
+      printResult(result, slugs.length === 1);
+    } else {
+      console.error(`\n❌ ${slugs[index]}: ${result.error}`);
+    }
+  });
+
+  // Side-by-side ranking when comparing candidate collections
+  const ranked = results.filter(result => result.success);
+  if (ranked.length > 1) {
+    ranked.sort((a, b) => (b.summary.returnOnInflowPct ?? -Infinity) - (a.summary.returnOnInflowPct ?? -Infinity));
+
+    console.log('\n🏆 Ranking by return on inflow:');
+    ranked.forEach((result, index) => {
+      const { summary } = result;
+      console.log(`  ${index + 1}. ${result.collectionSlug.padEnd(30)} ${formatPct(summary.returnOnInflowPct).padStart(9)}  hit ${formatPct(summary.hitRate).padStart(7)}  dd ${formatPct(summary.maxDrawdownPct).padStart(7)}  sold ${summary.closedTrades}/${summary.buys}`);
+    });
+  }
+
+  return results;
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBacktest()
+    .then((results) => {
+      process.exit(results.some(result => result.success) ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('Backtest failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default runBacktest;
@@ -24,6 +24,10 @@ async function showDatabaseStatus() {
     console.log(`   Total Collections: ${stats.totalCollections}`);
     console.log(`   Active Collections: ${stats.activeCollections}`);
     console.log(`   Price Records: ${stats.totalPriceRecords.toLocaleString()}`);
+    console.log(`   Strategy Snapshots: ${stats.totalStrategySnapshots.toLocaleString()} (${stats.trackedStrategies} strategies)`);
+    console.log(`   Sales: ${stats.totalSales.toLocaleString()}`);
+    console.log(`   NAV Records: ${stats.totalNavRecords.toLocaleString()}`);
+    console.log(`   Alert Rules: ${stats.activeAlertRules} active (${stats.totalAlertDeliveries.toLocaleString()} deliveries)`);
     console.log(`   Database Size: ${stats.databaseSize} MB`);
     
     if (stats.earliestDate && stats.latestDate) {
@@ -74,7 +78,7 @@ async function showDatabaseStatus() {
 
     // Recent sync activity
     console.log('\n📝 Recent Sync Activity:');
-    const syncStatus = syncService.getSyncStatus();
+    const syncStatus = await syncService.getSyncStatus();
     
     if (syncStatus.lastSync) {
       const lastSync = syncStatus.lastSync;
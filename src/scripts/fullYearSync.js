@@ -4,16 +4,20 @@
  * Full Year Sync Script
  * Implements the complete 1-year methodology for top 250 collections
  * This is designed to run once for initial setup, then daily syncs maintain the data
+ *
+ * Usage: npm run sync:full-year -- [--resume] [--status] [--yes]
  */
 
 import { getDatabase } from '../services/databaseService.js';
+import { getStorage } from '../services/storageBackends.js';
 import { getDataSyncService } from '../services/dataSyncService.js';
 import { getMarketCapSelectionService } from '../services/marketCapSelectionService.js';
-import { rateLimitManager } from '../services/rateLimitManager.js';
+import readline from 'readline';
 
 class FullYearSync {
   constructor() {
     this.db = getDatabase();
+    this.storage = getStorage();
     this.syncService = getDataSyncService();
     this.marketCapService = getMarketCapSelectionService();
     this.config = {
@@ -21,20 +25,22 @@ class FullYearSync {
       daysToSync: 365,          // 1 full year
       batchSize: 5,             // Smaller batches for large historical syncs
       delayBetweenCollections: 3000, // 3 seconds between collections
-      progressReportInterval: 10,    // Report progress every 10 collections
       maxRetriesPerCollection: 5,    // More retries for large sync
     };
   }
 
   /**
    * Execute the full year sync methodology
+   * Every collection is checkpointed in `sync_job_items`, so an interrupted run can
+   * be continued with `resume: true` without redoing the selection or finished collections.
+   * @param {Object} options - `{ resume: boolean }`
    */
-  async execute() {
+  async execute({ resume = false } = {}) {
     console.log('🎯 Full Year Sync - NFT Floor Compare Methodology');
     console.log('=' .repeat(60));
     console.log(`📊 Target: ${this.config.targetCollections} collections`);
     console.log(`📅 Period: ${this.config.daysToSync} days (1 year)`);
-    console.log(`⏱️  Estimated time: 2-4 hours`);
+    console.log(`⏱️  ETA: reported after every batch from the observed throughput`);
     console.log('=' .repeat(60));
     console.log();
 
@@ -42,46 +48,38 @@ class FullYearSync {
     let logId;
 
     try {
-      // Step 1: Perform quarterly market cap selection
-      console.log('🎯 Step 1: Performing market cap selection for top 250 collections...');
-      logId = this.db.startSyncLog('full_year', null);
-      
-      const selectionResult = await this.marketCapService.performQuarterlySelection();
-      if (!selectionResult.success) {
-        throw new Error(`Market cap selection failed: ${selectionResult.error}`);
-      }
-
-      console.log(`✅ Selected ${selectionResult.selected} collections by market cap`);
-      console.log(`💰 Market cap range: $${selectionResult.marketCapRange.min_market_cap.toLocaleString()} - $${selectionResult.marketCapRange.max_market_cap.toLocaleString()}\n`);
+      logId = await this.storage.startSyncLog('full_year', null);
 
-      // Step 2: Get selected top 250 collections
-      const targetCollections = this.db.getCurrentTop250Collections();
-
-      console.log(`🎯 Step 2: Selected top ${targetCollections.length} collections for 1-year sync\n`);
+      const job = resume ? this.resumeJob() : await this.createJob();
+      const daysToSync = job.days_to_sync || this.config.daysToSync;
+      const items = this.db.getSyncJobItems(job.id, { statuses: ['pending', 'failed'] });
 
       // Step 3: Historical data sync with progress tracking
-      console.log(`🔄 Step 3: Syncing ${this.config.daysToSync} days of historical data...`);
-      console.log('⚠️  This will take several hours. Please be patient and keep the process running.\n');
+      console.log(`🔄 Step 3: Syncing ${daysToSync} days of historical data for ${items.length} collections...`);
+      console.log('⚠️  This will take several hours. If it stops, continue with `npm run sync:full-year -- --resume`.\n');
 
-      const results = await this.syncHistoricalDataBatch(targetCollections);
+      const results = await this.syncHistoricalDataBatch(job, items);
+      const progress = this.db.getSyncJobProgress(job.id);
+      this.db.updateSyncJobStatus(job.id, progress.failed > 0 ? 'failed' : 'completed');
 
       // Step 4: Results summary
       const endTime = Date.now();
       const totalDuration = Math.round((endTime - startTime) / 1000);
-      const hours = Math.floor(totalDuration / 3600);
-      const minutes = Math.floor((totalDuration % 3600) / 60);
 
       console.log('\n' + '=' .repeat(60));
-      console.log('🎉 Full Year Sync Complete!');
+      console.log(progress.failed > 0 ? '⚠️  Full Year Sync Finished With Failures' : '🎉 Full Year Sync Complete!');
       console.log('=' .repeat(60));
-      console.log(`⏱️  Total time: ${hours}h ${minutes}m`);
-      console.log(`✅ Successful: ${results.successful}`);
-      console.log(`❌ Failed: ${results.failed}`);
-      console.log(`📊 Total records: ${results.totalRecords.toLocaleString()}`);
+      console.log(`⏱️  This run: ${this.formatDuration(totalDuration * 1000)}`);
+      console.log(`✅ Successful: ${results.successful} this run, ${progress.done}/${progress.total} overall`);
+      console.log(`❌ Failed: ${progress.failed}`);
+      console.log(`📊 Records this run: ${results.totalRecords.toLocaleString()}`);
+      if (progress.failed > 0) {
+        console.log('🔁 Retry the failed collections with: npm run sync:full-year -- --resume');
+      }
       console.log();
 
       // Final database stats
-      const finalStats = this.db.getStats();
+      const finalStats = await this.storage.getStats();
       console.log('📈 Final Database Statistics:');
       console.log(`   Collections: ${finalStats.totalCollections}`);
       console.log(`   Price records: ${finalStats.totalPriceRecords.toLocaleString()}`);
@@ -98,16 +96,18 @@ class FullYearSync {
       console.log();
 
       // Complete sync log
-      this.db.completeSyncLog(logId, 'completed', {
-        processed: targetCollections.length,
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: items.length,
         inserted: results.totalRecords,
         updated: 0,
-        error: results.failed > 0 ? `${results.failed} collections failed` : null
+        error: progress.failed > 0 ? `${progress.failed} collections failed (job ${job.id})` : null
       });
 
       return {
         success: true,
+        jobId: job.id,
         ...results,
+        remainingFailures: progress.failed,
         duration: totalDuration
       };
 
@@ -115,7 +115,7 @@ class FullYearSync {
       console.error('\n💥 Full year sync failed:', error.message);
       
       if (logId) {
-        this.db.completeSyncLog(logId, 'failed', {
+        await this.storage.completeSyncLog(logId, 'failed', {
           error: error.message
         });
       }
@@ -129,53 +129,105 @@ class FullYearSync {
   }
 
   /**
-   * Sync historical data for a batch of collections
+   * Steps 1-2 of a fresh run: market cap selection, then a job with one item per collection
+   * An unfinished earlier job is marked abandoned.
+   */
+  async createJob() {
+    const previous = this.db.getLatestSyncJob('full_year', { unfinishedOnly: true });
+    if (previous) {
+      this.db.updateSyncJobStatus(previous.id, 'abandoned');
+      console.log(`🗑️  Abandoned unfinished full-year sync job ${previous.id} (use --resume to continue a job instead)\n`);
+    }
+
+    // Step 1: Perform quarterly market cap selection
+    console.log('🎯 Step 1: Performing market cap selection for top 250 collections...');
+    const selectionResult = await this.marketCapService.performQuarterlySelection();
+    if (!selectionResult.success) {
+      throw new Error(`Market cap selection failed: ${selectionResult.error}`);
+    }
+
+    console.log(`✅ Selected ${selectionResult.selected} collections by market cap`);
+    console.log(`💰 Market cap range: $${selectionResult.marketCapRange.min_market_cap.toLocaleString()} - $${selectionResult.marketCapRange.max_market_cap.toLocaleString()}\n`);
+
+    // Step 2: Get selected top 250 collections
+    const targetCollections = await this.storage.getCurrentTop250Collections();
+    const jobId = this.db.createSyncJob('full_year', targetCollections.map(collection => collection.slug), {
+      daysToSync: this.config.daysToSync,
+      selectionPeriod: targetCollections[0]?.selection_period || null
+    });
+
+    console.log(`🎯 Step 2: Selected top ${targetCollections.length} collections for 1-year sync (job ${jobId})\n`);
+    return this.db.getSyncJob(jobId);
+  }
+
+  /**
+   * Pick the latest unfinished job back up, keeping its selection and finished collections
    */
-  async syncHistoricalDataBatch(collections) {
+  resumeJob() {
+    const job = this.db.getLatestSyncJob('full_year', { unfinishedOnly: true });
+    if (!job) {
+      throw new Error('No unfinished full-year sync to resume. Run `npm run sync:full-year` to start one.');
+    }
+
+    const interrupted = this.db.resumeSyncJob(job.id);
+    const progress = this.db.getSyncJobProgress(job.id);
+
+    console.log(`⏯️  Resuming full-year sync job ${job.id} (started ${job.created_at}, selection ${job.selection_period || 'n/a'})`);
+    console.log(`   ✅ ${progress.done}/${progress.total} collections done`);
+    console.log(`   🔁 ${progress.failed} failed to retry, ${progress.pending} pending${interrupted > 0 ? ` (${interrupted} interrupted mid-sync)` : ''}\n`);
+
+    return this.db.getSyncJob(job.id);
+  }
+
+  /**
+   * Sync historical data for a job's remaining collections, checkpointing each one
+   */
+  async syncHistoricalDataBatch(job, items) {
     let successful = 0;
     let failed = 0;
     let totalRecords = 0;
+    const runStart = Date.now();
 
-    console.log(`🔄 Processing ${collections.length} collections in batches of ${this.config.batchSize}...\n`);
+    console.log(`🔄 Processing ${items.length} collections in batches of ${this.config.batchSize}...\n`);
 
-    for (let i = 0; i < collections.length; i += this.config.batchSize) {
-      const batch = collections.slice(i, i + this.config.batchSize);
+    for (let i = 0; i < items.length; i += this.config.batchSize) {
+      const batch = items.slice(i, i + this.config.batchSize);
       const batchNumber = Math.floor(i / this.config.batchSize) + 1;
-      const totalBatches = Math.ceil(collections.length / this.config.batchSize);
+      const totalBatches = Math.ceil(items.length / this.config.batchSize);
 
       console.log(`📦 Batch ${batchNumber}/${totalBatches} (${batch.length} collections):`);
 
-      // Process batch with rate limiting
-      const batchPromises = batch.map(async (collection, batchIndex) => {
-        const globalIndex = i + batchIndex;
-        return this.syncSingleCollectionWithRetry(collection, globalIndex + 1, collections.length);
-      });
-
-      const batchResults = await Promise.allSettled(batchPromises);
+      // Requests go through the rate limit manager inside the sync service
+      const batchResults = await Promise.allSettled(
+        batch.map(item => this.syncSingleCollectionWithRetry(job, item.collection_slug))
+      );
 
       // Process batch results
       batchResults.forEach((result, batchIndex) => {
-        const globalIndex = i + batchIndex;
-        const collection = batch[batchIndex];
+        const item = batch[batchIndex];
 
         if (result.status === 'fulfilled' && result.value.success) {
           successful++;
           totalRecords += result.value.records;
-          
-          if ((globalIndex + 1) % this.config.progressReportInterval === 0) {
-            const progress = Math.round(((globalIndex + 1) / collections.length) * 100);
-            console.log(`   📊 Progress: ${progress}% (${globalIndex + 1}/${collections.length})`);
-          }
         } else {
           failed++;
           const error = result.status === 'rejected' ? result.reason : result.value.error;
-          console.log(`   ❌ ${collection.name || collection.slug}: ${error}`);
+          console.log(`   ❌ ${item.collection_slug}: ${error}`);
         }
       });
 
+      const progress = this.db.getSyncJobProgress(job.id);
+      const processed = Math.min(i + this.config.batchSize, items.length);
+      const remaining = items.length - processed;
+      const eta = this.estimateRemainingMs({ processed, remaining, elapsedMs: Date.now() - runStart });
+      console.log(`   📊 Progress: ${Math.round((progress.done / progress.total) * 100)}% (${progress.done}/${progress.total} done, ${progress.failed} failed)`);
+      if (remaining > 0) {
+        console.log(`   ⏱️  ETA: ${this.formatDuration(eta)} for ${remaining} collections (${this.formatThroughput(processed, Date.now() - runStart)})`);
+      }
+
       // Rate limiting delay between batches
-      if (i + this.config.batchSize < collections.length) {
-        const remainingBatches = Math.ceil((collections.length - i - this.config.batchSize) / this.config.batchSize);
+      if (i + this.config.batchSize < items.length) {
+        const remainingBatches = Math.ceil((items.length - i - this.config.batchSize) / this.config.batchSize);
         console.log(`   ⏳ Waiting 5s before next batch (${remainingBatches} batches remaining)...`);
         await this.sleep(5000);
       }
@@ -191,50 +243,55 @@ class FullYearSync {
   }
 
   /**
-   * Sync a single collection with retry logic
+   * Sync a single collection with retry logic, checkpointing every attempt
    */
-  async syncSingleCollectionWithRetry(collection, index, total) {
+  async syncSingleCollectionWithRetry(job, collectionSlug) {
+    const daysToSync = job.days_to_sync || this.config.daysToSync;
+    const startedAt = Date.now();
+    let lastError = 'Unknown error';
+
     for (let attempt = 1; attempt <= this.config.maxRetriesPerCollection; attempt++) {
-      try {
-        // Add to rate limit queue
-        const requestFn = async () => {
-          return await this.syncService.syncCollectionPriceHistory(
-            collection.slug, 
-            this.config.daysToSync
-          );
-        };
+      this.db.startSyncJobItem(job.id, collectionSlug);
 
-        const result = await rateLimitManager.queueRequest(requestFn, 'normal');
+      try {
+        const result = await this.syncService.syncCollectionPriceHistory(collectionSlug, daysToSync);
 
         if (result.success) {
+          this.db.completeSyncJobItem(job.id, collectionSlug, {
+            status: 'done',
+            lastDateFetched: (await this.storage.getLatestPrice(collectionSlug))?.date || null,
+            inserted: result.inserted || 0,
+            durationMs: Date.now() - startedAt
+          });
+
           return {
             success: true,
             records: result.inserted || 0,
-            collection: collection.slug
+            collection: collectionSlug
           };
-        } else {
-          if (attempt === this.config.maxRetriesPerCollection) {
-            return {
-              success: false,
-              error: result.error || 'Unknown error',
-              collection: collection.slug
-            };
-          }
-          // Wait before retry
-          await this.sleep(2000 * attempt);
         }
+        lastError = result.error || 'Unknown error';
       } catch (error) {
-        if (attempt === this.config.maxRetriesPerCollection) {
-          return {
-            success: false,
-            error: error.message,
-            collection: collection.slug
-          };
-        }
+        lastError = error.message;
+      }
+
+      if (attempt < this.config.maxRetriesPerCollection) {
         // Wait before retry
         await this.sleep(2000 * attempt);
       }
     }
+
+    this.db.completeSyncJobItem(job.id, collectionSlug, {
+      status: 'failed',
+      error: lastError,
+      durationMs: Date.now() - startedAt
+    });
+
+    return {
+      success: false,
+      error: lastError,
+      collection: collectionSlug
+    };
   }
 
   /**
@@ -245,16 +302,44 @@ class FullYearSync {
   }
 
   /**
-   * Get estimated completion time
+   * Time left at this run's observed pace (collections per elapsed wall time, batch delays included)
+   */
+  estimateRemainingMs({ processed, remaining, elapsedMs }) {
+    if (processed === 0) {
+      return null;
+    }
+    return Math.round((elapsedMs / processed) * remaining);
+  }
+
+  formatThroughput(processed, elapsedMs) {
+    const perMinute = processed / Math.max(elapsedMs / 60000, 1 / 60);
+    return `${perMinute.toFixed(1)} collections/min`;
+  }
+
+  formatDuration(ms) {
+    if (ms === null || ms === undefined) {
+      return 'unknown';
+    }
+    const totalMinutes = Math.ceil(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  /**
+   * Progress of the latest full-year sync job, or null when none ran yet
    */
-  getEstimatedTime() {
-    // Based on 250 collections, ~3-5 seconds per collection average
-    const avgTimePerCollection = 4000; // 4 seconds average
-    const totalMs = this.config.targetCollections * avgTimePerCollection;
-    const hours = Math.floor(totalMs / (1000 * 60 * 60));
-    const minutes = Math.floor((totalMs % (1000 * 60 * 60)) / (1000 * 60));
-    
-    return `${hours}h ${minutes}m`;
+  getJobStatus() {
+    const job = this.db.getLatestSyncJob('full_year');
+    if (!job) {
+      return null;
+    }
+
+    return {
+      job,
+      progress: this.db.getSyncJobProgress(job.id),
+      failures: this.db.getSyncJobItems(job.id, { statuses: ['failed'] })
+    };
   }
 
   /**
@@ -265,7 +350,7 @@ class FullYearSync {
 
     // Check database
     try {
-      const stats = this.db.getStats();
+      const stats = await this.storage.getStats();
       if (stats.totalCollections === 0) {
         issues.push('No collections in database - will sync collections first');
       }
@@ -274,9 +359,9 @@ class FullYearSync {
     }
 
     // Check API configuration
-    const apiKey = process.env.VITE_RAPIDAPI_KEY;
+    const apiKey = process.env.RAPIDAPI_KEY || process.env.VITE_RAPIDAPI_KEY;
     if (!apiKey) {
-      issues.push('VITE_RAPIDAPI_KEY environment variable not set');
+      issues.push('RAPIDAPI_KEY environment variable not set');
     }
 
     return {
@@ -286,11 +371,42 @@ class FullYearSync {
   }
 }
 
+function printJobStatus(fullSync) {
+  const status = fullSync.getJobStatus();
+  if (!status) {
+    console.log('ℹ️  No full-year sync has run yet');
+    return;
+  }
+
+  const { job, progress, failures } = status;
+  console.log(`📋 Full-year sync job ${job.id}: ${job.status} (${job.runs} run${job.runs === 1 ? '' : 's'})`);
+  console.log(`   Started: ${job.created_at}, last checkpoint: ${job.updated_at}`);
+  console.log(`   Selection: ${job.selection_period || 'n/a'}, ${job.days_to_sync} days`);
+  console.log(`   Done: ${progress.done}/${progress.total}, failed: ${progress.failed}, pending: ${progress.pending + progress.running}`);
+  console.log(`   Records inserted: ${progress.recordsInserted.toLocaleString()}`);
+  failures.forEach(item => {
+    console.log(`   ❌ ${item.collection_slug} (${item.attempts} attempts): ${item.error_message}`);
+  });
+}
+
 /**
  * Run full year sync
  */
-async function runFullYearSync() {
+async function runFullYearSync(argv = process.argv.slice(2)) {
+  const unknown = argv.filter(arg => !['--resume', '--status', '--yes'].includes(arg));
+  if (unknown.length > 0) {
+    console.log(`❌ Unknown option ${unknown[0]}`);
+    console.log('Usage: npm run sync:full-year -- [--resume] [--status] [--yes]');
+    process.exit(1);
+  }
+
   const fullSync = new FullYearSync();
+  const resume = argv.includes('--resume');
+
+  if (argv.includes('--status')) {
+    printJobStatus(fullSync);
+    process.exit(0);
+  }
 
   console.log('🔍 Checking prerequisites...');
   const prereqCheck = await fullSync.checkPrerequisites();
@@ -306,32 +422,45 @@ async function runFullYearSync() {
     process.exit(1);
   }
 
-  console.log(`⏱️  Estimated completion time: ${fullSync.getEstimatedTime()}`);
-  console.log('💡 Tip: This process can be interrupted and resumed by running the command again.');
+  const unfinished = fullSync.db.getLatestSyncJob('full_year', { unfinishedOnly: true });
+  if (!resume && unfinished) {
+    console.log(`💡 Job ${unfinished.id} from ${unfinished.created_at} is unfinished. Starting over abandons it, use --resume to continue it.`);
+  }
+  console.log('💡 Tip: If the sync is interrupted, continue it with `npm run sync:full-year -- --resume`.');
   console.log();
 
   // Ask for confirmation
-  const readline = require('readline').createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+  if (!argv.includes('--yes')) {
+    const prompt = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
 
-  const answer = await new Promise((resolve) => {
-    readline.question('🤔 Are you ready to start the full 1-year sync? (y/N): ', resolve);
-  });
-  readline.close();
+    const answer = await new Promise((resolve) => {
+      prompt.question(`🤔 Are you ready to ${resume ? 'resume' : 'start'} the full 1-year sync? (y/N): `, resolve);
+    });
+    prompt.close();
 
-  if (!answer.toLowerCase().startsWith('y')) {
-    console.log('🛑 Sync cancelled by user');
-    process.exit(0);
+    if (!answer.toLowerCase().startsWith('y')) {
+      console.log('🛑 Sync cancelled by user');
+      process.exit(0);
+    }
   }
 
+  // Collections interrupted mid-sync go back to pending on --resume
+  process.once('SIGINT', () => {
+    console.log('\n🛑 Interrupted. Progress is checkpointed, continue with `npm run sync:full-year -- --resume`');
+    process.exit(130);
+  });
+
   console.log();
-  const result = await fullSync.execute();
+  const result = await fullSync.execute({ resume });
 
   if (result.success) {
-    console.log('🎉 Full year sync completed successfully!');
-    process.exit(0);
+    console.log(result.remainingFailures > 0
+      ? `⚠️  Full year sync finished with ${result.remainingFailures} failed collections.`
+      : '🎉 Full year sync completed successfully!');
+    process.exit(result.remainingFailures > 0 ? 1 : 0);
   } else {
     console.log('💥 Full year sync failed. Check the logs above.');
     process.exit(1);
@@ -6,6 +6,7 @@
  */
 
 import { getDatabase } from '../services/databaseService.js';
+import { getStorage } from '../services/storageBackends.js';
 import { getDataSyncService } from '../services/dataSyncService.js';
 import { getDailySyncScheduler } from '../scheduler/dailySync.js';
 
@@ -86,7 +87,7 @@ async function runInitialSetup() {
       console.log(`\n🔄 Step 4: Syncing ${daysBack} days of historical data for top ${maxCollections} collections...`);
       console.log('⏳ This may take a while. Please be patient...\n');
 
-      const collections = db.getAllCollections().slice(0, maxCollections);
+      const collections = (await getStorage().getAllCollections()).slice(0, maxCollections);
       let completed = 0;
       let errors = 0;
 
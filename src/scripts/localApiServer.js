@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Local API Server
+ * Serves the floor data routes (api/floor/*) and the collection mappings (api/mappings)
+ * from the local SQLite database over HTTP, so dashboards and notebooks can read synced
+ * data without Vercel or RapidAPI quota.
+ * Also mounts the NFTPriceFloor proxy (api/collections/*, needs RAPIDAPI_KEY) and
+ * api/holdings/bulk, which otherwise only exist as serverless routes, for `npm run dev`.
+ *
+ * Usage: npm run api:local [-- --port 3001]
+ */
+
+import http from 'http';
+import historyHandler from '../../api/floor/history.js';
+import compareHandler from '../../api/floor/compare.js';
+import latestHandler from '../../api/floor/latest.js';
+import statsHandler from '../../api/floor/stats.js';
+import mappingsHandler from '../../api/mappings.js';
+import topCollectionsHandler from '../../api/collections/top.js';
+import collectionHandler from '../../api/collections/[slug].js';
+import collectionHistoryHandler from '../../api/collections/[slug]/history.js';
+import holdingsBulkHandler from '../../api/holdings/bulk.js';
+
+const ROUTES = {
+  '/api/floor/history': historyHandler,
+  '/api/floor/compare': compareHandler,
+  '/api/floor/latest': latestHandler,
+  '/api/floor/stats': statsHandler,
+  '/api/mappings': mappingsHandler,
+  '/api/collections/top': topCollectionsHandler,
+  '/api/holdings/bulk': holdingsBulkHandler
+};
+
+// Dynamic segments, matched after ROUTES; captures go into `req.query` like Vercel's [slug] files
+const PATTERN_ROUTES = [
+  { pattern: /^\/api\/collections\/([^/]+)\/history$/, params: ['slug'], handler: collectionHistoryHandler },
+  { pattern: /^\/api\/collections\/([^/]+)$/, params: ['slug'], handler: collectionHandler }
+];
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Read a JSON request body into `req.body` like Vercel does
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        resolve(body);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Add the Vercel helpers the route handlers use (`req.query`, `res.status()`, `res.json()`)
+ */
+function adaptRequest(req, res, url) {
+  req.query = Object.fromEntries(url.searchParams.entries());
+
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+}
+
+/**
+ * Find the handler for a path, adding dynamic segments to `req.query`
+ */
+function resolveRoute(req, pathname) {
+  if (ROUTES[pathname]) {
+    return ROUTES[pathname];
+  }
+
+  for (const { pattern, params, handler } of PATTERN_ROUTES) {
+    const match = pathname.match(pattern);
+    if (match) {
+      params.forEach((name, index) => {
+        req.query[name] = decodeURIComponent(match[index + 1]);
+      });
+      return handler;
+    }
+  }
+
+  return null;
+}
+
+function parsePort(argv) {
+  const index = argv.indexOf('--port');
+  const port = parseInt(index >= 0 ? argv[index + 1] : process.env.LOCAL_API_PORT || '3001');
+  if (isNaN(port) || port < 1 || port > 65535) {
+    throw new Error('Invalid port');
+  }
+  return port;
+}
+
+async function main() {
+  const port = parsePort(process.argv.slice(2));
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    adaptRequest(req, res, url);
+
+    const handler = resolveRoute(req, url.pathname.replace(/\/$/, ''));
+
+    if (!handler) {
+      return res.status(404).json({ error: 'Not found', routes: [...Object.keys(ROUTES), '/api/collections/:slug', '/api/collections/:slug/history'] });
+    }
+
+    try {
+      if (req.method === 'POST') {
+        req.body = await readBody(req);
+      }
+      await handler(req, res);
+    } catch (error) {
+      console.error(`❌ ${req.method} ${url.pathname} failed:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`🏠 Local floor data API listening on http://localhost:${port}`);
+    Object.keys(ROUTES).forEach(route => console.log(`   GET ${route}`));
+    console.log('   GET /api/collections/:slug');
+    console.log('   GET /api/collections/:slug/history');
+    console.log('   POST /api/mappings');
+  });
+
+  const shutdown = () => {
+    console.log('\n👋 Shutting down local API server');
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('💥 Local API server failed to start:', error.message);
+  process.exit(1);
+});
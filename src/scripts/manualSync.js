@@ -8,6 +8,14 @@
 import { getDataSyncService } from '../services/dataSyncService.js';
 import { getDailySyncScheduler } from '../scheduler/dailySync.js';
 import { getMarketCapSelectionService } from '../services/marketCapSelectionService.js';
+import { getStrategySnapshotService } from '../services/strategySnapshotService.js';
+import { getTokenPriceSyncService } from '../services/tokenPriceSyncService.js';
+import { getSalesService } from '../services/salesService.js';
+import { getEthPriceSyncService } from '../services/ethPriceSyncService.js';
+import { getNavSyncService } from '../services/navSyncService.js';
+import { getAlertService } from '../services/alertService.js';
+import { getSlugMappingService } from '../services/slugMappingService.js';
+import { getTrackedCollectionsService } from '../services/trackedCollectionsService.js';
 
 async function runManualSync() {
   console.log('🔧 Starting manual sync...\n');
@@ -47,9 +55,248 @@ async function runManualSync() {
         console.log('Results:', collectionResult);
         break;
 
+      case 'snapshots':
+        console.log('📸 Capturing strategy snapshots...');
+        const snapshotResult = await getStrategySnapshotService().captureSnapshots();
+        console.log('Results:', snapshotResult);
+        break;
+
+      case 'token-prices':
+        const tokenAddress = args[1];
+        const tokenPriceService = getTokenPriceSyncService();
+
+        if (tokenAddress) {
+          console.log(`💹 Syncing token price history for ${tokenAddress}...`);
+          const tokenResult = await tokenPriceService.syncTokenPriceHistory(tokenAddress);
+          console.log('Results:', tokenResult);
+        } else {
+          console.log('💹 Backfilling token price history for all strategy tokens...');
+          const backfillResult = await tokenPriceService.backfillStrategyTokens();
+          console.log('Results:', backfillResult);
+        }
+        break;
+
+      case 'sales':
+        const salesSlug = args[1];
+        const salesService = getSalesService();
+
+        if (salesSlug) {
+          console.log(`🧾 Syncing sales for ${salesSlug}...`);
+          const salesResult = await salesService.syncCollectionSales(salesSlug, args[2] || null);
+          console.log('Results:', salesResult);
+        } else {
+          console.log('🧾 Syncing sales for all strategy collections...');
+          const salesResult = await salesService.syncStrategySales();
+          console.log('Results:', salesResult);
+        }
+        break;
+
+      case 'eth-price':
+        console.log('💵 Syncing ETH/USD daily closes...');
+        const ethPriceResult = await getEthPriceSyncService().syncDailyCloses();
+        console.log('Results:', ethPriceResult);
+        break;
+
+      case 'nav':
+        const navStrategyId = args[1];
+
+        if (navStrategyId) {
+          const navHistory = getNavSyncService().getNavHistory(navStrategyId, parseInt(args[2]) || 30);
+          console.log(`🧮 ${navHistory.length} daily NAV rows for ${navStrategyId}:`);
+          navHistory.forEach(point => {
+            console.log(`  ${point.date}: NAV ${point.navEth ?? 'N/A'} ETH, $${point.navPerTokenUsd ?? 'N/A'}/token, premium ${point.premiumPct ?? 'N/A'}%`);
+          });
+        } else {
+          console.log('🧮 Capturing strategy NAV...');
+          const navResult = await getNavSyncService().captureDailyNav();
+          console.log('Results:', navResult);
+        }
+        break;
+
+      case 'alerts':
+        const alertAction = args[1] || 'list';
+        const alertService = getAlertService();
+
+        switch (alertAction) {
+          case 'list':
+            const rules = alertService.getRules();
+            console.log(`🔔 ${rules.length} alert rules:`);
+            rules.forEach(rule => {
+              console.log(`  #${rule.id} ${rule.enabled ? '●' : '○'} ${rule.name}`);
+              console.log(`      ${rule.metric} of ${rule.target} ${rule.operator} ${rule.threshold} → ${rule.channel} ${rule.destination} (last value ${rule.lastValue ?? 'N/A'}, last triggered ${rule.lastTriggeredAt || 'never'})`);
+            });
+            break;
+          case 'add':
+            const [metric, target, operator, threshold, channel, destination, cooldownMinutes] = args.slice(2);
+            const created = alertService.createRule({ metric, target, operator, threshold, channel, destination, cooldownMinutes });
+            if (!created.success) {
+              console.error(`❌ ${created.error}`);
+              console.log('Usage: npm run sync:manual alerts add <metric> <target> <below|above> <threshold> <channel> <destination> [cooldownMinutes]');
+              process.exit(1);
+            }
+            console.log(`✅ Created alert rule #${created.rule.id}: ${created.rule.name}`);
+            break;
+          case 'remove':
+          case 'enable':
+          case 'disable':
+            const ruleId = parseInt(args[2]);
+            const changed = alertAction === 'remove'
+              ? alertService.deleteRule(ruleId)
+              : alertService.setRuleEnabled(ruleId, alertAction === 'enable');
+            console.log(changed ? `✅ Alert rule #${ruleId} ${alertAction}d` : `⚠️ Alert rule #${args[2]} not found`);
+            break;
+          case 'evaluate':
+            console.log('🔔 Evaluating alert rules...');
+            const evaluation = await alertService.evaluateRules();
+            console.log('Results:', evaluation);
+            break;
+          case 'test':
+            const testResult = await alertService.testRule(parseInt(args[2]));
+            console.log('Result:', testResult);
+            break;
+          case 'deliveries':
+            const deliveries = alertService.getDeliveries({ ruleId: args[2] ? parseInt(args[2]) : null, limit: 20 });
+            console.log(`📬 ${deliveries.length} recent deliveries:`);
+            deliveries.forEach(delivery => {
+              console.log(`  ${delivery.createdAt} ${delivery.status.padEnd(7)} ${delivery.eventType.padEnd(7)} ${delivery.channel} ${delivery.ruleId ? `rule #${delivery.ruleId}` : ''} ${delivery.error || delivery.payload?.title || ''}`);
+            });
+            break;
+          default:
+            console.log('Available alert actions: list, add, remove, enable, disable, evaluate, test, deliveries');
+        }
+        break;
+
+      case 'tracked':
+        const trackedAction = args[1] || 'list';
+        const trackedService = getTrackedCollectionsService();
+
+        switch (trackedAction) {
+          case 'list':
+          case 'pending':
+            const tracked = trackedAction === 'pending' ? await trackedService.getPendingBackfill() : await trackedService.list();
+            console.log(`📌 ${tracked.length} ${trackedAction === 'pending' ? 'collections awaiting backfill' : 'tracked collections'}:`);
+            tracked.forEach(collection => {
+              console.log(`  ${collection.slug.padEnd(40)} ${collection.origins.join(',').padEnd(24)} history ${collection.earliestDate || 'none'} → ${collection.latestDate || 'none'}${collection.backfilledAt ? '' : ' (backfill pending)'}`);
+            });
+            break;
+          case 'add':
+            if (!args[2]) {
+              console.error('❌ Please provide a collection slug');
+              console.log('Usage: npm run sync:manual tracked add <slug> [note]');
+              process.exit(1);
+            }
+            const addedCollection = trackedService.add(args[2], args.slice(3).join(' ') || null);
+            console.log(addedCollection.isNew
+              ? `✅ Tracking ${addedCollection.slug}, its history is backfilled by the next daily sync (or \`tracked backfill\`)`
+              : `✅ ${addedCollection.slug} was already tracked, added the manual origin`);
+            break;
+          case 'remove':
+            const untracked = trackedService.remove(args[2]);
+            console.log(untracked ? `✅ Removed manual tracking of ${args[2]}` : `⚠️ ${args[2]} is not tracked manually`);
+            break;
+          case 'refresh':
+            console.log('📌 Refreshing tracked collections from the top 250 and live strategies...');
+            const refreshed = await trackedService.refresh();
+            console.log('Results:', refreshed);
+            break;
+          case 'backfill':
+            console.log('📥 Backfilling newly tracked collections...');
+            const backfilled = await syncService.backfillTrackedCollections();
+            console.log('Results:', backfilled);
+            break;
+          default:
+            console.log('Available tracked actions: list, pending, add, remove, refresh, backfill');
+        }
+        break;
+
+      case 'mappings':
+        const mappingAction = args[1] || 'review';
+        const slugMappingService = getSlugMappingService();
+        const printMapping = (mapping) => {
+          console.log(`  #${mapping.id} [${mapping.provenance}] "${mapping.name}" → ${mapping.nftpfSlug || '(no slug)'}${mapping.matchedVia ? ` via "${mapping.matchedVia}"` : ''}`);
+          console.log(`      contract ${mapping.contractAddress || 'N/A'}, OpenSea ${mapping.openSeaSlug || 'N/A'}, seen ${mapping.seenCount}x${mapping.reviewedAt ? `, reviewed ${mapping.reviewedAt}` : ''}`);
+        };
+
+        switch (mappingAction) {
+          case 'list':
+            const mappings = slugMappingService.list({ provenance: args[2] || null });
+            console.log(`🗺️  ${mappings.length} collection mappings:`);
+            mappings.forEach(printMapping);
+            break;
+          case 'review':
+            const queue = slugMappingService.getReviewQueue();
+            console.log(`🔍 ${queue.length} mappings awaiting review:`);
+            queue.forEach(printMapping);
+            if (queue.length > 0) {
+              console.log('\nConfirm with `mappings confirm <id>` or fix with `mappings set <id> <nftpfSlug>`');
+            }
+            break;
+          case 'confirm':
+            printMapping(slugMappingService.confirm(parseInt(args[2])));
+            console.log(`✅ Mapping #${args[2]} confirmed`);
+            break;
+          case 'set':
+            const [mappingId, nftpfSlug, openSeaSlug, contractAddress] = args.slice(2);
+            if (!mappingId || !nftpfSlug) {
+              console.error('❌ Please provide a mapping id and an NFTPriceFloor slug');
+              console.log('Usage: npm run sync:manual mappings set <id> <nftpfSlug> [openSeaSlug] [contractAddress]');
+              process.exit(1);
+            }
+            printMapping(slugMappingService.correct(parseInt(mappingId), { nftpfSlug, openSeaSlug, contractAddress }));
+            console.log(`✅ Mapping #${mappingId} corrected`);
+            break;
+          case 'add':
+            const [mappingName, addSlug, addContract, addOpenSeaSlug] = args.slice(2);
+            if (!mappingName || !addSlug) {
+              console.error('❌ Please provide a collection name and an NFTPriceFloor slug');
+              console.log('Usage: npm run sync:manual mappings add "<name>" <nftpfSlug> [contractAddress] [openSeaSlug]');
+              process.exit(1);
+            }
+            printMapping(slugMappingService.add(mappingName, { nftpfSlug: addSlug, contractAddress: addContract, openSeaSlug: addOpenSeaSlug }));
+            console.log('✅ Mapping added');
+            break;
+          case 'remove':
+            const removed = slugMappingService.remove(parseInt(args[2]));
+            console.log(removed ? `✅ Mapping #${args[2]} removed` : `⚠️ Mapping #${args[2]} not found`);
+            break;
+          case 'resolve':
+            const lookup = args.slice(2).join(' ');
+            const resolved = slugMappingService.resolve(/^0x[a-fA-F0-9]{40}$/.test(lookup) ? { contractAddress: lookup } : { name: lookup });
+            console.log(`🔎 "${lookup}" → ${resolved.slug || 'no mapping'} (${resolved.provenance || 'unresolved'})`);
+            break;
+          case 'seed':
+            const seeded = slugMappingService.seed();
+            console.log(`🌱 Wrote ${seeded.seeded} built-in mappings (reviewed mappings were kept)`);
+            console.log('Stats:', slugMappingService.getStats());
+            break;
+          default:
+            console.log('Available mapping actions: list, review, confirm, set, add, remove, resolve, seed');
+        }
+        break;
+
+      case 'strategy-history':
+        const strategyId = args[1];
+        const historyDays = parseInt(args[2]) || 30;
+
+        if (!strategyId) {
+          console.error('❌ Please provide a strategy id');
+          console.log('Usage: npm run sync:manual strategy-history <strategyId> [days]');
+          process.exit(1);
+        }
+
+        const strategyHistory = getStrategySnapshotService().getStrategyHistory(strategyId, {
+          startDate: new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000).toISOString(),
+          granularity: 'daily'
+        });
+        console.log(`📈 ${strategyHistory.length} daily snapshots for ${strategyId}:`);
+        strategyHistory.forEach(point => {
+          console.log(`  ${point.snapshotAt.split('T')[0]}: price $${point.priceUsd ?? 'N/A'}, mcap $${(point.marketCapUsd || 0).toLocaleString()}, holdings ${point.holdingsCount ?? 'N/A'}`);
+        });
+        break;
+
       case 'status':
         console.log('📊 Getting sync status...');
-        const status = syncService.getSyncStatus();
+        const status = await syncService.getSyncStatus();
         console.log('Status:', JSON.stringify(status, null, 2));
         break;
 
@@ -90,7 +337,7 @@ async function runManualSync() {
         switch (selectionAction) {
           case 'check':
             console.log('🔍 Checking if quarterly selection update is needed...');
-            const needsUpdate = marketCapService.needsNewSelection();
+            const needsUpdate = await marketCapService.needsNewSelection();
             console.log('Result:', needsUpdate);
             break;
           case 'update':
@@ -100,17 +347,17 @@ async function runManualSync() {
             break;
           case 'status':
             console.log('📊 Getting active selection status...');
-            const selectionInfo = marketCapService.getActiveSelectionInfo();
+            const selectionInfo = await marketCapService.getActiveSelectionInfo();
             console.log('Active Selection:', JSON.stringify(selectionInfo, null, 2));
             break;
           case 'history':
             console.log('📚 Getting selection history...');
-            const history = marketCapService.getSelectionHistory();
+            const history = await marketCapService.getSelectionHistory();
             console.log('Selection History:', JSON.stringify(history, null, 2));
             break;
           case 'collections':
             console.log('🏆 Getting current top 250 collections...');
-            const top250 = marketCapService.getCurrentTop250Collections();
+            const top250 = await marketCapService.getCurrentTop250Collections();
             console.log(`Current Top 250: ${top250.length} collections`);
             top250.slice(0, 10).forEach((col, i) => {
               console.log(`  ${i + 1}. ${col.name}: $${(col.market_cap || 0).toLocaleString()} (Rank ${col.market_cap_rank})`);
@@ -130,6 +377,15 @@ async function runManualSync() {
         console.log('  daily                    - Run full daily sync');
         console.log('  collections              - Sync collections list only');
         console.log('  collection <slug> [days] - Sync specific collection');
+        console.log('  snapshots                - Capture strategy snapshots now');
+        console.log('  strategy-history <id> [days] - Show daily strategy snapshots');
+        console.log('  token-prices [address]   - Backfill strategy token candles');
+        console.log('  sales [slug] [contract]  - Sync marketplace sales for strategy collections');
+        console.log('  eth-price                - Sync ETH/USD daily closes');
+        console.log('  nav [id] [days]          - Capture strategy NAV now, or show a strategy\'s NAV history');
+        console.log('  alerts <action>          - Manage alert rules (list/add/remove/enable/disable/evaluate/test/deliveries)');
+        console.log('  tracked <action>         - Collections the daily sync always covers (list/pending/add/remove/refresh/backfill)');
+        console.log('  mappings <action>        - Review strategy collection → NFTPriceFloor slug mappings');
         console.log('  status                   - Show sync status');
         console.log('  selection <action>       - Manage quarterly market cap selections');
         console.log('  scheduler <action>       - Control scheduler (start/stop/status/run/cleanup)');
@@ -139,12 +395,39 @@ async function runManualSync() {
         console.log('  status                   - Show active selection period');
         console.log('  history                  - Show selection history');
         console.log('  collections              - List current top 250 collections');
+        console.log('\nAlert actions:');
+        console.log('  list                     - List alert rules');
+        console.log('  add <metric> <target> <below|above> <threshold> <channel> <destination> [cooldownMinutes]');
+        console.log('  remove|enable|disable <id> - Change a rule');
+        console.log('  evaluate                 - Evaluate enabled rules now');
+        console.log('  test <id>                - Send a test message through a rule\'s channel');
+        console.log('  deliveries [id]          - Show recent notification deliveries');
+        console.log('\nTracked actions:');
+        console.log('  list                     - List tracked collections with their origins (top_250, strategy, manual)');
+        console.log('  pending                  - List collections awaiting their history backfill');
+        console.log('  add <slug> [note]        - Track a collection by hand');
+        console.log('  remove <slug>            - Drop a manually tracked collection');
+        console.log('  refresh                  - Re-read the top 250 and the live strategies list');
+        console.log('  backfill                 - Backfill newly tracked collections now');
+        console.log('\nMapping actions:');
+        console.log('  review                   - List fuzzy/generated matches and names without a slug');
+        console.log('  list [provenance]        - List mappings (direct, fuzzy, generated, manual)');
+        console.log('  confirm <id>             - Accept a mapping as is');
+        console.log('  set <id> <nftpfSlug> [openSeaSlug] [contract] - Correct a mapping');
+        console.log('  add "<name>" <nftpfSlug> [contract] [openSeaSlug] - Add a manual mapping');
+        console.log('  remove <id>              - Delete a mapping');
+        console.log('  resolve <name|0xcontract> - Resolve a collection like the NAV sync does');
+        console.log('  seed                     - Re-import the built-in mapping tables');
         console.log('\nExamples:');
         console.log('  npm run sync:manual daily');
         console.log('  npm run sync:manual collection cryptopunks 30');
+        console.log('  npm run sync:manual snapshots');
         console.log('  npm run sync:manual selection check');
         console.log('  npm run sync:manual selection update');
         console.log('  npm run sync:manual scheduler status');
+        console.log('  npm run sync:manual tracked add milady');
+        console.log('  npm run sync:manual mappings set 42 proof-moonbirds');
+        console.log('  npm run sync:manual alerts add floor_price_eth cryptopunks below 40 discord https://discord.com/api/webhooks/...');
         break;
     }
 
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script
+ * Applies or rolls back the numbered schema migrations in database/migrations, or in
+ * database/postgres/migrations when DATABASE_URL points at PostgreSQL
+ *
+ * Usage:
+ *   npm run db:migrate [-- --to <version>] [-- --status]
+ *   npm run db:rollback [-- --to <version>]
+ */
+
+import DatabaseService from '../services/databaseService.js';
+import { createStorage, usesPostgres } from '../services/storageBackends.js';
+
+function parseArgs(argv) {
+  const [action, ...rest] = argv;
+  const options = { action, to: null, status: false };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--status') {
+      options.status = true;
+    } else if (arg === '--to') {
+      const value = parseInt(rest[++i]);
+      if (isNaN(value) || value < 0) {
+        throw new Error('Invalid value for --to');
+      }
+      options.to = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!['up', 'down'].includes(action)) {
+    throw new Error('Action must be up or down');
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  npm run db:migrate                  - Apply every pending migration');
+  console.log('  npm run db:migrate -- --to <n>      - Apply pending migrations up to version n');
+  console.log('  npm run db:migrate -- --status      - List migrations and their state');
+  console.log('  npm run db:rollback                 - Roll back the latest migration');
+  console.log('  npm run db:rollback -- --to <n>     - Roll back every migration above version n');
+}
+
+async function printStatus(migrations) {
+  console.log(`📋 Schema version ${await migrations.getCurrentVersion()} (latest ${migrations.getLatestVersion()})\n`);
+  (await migrations.getStatus()).forEach(migration => {
+    const icon = { applied: '✅', pending: '⏳', modified: '⚠️ ', unknown: '❓' }[migration.status];
+    const detail = migration.appliedAt ? ` (applied ${migration.appliedAt})` : '';
+    console.log(`   ${icon} ${String(migration.version).padStart(3, '0')} ${migration.name} - ${migration.status}${detail}`);
+  });
+}
+
+/**
+ * The configured backend, opened without migrating (the compatibility check still runs)
+ * Both expose `migrations` and `close()`.
+ */
+function openDatabase() {
+  if (usesPostgres()) {
+    console.log('🐘 Migrating the PostgreSQL database from DATABASE_URL\n');
+    return createStorage('postgres', { connectionString: process.env.DATABASE_URL, autoMigrate: false });
+  }
+  return new DatabaseService({ autoMigrate: false });
+}
+
+async function run(migrations, options) {
+  if (options.status) {
+    await printStatus(migrations);
+    return;
+  }
+
+  if (options.action === 'up') {
+    const applied = await migrations.migrate({ to: options.to });
+    console.log(applied.length > 0
+      ? `\n✅ Applied ${applied.length} migrations, schema at version ${await migrations.getCurrentVersion()}`
+      : `\n✅ Nothing to migrate, schema at version ${await migrations.getCurrentVersion()}`);
+    return;
+  }
+
+  const rolledBack = await migrations.rollback({ to: options.to });
+  console.log(rolledBack.length > 0
+    ? `\n✅ Rolled back ${rolledBack.length} migrations, schema at version ${await migrations.getCurrentVersion()}`
+    : `\n✅ Nothing to roll back, schema at version ${await migrations.getCurrentVersion()}`);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printUsage();
+    process.exit(1);
+  }
+
+  const database = openDatabase();
+  try {
+    await run(database.migrations, options);
+  } finally {
+    await database.close();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Gap Repair Script
+ * Finds days missing from the stored price history and refetches them
+ *
+ * Usage: npm run sync:repair -- [slug[,slug...]] [options]
+ */
+
+import { getGapRepairService } from '../services/gapRepairService.js';
+
+function parseArgs(argv) {
+  const slugs = [];
+  const options = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--budget') {
+      const value = parseInt(argv[++i]);
+      if (isNaN(value) || value < 1) {
+        throw new Error('Invalid value for --budget');
+      }
+      options.budget = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      slugs.push(...arg.split(',').filter(Boolean));
+    }
+  }
+
+  if (slugs.length > 0) {
+    options.slugs = slugs;
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('Usage: npm run sync:repair -- [slug[,slug...]] [options]');
+  console.log('\nOptions:');
+  console.log('  --dry-run                - List the gaps and the requests a repair would make');
+  console.log('  --budget <n>             - Maximum API requests for this run (default: 50)');
+  console.log('\nExamples:');
+  console.log('  npm run sync:repair -- --dry-run');
+  console.log('  npm run sync:repair -- pudgy-penguins,azuki --budget 10');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printUsage();
+    process.exit(1);
+  }
+
+  const result = await getGapRepairService().repair(options);
+
+  if (result.gaps === 0) {
+    console.log('\n✅ No gaps in the stored price history');
+    process.exit(0);
+  }
+
+  console.log(`\n${result.dryRun ? '📋 Would fetch' : '🩹 Fetched'} ${result.requests} ranges:`);
+  result.results.forEach(request => {
+    const status = result.dryRun ? '' : request.success ? ` ✅ ${request.inserted} inserted` : ` ❌ ${request.error}`;
+    console.log(`   ${request.slug}: ${request.startDate} → ${request.endDate} (${request.days} days)${status}`);
+  });
+
+  if (result.deferred > 0) {
+    console.log(`\n⏳ ${result.deferred} more requests exceed the budget and wait for the next run`);
+  }
+  if (!result.dryRun) {
+    console.log(`\n📊 ${result.repaired} repaired, ${result.failed} failed, ${result.inserted} days inserted, ${result.unavailable} days unavailable`);
+  }
+
+  process.exit(result.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Gap repair failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,341 @@
+/**
+ * Alert Service
+ * User-defined alert rules evaluated against the synced data in the local
+ * database, delivered through the notification service.
+ *
+ * Metrics (the rule target is a strategy id unless noted):
+ * - `token_price_change_24h` - strategy token 24h change in %, latest hourly snapshot
+ * - `token_price_usd`        - strategy token price, latest hourly snapshot
+ * - `floor_price_eth`        - collection floor, latest `price_history` row (target = collection slug)
+ * - `nav_premium_pct`        - token price premium to NAV in %, latest stored NAV
+ * - `nav_discount_pct`       - token price discount to NAV in % (negated premium)
+ *
+ * A rule fires when the value crosses its threshold ('below' or 'above') and
+ * then stays quiet for `cooldown_minutes` so a persisting condition isn't re-sent every run.
+ * Values older than their metric's `maxAgeHours` count as missing, so a stalled sync
+ * doesn't keep re-firing a rule on the same stale value.
+ */
+
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+import { getNotificationService } from './notificationService.js';
+import { NOTIFICATION_CHANNELS } from './notificationChannels.js';
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'https://nftstrategy.fun';
+
+// maxAgeHours: hourly snapshots allow one missed run, daily rows (dated at midnight UTC) one missed day
+export const ALERT_METRICS = {
+  token_price_change_24h: { label: '24h token price change', unit: '%', target: 'strategy', maxAgeHours: 2 },
+  token_price_usd: { label: 'Token price', unit: 'USD', target: 'strategy', maxAgeHours: 2 },
+  floor_price_eth: { label: 'Floor price', unit: 'ETH', target: 'collection', maxAgeHours: 48 },
+  nav_premium_pct: { label: 'Premium to NAV', unit: '%', target: 'strategy', maxAgeHours: 48 },
+  nav_discount_pct: { label: 'Discount to NAV', unit: '%', target: 'strategy', maxAgeHours: 48 }
+};
+
+/**
+ * Parse a stored date ('YYYY-MM-DD'), ISO timestamp or SQLite 'YYYY-MM-DD HH:MM:SS' (UTC)
+ * @returns {number} Epoch ms, NaN when unparseable
+ */
+const parseObservedAt = (observedAt) => {
+  const value = String(observedAt || '');
+  return Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+};
+
+export const ALERT_OPERATORS = ['below', 'above'];
+
+class AlertService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.notificationService = getNotificationService();
+    this.defaults = {
+      cooldownMinutes: 360   // 6 hours between two deliveries of the same rule
+    };
+  }
+
+  /**
+   * Validate and store a new rule
+   * @param {Object} rule - `{ name, metric, target, operator, threshold, channel, destination, cooldownMinutes, enabled }`
+   * @returns {{success: boolean, rule?: Object, error?: string}}
+   */
+  createRule(rule) {
+    const error = this.validateRule(rule);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const metric = ALERT_METRICS[rule.metric];
+    const normalized = {
+      name: rule.name || `${metric.label} of ${rule.target} ${rule.operator} ${rule.threshold} ${metric.unit}`,
+      metric: rule.metric,
+      target: rule.target,
+      operator: rule.operator,
+      threshold: parseFloat(rule.threshold),
+      channel: rule.channel,
+      destination: rule.destination,
+      cooldownMinutes: rule.cooldownMinutes !== undefined ? parseInt(rule.cooldownMinutes) : this.defaults.cooldownMinutes,
+      enabled: rule.enabled !== false
+    };
+
+    const id = this.db.insertAlertRule(normalized);
+    return { success: true, rule: this.transformRowToRule(this.db.getAlertRule(id)) };
+  }
+
+  validateRule(rule) {
+    if (!rule || !ALERT_METRICS[rule.metric]) {
+      return `metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`;
+    }
+    if (!rule.target || !/^[\w.-]{1,100}$/.test(rule.target)) {
+      return 'target must be a strategy id or collection slug';
+    }
+    if (!ALERT_OPERATORS.includes(rule.operator)) {
+      return `operator must be one of: ${ALERT_OPERATORS.join(', ')}`;
+    }
+    if (rule.threshold === undefined || rule.threshold === null || isNaN(parseFloat(rule.threshold))) {
+      return 'threshold must be a number';
+    }
+    if (!NOTIFICATION_CHANNELS.includes(rule.channel)) {
+      return `channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+    }
+    if (rule.channel === 'email' ? !/^[^\s@]+@[^\s@]+$/.test(rule.destination || '') : !/^https?:\/\//.test(rule.destination || '')) {
+      return rule.channel === 'email' ? 'destination must be an email address' : 'destination must be an http(s) URL';
+    }
+    if (rule.cooldownMinutes !== undefined && !(parseInt(rule.cooldownMinutes) >= 0)) {
+      return 'cooldownMinutes must be a non-negative integer';
+    }
+    return null;
+  }
+
+  getRules(options = {}) {
+    return this.db.getAlertRules(options).map(this.transformRowToRule);
+  }
+
+  getRule(id) {
+    const row = this.db.getAlertRule(id);
+    return row ? this.transformRowToRule(row) : null;
+  }
+
+  setRuleEnabled(id, enabled) {
+    return this.db.setAlertRuleEnabled(id, enabled);
+  }
+
+  deleteRule(id) {
+    return this.db.deleteAlertRule(id);
+  }
+
+  getDeliveries(options = {}) {
+    return this.db.getAlertDeliveries(options).map(row => ({
+      id: row.id,
+      ruleId: row.rule_id,
+      eventType: row.event_type,
+      channel: row.channel,
+      destination: row.destination,
+      status: row.status,
+      payload: row.payload ? JSON.parse(row.payload) : null,
+      error: row.error_message,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Evaluate every enabled rule against the latest synced data (scheduled hourly)
+   */
+  async evaluateRules() {
+    const logId = await this.storage.startSyncLog('alerts');
+    const startTime = Date.now();
+
+    try {
+      const rules = this.getRules({ enabledOnly: true });
+      const values = await this.loadMetricValues(rules);
+      let triggered = 0;
+      let delivered = 0;
+      let missing = 0;
+
+      for (const rule of rules) {
+        const current = this.getMetricValue(values, rule);
+        if (current === null) {
+          missing++;
+          continue;
+        }
+
+        const fires = this.matches(rule, current.value) && !this.inCooldown(rule);
+        let sent = false;
+
+        if (fires) {
+          triggered++;
+          const result = await this.notificationService.notify({
+            channel: rule.channel,
+            destination: rule.destination,
+            message: this.formatAlertMessage(rule, current),
+            eventType: 'alert',
+            ruleId: rule.id
+          });
+          sent = result.success;
+          if (sent) {
+            delivered++;
+          }
+        }
+
+        // Only a delivered alert starts the cooldown, failed ones retry next run
+        this.db.updateAlertRuleEvaluation(rule.id, current.value, sent);
+      }
+
+      console.log(`🔔 Evaluated ${rules.length} alert rules: ${triggered} triggered, ${delivered} delivered`);
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: rules.length,
+        inserted: delivered,
+        error: missing > 0 ? `${missing} rules without recent data` : null
+      });
+
+      return { success: true, evaluated: rules.length, triggered, delivered, missing, duration: Date.now() - startTime };
+    } catch (error) {
+      console.error('❌ Alert evaluation failed:', error);
+      await this.storage.completeSyncLog(logId, 'failed', { error: error.message });
+
+      return { success: false, error: error.message, duration: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Send a test message through a rule's channel, ignoring threshold and cooldown
+   */
+  async testRule(id) {
+    const rule = this.getRule(id);
+    if (!rule) {
+      return { success: false, error: `Alert rule ${id} not found` };
+    }
+
+    const current = this.getMetricValue(await this.loadMetricValues([rule]), rule);
+    return this.notificationService.notify({
+      channel: rule.channel,
+      destination: rule.destination,
+      message: { ...this.formatAlertMessage(rule, current), title: `[Test] ${rule.name}`, severity: 'info' },
+      eventType: 'test',
+      ruleId: rule.id
+    });
+  }
+
+  /**
+   * Latest stored values for every metric source
+   * Floors come from the storage backend, only for the collections the rules target.
+   */
+  async loadMetricValues(rules) {
+    const floorTargets = [...new Set(rules.filter(rule => rule.metric === 'floor_price_eth').map(rule => rule.target))];
+    const floors = await Promise.all(floorTargets.map(async slug => [slug, (await this.storage.getLatestPrice(slug)) || null]));
+
+    return {
+      snapshots: new Map(this.db.getLatestStrategySnapshots().map(row => [row.strategy_id, row])),
+      navs: new Map(this.db.getLatestStrategyNavs().map(row => [row.strategy_id, row])),
+      floors: new Map(floors)
+    };
+  }
+
+  /**
+   * @returns {{value: number, name: string, observedAt: string}|null} null when the target has no data
+   *   or it is older than the metric's maxAgeHours
+   */
+  getMetricValue(values, rule) {
+    const maxAgeMs = (ALERT_METRICS[rule.metric]?.maxAgeHours ?? Infinity) * 60 * 60 * 1000;
+    const pick = (row, value, name, observedAt) => {
+      if (!row || value === null || value === undefined) {
+        return null;
+      }
+      const observedTime = parseObservedAt(observedAt);
+      if (!Number.isFinite(observedTime) || Date.now() - observedTime > maxAgeMs) {
+        return null;
+      }
+      return { value, name: name || rule.target, observedAt };
+    };
+
+    switch (rule.metric) {
+      case 'token_price_change_24h':
+      case 'token_price_usd': {
+        const snapshot = values.snapshots.get(rule.target);
+        const value = rule.metric === 'token_price_usd' ? snapshot?.price_usd : snapshot?.price_change_24h;
+        return pick(snapshot, value, snapshot?.strategy_name, snapshot?.snapshot_at);
+      }
+      case 'floor_price_eth': {
+        const price = values.floors.get(rule.target);
+        return pick(price, price?.floor_eth, price?.collection_slug, price?.date);
+      }
+      case 'nav_premium_pct':
+      case 'nav_discount_pct': {
+        const nav = values.navs.get(rule.target);
+        const premium = nav?.premium_pct;
+        const value = premium === null || premium === undefined ? null : rule.metric === 'nav_discount_pct' ? -premium : premium;
+        return pick(nav, value, nav?.strategy_name, nav?.date);
+      }
+      default:
+        return null;
+    }
+  }
+
+  matches(rule, value) {
+    return rule.operator === 'below' ? value < rule.threshold : value > rule.threshold;
+  }
+
+  inCooldown(rule) {
+    if (!rule.lastTriggeredAt) {
+      return false;
+    }
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+    const lastTriggered = Date.parse(`${rule.lastTriggeredAt.replace(' ', 'T')}Z`);
+    return Date.now() - lastTriggered < rule.cooldownMinutes * 60 * 1000;
+  }
+
+  formatAlertMessage(rule, current) {
+    const metric = ALERT_METRICS[rule.metric];
+    const format = (value) => (value === null || value === undefined ? 'N/A' : `${Math.round(value * 10000) / 10000} ${metric.unit}`);
+
+    return {
+      title: rule.name,
+      text: current
+        ? `${metric.label} of ${current.name} is ${format(current.value)}, ${rule.operator} the ${format(rule.threshold)} threshold.`
+        : `No recent data for ${rule.target}.`,
+      fields: [
+        { name: 'Metric', value: metric.label },
+        { name: 'Target', value: rule.target },
+        { name: 'Current', value: format(current?.value) },
+        { name: 'Threshold', value: `${rule.operator} ${format(rule.threshold)}` },
+        { name: 'As of', value: current?.observedAt || 'N/A' }
+      ],
+      severity: 'warning',
+      url: DASHBOARD_URL
+    };
+  }
+
+  /**
+   * Transform database row to rule format
+   */
+  transformRowToRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      metric: row.metric,
+      target: row.target,
+      operator: row.operator,
+      threshold: row.threshold,
+      channel: row.channel,
+      destination: row.destination,
+      cooldownMinutes: row.cooldown_minutes,
+      enabled: row.enabled === 1,
+      lastValue: row.last_value,
+      lastEvaluatedAt: row.last_evaluated_at,
+      lastTriggeredAt: row.last_triggered_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Create singleton instance
+let alertInstance = null;
+
+export const getAlertService = () => {
+  if (!alertInstance) {
+    alertInstance = new AlertService();
+  }
+  return alertInstance;
+};
+
+export default AlertService;
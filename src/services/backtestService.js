@@ -0,0 +1,220 @@
+/**
+ * Backtest Service
+ * Replays a floor-sweep strategy over the daily floors stored in `price_history`:
+ * the treasury accrues a fixed ETH inflow per day, buys the floor NFT once it
+ * crosses a threshold and relists each purchase at a markup. Used to judge
+ * which collections would suit a new strategy before it launches.
+ */
+
+import { getStorage } from './storageBackends.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const round = (value, decimals = 6) =>
+  value === null || value === undefined || isNaN(value) ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class BacktestService {
+  constructor() {
+    this.storage = getStorage();
+    this.defaults = {
+      initialTreasuryEth: 0,   // Treasury at the start of the range
+      dailyInflowEth: 1,       // Trading fees reaching the treasury per day
+      thresholdEth: null,      // Buy once the treasury reaches this (null = as soon as it covers the floor)
+      markupPct: 20,           // Relist each purchase at cost + markup
+      maxHoldDays: null,       // Sell unsold NFTs at the floor after this many days (null = hold)
+      maxBuysPerDay: 1         // One sweep per day, like the live strategies
+    };
+  }
+
+  /**
+   * Backtest a collection over a date range in the local database
+   * @param {string} collectionSlug - Collection slug in `price_history`
+   * @param {Object} options - { startDate, endDate } plus any simulation parameter
+   */
+  async run(collectionSlug, { startDate = null, endDate = null, ...params } = {}) {
+    const end = endDate || new Date().toISOString().split('T')[0];
+    const start = startDate || new Date(Date.parse(end) - 365 * SECONDS_PER_DAY * 1000).toISOString().split('T')[0];
+
+    const prices = (await this.storage.getPriceHistory(collectionSlug, start, end, 5000))
+      .filter(row => row.floor_eth > 0)
+      .map(row => ({ date: row.date, timestamp: row.timestamp, floorEth: row.floor_eth }));
+
+    if (prices.length < 2) {
+      return {
+        success: false,
+        error: `Not enough price history for ${collectionSlug} between ${start} and ${end} (${prices.length} days)`
+      };
+    }
+
+    return {
+      success: true,
+      collectionSlug,
+      startDate: prices[0].date,
+      endDate: prices[prices.length - 1].date,
+      ...this.simulate(prices, params)
+    };
+  }
+
+  /**
+   * Simulate the strategy over an ascending daily floor series
+   * @param {Array} prices - `{ date, timestamp, floorEth }` per day (gaps allowed)
+   * @param {Object} params - Overrides for `this.defaults`
+   * @returns {{ params: Object, trades: Array, openPositions: Array, navSeries: Array, summary: Object }}
+   */
+  simulate(prices, params = {}) {
+    const config = { ...this.defaults, ...params };
+    const markup = 1 + config.markupPct / 100;
+
+    let treasury = config.initialTreasuryEth;
+    let totalInflow = 0;
+    let positions = [];
+    let nextPositionId = 1;
+    const trades = [];
+    const navSeries = [];
+
+    prices.forEach((day, index) => {
+      // Inflow covers every calendar day since the previous stored floor
+      const elapsedDays = index === 0 ? 1 : Math.max(1, Math.round((day.timestamp - prices[index - 1].timestamp) / SECONDS_PER_DAY));
+      treasury += config.dailyInflowEth * elapsedDays;
+      totalInflow += config.dailyInflowEth * elapsedDays;
+
+      // Listings fill once the floor reaches them; stale positions are dumped at the floor
+      positions = positions.filter(position => {
+        const holdingDays = (day.timestamp - position.boughtAt) / SECONDS_PER_DAY;
+        const listingFilled = day.floorEth >= position.listPriceEth;
+        const expired = config.maxHoldDays !== null && holdingDays >= config.maxHoldDays;
+
+        if (!listingFilled && !expired) {
+          return true;
+        }
+
+        const sellPriceEth = listingFilled ? position.listPriceEth : day.floorEth;
+        treasury += sellPriceEth;
+        trades.push({
+          ...this.describePosition(position),
+          soldOn: day.date,
+          sellPriceEth: round(sellPriceEth),
+          profitEth: round(sellPriceEth - position.buyPriceEth),
+          returnPct: round(((sellPriceEth - position.buyPriceEth) / position.buyPriceEth) * 100, 2),
+          holdingDays: round(holdingDays, 1),
+          exit: listingFilled ? 'listing' : 'max_hold'
+        });
+        return false;
+      });
+
+      const buyLevel = Math.max(config.thresholdEth ?? 0, day.floorEth);
+      for (let buys = 0; buys < config.maxBuysPerDay && treasury >= buyLevel; buys++) {
+        treasury -= day.floorEth;
+        positions.push({
+          id: nextPositionId++,
+          boughtOn: day.date,
+          boughtAt: day.timestamp,
+          buyPriceEth: day.floorEth,
+          listPriceEth: day.floorEth * markup
+        });
+      }
+
+      const navEth = treasury + positions.length * day.floorEth;
+      const investedEth = config.initialTreasuryEth + totalInflow;
+      navSeries.push({
+        date: day.date,
+        floorEth: day.floorEth,
+        treasuryEth: round(treasury),
+        heldCount: positions.length,
+        navEth: round(navEth),
+        investedEth: round(investedEth),
+        navPerInvested: investedEth > 0 ? round(navEth / investedEth) : null
+      });
+    });
+
+    const finalFloor = prices[prices.length - 1].floorEth;
+    const finalTimestamp = prices[prices.length - 1].timestamp;
+    const openPositions = positions.map(position => ({
+      ...this.describePosition(position),
+      markEth: round(finalFloor),
+      unrealizedEth: round(finalFloor - position.buyPriceEth),
+      holdingDays: round((finalTimestamp - position.boughtAt) / SECONDS_PER_DAY, 1)
+    }));
+
+    return {
+      params: config,
+      trades,
+      openPositions,
+      navSeries,
+      summary: this.summarize(trades, openPositions, navSeries, config, totalInflow)
+    };
+  }
+
+  /**
+   * Aggregate a simulation: hit rate over closed trades, drawdown over daily NAV
+   */
+  summarize(trades, openPositions, navSeries, config, totalInflow) {
+    const wins = trades.filter(trade => trade.profitEth > 0).length;
+    const realizedProfit = trades.reduce((total, trade) => total + trade.profitEth, 0);
+    const unrealizedProfit = openPositions.reduce((total, position) => total + position.unrealizedEth, 0);
+    const finalNav = navSeries[navSeries.length - 1].navEth;
+    const invested = config.initialTreasuryEth + totalInflow;
+
+    return {
+      days: navSeries.length,
+      buys: trades.length + openPositions.length,
+      closedTrades: trades.length,
+      openPositions: openPositions.length,
+      hitRate: trades.length > 0 ? round((wins / trades.length) * 100, 2) : null,
+      averageHoldingDays: trades.length > 0
+        ? round(trades.reduce((total, trade) => total + trade.holdingDays, 0) / trades.length, 1)
+        : null,
+      realizedProfitEth: round(realizedProfit),
+      unrealizedProfitEth: round(unrealizedProfit),
+      totalInflowEth: round(totalInflow),
+      finalTreasuryEth: navSeries[navSeries.length - 1].treasuryEth,
+      finalNavEth: finalNav,
+      returnOnInflowPct: invested > 0 ? round(((finalNav - invested) / invested) * 100, 2) : null,
+      ...this.calculateMaxDrawdown(navSeries)
+    };
+  }
+
+  /**
+   * Largest peak-to-trough fall of NAV per ETH of inflow, so that new fees
+   * flowing into the treasury don't hide losses on the NFTs held
+   */
+  calculateMaxDrawdown(navSeries) {
+    let peak = null;
+    let worst = { maxDrawdownPct: 0, drawdownPeakDate: null, drawdownTroughDate: null };
+
+    navSeries.filter(point => point.navPerInvested !== null).forEach(point => {
+      if (!peak || point.navPerInvested > peak.navPerInvested) {
+        peak = point;
+        return;
+      }
+
+      const drawdown = ((peak.navPerInvested - point.navPerInvested) / peak.navPerInvested) * 100;
+      if (drawdown > worst.maxDrawdownPct) {
+        worst = { maxDrawdownPct: round(drawdown, 2), drawdownPeakDate: peak.date, drawdownTroughDate: point.date };
+      }
+    });
+
+    return worst;
+  }
+
+  describePosition(position) {
+    return {
+      positionId: position.id,
+      boughtOn: position.boughtOn,
+      buyPriceEth: round(position.buyPriceEth),
+      listPriceEth: round(position.listPriceEth)
+    };
+  }
+}
+
+// Create singleton instance
+let backtestInstance = null;
+
+export const getBacktestService = () => {
+  if (!backtestInstance) {
+    backtestInstance = new BacktestService();
+  }
+  return backtestInstance;
+};
+
+export default BacktestService;
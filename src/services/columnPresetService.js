@@ -0,0 +1,66 @@
+import { DEFAULT_COLUMN_PRESETS, normalizeHiddenColumns } from '../utils/strategyFilters';
+
+const STORAGE_KEY = 'strategyColumnPresets';
+
+/**
+ * Saved column presets for the strategies table, persisted in localStorage
+ * A preset is `{ name, hiddenColumns }`; built-in presets can't be overwritten or deleted.
+ */
+class ColumnPresetService {
+  /**
+   * @returns {Array} Built-in presets followed by the saved ones
+   */
+  getPresets() {
+    return [...DEFAULT_COLUMN_PRESETS, ...this.getSavedPresets()];
+  }
+
+  getSavedPresets() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved)
+        ? saved
+          .filter(preset => typeof preset?.name === 'string' && preset.name.trim())
+          .map(preset => ({ name: preset.name.trim(), hiddenColumns: normalizeHiddenColumns(preset.hiddenColumns) }))
+        : [];
+    } catch (error) {
+      console.warn('Failed to read column presets:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Save (or replace) a preset
+   * @returns {{success: boolean, presets?: Array, error?: string}}
+   */
+  savePreset(name, hiddenColumns) {
+    const trimmed = (name || '').trim().slice(0, 40);
+    if (!trimmed) {
+      return { success: false, error: 'Preset name is required' };
+    }
+    if (DEFAULT_COLUMN_PRESETS.some(preset => preset.name.toLowerCase() === trimmed.toLowerCase())) {
+      return { success: false, error: `"${trimmed}" is a built-in preset` };
+    }
+
+    const saved = this.getSavedPresets().filter(preset => preset.name !== trimmed);
+    this.write([...saved, { name: trimmed, hiddenColumns: normalizeHiddenColumns(hiddenColumns) }]);
+    return { success: true, presets: this.getPresets() };
+  }
+
+  /**
+   * @returns {Array} Remaining presets
+   */
+  deletePreset(name) {
+    this.write(this.getSavedPresets().filter(preset => preset.name !== name));
+    return this.getPresets();
+  }
+
+  write(presets) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+      console.warn('Failed to save column presets:', error.message);
+    }
+  }
+}
+
+export const columnPresetService = new ColumnPresetService();
@@ -4,15 +4,19 @@
  */
 
 import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
 import { rateLimitManager } from './rateLimitManager.js';
 import { fetchFloorPriceHistory, fetchTopCollections } from './nftAPI.js';
 import { getMarketCapSelectionService } from './marketCapSelectionService.js';
+import { getTrackedCollectionsService } from './trackedCollectionsService.js';
 import axios from 'axios';
 
 class DataSyncService {
   constructor() {
     this.db = getDatabase();
+    this.storage = getStorage();
     this.marketCapService = getMarketCapSelectionService();
+    this.trackedService = getTrackedCollectionsService();
     this.config = {
       maxCollections: 250,        // Top 250 collections by market cap
       batchSize: 10,              // Process in batches to respect rate limits
@@ -20,6 +24,8 @@ class DataSyncService {
       maxRetries: 3,              // Max retries per collection
       timeoutPerCollection: 60000, // 60s timeout per collection
       dataRetentionDays: 365,     // Keep 1 year of data (rolling window)
+      backfillDays: 365,          // History fetched when a collection starts being tracked
+      maxBackfillsPerRun: 25      // The rest wait for the next daily sync
     };
 
     console.log('📊 Data Sync Service initialized (Market Cap Methodology)');
@@ -29,14 +35,14 @@ class DataSyncService {
    * Main daily sync function - syncs all collections
    */
   async performDailySync() {
-    const logId = this.db.startSyncLog('daily');
+    const logId = await this.storage.startSyncLog('daily');
     const startTime = Date.now();
     
     try {
       console.log('🚀 Starting daily sync...');
       
       // Step 1: Check if quarterly selection update is needed
-      const selectionCheck = this.marketCapService.needsNewSelection();
+      const selectionCheck = await this.marketCapService.needsNewSelection();
       if (selectionCheck.needed) {
         console.log(`📅 Quarterly selection update needed: ${selectionCheck.reason}`);
         const selectionResult = await this.marketCapService.performQuarterlySelection();
@@ -50,16 +56,21 @@ class DataSyncService {
       // Step 2: Update collections list (metadata refresh)
       const collectionsResult = await this.syncCollectionsList();
       
-      // Step 3: Get TOP 250 collections by market cap to sync
-      const activeCollections = this.db.getCurrentTop250Collections();
+      // Step 3: Refresh the tracked set (top 250 by market cap + strategy collections + manual)
+      const trackedResult = await this.trackedService.refresh();
+      
+      // Step 4: Backfill history for collections that just entered the set
+      const backfillResult = await this.backfillTrackedCollections();
+      
+      const activeCollections = this.trackedService.getSlugs().map(slug => ({ slug }));
       console.log(`📋 Found ${activeCollections.length} collections to sync`);
       
-      // Step 3: Sync price history for all collections
+      // Step 5: Sync price history for all collections
       const syncResults = await this.syncPriceHistoryBatch(activeCollections);
       
-      // Step 4: Calculate final statistics
+      // Step 6: Calculate final statistics
       const totalProcessed = syncResults.processed;
-      const totalInserted = syncResults.inserted;
+      const totalInserted = syncResults.inserted + backfillResult.inserted;
       const totalErrors = syncResults.errors;
       
       console.log('✅ Daily sync completed:', {
@@ -67,11 +78,13 @@ class DataSyncService {
         processed: totalProcessed,
         inserted: totalInserted,
         errors: totalErrors,
+        tracked: { added: trackedResult.added.length, removed: trackedResult.removed.length },
+        backfill: backfillResult,
         duration: `${Math.round((Date.now() - startTime) / 1000)}s`
       });
 
       // Complete sync log
-      this.db.completeSyncLog(logId, 'completed', {
+      await this.storage.completeSyncLog(logId, 'completed', {
         processed: totalProcessed,
         inserted: totalInserted,
         updated: 0,
@@ -83,13 +96,15 @@ class DataSyncService {
         processed: totalProcessed,
         inserted: totalInserted,
         errors: totalErrors,
+        tracked: trackedResult,
+        backfill: backfillResult,
         duration: Date.now() - startTime
       };
 
     } catch (error) {
       console.error('❌ Daily sync failed:', error);
       
-      this.db.completeSyncLog(logId, 'failed', {
+      await this.storage.completeSyncLog(logId, 'failed', {
         error: error.message
       });
 
@@ -126,7 +141,7 @@ class DataSyncService {
       }));
 
       // Bulk insert/update collections
-      const insertedCount = this.db.bulkInsertCollections(collectionsData);
+      const insertedCount = await this.storage.bulkInsertCollections(collectionsData);
       
       console.log(`✅ Synced ${insertedCount} collections`);
       
@@ -202,9 +217,9 @@ class DataSyncService {
       const endTimestamp = Math.floor(endDate.getTime() / 1000);
       const startTimestamp = Math.floor(startDate.getTime() / 1000);
 
-      // Check if we already have today's data
+      // Check if we already have today's data (daily updates only, longer ranges are backfills)
       const today = endDate.toISOString().split('T')[0];
-      const existingData = this.db.getPriceHistory(collectionSlug, today, today);
+      const existingData = daysToFetch <= 1 ? await this.storage.getPriceHistory(collectionSlug, today, today) : [];
       
       if (existingData.length > 0) {
         console.log(`⏭️ ${collectionSlug}: Already have today's data`);
@@ -232,21 +247,7 @@ class DataSyncService {
       }
 
       // Transform and insert data
-      const priceHistoryData = result.data.map(dataPoint => ({
-        collectionSlug: collectionSlug,
-        date: new Date(dataPoint.timestamp * 1000).toISOString().split('T')[0],
-        timestamp: dataPoint.timestamp,
-        floorEth: parseFloat(dataPoint.lowestNative) || null,
-        floorUsd: parseFloat(dataPoint.lowestUsd) || null,
-        volumeEth: parseFloat(dataPoint.volumeNative) || null,
-        volumeUsd: parseFloat(dataPoint.volumeUsd) || null,
-        salesCount: parseInt(dataPoint.salesCount) || null
-      }));
-
-      // Filter out invalid data
-      const validData = priceHistoryData.filter(data => 
-        data.floorEth !== null && data.floorEth > 0
-      );
+      const validData = this.transformPriceHistory(collectionSlug, result.data);
 
       if (validData.length === 0) {
         return { 
@@ -257,7 +258,7 @@ class DataSyncService {
       }
 
       // Insert into database
-      const insertedCount = this.db.bulkInsertPriceHistory(validData);
+      const insertedCount = await this.storage.bulkInsertPriceHistory(validData);
       
       return {
         success: true,
@@ -275,18 +276,36 @@ class DataSyncService {
     }
   }
 
+  /**
+   * Turn API data points into price_history rows, dropping points without a floor
+   */
+  transformPriceHistory(collectionSlug, dataPoints) {
+    return dataPoints
+      .map(dataPoint => ({
+        collectionSlug: collectionSlug,
+        date: new Date(dataPoint.timestamp * 1000).toISOString().split('T')[0],
+        timestamp: dataPoint.timestamp,
+        floorEth: parseFloat(dataPoint.lowestNative) || null,
+        floorUsd: parseFloat(dataPoint.lowestUsd) || null,
+        volumeEth: parseFloat(dataPoint.volumeNative) || null,
+        volumeUsd: parseFloat(dataPoint.volumeUsd) || null,
+        salesCount: parseInt(dataPoint.salesCount) || null
+      }))
+      .filter(data => data.floorEth !== null && data.floorEth > 0);
+  }
+
   /**
    * Sync historical data for a single collection (for initial setup)
    */
   async syncCollectionHistoricalData(collectionSlug, daysBack = 30) {
-    const logId = this.db.startSyncLog('collection', collectionSlug);
+    const logId = await this.storage.startSyncLog('collection', collectionSlug);
     
     try {
       console.log(`🔄 Syncing ${daysBack} days of historical data for ${collectionSlug}`);
       
       const result = await this.syncCollectionPriceHistory(collectionSlug, daysBack);
       
-      this.db.completeSyncLog(logId, result.success ? 'completed' : 'failed', {
+      await this.storage.completeSyncLog(logId, result.success ? 'completed' : 'failed', {
         processed: 1,
         inserted: result.inserted || 0,
         error: result.error || null
@@ -294,23 +313,72 @@ class DataSyncService {
 
       return result;
     } catch (error) {
-      this.db.completeSyncLog(logId, 'failed', { error: error.message });
+      await this.storage.completeSyncLog(logId, 'failed', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Backfill history for tracked collections that haven't had it yet
+   * Collections whose stored history predates their tracking (initial setup, an earlier origin)
+   * or already spans the backfill window are only marked done, so the history depth chosen at
+   * setup is kept. Rows the daily sync wrote since tracking started don't count, so failed or
+   * deferred backfills are retried by the next run.
+   * @returns {Promise<{backfilled: number, alreadyCovered: number, failed: number, remaining: number, inserted: number}>}
+   */
+  async backfillTrackedCollections() {
+    const pending = await this.trackedService.getPendingBackfill();
+    const result = { backfilled: 0, alreadyCovered: 0, failed: 0, remaining: 0, inserted: 0 };
+    const windowStart = new Date(Date.now() - this.config.backfillDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    let fetched = 0;
+
+    for (const collection of pending) {
+      const trackedSince = (collection.addedAt || '').slice(0, 10);
+      const covered = collection.earliestDate &&
+        (collection.earliestDate <= windowStart || collection.earliestDate < trackedSince);
+      if (covered) {
+        this.trackedService.markBackfilled(collection.slug);
+        result.alreadyCovered++;
+        continue;
+      }
+
+      if (fetched >= this.config.maxBackfillsPerRun) {
+        result.remaining++;
+        continue;
+      }
+      fetched++;
+
+      console.log(`📥 Backfilling ${this.config.backfillDays} days for newly tracked ${collection.slug} (${collection.origins.join(', ')})`);
+      const backfill = await this.syncCollectionHistoricalData(collection.slug, this.config.backfillDays);
+      if (backfill.success) {
+        this.trackedService.markBackfilled(collection.slug);
+        result.backfilled++;
+        result.inserted += backfill.inserted || 0;
+      } else {
+        console.warn(`⚠️ Backfill failed for ${collection.slug}, retrying next run: ${backfill.error}`);
+        result.failed++;
+      }
+    }
+
+    if (pending.length > 0) {
+      console.log('📥 Tracked collection backfill:', result);
+    }
+    return result;
+  }
+
   /**
    * Get sync status and statistics
    */
-  getSyncStatus() {
-    const recentLogs = this.db.getRecentSyncLogs(10);
-    const dbStats = this.db.getStats();
+  async getSyncStatus() {
+    const recentLogs = await this.storage.getRecentSyncLogs(10);
+    const dbStats = await this.storage.getStats();
     
     const lastSync = recentLogs.length > 0 ? recentLogs[0] : null;
     const lastSuccessfulSync = recentLogs.find(log => log.status === 'completed');
     
     return {
       database: dbStats,
+      storage: this.storage.name,
       lastSync: lastSync ? {
         type: lastSync.sync_type,
         status: lastSync.status,
@@ -334,18 +402,11 @@ class DataSyncService {
   /**
    * Clean up old sync logs
    */
-  cleanupSyncLogs(daysToKeep = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-    const cutoffDateStr = cutoffDate.toISOString();
-
-    const result = this.db.query(
-      'DELETE FROM sync_log WHERE started_at < ?', 
-      [cutoffDateStr]
-    );
-
-    console.log(`🧹 Cleaned up ${result.changes} old sync logs`);
-    return result.changes;
+  async cleanupSyncLogs(daysToKeep = 30) {
+    const deleted = await this.storage.cleanOldSyncLogs(daysToKeep);
+
+    console.log(`🧹 Cleaned up ${deleted} old sync logs`);
+    return deleted;
   }
 
   /**
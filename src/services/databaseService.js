@@ -6,18 +6,23 @@
 import Database from 'better-sqlite3';
 import fs from 'fs';
 import path from 'path';
+import MigrationService from './migrationService.js';
 
 class DatabaseService {
-  constructor() {
+  /**
+   * @param {Object} options - `{ autoMigrate }`; set DATABASE_AUTO_MIGRATE=false to only migrate with `npm run db:migrate`
+   */
+  constructor({ autoMigrate = process.env.DATABASE_AUTO_MIGRATE !== 'false' } = {}) {
     this.dbPath = process.env.DATABASE_PATH || './data/nft_floor_data.db';
-    this.schemaPath = './database/schema.sql';
+    this.autoMigrate = autoMigrate;
     this.db = null;
+    this.migrations = null;
     
     this.initDatabase();
   }
 
   /**
-   * Initialize database connection and create tables
+   * Initialize database connection and bring the schema up to date
    */
   initDatabase() {
     try {
@@ -32,8 +37,9 @@ class DatabaseService {
       this.db.pragma('journal_mode = WAL'); // Better performance
       this.db.pragma('foreign_keys = ON');   // Enable foreign keys
 
-      // Create tables from schema
-      this.createTables();
+      // Apply pending schema migrations
+      this.migrations = new MigrationService(this.db);
+      this.applyMigrations();
 
       console.log('✅ Database initialized successfully:', this.dbPath);
     } catch (error) {
@@ -43,22 +49,24 @@ class DatabaseService {
   }
 
   /**
-   * Create database tables from schema file
+   * Refuse a schema newer than this build, then apply pending migrations (unless disabled)
    */
-  createTables() {
+  applyMigrations() {
     try {
-      const schemaSQL = fs.readFileSync(this.schemaPath, 'utf8');
-      const statements = schemaSQL.split(';').filter(stmt => stmt.trim());
-      
-      statements.forEach(statement => {
-        if (statement.trim()) {
-          this.db.exec(statement);
+      this.migrations.assertCompatible();
+
+      if (!this.autoMigrate) {
+        const pending = this.migrations.getStatus().filter(migration => migration.status === 'pending');
+        if (pending.length > 0) {
+          console.warn(`⚠️ ${pending.length} pending migrations, run \`npm run db:migrate\``);
         }
-      });
+        return;
+      }
 
-      console.log('✅ Database tables created/verified');
+      const applied = this.migrations.migrate();
+      console.log(`✅ Database schema at version ${this.migrations.getCurrentVersion()}${applied.length > 0 ? ` (${applied.length} migrations applied)` : ''}`);
     } catch (error) {
-      console.error('❌ Failed to create tables:', error);
+      console.error('❌ Failed to migrate the database schema:', error.message);
       throw error;
     }
   }
@@ -69,12 +77,21 @@ class DatabaseService {
 
   /**
    * Insert or update collection
+   * An update keeps the row (and the price history referencing it) and its selection columns.
    */
   upsertCollection(collectionData) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO collections (
+      INSERT INTO collections (
         slug, name, ranking, image, total_supply, owners, market_cap, updated_at
       ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(slug) DO UPDATE SET
+        name = excluded.name,
+        ranking = excluded.ranking,
+        image = excluded.image,
+        total_supply = excluded.total_supply,
+        owners = excluded.owners,
+        market_cap = excluded.market_cap,
+        updated_at = excluded.updated_at
     `);
 
     return stmt.run(
@@ -147,13 +164,21 @@ class DatabaseService {
   }
 
   /**
-   * Bulk insert collections
+   * Bulk insert or update collections (see upsertCollection)
    */
   bulkInsertCollections(collections) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO collections (
+      INSERT INTO collections (
         slug, name, ranking, image, total_supply, owners, market_cap, updated_at
       ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(slug) DO UPDATE SET
+        name = excluded.name,
+        ranking = excluded.ranking,
+        image = excluded.image,
+        total_supply = excluded.total_supply,
+        owners = excluded.owners,
+        market_cap = excluded.market_cap,
+        updated_at = excluded.updated_at
     `);
 
     const insertMany = this.db.transaction((collections) => {
@@ -180,6 +205,31 @@ class DatabaseService {
     return insertMany(collections);
   }
 
+  /**
+   * Active collections whose name or slug contains the query, by ranking
+   */
+  searchCollections(query, limit = 10) {
+    const stmt = this.db.prepare(`
+      SELECT slug, name, ranking, image
+      FROM collections
+      WHERE (name LIKE ? OR slug LIKE ?)
+        AND is_active = 1
+      ORDER BY ranking ASC
+      LIMIT ?
+    `);
+    return stmt.all(`%${query}%`, `%${query}%`, limit);
+  }
+
+  /**
+   * Create bare rows for collections price history refers to, leaving existing rows alone
+   * @returns {number} Rows created
+   */
+  ensureCollections(collectionSlugs) {
+    const stmt = this.db.prepare('INSERT OR IGNORE INTO collections (slug, name) VALUES (?, ?)');
+    const ensure = this.db.transaction((slugs) => slugs.reduce((created, slug) => created + stmt.run(slug, slug).changes, 0));
+    return ensure([...new Set(collectionSlugs)]);
+  }
+
   // ===================
   // PRICE HISTORY METHODS
   // ===================
@@ -290,81 +340,1361 @@ class DatabaseService {
     return stmt.all(...params);
   }
 
+  /**
+   * Latest floor for each top-250 collection (`latest_prices` view)
+   * @param {string[]|null} collectionSlugs - Restrict to these slugs (all when null)
+   */
+  getLatestPrices(collectionSlugs = null, limit = 250) {
+    if (collectionSlugs && collectionSlugs.length > 0) {
+      const placeholders = collectionSlugs.map(() => '?').join(',');
+      return this.db.prepare(`
+        SELECT * FROM latest_prices
+        WHERE slug IN (${placeholders})
+        LIMIT ?
+      `).all(...collectionSlugs, limit);
+    }
+
+    return this.db.prepare('SELECT * FROM latest_prices LIMIT ?').all(limit);
+  }
+
+  /**
+   * Tracked range and floor statistics per collection (`collection_stats` view)
+   * @param {string|null} collectionSlug - One collection (all when null)
+   */
+  getCollectionStats(collectionSlug = null, limit = 1000) {
+    if (collectionSlug) {
+      return this.db.prepare('SELECT * FROM collection_stats WHERE slug = ?').all(collectionSlug);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM collection_stats
+      ORDER BY days_tracked DESC, slug ASC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  /**
+   * Missing date ranges in each collection's price history, from its first stored date
+   * through `untilDate` (holes between stored days plus a trailing gap), newest first.
+   * Days in `price_history_unavailable` count as present. Collections without any history
+   * are left to the backfill.
+   * @param {string[]} collectionSlugs
+   * @param {string} untilDate - Last date that should have a row (YYYY-MM-DD)
+   * @returns {Array<{collection_slug: string, gap_start: string, gap_end: string, missing_days: number}>}
+   */
+  getPriceHistoryGaps(collectionSlugs, untilDate) {
+    if (!collectionSlugs || collectionSlugs.length === 0) {
+      return [];
+    }
+
+    const placeholders = collectionSlugs.map(() => '?').join(',');
+    const stmt = this.db.prepare(`
+      WITH known AS (
+        SELECT collection_slug, date FROM price_history
+        WHERE collection_slug IN (${placeholders}) AND date <= ?
+        UNION
+        SELECT collection_slug, date FROM price_history_unavailable
+        WHERE collection_slug IN (${placeholders}) AND date <= ?
+      ),
+      days AS (
+        SELECT
+          collection_slug,
+          date,
+          LAG(date) OVER (PARTITION BY collection_slug ORDER BY date) as previous_date
+        FROM known
+      )
+      SELECT
+        collection_slug,
+        date(previous_date, '+1 day') as gap_start,
+        date(date, '-1 day') as gap_end,
+        CAST(julianday(date) - julianday(previous_date) - 1 AS INTEGER) as missing_days
+      FROM days
+      WHERE julianday(date) - julianday(previous_date) > 1
+      UNION ALL
+      SELECT
+        collection_slug,
+        date(MAX(date), '+1 day') as gap_start,
+        ? as gap_end,
+        CAST(julianday(?) - julianday(MAX(date)) AS INTEGER) as missing_days
+      FROM known
+      GROUP BY collection_slug
+      HAVING MAX(date) < ?
+      ORDER BY gap_end DESC, collection_slug ASC
+    `);
+
+    return stmt.all(...collectionSlugs, untilDate, ...collectionSlugs, untilDate, untilDate, untilDate, untilDate);
+  }
+
+  /**
+   * Record days the API returned no data for, so gap scans skip them
+   * @param {string} collectionSlug
+   * @param {string[]} dates - YYYY-MM-DD
+   * @returns {number} Days recorded
+   */
+  markPriceHistoryUnavailable(collectionSlug, dates) {
+    const stmt = this.db.prepare(`
+      INSERT INTO price_history_unavailable (collection_slug, date)
+      VALUES (?, ?)
+      ON CONFLICT(collection_slug, date) DO UPDATE SET checked_at = CURRENT_TIMESTAMP
+    `);
+    const mark = this.db.transaction((days) => {
+      days.forEach(date => stmt.run(collectionSlug, date));
+      return days.length;
+    });
+    return mark(dates);
+  }
+
+  /**
+   * Forget unavailable days checked more than `daysToKeep` days ago, so they're fetched again
+   */
+  cleanUnavailableDays(daysToKeep = 30) {
+    const stmt = this.db.prepare(`DELETE FROM price_history_unavailable WHERE checked_at < datetime('now', ?)`);
+    return stmt.run(`-${daysToKeep} days`).changes;
+  }
+
   // ===================
-  // SYNC LOG METHODS
+  // STRATEGY SNAPSHOT METHODS
   // ===================
 
   /**
-   * Start sync log entry
+   * Bulk insert strategy snapshots
    */
-  startSyncLog(syncType, collectionSlug = null) {
+  bulkInsertStrategySnapshots(snapshots) {
     const stmt = this.db.prepare(`
-      INSERT INTO sync_log (sync_type, collection_slug, status)
-      VALUES (?, ?, 'started')
+      INSERT OR REPLACE INTO strategy_snapshots (
+        strategy_id, strategy_name, token_address, collection_address, collection_name,
+        snapshot_at, timestamp, price_usd, market_cap_usd, price_change_24h,
+        burn_percentage, holdings_count, total_holders, pool_data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const result = stmt.run(syncType, collectionSlug);
-    return result.lastInsertRowid;
+    const insertMany = this.db.transaction((snapshots) => {
+      let inserted = 0;
+      snapshots.forEach(snapshot => {
+        try {
+          stmt.run(
+            snapshot.strategyId,
+            snapshot.strategyName,
+            snapshot.tokenAddress,
+            snapshot.collectionAddress,
+            snapshot.collectionName,
+            snapshot.snapshotAt,
+            snapshot.timestamp,
+            snapshot.priceUsd,
+            snapshot.marketCapUsd,
+            snapshot.priceChange24h,
+            snapshot.burnPercentage,
+            snapshot.holdingsCount,
+            snapshot.totalHolders,
+            snapshot.poolData ? JSON.stringify(snapshot.poolData) : null
+          );
+          inserted++;
+        } catch (error) {
+          console.error(`Failed to insert snapshot for strategy ${snapshot.strategyId}:`, error);
+        }
+      });
+      return inserted;
+    });
+
+    return insertMany(snapshots);
   }
 
   /**
-   * Complete sync log entry
+   * Get snapshot time series for a strategy within date range
    */
-  completeSyncLog(logId, status, stats = {}) {
+  getStrategySnapshots(strategyId, startDate, endDate, limit = 5000) {
     const stmt = this.db.prepare(`
-      UPDATE sync_log SET 
-        status = ?,
-        records_processed = ?,
-        records_inserted = ?,
-        records_updated = ?,
-        error_message = ?,
-        completed_at = CURRENT_TIMESTAMP,
-        duration_seconds = (
-          (julianday(CURRENT_TIMESTAMP) - julianday(started_at)) * 86400
+      SELECT * FROM strategy_snapshots
+      WHERE strategy_id = ?
+        AND snapshot_at >= ?
+        AND snapshot_at <= ?
+      ORDER BY snapshot_at ASC
+      LIMIT ?
+    `);
+
+    return stmt.all(strategyId, startDate, endDate, limit);
+  }
+
+  /**
+   * Get daily snapshot series for a strategy (last snapshot of each day)
+   */
+  getDailyStrategySnapshots(strategyId, startDate, endDate) {
+    const stmt = this.db.prepare(`
+      SELECT s.* FROM strategy_snapshots s
+      WHERE s.strategy_id = ?
+        AND s.snapshot_at >= ?
+        AND s.snapshot_at <= ?
+        AND s.snapshot_at = (
+          SELECT MAX(s2.snapshot_at)
+          FROM strategy_snapshots s2
+          WHERE s2.strategy_id = s.strategy_id
+            AND date(s2.snapshot_at) = date(s.snapshot_at)
         )
-      WHERE id = ?
+      ORDER BY s.snapshot_at ASC
     `);
 
-    return stmt.run(
-      status,
-      stats.processed || 0,
-      stats.inserted || 0,
-      stats.updated || 0,
-      stats.error || null,
-      logId
-    );
+    return stmt.all(strategyId, startDate, endDate);
   }
 
   /**
-   * Get recent sync logs
+   * Get latest snapshot for a strategy
    */
-  getRecentSyncLogs(limit = 50) {
+  getLatestStrategySnapshot(strategyId) {
     const stmt = this.db.prepare(`
-      SELECT * FROM sync_log 
-      ORDER BY started_at DESC 
+      SELECT * FROM strategy_snapshots
+      WHERE strategy_id = ?
+      ORDER BY snapshot_at DESC
+      LIMIT 1
+    `);
+
+    return stmt.get(strategyId);
+  }
+
+  /**
+   * Get latest snapshot for every tracked strategy
+   */
+  getLatestStrategySnapshots() {
+    const stmt = this.db.prepare(`
+      SELECT s.* FROM strategy_snapshots s
+      WHERE s.snapshot_at = (
+        SELECT MAX(s2.snapshot_at)
+        FROM strategy_snapshots s2
+        WHERE s2.strategy_id = s.strategy_id
+      )
+      ORDER BY s.market_cap_usd DESC
+    `);
+
+    return stmt.all();
+  }
+
+  /**
+   * Clean old strategy snapshots (older than specified days)
+   */
+  cleanOldStrategySnapshots(daysToKeep = 365) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+    const stmt = this.db.prepare('DELETE FROM strategy_snapshots WHERE snapshot_at < ?');
+    const result = stmt.run(cutoffDate.toISOString());
+
+    console.log(`🧹 Cleaned ${result.changes} old strategy snapshots (older than ${daysToKeep} days)`);
+    return result.changes;
+  }
+
+  // ===================
+  // TOKEN PRICE METHODS
+  // ===================
+
+  /**
+   * Bulk insert token OHLCV candles
+   */
+  bulkInsertTokenCandles(tokenAddress, candles, provider = null) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO token_price_history (
+        token_address, date, timestamp, open_usd, high_usd, low_usd,
+        close_usd, volume_usd, provider
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction((candles) => {
+      let inserted = 0;
+      candles.forEach(candle => {
+        try {
+          stmt.run(
+            tokenAddress.toLowerCase(),
+            new Date(candle.timestamp * 1000).toISOString().split('T')[0],
+            candle.timestamp,
+            candle.open,
+            candle.high,
+            candle.low,
+            candle.close,
+            candle.volume,
+            provider
+          );
+          inserted++;
+        } catch (error) {
+          console.error(`Failed to insert candle for token ${tokenAddress}:`, error);
+        }
+      });
+      return inserted;
+    });
+
+    return insertMany(candles);
+  }
+
+  /**
+   * Get token candles within timestamp range (seconds)
+   */
+  getTokenCandles(tokenAddress, startTimestamp, endTimestamp, limit = 1000) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM token_price_history
+      WHERE token_address = ?
+        AND timestamp >= ?
+        AND timestamp <= ?
+      ORDER BY timestamp ASC
       LIMIT ?
     `);
 
-    return stmt.all(limit);
+    return stmt.all(tokenAddress.toLowerCase(), startTimestamp, endTimestamp, limit);
+  }
+
+  /**
+   * Get latest stored candle for a token
+   */
+  getLatestTokenCandle(tokenAddress) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM token_price_history
+      WHERE token_address = ?
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `);
+
+    return stmt.get(tokenAddress.toLowerCase());
   }
 
   // ===================
-  // UTILITY METHODS
+  // ETH PRICE METHODS
   // ===================
 
   /**
-   * Get database statistics
+   * Bulk insert ETH/USD daily closes
    */
-  getStats() {
-    const stats = {};
-    
-    // Collection count
-    stats.totalCollections = this.db.prepare('SELECT COUNT(*) as count FROM collections').get().count;
-    stats.activeCollections = this.db.prepare('SELECT COUNT(*) as count FROM collections WHERE is_active = 1').get().count;
-    
-    // Price history stats
-    stats.totalPriceRecords = this.db.prepare('SELECT COUNT(*) as count FROM price_history').get().count;
-    
+  bulkInsertEthPrices(closes, provider = null) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO eth_price_history (date, timestamp, close_usd, provider)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction((closes) => {
+      let inserted = 0;
+      closes.forEach(close => {
+        try {
+          stmt.run(close.date, close.timestamp, close.priceUsd, provider);
+          inserted++;
+        } catch (error) {
+          console.error(`Failed to insert ETH close for ${close.date}:`, error);
+        }
+      });
+      return inserted;
+    });
+
+    return insertMany(closes);
+  }
+
+  /**
+   * Get ETH/USD daily closes within date range
+   */
+  getEthPrices(startDate, endDate) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM eth_price_history
+      WHERE date >= ? AND date <= ?
+      ORDER BY date ASC
+    `);
+
+    return stmt.all(startDate, endDate);
+  }
+
+  /**
+   * Get the ETH/USD close for a day, or the closest earlier day
+   */
+  getEthPriceOn(date) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM eth_price_history
+      WHERE date <= ?
+      ORDER BY date DESC
+      LIMIT 1
+    `);
+
+    return stmt.get(date);
+  }
+
+  /**
+   * Get latest stored ETH/USD close
+   */
+  getLatestEthPrice() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM eth_price_history
+      ORDER BY date DESC
+      LIMIT 1
+    `);
+
+    return stmt.get();
+  }
+
+  // ===================
+  // SALES METHODS
+  // ===================
+
+  /**
+   * Bulk insert normalized sales
+   */
+  bulkInsertSales(collectionSlug, sales, provider = null) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO sales (
+        collection_slug, contract_address, token_id, name, image_url, price_eth,
+        price_usd, payment_symbol, marketplace, buyer, seller, tx_hash,
+        timestamp, date, provider
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction((sales) => {
+      let inserted = 0;
+      sales.forEach(sale => {
+        try {
+          stmt.run(
+            collectionSlug,
+            sale.contractAddress?.toLowerCase() || null,
+            String(sale.tokenId),
+            sale.name || null,
+            sale.imageUrl || null,
+            sale.priceEth ?? null,
+            sale.priceUsd ?? null,
+            sale.paymentSymbol || null,
+            sale.marketplace || null,
+            sale.buyer || null,
+            sale.seller || null,
+            sale.txHash.toLowerCase(),
+            sale.timestamp,
+            new Date(sale.timestamp * 1000).toISOString().split('T')[0],
+            provider
+          );
+          inserted++;
+        } catch (error) {
+          console.error(`Failed to insert sale ${sale.txHash} for ${collectionSlug}:`, error);
+        }
+      });
+      return inserted;
+    });
+
+    return insertMany(sales);
+  }
+
+  /**
+   * Get a page of sales for a collection, newest first
+   * @param {string} collectionSlug - Collection slug
+   * @param {Object} options - { before: timestamp (s) exclusive, limit }
+   */
+  getSales(collectionSlug, { before = null, limit = 50 } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM sales
+      WHERE collection_slug = ?
+        AND (? IS NULL OR timestamp < ?)
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(collectionSlug, before, before, limit);
+  }
+
+  /**
+   * Get sales of specific tokens in a contract, newest first
+   */
+  getTokenSales(contractAddress, tokenIds) {
+    if (!tokenIds || tokenIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = tokenIds.map(() => '?').join(', ');
+    const stmt = this.db.prepare(`
+      SELECT * FROM sales
+      WHERE contract_address = ?
+        AND token_id IN (${placeholders})
+      ORDER BY timestamp DESC
+    `);
+
+    return stmt.all(contractAddress.toLowerCase(), ...tokenIds.map(String));
+  }
+
+  /**
+   * Get latest stored sale for a collection
+   */
+  getLatestSale(collectionSlug) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM sales
+      WHERE collection_slug = ?
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `);
+
+    return stmt.get(collectionSlug);
+  }
+
+  // ===================
+  // STRATEGY NAV METHODS
+  // ===================
+
+  /**
+   * Bulk insert strategy NAV rows (one per strategy per day, later rows replace earlier ones)
+   */
+  bulkInsertStrategyNav(navs) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO strategy_nav_history (
+        strategy_id, strategy_name, date, timestamp, collection_slug, holdings_count,
+        floor_price_eth, nft_value_eth, treasury_eth, nav_eth, nav_usd, eth_usd,
+        circulating_supply, nav_per_token_usd, price_usd, premium_pct
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction((navs) => {
+      let inserted = 0;
+      navs.forEach(nav => {
+        try {
+          stmt.run(
+            nav.strategyId,
+            nav.strategyName,
+            new Date(nav.timestamp * 1000).toISOString().split('T')[0],
+            nav.timestamp,
+            nav.collectionSlug,
+            nav.holdingsCount,
+            nav.floorPriceEth,
+            nav.nftValueEth,
+            nav.treasuryEth,
+            nav.navEth,
+            nav.navUsd,
+            nav.ethUsd,
+            nav.circulatingSupply,
+            nav.navPerTokenUsd,
+            nav.priceUsd,
+            nav.premiumPct
+          );
+          inserted++;
+        } catch (error) {
+          console.error(`Failed to insert NAV for strategy ${nav.strategyId}:`, error);
+        }
+      });
+      return inserted;
+    });
+
+    return insertMany(navs);
+  }
+
+  /**
+   * Get daily NAV history for a strategy within date range
+   */
+  getStrategyNavHistory(strategyId, startDate, endDate) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM strategy_nav_history
+      WHERE strategy_id = ?
+        AND date >= ?
+        AND date <= ?
+      ORDER BY date ASC
+    `);
+
+    return stmt.all(strategyId, startDate, endDate);
+  }
+
+  /**
+   * Get latest stored NAV for every strategy
+   */
+  getLatestStrategyNavs() {
+    const stmt = this.db.prepare(`
+      SELECT n.* FROM strategy_nav_history n
+      WHERE n.date = (
+        SELECT MAX(n2.date)
+        FROM strategy_nav_history n2
+        WHERE n2.strategy_id = n.strategy_id
+      )
+    `);
+
+    return stmt.all();
+  }
+
+  // ===================
+  // ALERT METHODS
+  // ===================
+
+  /**
+   * Insert an alert rule
+   * @returns {number} New rule id
+   */
+  insertAlertRule(rule) {
+    const stmt = this.db.prepare(`
+      INSERT INTO alert_rules (
+        name, metric, target, operator, threshold, channel, destination, cooldown_minutes, enabled
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      rule.name,
+      rule.metric,
+      rule.target,
+      rule.operator,
+      rule.threshold,
+      rule.channel,
+      rule.destination,
+      rule.cooldownMinutes,
+      rule.enabled ? 1 : 0
+    );
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Get alert rules, optionally only enabled ones
+   */
+  getAlertRules({ enabledOnly = false } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM alert_rules
+      ${enabledOnly ? 'WHERE enabled = 1' : ''}
+      ORDER BY id ASC
+    `);
+
+    return stmt.all();
+  }
+
+  /**
+   * Get alert rule by id
+   */
+  getAlertRule(id) {
+    const stmt = this.db.prepare('SELECT * FROM alert_rules WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  /**
+   * Enable or disable an alert rule
+   */
+  setAlertRuleEnabled(id, enabled) {
+    const stmt = this.db.prepare(`
+      UPDATE alert_rules SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+
+    return stmt.run(enabled ? 1 : 0, id).changes > 0;
+  }
+
+  /**
+   * Delete an alert rule (its deliveries are kept)
+   */
+  deleteAlertRule(id) {
+    const stmt = this.db.prepare('DELETE FROM alert_rules WHERE id = ?');
+    return stmt.run(id).changes > 0;
+  }
+
+  /**
+   * Record the value seen by the latest evaluation, and the trigger time when it fired
+   */
+  updateAlertRuleEvaluation(id, value, triggered) {
+    const stmt = this.db.prepare(`
+      UPDATE alert_rules SET
+        last_value = ?,
+        last_evaluated_at = CURRENT_TIMESTAMP,
+        last_triggered_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_triggered_at END
+      WHERE id = ?
+    `);
+
+    return stmt.run(value, triggered ? 1 : 0, id);
+  }
+
+  /**
+   * Log a notification delivery attempt
+   */
+  insertAlertDelivery(delivery) {
+    const stmt = this.db.prepare(`
+      INSERT INTO alert_deliveries (
+        rule_id, event_type, channel, destination, status, payload, error_message
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      delivery.ruleId ?? null,
+      delivery.eventType,
+      delivery.channel,
+      delivery.destination ?? null,
+      delivery.status,
+      delivery.payload ? JSON.stringify(delivery.payload) : null,
+      delivery.error ?? null
+    );
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Get recent deliveries, optionally for one rule
+   */
+  getAlertDeliveries({ ruleId = null, limit = 50 } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM alert_deliveries
+      ${ruleId !== null ? 'WHERE rule_id = ?' : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `);
+
+    return ruleId !== null ? stmt.all(ruleId, limit) : stmt.all(limit);
+  }
+
+  // ===================
+  // TRACKED COLLECTION METHODS
+  // ===================
+
+  /**
+   * Make one origin's tracked set exactly `entries`: new ones are added, missing ones dropped
+   * A collection seen for the first time (no row under any origin) starts without a backfill.
+   * @param {'top_250'|'strategy'|'manual'} origin
+   * @param {Array<{slug: string, name?: string, sourceRef?: string}>} entries
+   * @returns {{added: Array<string>, removed: Array<string>}} Collections that entered/left the whole set
+   */
+  replaceTrackedCollections(origin, entries) {
+    const replace = this.db.transaction((rows) => {
+      const before = new Set(this.getTrackedCollectionSlugs());
+      const slugs = new Set(rows.map(row => row.slug));
+
+      rows.forEach(row => this.insertTrackedCollection(row.slug, origin, row));
+
+      const stale = this.db.prepare('SELECT collection_slug FROM tracked_collections WHERE origin = ?')
+        .all(origin)
+        .map(row => row.collection_slug)
+        .filter(slug => !slugs.has(slug));
+      const remove = this.db.prepare('DELETE FROM tracked_collections WHERE collection_slug = ? AND origin = ?');
+      stale.forEach(slug => remove.run(slug, origin));
+
+      const after = new Set(this.getTrackedCollectionSlugs());
+      return {
+        added: [...after].filter(slug => !before.has(slug)),
+        removed: [...before].filter(slug => !after.has(slug))
+      };
+    });
+
+    return replace(entries);
+  }
+
+  /**
+   * Add a collection under one origin, or refresh its `last_seen_at`
+   * Also creates the `collections` row price history needs, without touching an existing one.
+   * @returns {boolean} true when the collection wasn't tracked under any origin before
+   */
+  insertTrackedCollection(slug, origin, { name = null, sourceRef = null } = {}) {
+    const isNew = !this.db.prepare('SELECT 1 FROM tracked_collections WHERE collection_slug = ? LIMIT 1').get(slug);
+
+    this.db.prepare('INSERT OR IGNORE INTO collections (slug, name) VALUES (?, ?)').run(slug, name || slug);
+    this.db.prepare(`
+      INSERT INTO tracked_collections (collection_slug, origin, source_ref, backfilled_at)
+      VALUES (?, ?, ?, (SELECT MAX(backfilled_at) FROM tracked_collections WHERE collection_slug = ?))
+      ON CONFLICT(collection_slug, origin) DO UPDATE SET
+        source_ref = excluded.source_ref,
+        last_seen_at = CURRENT_TIMESTAMP
+    `).run(slug, origin, sourceRef, slug);
+
+    return isNew;
+  }
+
+  /**
+   * Stop tracking a collection under one origin
+   */
+  deleteTrackedCollection(slug, origin) {
+    const stmt = this.db.prepare('DELETE FROM tracked_collections WHERE collection_slug = ? AND origin = ?');
+    return stmt.run(slug, origin).changes > 0;
+  }
+
+  /**
+   * Distinct tracked collection slugs
+   */
+  getTrackedCollectionSlugs() {
+    return this.db.prepare('SELECT DISTINCT collection_slug FROM tracked_collections ORDER BY collection_slug')
+      .all()
+      .map(row => row.collection_slug);
+  }
+
+  /**
+   * Tracked collections, one row per collection with its origins and stored history range
+   */
+  getTrackedCollections({ pendingBackfillOnly = false } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT
+        t.collection_slug,
+        c.name,
+        GROUP_CONCAT(t.origin) as origins,
+        MIN(t.added_at) as added_at,
+        MAX(t.backfilled_at) as backfilled_at,
+        (SELECT MIN(date) FROM price_history ph WHERE ph.collection_slug = t.collection_slug) as earliest_date,
+        (SELECT MAX(date) FROM price_history ph WHERE ph.collection_slug = t.collection_slug) as latest_date
+      FROM tracked_collections t
+      LEFT JOIN collections c ON c.slug = t.collection_slug
+      GROUP BY t.collection_slug
+      ${pendingBackfillOnly ? 'HAVING MAX(t.backfilled_at) IS NULL' : ''}
+      ORDER BY MIN(t.added_at) ASC, t.collection_slug ASC
+    `);
+
+    return stmt.all();
+  }
+
+  /**
+   * Record that a collection's history backfill is done
+   */
+  markTrackedCollectionBackfilled(slug) {
+    const stmt = this.db.prepare(`
+      UPDATE tracked_collections SET backfilled_at = CURRENT_TIMESTAMP WHERE collection_slug = ?
+    `);
+    return stmt.run(slug).changes;
+  }
+
+  // ===================
+  // COLLECTION MAPPING METHODS
+  // ===================
+
+  /**
+   * Insert or replace a mapping by name (seeds, manual additions); manual rows count as reviewed
+   * @returns {Object} The stored row
+   */
+  upsertCollectionMapping(mapping) {
+    const stmt = this.db.prepare(`
+      INSERT INTO collection_mappings (
+        name, contract_address, opensea_slug, nftpf_slug, provenance, matched_via, reviewed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? = 'manual' THEN CURRENT_TIMESTAMP END)
+      ON CONFLICT(name) DO UPDATE SET
+        contract_address = COALESCE(excluded.contract_address, contract_address),
+        opensea_slug = COALESCE(excluded.opensea_slug, opensea_slug),
+        nftpf_slug = COALESCE(excluded.nftpf_slug, nftpf_slug),
+        provenance = excluded.provenance,
+        matched_via = excluded.matched_via,
+        reviewed_at = COALESCE(excluded.reviewed_at, reviewed_at),
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run(
+      mapping.name,
+      mapping.contractAddress ? mapping.contractAddress.toLowerCase() : null,
+      mapping.openSeaSlug ?? null,
+      mapping.nftpfSlug ?? null,
+      mapping.provenance,
+      mapping.matchedVia ?? null,
+      mapping.provenance
+    );
+    return this.getCollectionMappingByName(mapping.name);
+  }
+
+  /**
+   * Upsert many mappings in one transaction, leaving reviewed manual rows alone
+   * @returns {number} Rows written
+   */
+  bulkUpsertCollectionMappings(mappings) {
+    const upsertMany = this.db.transaction((rows) => {
+      let written = 0;
+      rows.forEach(mapping => {
+        if (this.getCollectionMappingByName(mapping.name)?.provenance === 'manual') {
+          return;
+        }
+        this.upsertCollectionMapping(mapping);
+        written++;
+      });
+      return written;
+    });
+
+    return upsertMany(mappings);
+  }
+
+  /**
+   * Record a resolver match: a new name is inserted, a known one only has its seen count bumped
+   * (so a confirmed or corrected mapping is never overwritten by an automatic match)
+   * @returns {Object} The stored row
+   */
+  recordCollectionMapping(mapping) {
+    const stmt = this.db.prepare(`
+      INSERT INTO collection_mappings (
+        name, contract_address, opensea_slug, nftpf_slug, provenance, matched_via, seen_count, last_seen_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+      ON CONFLICT(name) DO UPDATE SET
+        contract_address = COALESCE(contract_address, excluded.contract_address),
+        seen_count = seen_count + 1,
+        last_seen_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run(
+      mapping.name,
+      mapping.contractAddress ? mapping.contractAddress.toLowerCase() : null,
+      mapping.openSeaSlug ?? null,
+      mapping.nftpfSlug ?? null,
+      mapping.provenance,
+      mapping.matchedVia ?? null
+    );
+    return this.getCollectionMappingByName(mapping.name);
+  }
+
+  /**
+   * Get mapping by id
+   */
+  getCollectionMapping(id) {
+    const stmt = this.db.prepare('SELECT * FROM collection_mappings WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  /**
+   * Get mapping by collection name (case-insensitive)
+   */
+  getCollectionMappingByName(name) {
+    const stmt = this.db.prepare('SELECT * FROM collection_mappings WHERE name = ?');
+    return stmt.get(name);
+  }
+
+  /**
+   * Get the best mapping for a contract address or OpenSea slug, manual rows first
+   * @param {'contract_address'|'opensea_slug'} column
+   */
+  findCollectionMapping(column, value) {
+    if (!['contract_address', 'opensea_slug'].includes(column)) {
+      throw new Error(`Cannot look up mappings by ${column}`);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT * FROM collection_mappings
+      WHERE ${column} = ? AND nftpf_slug IS NOT NULL
+      ORDER BY provenance = 'manual' DESC, reviewed_at DESC, id ASC
+      LIMIT 1
+    `);
+
+    return stmt.get(column === 'contract_address' ? value.toLowerCase() : value);
+  }
+
+  /**
+   * Get mappings, optionally only the given provenances
+   * @param {Object} options - `{ provenance: string|Array<string>|null }`
+   */
+  getCollectionMappings({ provenance = null } = {}) {
+    const provenances = provenance ? [].concat(provenance) : [];
+    const stmt = this.db.prepare(`
+      SELECT * FROM collection_mappings
+      ${provenances.length > 0 ? `WHERE provenance IN (${provenances.map(() => '?').join(', ')})` : ''}
+      ORDER BY provenance = 'manual' ASC, seen_count DESC, name COLLATE NOCASE ASC
+    `);
+
+    return stmt.all(...provenances);
+  }
+
+  /**
+   * Confirm or correct a mapping: fields left undefined keep their value, and the
+   * row becomes a reviewed manual mapping
+   */
+  reviewCollectionMapping(id, { contractAddress, openSeaSlug, nftpfSlug } = {}) {
+    const stmt = this.db.prepare(`
+      UPDATE collection_mappings SET
+        contract_address = CASE WHEN ? THEN ? ELSE contract_address END,
+        opensea_slug = CASE WHEN ? THEN ? ELSE opensea_slug END,
+        nftpf_slug = CASE WHEN ? THEN ? ELSE nftpf_slug END,
+        provenance = 'manual',
+        reviewed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    const changes = stmt.run(
+      contractAddress !== undefined ? 1 : 0, contractAddress ? contractAddress.toLowerCase() : null,
+      openSeaSlug !== undefined ? 1 : 0, openSeaSlug || null,
+      nftpfSlug !== undefined ? 1 : 0, nftpfSlug || null,
+      id
+    ).changes;
+    return changes > 0 ? this.getCollectionMapping(id) : null;
+  }
+
+  /**
+   * Delete a mapping
+   */
+  deleteCollectionMapping(id) {
+    const stmt = this.db.prepare('DELETE FROM collection_mappings WHERE id = ?');
+    return stmt.run(id).changes > 0;
+  }
+
+  /**
+   * Count mappings per provenance
+   * @returns {Object} e.g. `{ manual: 80, fuzzy: 2 }`
+   */
+  getCollectionMappingCounts() {
+    const stmt = this.db.prepare('SELECT provenance, COUNT(*) as count FROM collection_mappings GROUP BY provenance');
+    return Object.fromEntries(stmt.all().map(row => [row.provenance, row.count]));
+  }
+
+  // ===================
+  // SELECTION PERIOD METHODS
+  // ===================
+
+  /**
+   * The active quarterly selection period, if any
+   */
+  getActiveSelectionPeriod() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM collection_selection_periods
+      WHERE status = 'active'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    return stmt.get() || null;
+  }
+
+  /**
+   * Selection periods, newest first
+   */
+  getSelectionPeriods(limit = 10) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM collection_selection_periods
+      ORDER BY selection_date DESC
+      LIMIT ?
+    `);
+    return stmt.all(limit);
+  }
+
+  /**
+   * The active selection period with the number of collections still selected under it
+   */
+  getActiveSelectionInfo() {
+    const stmt = this.db.prepare(`
+      SELECT csp.*,
+             COUNT(c.slug) as active_collections_count
+      FROM collection_selection_periods csp
+      LEFT JOIN collections c ON c.selection_period = csp.period AND c.is_top_250 = 1
+      WHERE csp.status = 'active'
+      GROUP BY csp.id
+      ORDER BY csp.created_at DESC
+      LIMIT 1
+    `);
+    return stmt.get() || null;
+  }
+
+  /**
+   * Replace the top 250 selection in one transaction: the active period expires, the new one
+   * becomes active, and the selected collections are flagged with their market cap rank
+   * @param {string} period - YYYY-Qn
+   * @param {Object} selection
+   * @param {string} selection.criteria - 'market_cap_usd'
+   * @param {Array<Object>} selection.collections - In rank order (`slug, name, ranking, image, totalSupply, owners, marketCap`)
+   * @param {Object} selection.stats - `{ min_market_cap, max_market_cap, avg_market_cap }`
+   * @returns {{updated: number, inserted: number}}
+   */
+  startSelectionPeriod(period, { criteria, collections, stats }) {
+    const update = this.db.prepare(`
+      UPDATE collections SET
+        name = ?, ranking = ?, image = ?, total_supply = ?, owners = ?,
+        market_cap = ?, market_cap_rank = ?, is_top_250 = 1,
+        selection_period = ?, selected_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE slug = ?
+    `);
+    const insert = this.db.prepare(`
+      INSERT INTO collections (
+        slug, name, ranking, image, total_supply, owners,
+        market_cap, market_cap_rank, is_top_250, selection_period,
+        selected_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+
+    const select = this.db.transaction(() => {
+      this.db.prepare("UPDATE collection_selection_periods SET status = 'expired' WHERE status = 'active'").run();
+      this.db.prepare('UPDATE collections SET is_top_250 = 0 WHERE is_top_250 = 1').run();
+
+      this.db.prepare(`
+        INSERT INTO collection_selection_periods (
+          period, selection_date, total_collections_selected,
+          selection_criteria, min_market_cap, max_market_cap, avg_market_cap, status
+        ) VALUES (?, date('now'), ?, ?, ?, ?, ?, 'active')
+        ON CONFLICT(period) DO UPDATE SET
+          selection_date = excluded.selection_date,
+          total_collections_selected = excluded.total_collections_selected,
+          selection_criteria = excluded.selection_criteria,
+          min_market_cap = excluded.min_market_cap,
+          max_market_cap = excluded.max_market_cap,
+          avg_market_cap = excluded.avg_market_cap,
+          status = 'active'
+      `).run(period, collections.length, criteria, stats.min_market_cap, stats.max_market_cap, stats.avg_market_cap);
+
+      let updated = 0;
+      let inserted = 0;
+      collections.forEach((collection, index) => {
+        const values = [
+          collection.name, collection.ranking, collection.image, collection.totalSupply,
+          collection.owners, collection.marketCap, index + 1, period
+        ];
+        if (update.run(...values, collection.slug).changes > 0) {
+          updated++;
+        } else {
+          insert.run(collection.slug, ...values);
+          inserted++;
+        }
+      });
+
+      return { updated, inserted };
+    });
+
+    return select();
+  }
+
+  // ===================
+  // SYNC LOG METHODS
+  // ===================
+
+  /**
+   * Start sync log entry
+   */
+  startSyncLog(syncType, collectionSlug = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO sync_log (sync_type, collection_slug, status)
+      VALUES (?, ?, 'started')
+    `);
+
+    const result = stmt.run(syncType, collectionSlug);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Complete sync log entry
+   */
+  completeSyncLog(logId, status, stats = {}) {
+    const stmt = this.db.prepare(`
+      UPDATE sync_log SET 
+        status = ?,
+        records_processed = ?,
+        records_inserted = ?,
+        records_updated = ?,
+        error_message = ?,
+        completed_at = CURRENT_TIMESTAMP,
+        duration_seconds = (
+          (julianday(CURRENT_TIMESTAMP) - julianday(started_at)) * 86400
+        )
+      WHERE id = ?
+    `);
+
+    return stmt.run(
+      status,
+      stats.processed || 0,
+      stats.inserted || 0,
+      stats.updated || 0,
+      stats.error || null,
+      logId
+    );
+  }
+
+  /**
+   * Get recent sync logs
+   */
+  getRecentSyncLogs(limit = 50) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM sync_log 
+      ORDER BY started_at DESC 
+      LIMIT ?
+    `);
+
+    return stmt.all(limit);
+  }
+
+  /**
+   * Completion time of the latest successful sync of the given types
+   * @returns {string|null} SQLite UTC timestamp ('YYYY-MM-DD HH:MM:SS')
+   */
+  getLastCompletedSync(syncTypes) {
+    const placeholders = syncTypes.map(() => '?').join(',');
+    const row = this.db.prepare(`
+      SELECT MAX(completed_at) as completed_at FROM sync_log
+      WHERE status = 'completed'
+        AND sync_type IN (${placeholders})
+    `).get(...syncTypes);
+
+    return row?.completed_at || null;
+  }
+
+  /**
+   * Delete sync log entries started before the cutoff
+   * @returns {number} Entries deleted
+   */
+  cleanOldSyncLogs(daysToKeep = 30) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+    const stmt = this.db.prepare('DELETE FROM sync_log WHERE started_at < ?');
+    return stmt.run(cutoffDate.toISOString()).changes;
+  }
+
+  // ===================
+  // SYNC JOB METHODS
+  // ===================
+
+  /**
+   * Create a checkpointed sync job with one pending item per collection
+   * @param {string} jobType - 'full_year'
+   * @param {string[]} collectionSlugs - In processing order
+   * @returns {number} Job id
+   */
+  createSyncJob(jobType, collectionSlugs, { daysToSync = null, selectionPeriod = null } = {}) {
+    const create = this.db.transaction((slugs) => {
+      const jobId = this.db.prepare(`
+        INSERT INTO sync_jobs (job_type, days_to_sync, selection_period)
+        VALUES (?, ?, ?)
+      `).run(jobType, daysToSync, selectionPeriod).lastInsertRowid;
+
+      const insertItem = this.db.prepare(`
+        INSERT OR IGNORE INTO sync_job_items (job_id, collection_slug, position)
+        VALUES (?, ?, ?)
+      `);
+      slugs.forEach((slug, index) => insertItem.run(jobId, slug, index + 1));
+
+      return jobId;
+    });
+
+    return create(collectionSlugs);
+  }
+
+  getSyncJob(jobId) {
+    return this.db.prepare('SELECT * FROM sync_jobs WHERE id = ?').get(jobId);
+  }
+
+  /**
+   * Most recent job of a type, optionally only one that hasn't finished
+   */
+  getLatestSyncJob(jobType, { unfinishedOnly = false } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM sync_jobs
+      WHERE job_type = ?
+        ${unfinishedOnly ? "AND status IN ('running', 'failed')" : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `);
+    return stmt.get(jobType);
+  }
+
+  /**
+   * Set a job's status; 'completed' also stamps `completed_at`
+   */
+  updateSyncJobStatus(jobId, status) {
+    const stmt = this.db.prepare(`
+      UPDATE sync_jobs SET
+        status = ?,
+        updated_at = CURRENT_TIMESTAMP,
+        completed_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END
+      WHERE id = ?
+    `);
+    return stmt.run(status, status, jobId).changes;
+  }
+
+  /**
+   * Reopen a job for another run: items left 'running' by an interrupted run go back to pending
+   * @returns {number} Items reset
+   */
+  resumeSyncJob(jobId) {
+    const resume = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE sync_jobs SET status = 'running', runs = runs + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(jobId);
+
+      return this.db.prepare(`
+        UPDATE sync_job_items SET status = 'pending' WHERE job_id = ? AND status = 'running'
+      `).run(jobId).changes;
+    });
+
+    return resume();
+  }
+
+  /**
+   * Items of a job in processing order, optionally only some statuses
+   */
+  getSyncJobItems(jobId, { statuses = null } = {}) {
+    if (statuses && statuses.length > 0) {
+      const placeholders = statuses.map(() => '?').join(',');
+      return this.db.prepare(`
+        SELECT * FROM sync_job_items
+        WHERE job_id = ? AND status IN (${placeholders})
+        ORDER BY position ASC
+      `).all(jobId, ...statuses);
+    }
+
+    return this.db.prepare('SELECT * FROM sync_job_items WHERE job_id = ? ORDER BY position ASC').all(jobId);
+  }
+
+  /**
+   * Checkpoint the start of an attempt on one collection
+   */
+  startSyncJobItem(jobId, collectionSlug) {
+    const stmt = this.db.prepare(`
+      UPDATE sync_job_items SET
+        status = 'running',
+        attempts = attempts + 1,
+        started_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND collection_slug = ?
+    `);
+    return stmt.run(jobId, collectionSlug).changes;
+  }
+
+  /**
+   * Checkpoint the outcome of one collection
+   * @param {Object} result - `{ status: 'done'|'failed', lastDateFetched, inserted, error, durationMs }`
+   */
+  completeSyncJobItem(jobId, collectionSlug, { status, lastDateFetched = null, inserted = 0, error = null, durationMs = null }) {
+    const stmt = this.db.prepare(`
+      UPDATE sync_job_items SET
+        status = ?,
+        last_date_fetched = COALESCE(?, last_date_fetched),
+        records_inserted = records_inserted + ?,
+        error_message = ?,
+        completed_at = CURRENT_TIMESTAMP,
+        duration_ms = ?
+      WHERE job_id = ? AND collection_slug = ?
+    `);
+    const result = stmt.run(status, lastDateFetched, inserted, error, durationMs, jobId, collectionSlug);
+    this.db.prepare('UPDATE sync_jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(jobId);
+    return result.changes;
+  }
+
+  /**
+   * Item counts per status plus totals for a job
+   * @returns {{total: number, pending: number, running: number, done: number, failed: number, recordsInserted: number, avgDurationMs: number|null}}
+   */
+  getSyncJobProgress(jobId) {
+    const row = this.db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'running' THEN 1 ELSE 0 END) as running,
+        SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) as done,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+        SUM(records_inserted) as records_inserted,
+        AVG(CASE WHEN status = 'done' THEN duration_ms END) as avg_duration_ms
+      FROM sync_job_items
+      WHERE job_id = ?
+    `).get(jobId);
+
+    return {
+      total: row.total,
+      pending: row.pending || 0,
+      running: row.running || 0,
+      done: row.done || 0,
+      failed: row.failed || 0,
+      recordsInserted: row.records_inserted || 0,
+      avgDurationMs: row.avg_duration_ms === null ? null : Math.round(row.avg_duration_ms)
+    };
+  }
+
+  // ===================
+  // UTILITY METHODS
+  // ===================
+
+  /**
+   * Get database statistics
+   */
+  getStats() {
+    const stats = this.getFloorDataStats();
+
+    // Strategy snapshot stats
+    stats.totalStrategySnapshots = this.db.prepare('SELECT COUNT(*) as count FROM strategy_snapshots').get().count;
+    stats.trackedStrategies = this.db.prepare('SELECT COUNT(DISTINCT strategy_id) as count FROM strategy_snapshots').get().count;
+
+    // Sales stats
+    stats.totalSales = this.db.prepare('SELECT COUNT(*) as count FROM sales').get().count;
+
+    // NAV stats
+    stats.totalNavRecords = this.db.prepare('SELECT COUNT(*) as count FROM strategy_nav_history').get().count;
+
+    // Alert stats
+    stats.activeAlertRules = this.db.prepare('SELECT COUNT(*) as count FROM alert_rules WHERE enabled = 1').get().count;
+    stats.totalAlertDeliveries = this.db.prepare('SELECT COUNT(*) as count FROM alert_deliveries').get().count;
+
+    return stats;
+  }
+
+  /**
+   * Collection and price history statistics (the part every storage backend reports)
+   */
+  getFloorDataStats() {
+    const stats = {};
+    
+    // Collection count
+    stats.totalCollections = this.db.prepare('SELECT COUNT(*) as count FROM collections').get().count;
+    stats.activeCollections = this.db.prepare('SELECT COUNT(*) as count FROM collections WHERE is_active = 1').get().count;
+    
+    // Price history stats
+    stats.totalPriceRecords = this.db.prepare('SELECT COUNT(*) as count FROM price_history').get().count;
+
     // Date range
     const dateRange = this.db.prepare(`
       SELECT 
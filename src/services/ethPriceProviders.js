@@ -0,0 +1,142 @@
+/**
+ * ETH Price Providers
+ * Pluggable ETH/USD sources for the price oracle.
+ *
+ * Every provider implements:
+ * - `getSpotPrice()` resolving to `{ priceUsd, timestamp }`
+ * - `getDailyCloses(days)` resolving to an ascending array of `{ date, timestamp, priceUsd }`
+ *   where `date` is the UTC day (YYYY-MM-DD) and `timestamp` its midnight in seconds.
+ */
+
+import axios from 'axios';
+import ethPriceFixtures from './fixtures/ethPrices.js';
+
+const COINGECKO_API_BASE = 'https://api.coingecko.com/api/v3';
+const MAX_DAYS = 365; // CoinGecko public API history limit
+
+const toDay = (timestamp) => new Date(timestamp * 1000).toISOString().split('T')[0];
+const dayStart = (timestamp) => Math.floor(timestamp / 86400) * 86400;
+
+/**
+ * CoinGecko provider (free public API, optional COINGECKO_API_KEY for the demo tier)
+ */
+export class CoinGeckoEthPriceProvider {
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.apiKey = options.apiKey || (typeof process !== 'undefined' ? process.env?.COINGECKO_API_KEY : undefined);
+    this.timeout = options.timeout || 15000;
+  }
+
+  async request(path, params = {}) {
+    const headers = { 'Accept': 'application/json' };
+    if (this.apiKey) {
+      headers['x-cg-demo-api-key'] = this.apiKey;
+    }
+
+    const response = await axios.get(`${COINGECKO_API_BASE}${path}`, {
+      params,
+      timeout: this.timeout,
+      headers
+    });
+    return response.data;
+  }
+
+  async getSpotPrice() {
+    const result = await this.request('/simple/price', {
+      ids: 'ethereum',
+      vs_currencies: 'usd',
+      include_last_updated_at: true
+    });
+
+    const priceUsd = parseFloat(result?.ethereum?.usd);
+    if (!priceUsd) {
+      throw new Error('Invalid ETH spot price response');
+    }
+
+    return {
+      priceUsd,
+      timestamp: parseInt(result.ethereum.last_updated_at) || Math.floor(Date.now() / 1000)
+    };
+  }
+
+  async getDailyCloses(days = 30) {
+    const result = await this.request('/coins/ethereum/market_chart', {
+      vs_currency: 'usd',
+      days: Math.min(days, MAX_DAYS),
+      interval: 'daily'
+    });
+
+    if (!Array.isArray(result?.prices)) {
+      throw new Error('Invalid ETH market chart response');
+    }
+
+    // The last point is the live price for today; keep one close per UTC day
+    const closes = new Map();
+    result.prices.forEach(([timestampMs, price]) => {
+      const timestamp = dayStart(Math.floor(timestampMs / 1000));
+      closes.set(timestamp, { date: toDay(timestamp), timestamp, priceUsd: parseFloat(price) });
+    });
+
+    return [...closes.values()]
+      .filter(close => close.priceUsd > 0)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+/**
+ * Fixture provider for tests and offline development
+ * Serves closes from `fixtures/ethPrices.js`, treating the last close as the spot price.
+ */
+export class FixtureEthPriceProvider {
+  constructor(fixtures = ethPriceFixtures) {
+    this.name = 'fixture';
+    this.fixtures = fixtures;
+  }
+
+  async getSpotPrice() {
+    const [timestamp, priceUsd] = this.fixtures[this.fixtures.length - 1];
+    return { priceUsd, timestamp };
+  }
+
+  async getDailyCloses(days = 30) {
+    return this.fixtures
+      .map(([timestamp, priceUsd]) => ({ date: toDay(timestamp), timestamp, priceUsd }))
+      .slice(-days);
+  }
+}
+
+const providers = {
+  coingecko: CoinGeckoEthPriceProvider,
+  fixture: FixtureEthPriceProvider
+};
+
+/**
+ * Create a provider by name
+ */
+export const createEthPriceProvider = (name = 'coingecko') => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown ETH price provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+let providerInstance = null;
+
+/**
+ * Get the configured provider (ETH_PRICE_PROVIDER, defaults to coingecko)
+ */
+export const getEthPriceProvider = () => {
+  if (!providerInstance) {
+    const configured = (typeof process !== 'undefined' && process.env?.ETH_PRICE_PROVIDER) || 'coingecko';
+    providerInstance = createEthPriceProvider(configured);
+  }
+  return providerInstance;
+};
+
+/**
+ * Override the active provider (tests, scripts)
+ */
+export const setEthPriceProvider = (provider) => {
+  providerInstance = provider;
+};
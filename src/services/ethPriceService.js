@@ -0,0 +1,116 @@
+import axios from 'axios';
+
+/**
+ * Client for the /api/eth-price oracle
+ * Every USD figure derived from an ETH amount goes through here: current values
+ * use the spot price, historical points use the close of their own UTC day.
+ */
+class EthPriceService {
+  constructor() {
+    this.baseURL = '/api/eth-price';
+    this.spotTtl = 60 * 1000;          // 1 minute, matches the server cache
+    this.closesTtl = 60 * 60 * 1000;   // 1 hour, closes only change once a day
+
+    this.spot = null;                  // { priceUsd, fetchedAt }
+    this.spotRequest = null;           // In-flight spot request shared by concurrent callers
+    this.closes = new Map();           // days -> { data, fetchedAt }
+  }
+
+  /**
+   * Get the current ETH/USD price
+   * @returns {Promise<number|null>} Spot price, the last known price if the oracle fails, or null
+   */
+  async getCurrentPrice() {
+    if (this.spot && Date.now() - this.spot.fetchedAt < this.spotTtl) {
+      return this.spot.priceUsd;
+    }
+
+    if (!this.spotRequest) {
+      this.spotRequest = axios.get(this.baseURL, { timeout: 15000 })
+        .then(response => {
+          const priceUsd = parseFloat(response.data?.priceUsd);
+          if (!priceUsd) {
+            throw new Error('Invalid response format from ETH price API');
+          }
+          this.spot = { priceUsd, fetchedAt: Date.now() };
+          return priceUsd;
+        })
+        .catch(error => {
+          console.warn('Failed to fetch ETH/USD price:', error.message);
+          return this.spot?.priceUsd ?? null;
+        })
+        .finally(() => {
+          this.spotRequest = null;
+        });
+    }
+
+    return this.spotRequest;
+  }
+
+  /**
+   * Get ETH/USD daily closes
+   * @param {number} days - Number of days back from today (max 365)
+   * @returns {Promise<Array>} Ascending `{ date, timestamp, priceUsd }` closes
+   */
+  async getDailyCloses(days = 365) {
+    const cached = this.closes.get(days);
+    if (cached && Date.now() - cached.fetchedAt < this.closesTtl) {
+      return cached.data;
+    }
+
+    try {
+      const response = await axios.get(this.baseURL, { params: { days }, timeout: 30000 });
+      if (!Array.isArray(response.data?.closes)) {
+        throw new Error('Invalid response format from ETH price API');
+      }
+
+      this.closes.set(days, { data: response.data.closes, fetchedAt: Date.now() });
+      return response.data.closes;
+    } catch (error) {
+      console.warn('Failed to fetch ETH/USD closes:', error.message);
+      return cached?.data || [];
+    }
+  }
+
+  /**
+   * Find the close for the UTC day of a timestamp (closest earlier day when missing)
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {Array} closes - Ascending closes from getDailyCloses
+   * @returns {number|null} ETH/USD price on that day
+   */
+  getPriceAt(timestamp, closes) {
+    if (!closes || closes.length === 0 || !timestamp) {
+      return null;
+    }
+
+    let low = 0;
+    let high = closes.length - 1;
+    let match = null;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      if (closes[mid].timestamp <= timestamp) {
+        match = closes[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return match ? match.priceUsd : null;
+  }
+
+  /**
+   * Convert an ETH amount to USD at a given price
+   * @returns {number|null} USD value, or null when either input is missing
+   */
+  toUsd(amountEth, priceUsd) {
+    const amount = parseFloat(amountEth);
+    if (isNaN(amount) || !priceUsd) {
+      return null;
+    }
+    return amount * priceUsd;
+  }
+}
+
+export const ethPriceService = new EthPriceService();
@@ -0,0 +1,157 @@
+/**
+ * ETH Price Sync Service
+ * Server-side ETH/USD oracle: short-lived spot price cache plus daily closes
+ * stored in the local database for converting historical points
+ */
+
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+import { getEthPriceProvider } from './ethPriceProviders.js';
+
+class EthPriceSyncService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.provider = getEthPriceProvider();
+    this.spotCache = null;
+    this.config = {
+      spotTtl: 60 * 1000,   // Spot price is reused for 1 minute
+      backfillDays: 365     // Days of closes fetched when the table is empty
+    };
+
+    console.log(`💵 ETH Price Sync Service initialized (provider: ${this.provider.name})`);
+  }
+
+  /**
+   * Get the current ETH/USD price: cached spot, provider, then last stored close
+   */
+  async getSpotPrice() {
+    if (this.spotCache && Date.now() - this.spotCache.fetchedAt < this.config.spotTtl) {
+      return this.spotCache.result;
+    }
+
+    try {
+      const spot = await this.provider.getSpotPrice();
+      const result = { success: true, ...spot, source: this.provider.name };
+      this.spotCache = { result, fetchedAt: Date.now() };
+      return result;
+    } catch (error) {
+      console.warn(`⚠️ ${this.provider.name} spot price failed, using last stored close:`, error.message);
+
+      const latest = this.db.getLatestEthPrice();
+      if (!latest) {
+        return { success: false, error: error.message };
+      }
+
+      return {
+        success: true,
+        priceUsd: latest.close_usd,
+        timestamp: latest.timestamp,
+        source: 'local_database',
+        stale: true
+      };
+    }
+  }
+
+  /**
+   * Get daily closes: provider first (written through to the database),
+   * local database when the provider fails
+   */
+  async getDailyCloses(days = 30) {
+    try {
+      const closes = await this.provider.getDailyCloses(days);
+      this.storeCloses(closes);
+
+      return { success: true, closes, source: this.provider.name };
+    } catch (error) {
+      console.warn(`⚠️ ${this.provider.name} daily closes failed, using local data:`, error.message);
+
+      const endDate = new Date().toISOString().split('T')[0];
+      const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const closes = this.db.getEthPrices(startDate, endDate).map(this.transformRowToClose);
+
+      if (closes.length === 0) {
+        return { success: false, error: error.message, closes: [] };
+      }
+
+      return { success: true, closes, source: 'local_database', stale: true };
+    }
+  }
+
+  /**
+   * Store the closes missing since the last stored day (full backfill when empty)
+   */
+  async syncDailyCloses() {
+    const logId = await this.storage.startSyncLog('eth_price');
+    const startTime = Date.now();
+
+    try {
+      const latest = this.db.getLatestEthPrice();
+      const days = latest
+        ? Math.min(this.config.backfillDays, Math.ceil((Date.now() / 1000 - latest.timestamp) / 86400) + 1)
+        : this.config.backfillDays;
+
+      const closes = await this.provider.getDailyCloses(days);
+      const inserted = this.storeCloses(closes);
+
+      console.log(`✅ ETH/USD closes synced: ${inserted} days (${days}d window)`);
+      await this.storage.completeSyncLog(logId, 'completed', { processed: closes.length, inserted });
+
+      return { success: true, inserted, days, duration: Date.now() - startTime };
+    } catch (error) {
+      console.error('❌ ETH price sync failed:', error);
+      await this.storage.completeSyncLog(logId, 'failed', { error: error.message });
+
+      return { success: false, error: error.message, duration: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Get the stored close for a UTC day (closest earlier day when missing)
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {number|null} ETH/USD close
+   */
+  getCloseAt(timestamp) {
+    const date = new Date(timestamp * 1000).toISOString().split('T')[0];
+    return this.db.getEthPriceOn(date)?.close_usd ?? null;
+  }
+
+  /**
+   * Store closes, never letting a database failure break the caller
+   */
+  storeCloses(closes) {
+    if (!closes || closes.length === 0) {
+      return 0;
+    }
+
+    try {
+      return this.db.bulkInsertEthPrices(closes, this.provider.name);
+    } catch (error) {
+      console.error('❌ Failed to store ETH closes:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Transform database row to close format
+   */
+  transformRowToClose(row) {
+    return {
+      date: row.date,
+      timestamp: row.timestamp,
+      priceUsd: row.close_usd
+    };
+  }
+}
+
+// Create singleton instance
+let ethPriceInstance = null;
+
+export const getEthPriceSyncService = () => {
+  if (!ethPriceInstance) {
+    ethPriceInstance = new EthPriceSyncService();
+  }
+  return ethPriceInstance;
+};
+
+export default EthPriceSyncService;
@@ -0,0 +1,58 @@
+import { toCsv, toExportRecords, toExportTable, getExportFilename } from '../utils/exportUtils.js';
+
+const XLSX_MAX_SHEET_NAME = 31; // Excel's limit
+
+/**
+ * Downloads tables as CSV, JSON or XLSX files
+ * A download is a list of sheets `{ key, name, rows, columns }` (columns from utils/exportUtils).
+ * CSV holds a single sheet; JSON is an array for one sheet and an object keyed by sheet
+ * key for several; XLSX writes one worksheet per sheet.
+ */
+class ExportService {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - File name base (date and extension are appended)
+   * @param {'csv'|'json'|'xlsx'} options.format
+   * @param {Array<{key: string, name: string, rows: Array, columns: Array}>} options.sheets
+   * @returns {Promise<string>} The downloaded file name
+   */
+  async download({ name, format, sheets }) {
+    const filename = getExportFilename(name, format);
+
+    if (format === 'csv') {
+      if (sheets.length !== 1) {
+        throw new Error('CSV export takes a single table');
+      }
+      this.saveBlob(new Blob([toCsv(sheets[0].rows, sheets[0].columns)], { type: 'text/csv;charset=utf-8' }), filename);
+    } else if (format === 'json') {
+      const data = sheets.length === 1
+        ? toExportRecords(sheets[0].rows, sheets[0].columns)
+        : Object.fromEntries(sheets.map(sheet => [sheet.key, toExportRecords(sheet.rows, sheet.columns)]));
+      this.saveBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+    } else if (format === 'xlsx') {
+      // Loaded on demand, it's only needed when someone exports a spreadsheet
+      const { default: writeExcelFile } = await import('write-excel-file/browser');
+      await writeExcelFile(sheets.map(sheet => ({
+        sheet: sheet.name.slice(0, XLSX_MAX_SHEET_NAME),
+        data: toExportTable(sheet.rows, sheet.columns).map((cells, index) =>
+          index === 0 ? cells.map(value => ({ value, fontWeight: 'bold' })) : cells
+        )
+      }))).toFile(filename);
+    } else {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    return filename;
+  }
+
+  saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+export const exportService = new ExportService();
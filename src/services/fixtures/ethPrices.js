@@ -0,0 +1,39 @@
+/**
+ * ETH/USD fixtures for FixtureEthPriceProvider
+ * Daily [timestamp, closeUsd] tuples at UTC midnight, ascending.
+ */
+
+const ethPrices = [
+  [1759276800, 4200.00],
+  [1759363200, 4280.94],
+  [1759449600, 4325.08],
+  [1759536000, 4265.58],
+  [1759622400, 4190.21],
+  [1759708800, 4208.24],
+  [1759795200, 4292.28],
+  [1759881600, 4319.68],
+  [1759968000, 4248.16],
+  [1760054400, 4183.42],
+  [1760140800, 4218.57],
+  [1760227200, 4301.83],
+  [1760313600, 4311.10],
+  [1760400000, 4230.99],
+  [1760486400, 4179.81],
+  [1760572800, 4230.43],
+  [1760659200, 4309.01],
+  [1760745600, 4299.65],
+  [1760832000, 4214.78],
+  [1760918400, 4179.43],
+  [1761004800, 4243.17],
+  [1761091200, 4313.38],
+  [1761177600, 4285.78],
+  [1761264000, 4200.20],
+  [1761350400, 4182.20],
+  [1761436800, 4256.13],
+  [1761523200, 4314.62],
+  [1761609600, 4270.07],
+  [1761696000, 4187.80],
+  [1761782400, 4187.87]
+];
+
+export default ethPrices;
@@ -0,0 +1,24 @@
+/**
+ * Sale fixtures for FixtureSalesProvider
+ * Normalized sales keyed by collection slug. `default` is served for any slug
+ * without its own entry.
+ */
+
+const sales = {
+  default: [
+    { tokenId: '1000', priceEth: 0.4200, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'OpenSea', buyer: '0xc02c0b965e023abee808f2b548d8d5193a8b5229', seller: '0xec18eac8d758b1eba52d3c10d39adc6dd9806472', txHash: '0x512f26ada3c3d634ac3c6b12b7b33cb50bb0963c3f6d9924241619c84ec78ff2', timestamp: 1760400000 },
+    { tokenId: '8919', priceEth: 0.4600, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'Blur', buyer: '0x7dc96f776c8423e57a2785489a3f9c43fb6e7568', seller: '0xe8bc163c82eee18733288c7d4ac636db3a6deb01', txHash: '0x628b49d96dcde97a430dd4f597705899e09a968f793491e4b704cae33a40dc02', timestamp: 1760378400 },
+    { tokenId: '7838', priceEth: 0.5000, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'OpenSea', buyer: '0x4814d92093ac8a0f4a2163ab87dee509ba306a58', seller: '0xad328846aa18b32a335816374511cac1063c704b', txHash: '0xc44474038d459e40e4714afefa7bf8dae9f9834b22f5e8ec1dd434ecb62b512e', timestamp: 1760356800 },
+    { tokenId: '6757', priceEth: 0.4300, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'OpenSea', buyer: '0x76a8277347f52530e1cf979175a178980b3a180d', seller: '0x41242b9fae56fad4e6e77dfe33cb18d1c3fc583f', txHash: '0xcece8a9cecfb6c7e7ee4f3346d5e2544138bfb6e33bec6042a17333a4d3180b0', timestamp: 1760335200 },
+    { tokenId: '5676', priceEth: 0.4700, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'Blur', buyer: '0x486bacc5c2d8a71a73d51bf8e522deaa264ec262', seller: '0x5b840157e7e86aef3b3fd0fc24f3add34d3e7f21', txHash: '0xa2f1a68a3cf7bab14245ba34e6a348b6822aceb4a9ec7ad04a86c2c93ca1a28a', timestamp: 1760313600 },
+    { tokenId: '4595', priceEth: 0.5100, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'Magic Eden', buyer: '0x3c5661974942379614b943d0593e4a5e3f85900a', seller: '0x3b96fc064fa874a80a132bda60bebf54efbc780a', txHash: '0xf413e43d74f8178745c1acb48b2741438ab9ddccf3ed0a4dd451b0419f7ba837', timestamp: 1760292000 },
+    { tokenId: '3514', priceEth: 0.4400, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'OpenSea', buyer: '0x2f5da6e9921baa794759ee9f4b362555bcb3c164', seller: '0x71e7690959239ca065841eba3ebb281072baa78b', txHash: '0x8a37b83c96f1aa17d63d5db633defe9edaca1d3958f2eae81c94b48be948e4f6', timestamp: 1760270400 },
+    { tokenId: '2433', priceEth: 0.4800, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'Blur', buyer: '0xe1b0acf86b9621b8c13ca17bb2f2a23d662bfa94', seller: '0x13d28fed9becbe6637ef6b017fbefef73b2b907e', txHash: '0x3e6558d0cb97f9bd3e8a25ae442f7ef7d95de26e56b6fd69df10be97e8a21563', timestamp: 1760248800 },
+    { tokenId: '1352', priceEth: 0.5200, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'OpenSea', buyer: '0x92ee93de02ea87db530298f4d66c63984f20a689', seller: '0x1cb7637b6957ac5d6f6cdec745554afd3cd1537b', txHash: '0xd5fa38a1f8a14002509297c163336a28806979e6195592f4df64060dda39a9be', timestamp: 1760227200 },
+    { tokenId: '9271', priceEth: 0.4500, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'OpenSea', buyer: '0xcb440fe2f7ec20d54f4726630cebadb8673965cc', seller: '0xe72d310dbb213f4c2e34da28935b38905332ee36', txHash: '0xef46a230cfb0c087fdd8883bc989a3eaa253428f9f6033335e0cee7173c42a92', timestamp: 1760205600 },
+    { tokenId: '8190', priceEth: 0.4900, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'Blur', buyer: '0x087f4c7109d76636536c712c5121252018fa2dd0', seller: '0xd34beeb70cddcc1f973ab468a4f7467557065a2f', txHash: '0xfda9f04c2ded017607d60770485b3f2eb5872e0f48340f2c55c5bdfcffe93602', timestamp: 1760184000 },
+    { tokenId: '7109', priceEth: 0.4200, priceUsd: null, paymentSymbol: 'ETH', marketplace: 'Magic Eden', buyer: '0x8101d16893f3425fbb4ff727e5502764784208aa', seller: '0x568db421693629b25e9eb5597365e4e862638d29', txHash: '0x7f7ef9c9a88fd0a9c44d863eba3ad4c913a971f4d7dfe63b6f89d0b4644f0f0e', timestamp: 1760162400 }
+  ]
+};
+
+export default sales;
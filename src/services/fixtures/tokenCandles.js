@@ -0,0 +1,42 @@
+/**
+ * Token candle fixtures for FixtureProvider
+ * Daily [timestamp, open, high, low, close, volume] tuples in USD, keyed by lowercase
+ * token address. `default` is served for any address without its own entry.
+ */
+
+const tokenCandles = {
+  default: [
+    [1759276800, 0.001200, 0.001236, 0.001164, 0.001200, 170000.0],
+    [1759363200, 0.001200, 0.001252, 0.001164, 0.001216, 169378.25],
+    [1759449600, 0.001216, 0.001283, 0.001180, 0.001246, 167551.65],
+    [1759536000, 0.001246, 0.001327, 0.001209, 0.001288, 164633.78],
+    [1759622400, 0.001288, 0.001378, 0.001249, 0.001338, 160806.05],
+    [1759708800, 0.001338, 0.001433, 0.001298, 0.001391, 156306.45],
+    [1759795200, 0.001391, 0.001485, 0.001349, 0.001442, 151414.74],
+    [1759881600, 0.001442, 0.001529, 0.001399, 0.001484, 146435.08],
+    [1759968000, 0.001484, 0.001556, 0.001439, 0.001511, 141677.06],
+    [1760054400, 0.001511, 0.001566, 0.001466, 0.001520, 137436.53],
+    [1760140800, 0.001520, 0.001566, 0.001463, 0.001508, 133977.13],
+    [1760227200, 0.001508, 0.001553, 0.001434, 0.001478, 131513.95],
+    [1760313600, 0.001478, 0.001522, 0.001390, 0.001433, 130200.15],
+    [1760400000, 0.001433, 0.001476, 0.001339, 0.001380, 130117.41],
+    [1760486400, 0.001380, 0.001421, 0.001285, 0.001325, 131270.87],
+    [1760572800, 0.001325, 0.001365, 0.001236, 0.001274, 133588.81],
+    [1760659200, 0.001274, 0.001312, 0.001196, 0.001233, 136927.13],
+    [1760745600, 0.001233, 0.001270, 0.001168, 0.001204, 141078.25],
+    [1760832000, 0.001204, 0.001240, 0.001155, 0.001191, 145784.08],
+    [1760918400, 0.001191, 0.001229, 0.001155, 0.001193, 150752.04],
+    [1761004800, 0.001193, 0.001247, 0.001157, 0.001211, 155673.24],
+    [1761091200, 0.001211, 0.001280, 0.001175, 0.001243, 160241.71],
+    [1761177600, 0.001243, 0.001325, 0.001206, 0.001286, 164173.4],
+    [1761264000, 0.001286, 0.001377, 0.001247, 0.001337, 167223.85],
+    [1761350400, 0.001337, 0.001432, 0.001297, 0.001390, 169203.41],
+    [1761436800, 0.001390, 0.001482, 0.001348, 0.001439, 169988.99],
+    [1761523200, 0.001439, 0.001523, 0.001396, 0.001479, 169531.75],
+    [1761609600, 0.001479, 0.001548, 0.001435, 0.001503, 167860.13],
+    [1761696000, 0.001503, 0.001553, 0.001458, 0.001508, 165078.05],
+    [1761782400, 0.001508, 0.001553, 0.001449, 0.001494, 161358.48]
+  ]
+};
+
+export default tokenCandles;
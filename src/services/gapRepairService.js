@@ -0,0 +1,222 @@
+/**
+ * Gap Repair Service
+ * Finds days missing from `price_history` and backfills them.
+ *
+ * The daily sync only fetches the last day, so a missed night (crash, rate limit, downtime)
+ * leaves a hole that nothing revisits. This scans every tracked collection from its first
+ * stored date through yesterday, groups the missing days into ranges and refetches them
+ * through the rate limit manager, up to a request budget per run. Each repair is recorded
+ * in `sync_log` as a `repair` entry.
+ *
+ * Some days never come back from the API. Days still missing after a successful request, once
+ * they are a few days old, go into `price_history_unavailable` and the scan skips them, so they
+ * don't spend the budget on every run. They're asked for again once the check expires.
+ */
+
+import { getStorage } from './storageBackends.js';
+import { rateLimitManager } from './rateLimitManager.js';
+import { fetchFloorPriceHistory } from './nftAPI.js';
+import { getDataSyncService } from './dataSyncService.js';
+import { getTrackedCollectionsService } from './trackedCollectionsService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateString, days) => toDateString(new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS));
+
+class GapRepairService {
+  constructor() {
+    this.storage = getStorage();
+    this.syncService = getDataSyncService();
+    this.trackedService = getTrackedCollectionsService();
+    this.config = {
+      maxRequestsPerRun: 50,  // API requests one repair run may spend
+      maxDaysPerRequest: 90,  // Longer gaps are split across requests
+      recheckUnavailableDays: 30, // Ask again for days the API had nothing for after this long
+      settleDays: 3           // Recent days may still show up upstream, don't mark them yet
+    };
+  }
+
+  /**
+   * Collections to scan: the tracked set, or the top 250 before anything was tracked
+   */
+  async getCollectionSlugs() {
+    const tracked = this.trackedService.getSlugs();
+    return tracked.length > 0
+      ? tracked
+      : (await this.storage.getCurrentTop250Collections()).map(collection => collection.slug);
+  }
+
+  /**
+   * Find missing days, most recent gaps first
+   * Today is left out, it belongs to the next daily sync, and so are days marked unavailable.
+   * @param {Object} options - `{ slugs }` to scan only some collections
+   * @returns {Promise<{collections: number, missingDays: number, gaps: Array<{slug: string, startDate: string, endDate: string, missingDays: number}>}>}
+   */
+  async scanGaps({ slugs = null } = {}) {
+    const collectionSlugs = slugs && slugs.length > 0 ? slugs : await this.getCollectionSlugs();
+    const yesterday = addDays(toDateString(new Date()), -1);
+
+    const gaps = (await this.storage.getPriceHistoryGaps(collectionSlugs, yesterday)).map(row => ({
+      slug: row.collection_slug,
+      startDate: row.gap_start,
+      endDate: row.gap_end,
+      missingDays: row.missing_days
+    }));
+
+    return {
+      collections: collectionSlugs.length,
+      missingDays: gaps.reduce((sum, gap) => sum + gap.missingDays, 0),
+      gaps
+    };
+  }
+
+  /**
+   * Split gaps into API requests of at most `maxDaysPerRequest` days
+   */
+  planRequests(gaps) {
+    const requests = [];
+    gaps.forEach(gap => {
+      let startDate = gap.startDate;
+      while (startDate <= gap.endDate) {
+        const chunkEnd = addDays(startDate, this.config.maxDaysPerRequest - 1);
+        const endDate = chunkEnd < gap.endDate ? chunkEnd : gap.endDate;
+        requests.push({ slug: gap.slug, startDate, endDate });
+        startDate = addDays(endDate, 1);
+      }
+    });
+    return requests;
+  }
+
+  /**
+   * Scan for gaps and refetch them until the request budget runs out
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only report what would be fetched
+   * @param {number} options.budget - Maximum API requests for this run
+   * @param {string[]} options.slugs - Only repair these collections
+   * @returns {Promise<Object>} Scan totals, per-request results and what is left for the next run
+   */
+  async repair({ dryRun = false, budget = this.config.maxRequestsPerRun, slugs = null } = {}) {
+    if (!dryRun) {
+      await this.storage.cleanUnavailableDays(this.config.recheckUnavailableDays);
+    }
+
+    const scan = await this.scanGaps({ slugs });
+    const requests = this.planRequests(scan.gaps);
+    const planned = requests.slice(0, Math.max(0, budget));
+
+    console.log(`🔍 ${scan.gaps.length} gaps (${scan.missingDays} missing days) across ${scan.collections} collections`);
+
+    const summary = {
+      dryRun,
+      collections: scan.collections,
+      gaps: scan.gaps.length,
+      missingDays: scan.missingDays,
+      requests: planned.length,
+      deferred: requests.length - planned.length,
+      repaired: 0,
+      failed: 0,
+      inserted: 0,
+      unavailable: 0,
+      results: []
+    };
+
+    if (dryRun) {
+      summary.results = planned.map(request => ({ ...request, days: this.countDays(request) }));
+      return summary;
+    }
+
+    for (const request of planned) {
+      const result = await this.repairRange(request);
+      summary.results.push(result);
+      summary.inserted += result.inserted;
+      summary.unavailable += result.unavailable;
+      if (result.success) {
+        summary.repaired++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    console.log(`🩹 Gap repair: ${summary.repaired} ranges repaired, ${summary.failed} failed, ${summary.inserted} days inserted, ${summary.unavailable} days unavailable${summary.deferred > 0 ? `, ${summary.deferred} requests deferred` : ''}`);
+    return summary;
+  }
+
+  /**
+   * Refetch one missing range and store only the days inside it
+   * Settled days the API answered without are marked unavailable.
+   */
+  async repairRange({ slug, startDate, endDate }) {
+    const days = this.countDays({ startDate, endDate });
+    const logId = await this.storage.startSyncLog('repair', slug);
+
+    try {
+      const startTimestamp = Math.floor(Date.parse(`${startDate}T00:00:00Z`) / 1000);
+      const endTimestamp = Math.floor(Date.parse(`${endDate}T23:59:59Z`) / 1000);
+
+      const result = await rateLimitManager.queueRequest(
+        () => fetchFloorPriceHistory(slug, '1d', startTimestamp, endTimestamp),
+        'low'
+      );
+
+      if (!result.success || !result.data) {
+        throw new Error(result.error || 'No data received');
+      }
+
+      const rows = this.syncService.transformPriceHistory(slug, result.data)
+        .filter(row => row.date >= startDate && row.date <= endDate);
+      const unavailable = await this.markUnavailable(slug, { startDate, endDate }, rows);
+      if (rows.length === 0) {
+        throw Object.assign(new Error(`No price data for ${startDate} → ${endDate}`), { unavailable });
+      }
+
+      const inserted = await this.storage.bulkInsertPriceHistory(rows);
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: days,
+        inserted,
+        error: rows.length < days ? `${days - rows.length} of ${days} days unavailable` : null
+      });
+
+      console.log(`🩹 ${slug}: ${startDate} → ${endDate} repaired (${inserted}/${days} days)`);
+      return { slug, startDate, endDate, days, success: true, inserted, unavailable };
+
+    } catch (error) {
+      await this.storage.completeSyncLog(logId, 'failed', { processed: days, error: error.message });
+      console.warn(`⚠️ ${slug}: ${startDate} → ${endDate} not repaired:`, error.message);
+      return { slug, startDate, endDate, days, success: false, inserted: 0, unavailable: error.unavailable || 0, error: error.message };
+    }
+  }
+
+  /**
+   * Record the range's days missing from a successful response, older than `settleDays`
+   * @returns {Promise<number>} Days marked
+   */
+  async markUnavailable(slug, { startDate, endDate }, rows) {
+    const settledUntil = addDays(toDateString(new Date()), -this.config.settleDays);
+    const received = new Set(rows.map(row => row.date));
+    const missing = [];
+    for (let date = startDate; date <= endDate && date <= settledUntil; date = addDays(date, 1)) {
+      if (!received.has(date)) {
+        missing.push(date);
+      }
+    }
+    return missing.length > 0 ? this.storage.markPriceHistoryUnavailable(slug, missing) : 0;
+  }
+
+  countDays({ startDate, endDate }) {
+    return Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+  }
+}
+
+// Create singleton instance
+let gapRepairInstance = null;
+
+export const getGapRepairService = () => {
+  if (!gapRepairInstance) {
+    gapRepairInstance = new GapRepairService();
+  }
+  return gapRepairInstance;
+};
+
+export default GapRepairService;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { ethPriceService } from './ethPriceService.js';
 
 class HoldingsService {
   constructor() {
@@ -7,6 +8,7 @@ class HoldingsService {
     
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.bulkRequest = null;           // In-flight bulk request shared by concurrent callers
     
     console.log('🔧 HoldingsService initialized with baseURL:', this.baseURL);
   }
@@ -89,14 +91,18 @@ class HoldingsService {
         throw new Error(`Invalid response format from holdings API. Expected array, got ${dataType}. Data: ${dataSnippet}...`);
       }
 
+      const ethUsd = await ethPriceService.getCurrentPrice();
+
       const holdings = response.data.map(holding => ({
         tokenId: holding.token_id,
         currentPrice: holding.current_price,
         imageUrl: holding.image_url,
         // Convert price from wei to ETH for display
         priceInEth: holding.current_price ? (parseFloat(holding.current_price) / 1e18).toFixed(4) : '0',
-        // Format price in USD (assuming 1 ETH = $2000 for now, this could be dynamic)
-        priceInUsd: holding.current_price ? ((parseFloat(holding.current_price) / 1e18) * 2000).toFixed(2) : '0'
+        // Price in USD at the current ETH/USD oracle price (null while the oracle is unavailable)
+        priceInUsd: holding.current_price
+          ? (ethUsd ? ((parseFloat(holding.current_price) / 1e18) * ethUsd).toFixed(2) : null)
+          : '0'
       }));
       
       // Cache the result
@@ -127,12 +133,139 @@ class HoldingsService {
     }
   }
 
+  /**
+   * Fetch holdings counts and listed value of every strategy in one request (/api/holdings/bulk)
+   * Falls back to one /api/holdings request per strategy when the bulk route fails.
+   * @param {Array<Object>} strategies - Strategies for the fallback (tokenAddress, collection or contractAddress)
+   * @returns {Promise<Map<string, {count: number, totalValueEth: number}>>} Keyed by getHoldingsKey();
+   *   strategies whose holdings couldn't be fetched are missing (unknown, not 0)
+   */
+  async fetchHoldingsBulk(strategies = []) {
+    const cacheKey = 'holdings_bulk';
+    const cached = this.getCachedData(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.bulkRequest) {
+      this.bulkRequest = axios.get(`${this.baseURL}/holdings/bulk`, { timeout: 60000 })
+        .then(response => {
+          if (!Array.isArray(response.data?.holdings)) {
+            throw new Error('Invalid response format from bulk holdings API');
+          }
+          const summaries = new Map(response.data.holdings
+            .filter(row => !row.error)
+            .map(row => [this.getHoldingsKey(row.strategyAddress, row.nftAddress), { count: row.count, totalValueEth: row.totalValueEth }]));
+          this.setCachedData(cacheKey, summaries);
+          console.log(`✅ Fetched holdings for ${summaries.size} strategies`);
+          return summaries;
+        })
+        .catch(async error => {
+          console.error('❌ Failed to fetch bulk holdings, falling back to per-strategy requests:', error.message);
+          const summaries = await this.fetchHoldingsSummaries(strategies);
+          if (summaries.size > 0) {
+            this.setCachedData(cacheKey, summaries);
+            return summaries;
+          }
+          // Keep the last result over an empty table
+          return this.cache.get(cacheKey)?.data || summaries;
+        })
+        .finally(() => {
+          this.bulkRequest = null;
+        });
+    }
+    return this.bulkRequest;
+  }
+
+  /**
+   * Holdings count and listed value per strategy, `concurrency` /api/holdings requests at a time
+   * @returns {Promise<Map<string, {count: number, totalValueEth: number}>>} Failed strategies are left out
+   */
+  async fetchHoldingsSummaries(strategies, concurrency = 4) {
+    const pairs = strategies
+      .map(strategy => ({ strategyAddress: strategy.tokenAddress, nftAddress: strategy.collection || strategy.contractAddress }))
+      .filter(pair => pair.strategyAddress && pair.nftAddress);
+    const summaries = new Map();
+    let next = 0;
+
+    const worker = async () => {
+      while (next < pairs.length) {
+        const { strategyAddress, nftAddress } = pairs[next++];
+        try {
+          const response = await axios.get(`${this.baseURL}/holdings`, { params: { strategyAddress, nftAddress }, timeout: 30000 });
+          if (!Array.isArray(response.data)) {
+            throw new Error('Invalid response format from holdings API');
+          }
+          const totalValueEth = response.data.reduce((sum, holding) => sum + (parseFloat(holding.current_price) || 0) / 1e18, 0);
+          summaries.set(this.getHoldingsKey(strategyAddress, nftAddress), {
+            count: response.data.length,
+            totalValueEth: Math.round(totalValueEth * 1e6) / 1e6
+          });
+        } catch (error) {
+          console.warn(`⚠️ Holdings unavailable for ${strategyAddress}:`, error.message);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, pairs.length) }, worker));
+    console.log(`✅ Fetched holdings for ${summaries.size}/${pairs.length} strategies individually`);
+    return summaries;
+  }
+
+  /**
+   * Key of a strategy in fetchHoldingsBulk() results
+   * @param {string} strategyAddress - Strategy token address
+   * @param {string} nftAddress - NFT contract address
+   */
+  getHoldingsKey(strategyAddress, nftAddress) {
+    return `${strategyAddress}_${nftAddress}`.toLowerCase();
+  }
+
+  /**
+   * Fetch P&L for a strategy's holdings (acquisition cost, unrealized/realized P&L vs floor)
+   * @param {string} strategyAddress - Strategy contract address
+   * @param {string} nftAddress - NFT contract address
+   * @param {string} collectionSlug - NFTPriceFloor slug used for the current floor
+   * @returns {Promise<Object|null>} `{ positions, realized, summary, ethUsd, warnings }` or null when unavailable
+   */
+  async fetchHoldingsPnl(strategyAddress, nftAddress, collectionSlug) {
+    const cacheKey = `holdings_pnl_${strategyAddress}_${nftAddress}_${collectionSlug || ''}`;
+
+    try {
+      const cached = this.getCachedData(cacheKey);
+      if (cached) {
+        return cached;
+      }
+
+      const params = { strategyAddress, nftAddress, include: 'pnl' };
+      if (collectionSlug) {
+        params.collectionSlug = collectionSlug;
+      }
+
+      const response = await axios.get(`${this.baseURL}/holdings`, { params, timeout: 45000 });
+
+      // The dev proxy forwards to the upstream holdings API, which returns a plain array
+      if (!response.data?.pnl) {
+        console.warn('⚠️ Holdings API did not return P&L (upstream proxy?)');
+        return null;
+      }
+
+      this.setCachedData(cacheKey, response.data.pnl);
+      return response.data.pnl;
+
+    } catch (error) {
+      console.error('❌ Failed to fetch holdings P&L:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get holdings summary statistics
    * @param {Array} holdings - Holdings array
-   * @returns {Object} Summary statistics
+   * @param {number|null} ethUsd - ETH/USD price; defaults to the per-holding USD values
+   * @returns {Object} Summary statistics (USD fields are null when no price is known)
    */
-  getHoldingsSummary(holdings) {
+  getHoldingsSummary(holdings, ethUsd = null) {
     if (!holdings || holdings.length === 0) {
       return {
         totalCount: 0,
@@ -144,16 +277,19 @@ class HoldingsService {
     }
 
     const totalValueEth = holdings.reduce((sum, holding) => sum + parseFloat(holding.priceInEth || 0), 0);
-    const totalValueUsd = holdings.reduce((sum, holding) => sum + parseFloat(holding.priceInUsd || 0), 0);
+    const hasUsd = ethUsd || holdings.every(holding => holding.priceInUsd !== null);
+    const totalValueUsd = ethUsd
+      ? totalValueEth * ethUsd
+      : holdings.reduce((sum, holding) => sum + parseFloat(holding.priceInUsd || 0), 0);
     const averageValueEth = totalValueEth / holdings.length;
     const averageValueUsd = totalValueUsd / holdings.length;
 
     return {
       totalCount: holdings.length,
       totalValueEth: totalValueEth.toFixed(4),
-      totalValueUsd: totalValueUsd.toFixed(2),
+      totalValueUsd: hasUsd ? totalValueUsd.toFixed(2) : null,
       averageValueEth: averageValueEth.toFixed(4),
-      averageValueUsd: averageValueUsd.toFixed(2)
+      averageValueUsd: hasUsd ? averageValueUsd.toFixed(2) : null
     };
   }
 
@@ -4,11 +4,17 @@
  */
 
 import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
 import { fetchFloorPriceHistory as externalFetchFloorPriceHistory, searchCollections as externalSearchCollections } from './nftAPI.js';
 
+// Sync types that write price_history or the collections behind the views
+const PRICE_SYNC_TYPES = ['daily', 'collection', 'full_year', 'quarterly_selection'];
+
+const MAX_HISTORY_ROWS = 5000;
+
 class LocalAPIService {
   constructor() {
-    this.db = getDatabase();
+    this.storage = getStorage();
     this.config = {
       maxFallbackDays: 7,    // Max days old data before falling back to external API
       enableFallback: true,  // Enable fallback to external API if local data is insufficient
@@ -17,6 +23,14 @@ class LocalAPIService {
     console.log('🏠 Local API Service initialized');
   }
 
+  /**
+   * SQLite database for the health report, opened on first use so a PostgreSQL
+   * deployment never needs the file
+   */
+  get db() {
+    return getDatabase();
+  }
+
   /**
    * Get floor price history from local database with external API fallback
    */
@@ -32,7 +46,7 @@ class LocalAPIService {
       console.log(`🔍 Fetching local data for ${collectionSlug} from ${startDate} to ${endDate}`);
 
       // Try to get data from local database first
-      const localData = this.db.getPriceHistory(collectionSlug, startDate, endDate);
+      const localData = await this.storage.getPriceHistory(collectionSlug, startDate, endDate);
       
       if (localData && localData.length > 0) {
         // Check data freshness
@@ -43,7 +57,7 @@ class LocalAPIService {
           console.log(`✅ Using local data for ${collectionSlug} (${localData.length} records, latest: ${latestDataDate.toISOString().split('T')[0]})`);
           
           // Transform local data to match external API format
-          const transformedData = this.transformLocalDataToAPIFormat(localData, collectionSlug);
+          const transformedData = await this.transformLocalDataToAPIFormat(localData, collectionSlug);
           return transformedData;
         } else {
           console.log(`⚠️ Local data for ${collectionSlug} is ${daysSinceLatest} days old, checking fallback...`);
@@ -64,7 +78,7 @@ class LocalAPIService {
         
         if (externalResult.success) {
           // Store the new data in local database for future use
-          this.storeExternalDataLocally(collectionSlug, externalResult.data);
+          await this.storeExternalDataLocally(collectionSlug, externalResult.data);
           console.log(`💾 Cached external data for ${collectionSlug} locally`);
         }
         
@@ -92,14 +106,14 @@ class LocalAPIService {
   /**
    * Transform local database data to match external API format
    */
-  transformLocalDataToAPIFormat(localData, collectionSlug) {
+  async transformLocalDataToAPIFormat(localData, collectionSlug) {
     const formattedPriceHistory = localData.map(dataPoint => ({
       x: new Date(dataPoint.date + 'T00:00:00.000Z'), // Ensure consistent date parsing
       y: parseFloat(dataPoint.floor_eth) || 0
     })).sort((a, b) => a.x - b.x);
 
     // Get collection info
-    const collection = this.db.getCollection(collectionSlug);
+    const collection = await this.storage.getCollection(collectionSlug);
     const collectionName = collection ? collection.name : collectionSlug;
 
     return {
@@ -130,7 +144,7 @@ class LocalAPIService {
   /**
    * Store external API data in local database
    */
-  storeExternalDataLocally(collectionSlug, externalData) {
+  async storeExternalDataLocally(collectionSlug, externalData) {
     if (!externalData || !Array.isArray(externalData)) {
       return;
     }
@@ -148,7 +162,7 @@ class LocalAPIService {
       })).filter(data => data.floorEth !== null && data.floorEth > 0);
 
       if (priceHistoryData.length > 0) {
-        this.db.bulkInsertPriceHistory(priceHistoryData);
+        await this.storage.bulkInsertPriceHistory(priceHistoryData);
       }
     } catch (error) {
       console.error(`❌ Failed to store external data locally for ${collectionSlug}:`, error);
@@ -170,14 +184,7 @@ class LocalAPIService {
       console.log(`🔍 Searching local collections for: "${query}"`);
 
       // Search in local database
-      const localCollections = this.db.query(`
-        SELECT slug, name, ranking, image 
-        FROM collections 
-        WHERE (name LIKE ? OR slug LIKE ?) 
-          AND is_active = 1 
-        ORDER BY ranking ASC 
-        LIMIT 10
-      `, [`%${query}%`, `%${query}%`]);
+      const localCollections = await this.storage.searchCollections(query, 10);
 
       if (localCollections && localCollections.length > 0) {
         console.log(`✅ Found ${localCollections.length} collections locally`);
@@ -229,7 +236,7 @@ class LocalAPIService {
    */
   async getCurrentFloorPrice(collectionSlug) {
     try {
-      const latestPrice = this.db.getLatestPrice(collectionSlug);
+      const latestPrice = await this.storage.getLatestPrice(collectionSlug);
       
       if (latestPrice) {
         // Check if data is recent (within 24 hours)
@@ -321,7 +328,7 @@ class LocalAPIService {
       const endDate = new Date(endTime * 1000).toISOString().split('T')[0];
 
       // Get data for all collections at once
-      const multipleData = this.db.getMultipleCollectionHistory(collectionSlugs, startDate, endDate);
+      const multipleData = await this.storage.getMultipleCollectionHistory(collectionSlugs, startDate, endDate);
       
       // Group data by collection
       const groupedData = {};
@@ -334,9 +341,9 @@ class LocalAPIService {
 
       // Transform data for each collection
       const results = {};
-      collectionSlugs.forEach(slug => {
+      for (const slug of collectionSlugs) {
         if (groupedData[slug] && groupedData[slug].length > 0) {
-          results[slug] = this.transformLocalDataToAPIFormat(groupedData[slug], slug);
+          results[slug] = await this.transformLocalDataToAPIFormat(groupedData[slug], slug);
         } else {
           results[slug] = {
             success: false,
@@ -344,7 +351,7 @@ class LocalAPIService {
             data: null
           };
         }
-      });
+      }
 
       return {
         success: true,
@@ -364,6 +371,167 @@ class LocalAPIService {
     }
   }
 
+  /**
+   * Floor price history from the local database only, never calling the external API
+   * @param {string} collectionSlug - Collection slug
+   * @param {Object} options - `{ startDate, endDate, granularity }`, dates as YYYY-MM-DD
+   * @returns {Promise<{success: boolean, collectionName?: string, points?: Array, error?: string, notFound?: boolean}>}
+   */
+  async getLocalFloorHistory(collectionSlug, { startDate, endDate, granularity = '1d' } = {}) {
+    const collection = await this.storage.getCollection(collectionSlug);
+    if (!collection) {
+      return { success: false, notFound: true, error: `Collection '${collectionSlug}' is not tracked` };
+    }
+
+    const rows = await this.storage.getPriceHistory(collectionSlug, startDate, endDate, MAX_HISTORY_ROWS);
+
+    return {
+      success: true,
+      slug: collectionSlug,
+      collectionName: collection.name,
+      granularity,
+      startDate,
+      endDate,
+      points: this.aggregatePriceHistory(rows, granularity),
+      source: 'local_database'
+    };
+  }
+
+  /**
+   * Floor price history for several collections over the same range, from the local database only
+   * Each series carries its change over the range so collections of any price can be compared.
+   * @param {string[]} collectionSlugs - Collection slugs
+   * @param {Object} options - `{ startDate, endDate, granularity }`, dates as YYYY-MM-DD
+   */
+  async getLocalFloorComparison(collectionSlugs, { startDate, endDate, granularity = '1d' } = {}) {
+    const rows = await this.storage.getMultipleCollectionHistory(collectionSlugs, startDate, endDate);
+    const rowsBySlug = new Map(collectionSlugs.map(slug => [slug, []]));
+    rows.forEach(row => rowsBySlug.get(row.collection_slug)?.push(row));
+
+    const collections = {};
+    const missing = [];
+
+    for (const slug of collectionSlugs) {
+      const collection = await this.storage.getCollection(slug);
+      const slugRows = rowsBySlug.get(slug);
+      if (!collection || slugRows.length === 0) {
+        missing.push(slug);
+        continue;
+      }
+
+      const points = this.aggregatePriceHistory(slugRows, granularity);
+      const first = points.find(point => point.floorEth > 0)?.floorEth;
+      const last = points[points.length - 1]?.floorEth;
+
+      collections[slug] = {
+        collectionName: collection.name,
+        changePct: first && last ? ((last - first) / first) * 100 : null,
+        points
+      };
+    }
+
+    return {
+      success: true,
+      granularity,
+      startDate,
+      endDate,
+      collections,
+      missing,
+      source: 'local_database'
+    };
+  }
+
+  /**
+   * Latest floor per top-250 collection (`latest_prices` view)
+   */
+  async getLatestPrices(collectionSlugs = null) {
+    return (await this.storage.getLatestPrices(collectionSlugs)).map(row => ({
+      slug: row.slug,
+      name: row.name,
+      ranking: row.ranking,
+      marketCap: row.market_cap,
+      marketCapRank: row.market_cap_rank,
+      selectionPeriod: row.selection_period,
+      floorEth: row.floor_eth,
+      floorUsd: row.floor_usd,
+      volumeUsd: row.volume_usd,
+      lastUpdated: row.last_updated
+    }));
+  }
+
+  /**
+   * Tracked range and floor statistics (`collection_stats` view)
+   */
+  async getCollectionStats(collectionSlug = null) {
+    return (await this.storage.getCollectionStats(collectionSlug)).map(row => ({
+      slug: row.slug,
+      name: row.name,
+      daysTracked: row.days_tracked,
+      firstDataDate: row.first_data_date,
+      lastDataDate: row.last_data_date,
+      avgFloorEth: row.avg_floor_eth,
+      maxFloorEth: row.max_floor_eth,
+      minFloorEth: row.min_floor_eth
+    }));
+  }
+
+  /**
+   * When the synced floor data last changed
+   * @returns {Promise<Date|null>}
+   */
+  async getLastSyncTime() {
+    const completedAt = await this.storage.getLastCompletedSync(PRICE_SYNC_TYPES);
+    // Both backends store UTC without a zone suffix
+    return completedAt ? new Date(`${completedAt.replace(' ', 'T')}Z`) : null;
+  }
+
+  /**
+   * Roll daily price_history rows up to '1d', '1w' (weeks starting Monday) or '1M'
+   * The floor of a bucket is its last day's floor, volumes and sales are summed.
+   */
+  aggregatePriceHistory(rows, granularity = '1d') {
+    const bucketOf = (date) => {
+      if (granularity === '1M') {
+        return `${date.slice(0, 7)}-01`;
+      }
+      if (granularity === '1w') {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+        return day.toISOString().split('T')[0];
+      }
+      return date;
+    };
+
+    const buckets = new Map();
+    rows.forEach(row => {
+      const key = bucketOf(row.date);
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(row);
+    });
+
+    const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+    return Array.from(buckets.entries()).map(([date, items]) => {
+      const floors = items.map(item => item.floor_eth).filter(floor => floor !== null && floor !== undefined);
+      const last = items[items.length - 1];
+
+      return {
+        date,
+        timestamp: Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000),
+        floorEth: last.floor_eth,
+        floorUsd: last.floor_usd,
+        floorEthLow: floors.length > 0 ? Math.min(...floors) : null,
+        floorEthHigh: floors.length > 0 ? Math.max(...floors) : null,
+        volumeEth: sum(items, 'volume_eth'),
+        volumeUsd: sum(items, 'volume_usd'),
+        salesCount: sum(items, 'sales_count'),
+        days: items.length
+      };
+    });
+  }
+
   /**
    * Get database statistics and health
    */
@@ -0,0 +1,77 @@
+import axios from 'axios';
+
+const TOKEN_STORAGE_KEY = 'mappingAdminToken';
+
+/**
+ * Reads and reviews the collection mappings behind /api/mappings
+ * The admin token is kept for the browser session only.
+ */
+class MappingAdminService {
+  constructor() {
+    this.baseURL = '/api/mappings';
+  }
+
+  getToken() {
+    try {
+      return sessionStorage.getItem(TOKEN_STORAGE_KEY) || '';
+    } catch {
+      return '';
+    }
+  }
+
+  setToken(token) {
+    try {
+      if (token) {
+        sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+      } else {
+        sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+      }
+    } catch {
+      // Storage disabled, the token only lives in the page
+    }
+  }
+
+  /**
+   * @param {Object} options - `{ review: boolean }` for the review queue only
+   * @returns {Promise<{mappings: Array, stats: Object}>}
+   */
+  async fetchMappings({ review = true } = {}) {
+    const response = await axios.get(this.baseURL, {
+      params: review ? { review: 1 } : {},
+      timeout: 15000
+    });
+    return { mappings: response.data?.mappings || [], stats: response.data?.stats || null };
+  }
+
+  /**
+   * Accept a mapping as it is
+   */
+  async confirm(id) {
+    return this.post({ id, action: 'confirm' });
+  }
+
+  /**
+   * Correct a mapping; empty fields are left unchanged
+   * @param {number} id
+   * @param {Object} fields - `{ nftpfSlug, openSeaSlug, contractAddress }`
+   */
+  async correct(id, fields) {
+    const changed = Object.fromEntries(Object.entries(fields).filter(([, value]) => value && value.trim()));
+    return this.post({ id, action: 'correct', ...changed });
+  }
+
+  async post(body) {
+    try {
+      const response = await axios.post(this.baseURL, body, {
+        headers: this.getToken() ? { Authorization: `Bearer ${this.getToken()}` } : {},
+        timeout: 15000
+      });
+      return response.data.mapping;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || error.message);
+    }
+  }
+}
+
+export const mappingAdminService = new MappingAdminService();
+export default mappingAdminService;
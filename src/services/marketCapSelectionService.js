@@ -4,12 +4,12 @@
  * Runs every 3 months to refresh the tracked collection list
  */
 
-import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
 import { fetchTopCollections } from './nftAPI.js';
 
 class MarketCapSelectionService {
   constructor() {
-    this.db = getDatabase();
+    this.storage = getStorage();
     this.config = {
       selectionCount: 250,           // Top 250 collections
       selectionIntervalMonths: 3,    // Every 3 months (quarterly)
@@ -48,16 +48,11 @@ class MarketCapSelectionService {
   /**
    * Check if it's time for a new selection period
    */
-  needsNewSelection() {
+  async needsNewSelection() {
     const currentPeriod = this.getCurrentSelectionPeriod();
     
     // Check if we have an active selection period
-    const activeSelection = this.db.query(`
-      SELECT * FROM collection_selection_periods 
-      WHERE status = 'active' 
-      ORDER BY created_at DESC 
-      LIMIT 1
-    `)[0];
+    const activeSelection = await this.storage.getActiveSelectionPeriod();
 
     if (!activeSelection) {
       return { needed: true, reason: 'No active selection period found' };
@@ -82,7 +77,7 @@ class MarketCapSelectionService {
     const currentPeriod = this.getCurrentSelectionPeriod();
     console.log(`🎯 Starting quarterly selection for period: ${currentPeriod}`);
 
-    const logId = this.db.startSyncLog('quarterly_selection', null);
+    const logId = await this.storage.startSyncLog('quarterly_selection', null);
     
     try {
       // Step 1: Fetch all collections with market cap data
@@ -113,94 +108,21 @@ class MarketCapSelectionService {
       console.log(`🎯 Selected top ${selectedCollections.length} collections by market cap`);
       console.log(`💎 Market cap range: $${(selectedCollections[selectedCollections.length-1].marketCap || 0).toLocaleString()} - $${(selectedCollections[0].marketCap || 0).toLocaleString()}`);
 
-      // Step 4: Mark previous selections as expired
-      this.db.query(`
-        UPDATE collection_selection_periods 
-        SET status = 'expired' 
-        WHERE status = 'active'
-      `);
-
-      this.db.query(`
-        UPDATE collections 
-        SET is_top_250 = 0 
-        WHERE is_top_250 = 1
-      `);
-
-      // Step 5: Create new selection period record
+      // Step 4: Expire the previous selection and store the new one in a single transaction
       const selectionStats = {
         min_market_cap: selectedCollections[selectedCollections.length - 1]?.marketCap || 0,
         max_market_cap: selectedCollections[0]?.marketCap || 0,
         avg_market_cap: selectedCollections.reduce((sum, col) => sum + (col.marketCap || 0), 0) / selectedCollections.length
       };
 
-      this.db.query(`
-        INSERT INTO collection_selection_periods (
-          period, selection_date, total_collections_selected, 
-          selection_criteria, min_market_cap, max_market_cap, avg_market_cap, status
-        ) VALUES (?, date('now'), ?, ?, ?, ?, ?, 'active')
-      `, [
-        currentPeriod, 
-        selectedCollections.length, 
-        this.config.criteria,
-        selectionStats.min_market_cap,
-        selectionStats.max_market_cap,
-        selectionStats.avg_market_cap
-      ]);
-
-      // Step 6: Update collections table with new selection
       console.log('💾 Updating collections database...');
-      let updatedCount = 0;
-      let insertedCount = 0;
-
-      selectedCollections.forEach((collection, index) => {
-        const marketCapRank = index + 1;
-        
-        // Try to update existing collection
-        const updateResult = this.db.query(`
-          UPDATE collections SET
-            name = ?, ranking = ?, image = ?, total_supply = ?, owners = ?,
-            market_cap = ?, market_cap_rank = ?, is_top_250 = 1,
-            selection_period = ?, selected_at = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE slug = ?
-        `, [
-          collection.name,
-          collection.ranking,
-          collection.image,
-          collection.totalSupply,
-          collection.owners,
-          collection.marketCap,
-          marketCapRank,
-          currentPeriod,
-          collection.slug
-        ]);
-
-        if (updateResult.changes > 0) {
-          updatedCount++;
-        } else {
-          // Insert new collection
-          this.db.query(`
-            INSERT INTO collections (
-              slug, name, ranking, image, total_supply, owners,
-              market_cap, market_cap_rank, is_top_250, selection_period,
-              selected_at, created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-          `, [
-            collection.slug,
-            collection.name,
-            collection.ranking,
-            collection.image,
-            collection.totalSupply,
-            collection.owners,
-            collection.marketCap,
-            marketCapRank,
-            currentPeriod
-          ]);
-          insertedCount++;
-        }
+      const { updated: updatedCount, inserted: insertedCount } = await this.storage.startSelectionPeriod(currentPeriod, {
+        criteria: this.config.criteria,
+        collections: selectedCollections,
+        stats: selectionStats
       });
 
-      // Step 7: Log results
+      // Step 5: Log results
       const results = {
         period: currentPeriod,
         selected: selectedCollections.length,
@@ -225,7 +147,7 @@ class MarketCapSelectionService {
       });
 
       // Complete sync log
-      this.db.completeSyncLog(logId, 'completed', {
+      await this.storage.completeSyncLog(logId, 'completed', {
         processed: collections.length,
         inserted: insertedCount,
         updated: updatedCount
@@ -239,7 +161,7 @@ class MarketCapSelectionService {
     } catch (error) {
       console.error('❌ Quarterly selection failed:', error);
       
-      this.db.completeSyncLog(logId, 'failed', {
+      await this.storage.completeSyncLog(logId, 'failed', {
         error: error.message
       });
 
@@ -253,39 +175,22 @@ class MarketCapSelectionService {
   /**
    * Get current top 250 collections (active selection)
    */
-  getCurrentTop250Collections() {
-    return this.db.query(`
-      SELECT * FROM collections 
-      WHERE is_top_250 = 1 
-      ORDER BY market_cap_rank ASC
-    `);
+  async getCurrentTop250Collections() {
+    return this.storage.getCurrentTop250Collections();
   }
 
   /**
    * Get selection history
    */
-  getSelectionHistory() {
-    return this.db.query(`
-      SELECT * FROM collection_selection_periods 
-      ORDER BY selection_date DESC 
-      LIMIT 10
-    `);
+  async getSelectionHistory() {
+    return this.storage.getSelectionPeriods(10);
   }
 
   /**
    * Get active selection period info
    */
-  getActiveSelectionInfo() {
-    const activeSelection = this.db.query(`
-      SELECT csp.*, 
-             COUNT(c.slug) as active_collections_count
-      FROM collection_selection_periods csp
-      LEFT JOIN collections c ON c.selection_period = csp.period AND c.is_top_250 = 1
-      WHERE csp.status = 'active'
-      GROUP BY csp.id
-      ORDER BY csp.created_at DESC 
-      LIMIT 1
-    `)[0];
+  async getActiveSelectionInfo() {
+    const activeSelection = await this.storage.getActiveSelectionInfo();
 
     if (!activeSelection) {
       return null;
@@ -314,13 +219,9 @@ class MarketCapSelectionService {
   /**
    * Check if a collection is in current top 250
    */
-  isInCurrentTop250(slug) {
-    const result = this.db.query(`
-      SELECT slug FROM collections 
-      WHERE slug = ? AND is_top_250 = 1
-    `, [slug]);
-    
-    return result.length > 0;
+  async isInCurrentTop250(slug) {
+    const collection = await this.storage.getCollection(slug);
+    return collection?.is_top_250 === 1;
   }
 
   /**
@@ -0,0 +1,232 @@
+/**
+ * Migration Service
+ * Versioned schema changes for the SQLite database.
+ *
+ * Migrations are numbered SQL files in `database/migrations` (`002_add_collection_chain.sql`).
+ * Each file has a `-- migrate:up` section and an optional `-- migrate:down` section; a
+ * migration without a down section can't be rolled back. Applied versions are recorded in
+ * `schema_migrations` with a checksum of the file.
+ *
+ * The helpers are shared with the PostgreSQL storage backend, which keeps its own
+ * migrations in `database/postgres/migrations`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MIGRATIONS_DIR = './database/migrations';
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const SECTION_PATTERN = /^--[ \t]*migrate:(up|down)[ \t]*$/m;
+
+/**
+ * Migration files in a directory, in version order
+ * @returns {Array<{version: number, name: string, file: string, up: string, down: string|null, checksum: string}>}
+ */
+export function loadMigrations(migrationsDir) {
+  const migrations = fs.readdirSync(migrationsDir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => parseMigration(migrationsDir, file))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+    }
+  });
+
+  return migrations;
+}
+
+function parseMigration(migrationsDir, file) {
+  const [, version, name] = file.match(FILE_PATTERN);
+  const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+  const sections = { up: '', down: '' };
+
+  // Text before the first marker (header comments) belongs to neither section
+  let current = null;
+  sql.split(SECTION_PATTERN).forEach((part, index) => {
+    if (index % 2 === 1) {
+      current = part;
+    } else if (current) {
+      sections[current] += part;
+    }
+  });
+
+  if (!sections.up.trim()) {
+    throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+  }
+
+  return {
+    version: parseInt(version, 10),
+    name,
+    file,
+    up: sections.up,
+    down: sections.down.trim() ? sections.down : null,
+    checksum: crypto.createHash('sha256').update(sql).digest('hex')
+  };
+}
+
+/**
+ * Every migration with its state, given the rows of `schema_migrations`
+ * @returns {Array<{version: number, name: string, status: 'applied'|'pending'|'modified'|'unknown', appliedAt: string|null}>}
+ */
+export function describeMigrations(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+  const known = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+      appliedAt: row?.applied_at || null
+    };
+  });
+
+  // Versions recorded by a newer build
+  const unknown = [...applied.values()]
+    .filter(row => !migrations.some(migration => migration.version === row.version))
+    .map(row => ({ version: row.version, name: row.name, status: 'unknown', appliedAt: row.applied_at }));
+
+  return [...known, ...unknown].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Refuse to open a database migrated by a newer build than this one
+ */
+export function assertSchemaCompatible(currentVersion, latestVersion) {
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema is at version ${currentVersion} but this build only knows migrations up to ${latestVersion}. ` +
+      'Deploy the newer build, or roll the database back with `npm run db:rollback` from it.'
+    );
+  }
+}
+
+/**
+ * Applied migrations to undo for a rollback, newest first, checked before anything runs
+ * @param {Array<Object>} migrations - loadMigrations() result
+ * @param {Array<Object>} appliedRows - `schema_migrations` rows
+ * @param {number|null} to - Keep this version and below (default: one step)
+ */
+export function planRollback(migrations, appliedRows, to, migrationsDir) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const applied = [...appliedRows].sort((a, b) => b.version - a.version);
+  const targets = to === null ? applied.slice(0, 1) : applied.filter(row => row.version > to);
+
+  return targets.map(row => {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version} (${row.name}) was applied by a newer build and isn't in ${migrationsDir}`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.file} has no "-- migrate:down" section and can't be rolled back`);
+    }
+    return migration;
+  });
+}
+
+class MigrationService {
+  /**
+   * @param {import('better-sqlite3').Database} db - Open connection (used before DatabaseService is ready)
+   * @param {string} migrationsDir
+   */
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+    this.ensureTable();
+  }
+
+  ensureTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  loadMigrations() {
+    return loadMigrations(this.migrationsDir);
+  }
+
+  getAppliedMigrations() {
+    return this.db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all();
+  }
+
+  /**
+   * Highest applied version (0 for a database that predates migrations)
+   */
+  getCurrentVersion() {
+    return this.db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+  }
+
+  getLatestVersion() {
+    const migrations = this.loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Every migration with its state
+   */
+  getStatus() {
+    return describeMigrations(this.loadMigrations(), this.getAppliedMigrations());
+  }
+
+  assertCompatible() {
+    assertSchemaCompatible(this.getCurrentVersion(), this.getLatestVersion());
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * @param {Object} options - `{ to }` to stop at a version
+   * @returns {Array<{version: number, name: string}>} Migrations applied
+   */
+  migrate({ to = null } = {}) {
+    this.assertCompatible();
+
+    const applied = new Set(this.getAppliedMigrations().map(row => row.version));
+    const pending = this.loadMigrations()
+      .filter(migration => !applied.has(migration.version))
+      .filter(migration => to === null || migration.version <= to);
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)');
+
+    pending.forEach(migration => {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        record.run(migration.version, migration.name, migration.checksum);
+      })();
+      console.log(`⬆️  Applied migration ${migration.file}`);
+    });
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} options - `{ to }` to roll back everything above a version (default: one step)
+   * @returns {Array<{version: number, name: string}>} Migrations rolled back
+   */
+  rollback({ to = null } = {}) {
+    // Check the whole range first so a rollback never stops halfway
+    const targets = planRollback(this.loadMigrations(), this.getAppliedMigrations(), to, this.migrationsDir);
+    const remove = this.db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+    targets.forEach(migration => {
+      this.db.transaction(() => {
+        this.db.exec(migration.down);
+        remove.run(migration.version);
+      })();
+      console.log(`⬇️  Rolled back migration ${migration.file}`);
+    });
+
+    return targets.map(({ version, name }) => ({ version, name }));
+  }
+}
+
+export default MigrationService;
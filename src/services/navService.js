@@ -0,0 +1,96 @@
+import axios from 'axios';
+
+// Every strategy token launches with 1B supply; burns go to the dead wallet
+// (same basis as the burn percentage in NFTStrategyService.enhanceStrategiesData)
+export const TOKEN_TOTAL_SUPPLY = 1000000000;
+
+const round = (value, decimals = 6) =>
+  value === null || value === undefined || isNaN(value) ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Strategy net asset value
+ * NAV = held NFTs marked at the collection floor + ETH in the strategy treasury.
+ * The calculation is shared by the server NAV sync and the client; the fetch
+ * methods read the values computed by /api/nav.
+ */
+class NavService {
+  constructor() {
+    this.baseURL = '/api/nav';
+    this.cacheTtl = 10 * 60 * 1000;   // 10 minutes, matches the server cache
+    this.cache = new Map();           // key -> { data, fetchedAt }
+  }
+
+  /**
+   * Calculate NAV and premium/discount for one strategy
+   * @param {Object} input
+   * @param {number|null} input.holdingsCount - NFTs held by the strategy
+   * @param {number|null} input.floorPriceEth - Current collection floor
+   * @param {number|null} input.treasuryEth - ETH held by the strategy contract (null when unknown)
+   * @param {number|null} input.ethUsd - Current ETH/USD price
+   * @param {number} [input.deadWalletBalance] - Burned tokens
+   * @param {number|null} input.priceUsd - Strategy token price (poolData.price_usd)
+   * @returns {Object} NAV breakdown; fields that can't be derived are null
+   */
+  calculateNav({ holdingsCount = null, floorPriceEth = null, treasuryEth = null, ethUsd = null, deadWalletBalance = 0, priceUsd = null }) {
+    const floorEth = parseFloat(floorPriceEth) || null;
+    const nftValueEth = holdingsCount !== null && floorEth !== null ? holdingsCount * floorEth : null;
+    const navEth = nftValueEth !== null ? nftValueEth + (treasuryEth || 0) : null;
+    const navUsd = navEth !== null && ethUsd ? navEth * ethUsd : null;
+
+    const circulatingSupply = Math.max(TOKEN_TOTAL_SUPPLY - (parseFloat(deadWalletBalance) || 0), 0);
+    const navPerTokenUsd = navUsd !== null && circulatingSupply > 0 ? navUsd / circulatingSupply : null;
+    const price = parseFloat(priceUsd) || null;
+
+    return {
+      holdingsCount,
+      floorPriceEth: round(floorEth),
+      nftValueEth: round(nftValueEth),
+      treasuryEth: round(treasuryEth),
+      navEth: round(navEth),
+      navUsd: round(navUsd, 2),
+      ethUsd,
+      circulatingSupply,
+      navPerTokenUsd: round(navPerTokenUsd, 10),
+      priceUsd: price,
+      premiumPct: price !== null && navPerTokenUsd > 0 ? round((price / navPerTokenUsd - 1) * 100, 2) : null
+    };
+  }
+
+  /**
+   * Get the current NAV of every live strategy
+   * @returns {Promise<Map<string, Object>>} NAV keyed by strategy id (empty when unavailable)
+   */
+  async getAllNav() {
+    const data = await this.request('all', {}, 60000);
+    return new Map((data?.navs || []).map(nav => [nav.strategyId, nav]));
+  }
+
+  /**
+   * Get the current NAV of a strategy and its daily history
+   * @param {string} strategyId - Strategy ID
+   * @param {number} days - Days of stored history (max 365)
+   * @returns {Promise<{nav: Object|null, history: Array}>}
+   */
+  async getStrategyNav(strategyId, days = 90) {
+    const data = await this.request(`${strategyId}_${days}`, { strategyId, days }, 30000);
+    return { nav: data?.nav || null, history: data?.history || [] };
+  }
+
+  async request(cacheKey, params, timeout) {
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return cached.data;
+    }
+
+    try {
+      const response = await axios.get(this.baseURL, { params, timeout });
+      this.cache.set(cacheKey, { data: response.data, fetchedAt: Date.now() });
+      return response.data;
+    } catch (error) {
+      console.warn('Failed to fetch strategy NAV:', error.message);
+      return cached?.data || null;
+    }
+  }
+}
+
+export const navService = new NavService();
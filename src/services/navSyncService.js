@@ -0,0 +1,271 @@
+/**
+ * NAV Sync Service
+ * Computes strategy net asset value (holdings at floor + treasury ETH) from
+ * live inputs and stores one row per strategy per day for the premium trend
+ */
+
+import axios from 'axios';
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+import { getLocalAPI } from './localAPI.js';
+import { getStrategySnapshotService } from './strategySnapshotService.js';
+import { getEthPriceSyncService } from './ethPriceSyncService.js';
+import { getSlugMappingService } from './slugMappingService.js';
+import { navService } from './navService.js';
+
+const ETH_RPC_URL = process.env.ETH_RPC_URL || 'https://ethereum-rpc.publicnode.com';
+
+class NavSyncService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.snapshotService = getStrategySnapshotService();
+    this.ethPriceService = getEthPriceSyncService();
+    this.localAPI = getLocalAPI();
+    this.slugMappingService = getSlugMappingService();
+    this.config = {
+      snapshotMaxAge: 2 * 60 * 60,  // Reuse hourly snapshot holdings counts up to 2 hours old
+      rpcTimeout: 15000,
+      historyDays: 90
+    };
+
+    console.log('🧮 NAV Sync Service initialized');
+  }
+
+  /**
+   * Compute the current NAV of every live strategy (or just the ones passed in)
+   * Every input is best effort: a strategy without a floor gets null NAV fields,
+   * a missing treasury balance leaves `treasuryEth` null and NAV holdings-only
+   * @param {Array|null} only - Strategy objects to compute, defaults to the live list
+   */
+  async computeNav(only = null) {
+    const strategies = (only || await this.snapshotService.fetchStrategies()).filter(strategy => strategy.id);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const [holdingsCounts, treasuries, floors, spot] = await Promise.all([
+      this.getHoldingsCounts(strategies),
+      this.fetchTreasuryBalances(strategies.map(strategy => strategy.tokenAddress)),
+      this.getFloorPrices(strategies),
+      this.ethPriceService.getSpotPrice()
+    ]);
+    const ethUsd = spot.success ? spot.priceUsd : null;
+
+    const navs = strategies.map(strategy => {
+      const collectionSlug = this.getCollectionSlug(strategy);
+
+      return {
+        strategyId: strategy.id,
+        strategyName: strategy.tokenName || strategy.name || null,
+        collectionSlug,
+        timestamp,
+        ...navService.calculateNav({
+          holdingsCount: holdingsCounts.get(strategy.id) ?? null,
+          floorPriceEth: floors.get(collectionSlug) ?? null,
+          treasuryEth: treasuries.get(strategy.tokenAddress?.toLowerCase()) ?? null,
+          ethUsd,
+          deadWalletBalance: strategy.deadWalletBalance,
+          priceUsd: strategy.poolData?.price_usd
+        })
+      };
+    });
+
+    return { success: true, navs, ethUsd, timestamp };
+  }
+
+  /**
+   * Get current NAV for every strategy: live inputs first (written through as
+   * today's row), latest stored rows when the live computation fails
+   */
+  async getNav() {
+    try {
+      const result = await this.computeNav();
+      this.storeNav(result.navs);
+      return { ...result, source: 'live' };
+    } catch (error) {
+      console.warn('⚠️ Live NAV failed, using stored NAV:', error.message);
+
+      const navs = this.db.getLatestStrategyNavs().map(this.transformRowToNav);
+      if (navs.length === 0) {
+        return { success: false, error: error.message, navs: [] };
+      }
+
+      return { success: true, navs, source: 'local_database', stale: true };
+    }
+  }
+
+  /**
+   * Store today's NAV for every strategy (scheduled daily)
+   */
+  async captureDailyNav() {
+    const logId = await this.storage.startSyncLog('strategy_nav');
+    const startTime = Date.now();
+
+    try {
+      const { navs } = await this.computeNav();
+      const inserted = this.storeNav(navs);
+      const missing = navs.filter(nav => nav.navEth === null).length;
+
+      console.log(`✅ NAV stored for ${inserted} strategies (${missing} without a floor or holdings)`);
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: navs.length,
+        inserted,
+        error: missing > 0 ? `${missing} strategies without NAV` : null
+      });
+
+      return { success: true, processed: navs.length, inserted, missing, duration: Date.now() - startTime };
+    } catch (error) {
+      console.error('❌ NAV capture failed:', error);
+      await this.storage.completeSyncLog(logId, 'failed', { error: error.message });
+
+      return { success: false, error: error.message, duration: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Get stored daily NAV history for a strategy
+   */
+  getNavHistory(strategyId, days = this.config.historyDays) {
+    const endDate = new Date().toISOString().split('T')[0];
+    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    return this.db.getStrategyNavHistory(strategyId, startDate, endDate).map(this.transformRowToNav);
+  }
+
+  /**
+   * Holdings counts from the latest hourly snapshots, fetched live for strategies
+   * whose snapshot is missing or too old
+   * @returns {Promise<Map<string, number>>} Holdings count keyed by strategy id
+   */
+  async getHoldingsCounts(strategies) {
+    const counts = new Map();
+    const cutoff = Math.floor(Date.now() / 1000) - this.config.snapshotMaxAge;
+
+    this.db.getLatestStrategySnapshots()
+      .filter(snapshot => snapshot.timestamp >= cutoff && snapshot.holdings_count !== null)
+      .forEach(snapshot => counts.set(snapshot.strategy_id, snapshot.holdings_count));
+
+    const missing = strategies.filter(strategy => !counts.has(strategy.id));
+    if (missing.length > 0) {
+      const fetched = await this.snapshotService.fetchHoldingsCounts(missing);
+      fetched.forEach((count, strategyId) => counts.set(strategyId, count));
+    }
+
+    return counts;
+  }
+
+  /**
+   * Current floor per NFTPriceFloor slug (local price history, external API when stale)
+   * @returns {Promise<Map<string, number>>} Floor in ETH keyed by slug
+   */
+  async getFloorPrices(strategies) {
+    const floors = new Map();
+    const slugs = [...new Set(strategies.map(strategy => this.getCollectionSlug(strategy)).filter(Boolean))];
+
+    for (const slug of slugs) {
+      const result = await this.localAPI.getCurrentFloorPrice(slug);
+      const floor = result.success ? parseFloat(result.floorPrice) : NaN;
+      if (floor > 0) {
+        floors.set(slug, floor);
+      } else {
+        console.warn(`⚠️ No floor price for ${slug}`);
+      }
+    }
+
+    return floors;
+  }
+
+  /**
+   * ETH balances of strategy contracts in one JSON-RPC batch
+   * @returns {Promise<Map<string, number>>} Balance in ETH keyed by lowercase address (empty on failure)
+   */
+  async fetchTreasuryBalances(addresses) {
+    const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+    const balances = new Map();
+
+    if (unique.length === 0) {
+      return balances;
+    }
+
+    try {
+      const response = await axios.post(
+        ETH_RPC_URL,
+        unique.map((address, index) => ({
+          jsonrpc: '2.0',
+          id: index,
+          method: 'eth_getBalance',
+          params: [address, 'latest']
+        })),
+        { timeout: this.config.rpcTimeout, headers: { 'Content-Type': 'application/json' } }
+      );
+
+      (Array.isArray(response.data) ? response.data : []).forEach(item => {
+        if (item.result && unique[item.id]) {
+          balances.set(unique[item.id], Number(BigInt(item.result)) / 1e18);
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Treasury balance lookup failed, NAV will exclude treasury ETH:', error.message);
+    }
+
+    return balances;
+  }
+
+  getCollectionSlug(strategy) {
+    return strategy.collectionSlug || this.slugMappingService.resolve({
+      name: strategy.collectionName,
+      contractAddress: strategy.collection || strategy.contractAddress
+    }).slug;
+  }
+
+  /**
+   * Store NAV rows, never letting a database failure break the caller
+   */
+  storeNav(navs) {
+    if (!navs || navs.length === 0) {
+      return 0;
+    }
+
+    try {
+      return this.db.bulkInsertStrategyNav(navs);
+    } catch (error) {
+      console.error('❌ Failed to store NAV:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Transform database row to NAV format
+   */
+  transformRowToNav(row) {
+    return {
+      strategyId: row.strategy_id,
+      strategyName: row.strategy_name,
+      collectionSlug: row.collection_slug,
+      date: row.date,
+      timestamp: row.timestamp,
+      holdingsCount: row.holdings_count,
+      floorPriceEth: row.floor_price_eth,
+      nftValueEth: row.nft_value_eth,
+      treasuryEth: row.treasury_eth,
+      navEth: row.nav_eth,
+      navUsd: row.nav_usd,
+      ethUsd: row.eth_usd,
+      circulatingSupply: row.circulating_supply,
+      navPerTokenUsd: row.nav_per_token_usd,
+      priceUsd: row.price_usd,
+      premiumPct: row.premium_pct
+    };
+  }
+}
+
+// Create singleton instance
+let navSyncInstance = null;
+
+export const getNavSyncService = () => {
+  if (!navSyncInstance) {
+    navSyncInstance = new NavSyncService();
+  }
+  return navSyncInstance;
+};
+
+export default NavSyncService;
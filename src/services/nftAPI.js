@@ -4,49 +4,65 @@ import { cacheService } from './cacheService.js';
 // Request deduplication to prevent multiple identical API calls
 const pendingRequests = new Map();
 
-// Environment variables validation
-const RAPIDAPI_HOST = import.meta.env.VITE_RAPIDAPI_HOST;
-const RAPIDAPI_KEY = import.meta.env.VITE_RAPIDAPI_KEY;
+// In the browser every request goes through the /api/collections proxy, which holds the
+// RapidAPI key server-side. Node scripts (sync jobs) call NFTPriceFloor directly with the
+// key from process.env.
+const USE_PROXY = typeof window !== 'undefined';
+const serverEnv = typeof process !== 'undefined' ? process.env || {} : {};
+const RAPIDAPI_HOST = serverEnv.RAPIDAPI_HOST || serverEnv.VITE_RAPIDAPI_HOST || 'nftpf-api-v0.p.rapidapi.com';
+const RAPIDAPI_KEY = USE_PROXY ? null : serverEnv.RAPIDAPI_KEY || serverEnv.VITE_RAPIDAPI_KEY;
 
-// Validate required environment variables
+// Validate required environment variables (server-side only)
 const validateEnvironmentVariables = () => {
-  const missing = [];
-  
-  if (!RAPIDAPI_HOST) missing.push('VITE_RAPIDAPI_HOST');
-  if (!RAPIDAPI_KEY) missing.push('VITE_RAPIDAPI_KEY');
-  
-  if (missing.length > 0) {
-    const error = `Missing required environment variables: ${missing.join(', ')}`;
+  if (!RAPIDAPI_KEY) {
+    const error = 'Missing required environment variable: RAPIDAPI_KEY';
     console.error('🔴 Environment Variables Error:', error);
-    console.error('💡 Make sure to set these variables in Vercel dashboard or your .env file');
+    console.error('💡 Make sure to set it in Vercel dashboard or your .env file');
     throw new Error(error);
   }
   
   console.log('✅ Environment variables validated successfully');
   console.log('🔑 API Host:', RAPIDAPI_HOST);
-  console.log('🔑 API Key:', RAPIDAPI_KEY ? `${RAPIDAPI_KEY.substring(0, 8)}...` : 'Not set');
 };
 
-// Validate on module load
-try {
-  validateEnvironmentVariables();
-} catch (error) {
-  console.error('❌ API service initialization failed:', error.message);
+if (!USE_PROXY) {
+  try {
+    validateEnvironmentVariables();
+  } catch (error) {
+    console.error('❌ API service initialization failed:', error.message);
+  }
 }
 
-const API_BASE_URL = `https://${RAPIDAPI_HOST}`;
+const API_BASE_URL = USE_PROXY ? '/api/collections' : `https://${RAPIDAPI_HOST}`;
 
-// Create axios instance with RapidAPI headers
+// Create axios instance; only the direct (server-side) client carries RapidAPI headers
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
-  headers: {
-    'X-RapidAPI-Key': RAPIDAPI_KEY,
-    'X-RapidAPI-Host': RAPIDAPI_HOST,
-    'Content-Type': 'application/json',
-  },
+  headers: USE_PROXY
+    ? { 'Content-Type': 'application/json' }
+    : {
+      'X-RapidAPI-Key': RAPIDAPI_KEY,
+      'X-RapidAPI-Host': RAPIDAPI_HOST,
+      'Content-Type': 'application/json',
+    },
   timeout: 30000 // 30 seconds - balanced between responsiveness and reliability
 });
 
+/**
+ * Request paths for the proxy routes and the matching NFTPriceFloor endpoints
+ */
+const endpoints = {
+  history: (slug, granularity, start, end) => (USE_PROXY
+    ? { url: `/${encodeURIComponent(slug)}/history`, params: { granularity, start, end } }
+    : { url: `/projects/${slug}/history/pricefloor/${granularity}`, params: { start, end } }),
+  topCollections: (limit) => (USE_PROXY
+    ? { url: '/top', params: { limit } }
+    : { url: '/projects', params: {} }),
+  collection: (slug) => (USE_PROXY
+    ? { url: `/${encodeURIComponent(slug)}`, params: {} }
+    : { url: `/projects/${slug}`, params: {} })
+};
+
 /**
  * Convert API response array to Chart.js compatible format
  * @param {Array} apiData - Array of price data objects from API
@@ -139,11 +155,9 @@ export const fetchFloorPriceHistory = async (collectionSlug, granularity = '1d',
     const etagCacheKey = `etag_${cacheKey}`;
     const cachedETag = await cacheService.get(etagCacheKey);
     
+    const endpoint = endpoints.history(collectionSlug, granularity, startTime, endTime);
     const requestConfig = {
-      params: {
-        start: startTime,
-        end: endTime
-      }
+      params: endpoint.params
     };
     
     // Add If-None-Match header if we have a cached ETag
@@ -153,10 +167,7 @@ export const fetchFloorPriceHistory = async (collectionSlug, granularity = '1d',
       };
     }
     
-    const response = await apiClient.get(
-      `/projects/${collectionSlug}/history/pricefloor/${granularity}`,
-      requestConfig
-    );
+    const response = await apiClient.get(endpoint.url, requestConfig);
     
     console.log('API response status:', response.status);
     console.log('API response data type:', typeof response.data, Array.isArray(response.data));
@@ -266,7 +277,7 @@ export const fetchFloorPriceHistory = async (collectionSlug, granularity = '1d',
       details: errorDetails,
       originalError: error.message,
       apiBaseUrl: API_BASE_URL,
-      hasApiKey: !!RAPIDAPI_KEY
+      viaProxy: USE_PROXY
     });
     
     return {
@@ -346,7 +357,8 @@ export const fetchTopCollections = async (limit = 500) => {
     }
     
     console.log(`🌐 Making API request to fetch all collections...`);
-    const response = await apiClient.get('/projects');
+    const endpoint = endpoints.topCollections(limit);
+    const response = await apiClient.get(endpoint.url, { params: endpoint.params });
     
     console.log(`📄 Received ${response.data?.length || 0} collections`);
     
@@ -482,10 +494,10 @@ export const fetchCollectionDetails = async (collectionSlug) => {
     const requestPromise = (async () => {
       try {
         console.log(`🔄 Fetching collection details for ${collectionSlug}`);
-        console.log(`🌐 API URL: ${API_BASE_URL}/projects/${collectionSlug}`);
-        console.log(`🔑 API Key: ${RAPIDAPI_KEY ? RAPIDAPI_KEY.substring(0, 8) + '...' : 'NOT SET'}`);
+        const endpoint = endpoints.collection(collectionSlug);
+        console.log(`🌐 API URL: ${API_BASE_URL}${endpoint.url}`);
         
-        const response = await apiClient.get(`/projects/${collectionSlug}`);
+        const response = await apiClient.get(endpoint.url, { params: endpoint.params });
         
         console.log('Collection details API response status:', response.status);
         console.log('Collection details API response headers:', response.headers);
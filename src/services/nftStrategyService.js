@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { cacheService } from './cacheService.js';
+import { holdingsService } from './holdingsService.js';
+import { ethPriceService } from './ethPriceService.js';
 
 class NFTStrategyService {
   constructor() {
@@ -242,25 +244,39 @@ class NFTStrategyService {
   /**
    * Get token price history for a strategy
    * @param {string} tokenAddress - Token contract address
-   * @returns {Promise<Array>} Token price history data
+   * @param {number} days - Number of daily candles to fetch
+   * @returns {Promise<Array>} Daily OHLCV candles ({ timestamp, open, high, low, close, volume }, USD)
    */
-  async getTokenPriceHistory(tokenAddress) {
-    const cacheKey = `token_price_${tokenAddress}`;
+  async getTokenPriceHistory(tokenAddress, days = 90) {
+    if (!tokenAddress) {
+      return [];
+    }
+
+    const cacheKey = `token_price_${tokenAddress.toLowerCase()}_${days}d`;
+    const fetchCandles = async () => {
+      const response = await axios.get('/api/token-price-history', {
+        params: { tokenAddress, days },
+        timeout: 30000
+      });
+
+      if (!response.data || !Array.isArray(response.data.candles)) {
+        throw new Error('Invalid response format from token price history API');
+      }
+
+      return response.data.candles;
+    };
     
     try {
-      // Check cache first
-      const cached = this.getCachedData(cacheKey);
+      // Stale candles are returned immediately and refreshed in the background
+      const cached = await cacheService.getWithRevalidate(cacheKey, '90d', fetchCandles);
       if (cached) {
         return cached;
       }
 
-      // Mock data for now - in a real implementation, this would call a price API
-      const mockData = this.generateMockPriceData();
+      const candles = await fetchCandles();
+      await cacheService.set(cacheKey, candles, '90d');
       
-      // Cache the result
-      this.setCachedData(cacheKey, mockData);
-      
-      return mockData;
+      return candles;
       
     } catch (error) {
       console.warn(`Failed to fetch token price history for ${tokenAddress}:`, error.message);
@@ -269,12 +285,17 @@ class NFTStrategyService {
   }
 
   /**
-   * Get holdings breakdown for a strategy
-   * @param {string} tokenAddress - Token contract address
-   * @returns {Promise<Array>} Holdings breakdown data
+   * Get holdings breakdown for a strategy, each held NFT paired with its last recorded sale
+   * @param {Object} strategy - Strategy object (tokenAddress, collection, collectionOsSlug)
+   * @returns {Promise<Array>} Holdings breakdown data, most valuable first
    */
-  async getHoldingsBreakdown(tokenAddress) {
-    const cacheKey = `holdings_${tokenAddress}`;
+  async getHoldingsBreakdown(strategy) {
+    const nftAddress = strategy?.collection || strategy?.contractAddress;
+    if (!strategy?.tokenAddress || !nftAddress) {
+      return [];
+    }
+
+    const cacheKey = `holdings_breakdown_${strategy.tokenAddress}`;
     
     try {
       // Check cache first
@@ -283,27 +304,53 @@ class NFTStrategyService {
         return cached;
       }
 
-      // Mock data for now - in a real implementation, this would call the strategy API
-      const mockHoldings = this.generateMockHoldings();
+      const [holdings, salesPage] = await Promise.all([
+        holdingsService.fetchHoldings(strategy.tokenAddress, nftAddress),
+        strategy.collectionOsSlug
+          ? this.getHistoricalSales(strategy.collectionOsSlug, { contractAddress: nftAddress }).catch(() => ({ sales: [] }))
+          : Promise.resolve({ sales: [] })
+      ]);
+
+      // Sales are newest first, so the first match per token is its last sale
+      const lastSaleByToken = new Map();
+      salesPage.sales.forEach(sale => {
+        if (!lastSaleByToken.has(String(sale.tokenId))) {
+          lastSaleByToken.set(String(sale.tokenId), sale);
+        }
+      });
+
+      const breakdown = holdings
+        .map(holding => ({
+          tokenId: holding.tokenId,
+          imageUrl: holding.imageUrl,
+          estimatedValue: parseFloat(holding.priceInEth) || 0,
+          lastSale: lastSaleByToken.get(String(holding.tokenId)) || null
+        }))
+        .sort((a, b) => b.estimatedValue - a.estimatedValue);
       
       // Cache the result
-      this.setCachedData(cacheKey, mockHoldings);
+      this.setCachedData(cacheKey, breakdown);
       
-      return mockHoldings;
+      return breakdown;
       
     } catch (error) {
-      console.warn(`Failed to fetch holdings breakdown for ${tokenAddress}:`, error.message);
+      console.warn(`Failed to fetch holdings breakdown for ${strategy.tokenAddress}:`, error.message);
       return [];
     }
   }
 
   /**
-   * Get historical sales data for a collection
-   * @param {string} collectionSlug - Collection slug or name
-   * @returns {Promise<Array>} Historical sales data
+   * Get a page of historical sales for a collection
+   * @param {string} collectionSlug - Marketplace (OpenSea) collection slug
+   * @param {Object} options - { contractAddress, cursor, limit }
+   * @returns {Promise<{sales: Array, next: string|null}>} Sales newest first and the cursor for the next page
    */
-  async getHistoricalSales(collectionSlug) {
-    const cacheKey = `sales_${collectionSlug}`;
+  async getHistoricalSales(collectionSlug, { contractAddress = null, cursor = null, limit = 50 } = {}) {
+    if (!collectionSlug) {
+      return { sales: [], next: null };
+    }
+
+    const cacheKey = `sales_${collectionSlug}_${cursor || 'first'}_${limit}`;
     
     try {
       // Check cache first
@@ -312,91 +359,45 @@ class NFTStrategyService {
         return cached;
       }
 
-      // Mock data for now - in a real implementation, this would call OpenSea or similar API
-      const mockSales = this.generateMockSales();
+      const params = { collection: collectionSlug, limit };
+      if (contractAddress) {
+        params.contractAddress = contractAddress;
+      }
+      if (cursor) {
+        params.cursor = cursor;
+      }
+
+      const response = await axios.get('/api/sales', { params, timeout: 30000 });
+
+      if (!response.data || !Array.isArray(response.data.sales)) {
+        throw new Error('Invalid response format from sales API');
+      }
+
+      // ETH sales without a stored USD price are converted at the close of their own day
+      const closes = response.data.sales.some(sale => sale.priceUsd == null && sale.priceEth)
+        ? await ethPriceService.getDailyCloses(365)
+        : [];
+
+      const page = {
+        sales: response.data.sales.map(sale => (
+          sale.priceUsd == null && sale.priceEth
+            ? { ...sale, priceUsd: ethPriceService.toUsd(sale.priceEth, ethPriceService.getPriceAt(sale.timestamp, closes)) }
+            : sale
+        )),
+        next: response.data.next || null
+      };
       
       // Cache the result
-      this.setCachedData(cacheKey, mockSales);
+      this.setCachedData(cacheKey, page);
       
-      return mockSales;
+      return page;
       
     } catch (error) {
       console.warn(`Failed to fetch historical sales for ${collectionSlug}:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Generate mock price data for demonstration
-   * @returns {Array} Mock price data
-   */
-  generateMockPriceData() {
-    const data = [];
-    const now = Date.now();
-    const oneDay = 24 * 60 * 60 * 1000;
-    
-    for (let i = 30; i >= 0; i--) {
-      const timestamp = now - (i * oneDay);
-      const basePrice = 0.05;
-      const variation = (Math.random() - 0.5) * 0.02;
-      const price = Math.max(0.01, basePrice + variation);
-      
-      data.push({
-        timestamp: Math.floor(timestamp / 1000),
-        price: price,
-        priceUsd: price * 2000, // Assuming ETH = $2000
-        volume: Math.random() * 1000000
-      });
-    }
-    
-    return data;
-  }
-
-  /**
-   * Generate mock holdings data for demonstration
-   * @returns {Array} Mock holdings data
-   */
-  generateMockHoldings() {
-    const holdings = [];
-    const numHoldings = Math.floor(Math.random() * 10) + 5; // 5-15 holdings
-    
-    for (let i = 0; i < numHoldings; i++) {
-      holdings.push({
-        tokenId: `#${Math.floor(Math.random() * 10000)}`,
-        rarity: ['Common', 'Rare', 'Epic', 'Legendary'][Math.floor(Math.random() * 4)],
-        estimatedValue: Math.random() * 5 + 0.5, // 0.5-5.5 ETH
-        acquisitionDate: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-      });
-    }
-    
-    return holdings.sort((a, b) => b.estimatedValue - a.estimatedValue);
-  }
-
-  /**
-   * Generate mock sales data for demonstration
-   * @returns {Array} Mock sales data
-   */
-  generateMockSales() {
-    const sales = [];
-    const numSales = Math.floor(Math.random() * 20) + 10; // 10-30 sales
-    
-    for (let i = 0; i < numSales; i++) {
-      sales.push({
-        tokenId: `#${Math.floor(Math.random() * 10000)}`,
-        price: Math.random() * 10 + 0.1, // 0.1-10.1 ETH
-        date: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000).toISOString(),
-        buyer: `0x${Math.random().toString(16).substr(2, 40)}`,
-        marketplace: ['OpenSea', 'LooksRare', 'X2Y2', 'Blur'][Math.floor(Math.random() * 4)]
-      });
+      throw error;
     }
-    
-    return sales.sort((a, b) => new Date(b.date) - new Date(a.date));
   }
 
-
-
-
-
   /**
    * Extract token symbol from strategy data
    * @param {Object} strategy - Strategy object
@@ -0,0 +1,184 @@
+/**
+ * Notification Channels
+ * Pluggable delivery targets for alerts and scheduler notifications.
+ *
+ * Every channel implements `send(destination, message)` where `message` is
+ * `{ title, text, fields, severity, url }`:
+ * - `fields` is an array of `{ name, value }` pairs
+ * - `severity` is 'info', 'success', 'warning' or 'error'
+ * and throws when the destination rejects the delivery.
+ */
+
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+const DEFAULT_TIMEOUT = 10000;
+
+const SEVERITY_COLORS = {
+  info: 0x3b82f6,
+  success: 0x22c55e,
+  warning: 0xf59e0b,
+  error: 0xef4444
+};
+
+const SEVERITY_EMOJI = {
+  info: 'ℹ️',
+  success: '✅',
+  warning: '⚠️',
+  error: '🚨'
+};
+
+/**
+ * Generic webhook: POSTs the message as JSON
+ */
+export class WebhookChannel {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  async send(destination, message) {
+    await axios.post(destination, {
+      ...message,
+      service: 'nft-floor-compare',
+      timestamp: new Date().toISOString()
+    }, {
+      timeout: this.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Discord incoming webhook (one embed per message)
+ */
+export class DiscordChannel {
+  constructor(options = {}) {
+    this.name = 'discord';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  async send(destination, message) {
+    await axios.post(destination, {
+      username: 'NFT Strategy Alerts',
+      embeds: [{
+        title: message.title.slice(0, 256),
+        description: message.text?.slice(0, 4096),
+        url: message.url || undefined,
+        color: SEVERITY_COLORS[message.severity] ?? SEVERITY_COLORS.info,
+        fields: (message.fields || []).slice(0, 25).map(field => ({
+          name: String(field.name).slice(0, 256),
+          value: String(field.value ?? 'N/A').slice(0, 1024),
+          inline: true
+        })),
+        timestamp: new Date().toISOString()
+      }]
+    }, {
+      timeout: this.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Slack incoming webhook (Block Kit message)
+ */
+export class SlackChannel {
+  constructor(options = {}) {
+    this.name = 'slack';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  async send(destination, message) {
+    const emoji = SEVERITY_EMOJI[message.severity] || SEVERITY_EMOJI.info;
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: `${emoji} ${message.title}`.slice(0, 150) } }
+    ];
+
+    if (message.text) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: message.text.slice(0, 3000) } });
+    }
+    if (message.fields?.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: message.fields.slice(0, 10).map(field => ({
+          type: 'mrkdwn',
+          text: `*${field.name}*\n${field.value ?? 'N/A'}`
+        }))
+      });
+    }
+    if (message.url) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${message.url}|View on dashboard>` }] });
+    }
+
+    await axios.post(destination, { text: `${emoji} ${message.title}`, blocks }, {
+      timeout: this.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+ */
+export class EmailChannel {
+  constructor(options = {}) {
+    this.name = 'email';
+    this.host = options.host || process.env.SMTP_HOST;
+    this.port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+    this.user = options.user || process.env.SMTP_USER;
+    this.pass = options.pass || process.env.SMTP_PASS;
+    this.from = options.from || process.env.SMTP_FROM || this.user;
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.port === 465,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(destination, message) {
+    const lines = [
+      message.text,
+      ...(message.fields || []).map(field => `${field.name}: ${field.value ?? 'N/A'}`),
+      message.url
+    ].filter(Boolean);
+
+    await this.getTransport().sendMail({
+      from: this.from,
+      to: destination,
+      subject: message.title,
+      text: lines.join('\n')
+    });
+  }
+}
+
+const channels = {
+  webhook: WebhookChannel,
+  discord: DiscordChannel,
+  slack: SlackChannel,
+  email: EmailChannel
+};
+
+export const NOTIFICATION_CHANNELS = Object.keys(channels);
+
+/**
+ * Create a channel by name
+ */
+export const createNotificationChannel = (name) => {
+  const Channel = channels[name];
+  if (!Channel) {
+    throw new Error(`Unknown notification channel: ${name}. Available: ${NOTIFICATION_CHANNELS.join(', ')}`);
+  }
+  return new Channel();
+};
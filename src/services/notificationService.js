@@ -0,0 +1,127 @@
+/**
+ * Notification Service
+ * Delivers alert and scheduler messages through the notification channels and
+ * records every attempt in `alert_deliveries`. Nothing is sent unless the
+ * `enableNotifications` feature flag is on (ENABLE_NOTIFICATIONS on servers).
+ */
+
+import { getDatabase } from './databaseService.js';
+import { createNotificationChannel } from './notificationChannels.js';
+import { isFeatureEnabled } from '../config/environment.js';
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'https://nftstrategy.fun';
+
+const SEVERITY_BY_TYPE = {
+  success: 'success',
+  failure: 'error',
+  crash: 'error',
+  test: 'info'
+};
+
+class NotificationService {
+  constructor() {
+    this.db = getDatabase();
+    this.channels = new Map();   // name -> channel instance
+  }
+
+  /**
+   * Deliver one message and log the attempt
+   * @param {Object} delivery
+   * @param {string} delivery.channel - 'webhook', 'discord', 'slack' or 'email'
+   * @param {string} delivery.destination - Webhook URL or email address
+   * @param {Object} delivery.message - `{ title, text, fields, severity, url }`
+   * @param {string} delivery.eventType - 'alert', 'success', 'failure', 'crash' or 'test'
+   * @param {number} [delivery.ruleId] - Alert rule that produced the message
+   * @returns {Promise<{success: boolean, status: string, error?: string}>}
+   */
+  async notify({ channel, destination, message, eventType, ruleId = null }) {
+    if (!isFeatureEnabled('enableNotifications')) {
+      this.logDelivery({ ruleId, eventType, channel, destination, status: 'skipped', payload: message, error: 'Notifications disabled' });
+      return { success: false, status: 'skipped', error: 'Notifications disabled' };
+    }
+
+    try {
+      await this.getChannel(channel).send(destination, message);
+      this.logDelivery({ ruleId, eventType, channel, destination, status: 'sent', payload: message });
+      return { success: true, status: 'sent' };
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      console.error(`❌ ${channel} notification failed:`, reason);
+      this.logDelivery({ ruleId, eventType, channel, destination, status: 'failed', payload: message, error: reason });
+      return { success: false, status: 'failed', error: reason };
+    }
+  }
+
+  /**
+   * Send a scheduler job notification to every destination configured in the
+   * environment (DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL, NOTIFICATION_WEBHOOK_URL, ALERT_EMAIL_TO)
+   * @param {string} type - 'success', 'failure', 'crash' or 'test'
+   * @param {Object} data - Job result, `type` naming the job
+   */
+  async notifySystem(type, data = {}) {
+    const destinations = this.getSystemDestinations();
+    const message = this.formatSystemMessage(type, data);
+
+    if (destinations.length === 0) {
+      console.log('📢 Notification:', { timestamp: new Date().toISOString(), type, ...data });
+      return [];
+    }
+
+    return Promise.all(destinations.map(({ channel, destination }) =>
+      this.notify({ channel, destination, message, eventType: type })
+    ));
+  }
+
+  getSystemDestinations() {
+    return [
+      { channel: 'discord', destination: process.env.DISCORD_WEBHOOK_URL },
+      { channel: 'slack', destination: process.env.SLACK_WEBHOOK_URL },
+      { channel: 'webhook', destination: process.env.NOTIFICATION_WEBHOOK_URL },
+      { channel: 'email', destination: process.env.ALERT_EMAIL_TO }
+    ].filter(target => target.destination);
+  }
+
+  formatSystemMessage(type, { type: job = 'sync', error, ...details } = {}) {
+    const fields = Object.entries(details)
+      .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+      .map(([name, value]) => ({ name, value: String(value) }));
+
+    return {
+      title: `NFT Floor Compare ${job} ${type}`,
+      text: error ? `Error: ${error}` : undefined,
+      fields,
+      severity: SEVERITY_BY_TYPE[type] || 'info',
+      url: DASHBOARD_URL
+    };
+  }
+
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, createNotificationChannel(name));
+    }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Log a delivery, never letting a database failure break the caller
+   */
+  logDelivery(delivery) {
+    try {
+      this.db.insertAlertDelivery(delivery);
+    } catch (error) {
+      console.error('❌ Failed to log notification delivery:', error);
+    }
+  }
+}
+
+// Create singleton instance
+let notificationInstance = null;
+
+export const getNotificationService = () => {
+  if (!notificationInstance) {
+    notificationInstance = new NotificationService();
+  }
+  return notificationInstance;
+};
+
+export default NotificationService;
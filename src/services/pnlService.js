@@ -0,0 +1,185 @@
+/**
+ * P&L Service
+ * Pairs each NFT a strategy holds with what it paid and prices it against the
+ * collection floor. Pure calculations, shared by `api/holdings.js` and the client.
+ *
+ * Acquisition lookup per token, in order:
+ * 1. `purchase_events` - the strategy's own purchase of the token (buyer = strategy)
+ * 2. `sales_table`     - a stored sale of the token to the strategy
+ * 3. `sales_table` with `estimated: true` - the token's last stored sale to anyone
+ *
+ * Amounts are in ETH; marketplace fees and gas are not included.
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const round = (value, decimals = 6) =>
+  value === null || value === undefined || isNaN(value) ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class PnlService {
+  /**
+   * Calculate P&L for a strategy's holdings in one collection
+   * @param {Object} input
+   * @param {Array} input.holdings - `{ tokenId, listPriceEth }` for every NFT held
+   * @param {Array} input.trades - Strategy purchase/sale events (normalized sales)
+   * @param {Array} input.tokenSales - Stored sales of the held tokens (normalized sales)
+   * @param {number|null} input.floorPriceEth - Current collection floor
+   * @param {number|null} input.ethUsd - Current ETH/USD price
+   * @param {string} input.strategyAddress - Strategy contract address
+   * @param {number} [input.now] - Unix timestamp in seconds (defaults to now)
+   * @returns {{ positions: Array, realized: Array, summary: Object }}
+   */
+  calculateHoldingsPnl({ holdings = [], trades = [], tokenSales = [], floorPriceEth = null, ethUsd = null, strategyAddress, now = Math.floor(Date.now() / 1000) }) {
+    const account = strategyAddress.toLowerCase();
+    const floorEth = parseFloat(floorPriceEth) || null;
+
+    const purchaseEvents = this.indexByToken(trades.filter(trade => trade.buyer === account));
+    const storedPurchases = this.indexByToken(tokenSales.filter(sale => sale.buyer === account));
+    const storedSales = this.indexByToken(tokenSales);
+
+    const positions = holdings.map(holding => {
+      const tokenId = String(holding.tokenId);
+      const acquisition =
+        this.toAcquisition(this.latestBefore(purchaseEvents.get(tokenId), now), 'purchase_events') ||
+        this.toAcquisition(this.latestBefore(storedPurchases.get(tokenId), now), 'sales_table') ||
+        this.toAcquisition(this.latestBefore(storedSales.get(tokenId), now), 'sales_table', true);
+
+      const costEth = acquisition?.priceEth ?? null;
+      const unrealizedEth = floorEth !== null && costEth !== null ? floorEth - costEth : null;
+      const unrealizedUsd = unrealizedEth !== null && ethUsd
+        ? floorEth * ethUsd - (acquisition.priceUsd ?? costEth * ethUsd)
+        : null;
+
+      return {
+        tokenId,
+        acquisition,
+        costEth: round(costEth),
+        listPriceEth: round(parseFloat(holding.listPriceEth) || null),
+        floorEth: round(floorEth),
+        unrealizedEth: round(unrealizedEth),
+        unrealizedUsd: round(unrealizedUsd, 2),
+        unrealizedPct: unrealizedEth !== null && costEth > 0 ? round((unrealizedEth / costEth) * 100, 2) : null,
+        holdingDays: acquisition ? round((now - acquisition.timestamp) / SECONDS_PER_DAY, 1) : null
+      };
+    });
+
+    const realized = this.calculateRealized(trades, tokenSales, account);
+
+    return {
+      positions,
+      realized,
+      summary: this.summarize(positions, realized, floorEth, ethUsd)
+    };
+  }
+
+  /**
+   * Pair every sale made by the strategy with its preceding purchase of the same token
+   */
+  calculateRealized(trades, tokenSales, account) {
+    const allTrades = this.dedupe([...trades, ...tokenSales]);
+    const purchases = this.indexByToken(allTrades.filter(trade => trade.buyer === account));
+
+    return allTrades
+      .filter(trade => trade.seller === account && trade.priceEth)
+      .map(sale => {
+        const purchase = this.latestBefore(purchases.get(String(sale.tokenId)), sale.timestamp - 1);
+        const costEth = purchase?.priceEth ?? null;
+
+        return {
+          tokenId: String(sale.tokenId),
+          costEth: round(costEth),
+          proceedsEth: round(sale.priceEth),
+          realizedEth: costEth !== null ? round(sale.priceEth - costEth) : null,
+          realizedUsd: costEth !== null && sale.priceUsd != null && purchase.priceUsd != null
+            ? round(sale.priceUsd - purchase.priceUsd, 2)
+            : null,
+          boughtAt: purchase?.timestamp ?? null,
+          soldAt: sale.timestamp,
+          holdingDays: purchase ? round((sale.timestamp - purchase.timestamp) / SECONDS_PER_DAY, 1) : null,
+          txHash: sale.txHash
+        };
+      })
+      .sort((a, b) => b.soldAt - a.soldAt);
+  }
+
+  /**
+   * Aggregate positions and realized trades
+   */
+  summarize(positions, realized, floorEth, ethUsd) {
+    const costed = positions.filter(position => position.costEth !== null);
+    const closed = realized.filter(trade => trade.realizedEth !== null);
+    const sum = (items, key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+
+    const totalCostEth = sum(costed, 'costEth');
+    const marketValueEth = floorEth !== null ? floorEth * positions.length : null;
+    const unrealizedEth = floorEth !== null && costed.length > 0 ? sum(costed, 'unrealizedEth') : null;
+    const withUsd = costed.filter(position => position.unrealizedUsd !== null);
+
+    return {
+      heldCount: positions.length,
+      costedCount: costed.length,
+      totalCostEth: round(totalCostEth),
+      averageCostEth: costed.length > 0 ? round(totalCostEth / costed.length) : null,
+      floorEth: round(floorEth),
+      marketValueEth: round(marketValueEth),
+      marketValueUsd: marketValueEth !== null && ethUsd ? round(marketValueEth * ethUsd, 2) : null,
+      unrealizedEth: round(unrealizedEth),
+      unrealizedUsd: withUsd.length > 0 ? round(sum(withUsd, 'unrealizedUsd'), 2) : null,
+      unrealizedPct: unrealizedEth !== null && totalCostEth > 0 ? round((unrealizedEth / totalCostEth) * 100, 2) : null,
+      soldCount: realized.length,
+      realizedEth: closed.length > 0 ? round(sum(closed, 'realizedEth')) : null,
+      realizedUsd: closed.some(trade => trade.realizedUsd !== null)
+        ? round(sum(closed, 'realizedUsd'), 2)
+        : null,
+      averageHoldingDays: costed.length > 0 ? round(sum(costed, 'holdingDays') / costed.length, 1) : null
+    };
+  }
+
+  toAcquisition(sale, source, estimated = false) {
+    if (!sale || !sale.priceEth) {
+      return null;
+    }
+
+    return {
+      priceEth: sale.priceEth,
+      priceUsd: round(sale.priceUsd, 2),
+      timestamp: sale.timestamp,
+      txHash: sale.txHash,
+      marketplace: sale.marketplace || null,
+      source,
+      estimated
+    };
+  }
+
+  indexByToken(sales) {
+    const index = new Map();
+    sales.forEach(sale => {
+      const tokenId = String(sale.tokenId);
+      index.set(tokenId, [...(index.get(tokenId) || []), sale]);
+    });
+    return index;
+  }
+
+  latestBefore(sales, timestamp) {
+    if (!sales) {
+      return null;
+    }
+    return sales
+      .filter(sale => sale.timestamp <= timestamp)
+      .reduce((latest, sale) => (!latest || sale.timestamp > latest.timestamp ? sale : latest), null);
+  }
+
+  dedupe(sales) {
+    const seen = new Set();
+    return sales.filter(sale => {
+      const key = `${sale.txHash}_${sale.tokenId}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+export const pnlService = new PnlService();
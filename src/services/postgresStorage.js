@@ -0,0 +1,690 @@
+/**
+ * PostgreSQL Storage Backend
+ * Collections, price history, sync log and selection periods in PostgreSQL (DATABASE_URL).
+ *
+ * Implements the interface documented in storageBackends.js. The schema lives in
+ * `database/postgres/migrations`, in the same migration format as the SQLite schema,
+ * and is brought up to date on first use unless DATABASE_AUTO_MIGRATE=false.
+ */
+
+import {
+  loadMigrations,
+  describeMigrations,
+  assertSchemaCompatible,
+  planRollback
+} from './migrationService.js';
+
+export const POSTGRES_MIGRATIONS_DIR = './database/postgres/migrations';
+
+// Postgres type OIDs
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+const DATE_OID = 1082;
+const TIMESTAMP_OID = 1114;
+
+// Current UTC time as 'YYYY-MM-DD HH:MM:SS', like SQLite's CURRENT_TIMESTAMP
+const NOW = "(now() AT TIME ZONE 'utc')::timestamp(0)";
+
+/**
+ * Rows read the same as from SQLite: dates and timestamps stay strings, counts and
+ * averages are numbers
+ */
+const createTypeParser = (types) => (oid, format) => {
+  switch (oid) {
+    case INT8_OID:
+    case NUMERIC_OID:
+      return (value) => (value === null ? null : Number(value));
+    case DATE_OID:
+    case TIMESTAMP_OID:
+      return (value) => value;
+    default:
+      return types.getTypeParser(oid, format);
+  }
+};
+
+/**
+ * Schema migrations for the PostgreSQL database, the async counterpart of MigrationService
+ */
+export class PostgresMigrations {
+  constructor(storage, migrationsDir = POSTGRES_MIGRATIONS_DIR) {
+    this.storage = storage;
+    this.migrationsDir = migrationsDir;
+  }
+
+  async ensureTable() {
+    await this.storage.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMP(0) DEFAULT ${NOW}
+      )
+    `);
+  }
+
+  loadMigrations() {
+    return loadMigrations(this.migrationsDir);
+  }
+
+  async getAppliedMigrations() {
+    await this.ensureTable();
+    return this.storage.query('SELECT * FROM schema_migrations ORDER BY version ASC');
+  }
+
+  async getCurrentVersion() {
+    const applied = await this.getAppliedMigrations();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  getLatestVersion() {
+    const migrations = this.loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  async getStatus() {
+    return describeMigrations(this.loadMigrations(), await this.getAppliedMigrations());
+  }
+
+  async assertCompatible() {
+    assertSchemaCompatible(await this.getCurrentVersion(), this.getLatestVersion());
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   */
+  async migrate({ to = null } = {}) {
+    await this.assertCompatible();
+
+    const applied = new Set((await this.getAppliedMigrations()).map(row => row.version));
+    const pending = this.loadMigrations()
+      .filter(migration => !applied.has(migration.version))
+      .filter(migration => to === null || migration.version <= to);
+
+    for (const migration of pending) {
+      await this.storage.transaction(async (client) => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+      console.log(`⬆️  Applied migration ${migration.file}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   */
+  async rollback({ to = null } = {}) {
+    const targets = planRollback(this.loadMigrations(), await this.getAppliedMigrations(), to, this.migrationsDir);
+
+    for (const migration of targets) {
+      await this.storage.transaction(async (client) => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      console.log(`⬇️  Rolled back migration ${migration.file}`);
+    }
+
+    return targets.map(({ version, name }) => ({ version, name }));
+  }
+}
+
+export class PostgresStorage {
+  /**
+   * @param {Object} options - `{ connectionString, pool, autoMigrate }`; `pool` is any pg.Pool-compatible object
+   */
+  constructor({
+    connectionString = process.env.DATABASE_URL,
+    pool = null,
+    autoMigrate = process.env.DATABASE_AUTO_MIGRATE !== 'false'
+  } = {}) {
+    this.name = 'postgres';
+    this.connectionString = connectionString;
+    this.pool = pool;
+    this.autoMigrate = autoMigrate;
+    this.migrations = new PostgresMigrations(this);
+    this.ready = null;
+  }
+
+  /**
+   * Connect and bring the schema up to date, once
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.connect().catch(error => {
+        this.ready = null;
+        console.error('❌ PostgreSQL storage initialization failed:', error.message);
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async connect() {
+    await this.migrations.assertCompatible();
+
+    if (!this.autoMigrate) {
+      const pending = (await this.migrations.getStatus()).filter(migration => migration.status === 'pending');
+      if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} pending PostgreSQL migrations, run \`npm run db:migrate\``);
+      }
+    } else {
+      const applied = await this.migrations.migrate();
+      console.log(`✅ PostgreSQL schema at version ${await this.migrations.getCurrentVersion()}${applied.length > 0 ? ` (${applied.length} migrations applied)` : ''}`);
+    }
+  }
+
+  async getPool() {
+    if (!this.pool) {
+      const { default: pg } = await import('pg');
+      this.pool = new pg.Pool({
+        connectionString: this.connectionString,
+        max: parseInt(process.env.DATABASE_POOL_SIZE) || 5,
+        types: { getTypeParser: createTypeParser(pg.types) }
+      });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Run a statement without waiting for init() (migrations run inside it)
+   * @returns {Promise<Array<Object>>} Result rows
+   */
+  async query(sql, params = []) {
+    const pool = await this.getPool();
+    const result = await pool.query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Run `work(client)` inside BEGIN/COMMIT on one pooled connection
+   */
+  async transaction(work) {
+    const pool = await this.getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run a statement once the schema is ready
+   */
+  async run(sql, params = []) {
+    await this.init();
+    return this.query(sql, params);
+  }
+
+  async get(sql, params = []) {
+    const rows = await this.run(sql, params);
+    return rows[0];
+  }
+
+  // ===================
+  // COLLECTION METHODS
+  // ===================
+
+  async upsertCollection(collection) {
+    return this.bulkInsertCollections([collection]);
+  }
+
+  /**
+   * Insert or update collections (the selection columns are left alone)
+   * @returns {Promise<number>} Collections written
+   */
+  async bulkInsertCollections(collections) {
+    await this.init();
+    return this.transaction(async (client) => {
+      let inserted = 0;
+      for (const collection of collections) {
+        try {
+          await client.query('SAVEPOINT collection');
+          await client.query(`
+            INSERT INTO collections (
+              slug, name, ranking, image, total_supply, owners, market_cap, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, ${NOW})
+            ON CONFLICT (slug) DO UPDATE SET
+              name = excluded.name,
+              ranking = excluded.ranking,
+              image = excluded.image,
+              total_supply = excluded.total_supply,
+              owners = excluded.owners,
+              market_cap = excluded.market_cap,
+              updated_at = excluded.updated_at
+          `, [
+            collection.slug,
+            collection.name,
+            collection.ranking,
+            collection.image,
+            collection.totalSupply,
+            collection.owners,
+            collection.marketCap
+          ]);
+          await client.query('RELEASE SAVEPOINT collection');
+          inserted++;
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT collection');
+          console.error(`Failed to insert collection ${collection.slug}:`, error);
+        }
+      }
+      return inserted;
+    });
+  }
+
+  async getCollection(slug) {
+    return this.get('SELECT * FROM collections WHERE slug = $1', [slug]);
+  }
+
+  async getAllCollections() {
+    return this.run('SELECT * FROM collections WHERE is_active = 1 ORDER BY ranking ASC');
+  }
+
+  async getCurrentTop250Collections() {
+    return this.run('SELECT * FROM collections WHERE is_top_250 = 1 ORDER BY market_cap_rank ASC');
+  }
+
+  /**
+   * Active collections whose name or slug contains the query (case-insensitive like SQLite's LIKE)
+   */
+  async searchCollections(query, limit = 10) {
+    return this.run(`
+      SELECT slug, name, ranking, image
+      FROM collections
+      WHERE (name ILIKE $1 OR slug ILIKE $1)
+        AND is_active = 1
+      ORDER BY ranking ASC
+      LIMIT $2
+    `, [`%${query}%`, limit]);
+  }
+
+  /**
+   * Create bare rows for collections price history refers to, leaving existing rows alone
+   * @returns {Promise<number>} Rows created
+   */
+  async ensureCollections(collectionSlugs) {
+    const slugs = [...new Set(collectionSlugs)];
+    if (slugs.length === 0) {
+      return 0;
+    }
+
+    const rows = await this.run(`
+      INSERT INTO collections (slug, name)
+      SELECT slug, slug FROM unnest($1::text[]) AS slug
+      ON CONFLICT (slug) DO NOTHING
+      RETURNING slug
+    `, [slugs]);
+    return rows.length;
+  }
+
+  // ===================
+  // PRICE HISTORY METHODS
+  // ===================
+
+  /**
+   * Insert or replace daily rows; collections missing from `collections` get a bare row first
+   * @returns {Promise<number>} Rows written
+   */
+  async bulkInsertPriceHistory(priceHistoryArray) {
+    await this.ensureCollections(priceHistoryArray.map(data => data.collectionSlug));
+
+    return this.transaction(async (client) => {
+      let inserted = 0;
+      for (const data of priceHistoryArray) {
+        try {
+          await client.query('SAVEPOINT price');
+          await client.query(`
+            INSERT INTO price_history (
+              collection_slug, date, timestamp, floor_eth, floor_usd,
+              volume_eth, volume_usd, sales_count
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (collection_slug, date) DO UPDATE SET
+              timestamp = excluded.timestamp,
+              floor_eth = excluded.floor_eth,
+              floor_usd = excluded.floor_usd,
+              volume_eth = excluded.volume_eth,
+              volume_usd = excluded.volume_usd,
+              sales_count = excluded.sales_count,
+              created_at = ${NOW}
+          `, [
+            data.collectionSlug,
+            data.date,
+            data.timestamp,
+            data.floorEth,
+            data.floorUsd,
+            data.volumeEth,
+            data.volumeUsd,
+            data.salesCount
+          ]);
+          await client.query('RELEASE SAVEPOINT price');
+          inserted++;
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT price');
+          console.error(`Failed to insert price data for ${data.collectionSlug}:`, error);
+        }
+      }
+      return inserted;
+    });
+  }
+
+  async getPriceHistory(collectionSlug, startDate, endDate, limit = 1000) {
+    return this.run(`
+      SELECT * FROM price_history
+      WHERE collection_slug = $1
+        AND date >= $2
+        AND date <= $3
+      ORDER BY date ASC
+      LIMIT $4
+    `, [collectionSlug, startDate, endDate, limit]);
+  }
+
+  async getLatestPrice(collectionSlug) {
+    return this.get(`
+      SELECT * FROM price_history
+      WHERE collection_slug = $1
+      ORDER BY date DESC
+      LIMIT 1
+    `, [collectionSlug]);
+  }
+
+  async getMultipleCollectionHistory(collectionSlugs, startDate, endDate) {
+    return this.run(`
+      SELECT * FROM price_history
+      WHERE collection_slug = ANY($1)
+        AND date >= $2
+        AND date <= $3
+      ORDER BY collection_slug, date ASC
+    `, [collectionSlugs, startDate, endDate]);
+  }
+
+  async getLatestPrices(collectionSlugs = null, limit = 250) {
+    if (collectionSlugs && collectionSlugs.length > 0) {
+      return this.run('SELECT * FROM latest_prices WHERE slug = ANY($1) LIMIT $2', [collectionSlugs, limit]);
+    }
+    return this.run('SELECT * FROM latest_prices LIMIT $1', [limit]);
+  }
+
+  async getCollectionStats(collectionSlug = null, limit = 1000) {
+    if (collectionSlug) {
+      return this.run('SELECT * FROM collection_stats WHERE slug = $1', [collectionSlug]);
+    }
+    return this.run(`
+      SELECT * FROM collection_stats
+      ORDER BY days_tracked DESC, slug ASC
+      LIMIT $1
+    `, [limit]);
+  }
+
+  /**
+   * Missing date ranges per collection through `untilDate`, newest first
+   * (see DatabaseService.getPriceHistoryGaps)
+   */
+  async getPriceHistoryGaps(collectionSlugs, untilDate) {
+    if (!collectionSlugs || collectionSlugs.length === 0) {
+      return [];
+    }
+
+    return this.run(`
+      WITH known AS (
+        SELECT collection_slug, date FROM price_history
+        WHERE collection_slug = ANY($1) AND date <= $2::date
+        UNION
+        SELECT collection_slug, date FROM price_history_unavailable
+        WHERE collection_slug = ANY($1) AND date <= $2::date
+      ),
+      days AS (
+        SELECT
+          collection_slug,
+          date,
+          LAG(date) OVER (PARTITION BY collection_slug ORDER BY date) as previous_date
+        FROM known
+      )
+      SELECT
+        collection_slug,
+        (previous_date + 1)::date as gap_start,
+        (date - 1)::date as gap_end,
+        date - previous_date - 1 as missing_days
+      FROM days
+      WHERE date - previous_date > 1
+      UNION ALL
+      SELECT
+        collection_slug,
+        (MAX(date) + 1)::date as gap_start,
+        $2::date as gap_end,
+        $2::date - MAX(date) as missing_days
+      FROM known
+      GROUP BY collection_slug
+      HAVING MAX(date) < $2::date
+      ORDER BY gap_end DESC, collection_slug ASC
+    `, [collectionSlugs, untilDate]);
+  }
+
+  async markPriceHistoryUnavailable(collectionSlug, dates) {
+    if (dates.length === 0) {
+      return 0;
+    }
+    await this.run(`
+      INSERT INTO price_history_unavailable (collection_slug, date)
+      SELECT $1, unnest($2::date[])
+      ON CONFLICT (collection_slug, date) DO UPDATE SET checked_at = ${NOW}
+    `, [collectionSlug, dates]);
+    return dates.length;
+  }
+
+  async cleanUnavailableDays(daysToKeep = 30) {
+    const rows = await this.run(
+      `DELETE FROM price_history_unavailable WHERE checked_at < ${NOW} - make_interval(days => $1) RETURNING collection_slug`,
+      [daysToKeep]
+    );
+    return rows.length;
+  }
+
+  async cleanOldData(daysToKeep = 365) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+    const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
+
+    const rows = await this.run('DELETE FROM price_history WHERE date < $1 RETURNING id', [cutoffDateStr]);
+
+    console.log(`🧹 Cleaned ${rows.length} old price records (older than ${daysToKeep} days)`);
+    return rows.length;
+  }
+
+  // ===================
+  // SYNC LOG METHODS
+  // ===================
+
+  async startSyncLog(syncType, collectionSlug = null) {
+    const row = await this.get(`
+      INSERT INTO sync_log (sync_type, collection_slug, status)
+      VALUES ($1, $2, 'started')
+      RETURNING id
+    `, [syncType, collectionSlug]);
+    return row.id;
+  }
+
+  async completeSyncLog(logId, status, stats = {}) {
+    await this.run(`
+      UPDATE sync_log SET
+        status = $1,
+        records_processed = $2,
+        records_inserted = $3,
+        records_updated = $4,
+        error_message = $5,
+        completed_at = ${NOW},
+        duration_seconds = EXTRACT(EPOCH FROM (${NOW} - started_at))::integer
+      WHERE id = $6
+    `, [
+      status,
+      stats.processed || 0,
+      stats.inserted || 0,
+      stats.updated || 0,
+      stats.error || null,
+      logId
+    ]);
+  }
+
+  async getRecentSyncLogs(limit = 50) {
+    return this.run('SELECT * FROM sync_log ORDER BY started_at DESC LIMIT $1', [limit]);
+  }
+
+  async getLastCompletedSync(syncTypes) {
+    const row = await this.get(`
+      SELECT MAX(completed_at) as completed_at FROM sync_log
+      WHERE status = 'completed'
+        AND sync_type = ANY($1)
+    `, [syncTypes]);
+    return row?.completed_at || null;
+  }
+
+  async cleanOldSyncLogs(daysToKeep = 30) {
+    const rows = await this.run(
+      `DELETE FROM sync_log WHERE started_at < ${NOW} - make_interval(days => $1) RETURNING id`,
+      [daysToKeep]
+    );
+    return rows.length;
+  }
+
+  // ===================
+  // SELECTION PERIOD METHODS
+  // ===================
+
+  async getActiveSelectionPeriod() {
+    const row = await this.get(`
+      SELECT * FROM collection_selection_periods
+      WHERE status = 'active'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    return row || null;
+  }
+
+  async getSelectionPeriods(limit = 10) {
+    return this.run(`
+      SELECT * FROM collection_selection_periods
+      ORDER BY selection_date DESC
+      LIMIT $1
+    `, [limit]);
+  }
+
+  async getActiveSelectionInfo() {
+    const row = await this.get(`
+      SELECT csp.*,
+             COUNT(c.slug) as active_collections_count
+      FROM collection_selection_periods csp
+      LEFT JOIN collections c ON c.selection_period = csp.period AND c.is_top_250 = 1
+      WHERE csp.status = 'active'
+      GROUP BY csp.id
+      ORDER BY csp.created_at DESC
+      LIMIT 1
+    `);
+    return row || null;
+  }
+
+  /**
+   * Replace the top 250 selection in one transaction
+   * (see DatabaseService.startSelectionPeriod)
+   * @returns {Promise<{updated: number, inserted: number}>}
+   */
+  async startSelectionPeriod(period, { criteria, collections, stats }) {
+    await this.init();
+    return this.transaction(async (client) => {
+      await client.query("UPDATE collection_selection_periods SET status = 'expired' WHERE status = 'active'");
+      await client.query('UPDATE collections SET is_top_250 = 0 WHERE is_top_250 = 1');
+
+      await client.query(`
+        INSERT INTO collection_selection_periods (
+          period, selection_date, total_collections_selected,
+          selection_criteria, min_market_cap, max_market_cap, avg_market_cap, status
+        ) VALUES ($1, ${NOW}::date, $2, $3, $4, $5, $6, 'active')
+        ON CONFLICT (period) DO UPDATE SET
+          selection_date = excluded.selection_date,
+          total_collections_selected = excluded.total_collections_selected,
+          selection_criteria = excluded.selection_criteria,
+          min_market_cap = excluded.min_market_cap,
+          max_market_cap = excluded.max_market_cap,
+          avg_market_cap = excluded.avg_market_cap,
+          status = 'active'
+      `, [period, collections.length, criteria, stats.min_market_cap, stats.max_market_cap, stats.avg_market_cap]);
+
+      let updated = 0;
+      let inserted = 0;
+      for (const [index, collection] of collections.entries()) {
+        const { rows } = await client.query(`
+          INSERT INTO collections (
+            slug, name, ranking, image, total_supply, owners,
+            market_cap, market_cap_rank, is_top_250, selection_period,
+            selected_at, created_at, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 1, $9, ${NOW}, ${NOW}, ${NOW})
+          ON CONFLICT (slug) DO UPDATE SET
+            name = excluded.name,
+            ranking = excluded.ranking,
+            image = excluded.image,
+            total_supply = excluded.total_supply,
+            owners = excluded.owners,
+            market_cap = excluded.market_cap,
+            market_cap_rank = excluded.market_cap_rank,
+            is_top_250 = 1,
+            selection_period = excluded.selection_period,
+            selected_at = excluded.selected_at,
+            updated_at = excluded.updated_at
+          RETURNING (xmax = 0) as inserted
+        `, [
+          collection.slug, collection.name, collection.ranking, collection.image, collection.totalSupply,
+          collection.owners, collection.marketCap, index + 1, period
+        ]);
+
+        if (rows[0].inserted) {
+          inserted++;
+        } else {
+          updated++;
+        }
+      }
+
+      return { updated, inserted };
+    });
+  }
+
+  async getStats() {
+    const stats = await this.get(`
+      SELECT
+        (SELECT COUNT(*) FROM collections) as total_collections,
+        (SELECT COUNT(*) FROM collections WHERE is_active = 1) as active_collections,
+        COUNT(*) as total_price_records,
+        MIN(date) as earliest_date,
+        MAX(date) as latest_date,
+        pg_database_size(current_database()) as database_size
+      FROM price_history
+    `);
+
+    return {
+      totalCollections: stats.total_collections,
+      activeCollections: stats.active_collections,
+      totalPriceRecords: stats.total_price_records,
+      earliestDate: stats.earliest_date,
+      latestDate: stats.latest_date,
+      databaseSize: Math.round(stats.database_size / 1024 / 1024 * 100) / 100 // MB
+    };
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.ready = null;
+      console.log('✅ PostgreSQL connection pool closed');
+    }
+  }
+}
+
+export default PostgresStorage;
@@ -3,6 +3,7 @@
  * 
  * This service provides rate-limited access to the NFTPriceFloor API to prevent
  * timeout issues and ensure reliable data fetching for all collections.
+ * Requests go through the /api/collections proxy, which holds the RapidAPI key.
  */
 
 import { strategyToSlugMappingService } from './strategyToSlugMapping.js';
@@ -93,7 +94,7 @@ class RateLimitedNftAPIService {
   /**
    * Fetch collection details with rate limiting and caching
    */
-  async fetchCollectionDetails(collectionName, rapidApiKey) {
+  async fetchCollectionDetails(collectionName) {
     const cacheKey = `collection_${collectionName}`;
     
     // Check cache first
@@ -111,7 +112,7 @@ class RateLimitedNftAPIService {
     console.log(`🔄 [RATE-LIMITED-API] Queuing collection details request for: ${collectionName} -> ${mappedSlug}`);
 
     return this.queueRequest(async () => {
-      const url = `https://nftpf-api-v0.p.rapidapi.com/projects/${mappedSlug}`;
+      const url = `/api/collections/${encodeURIComponent(mappedSlug)}`;
       console.log(`📡 [RATE-LIMITED-API] Fetching collection details: ${url}`);
       
       let lastError;
@@ -120,8 +121,7 @@ class RateLimitedNftAPIService {
           const response = await fetch(url, {
             method: 'GET',
             headers: {
-              'X-RapidAPI-Key': rapidApiKey,
-              'X-RapidAPI-Host': 'nftpf-api-v0.p.rapidapi.com'
+              'Accept': 'application/json'
             },
             timeout: 30000 // 30 second timeout
           });
@@ -154,7 +154,7 @@ class RateLimitedNftAPIService {
   /**
    * Fetch price history with rate limiting and caching
    */
-  async fetchPriceHistory(collectionName, timeframe = '1d', rapidApiKey) {
+  async fetchPriceHistory(collectionName, timeframe = '1d') {
     const cacheKey = `price_${collectionName}_${timeframe}`;
     
     // Check cache first
@@ -172,7 +172,7 @@ class RateLimitedNftAPIService {
     console.log(`🔄 [RATE-LIMITED-API] Queuing price history request for: ${collectionName} -> ${mappedSlug} (${timeframe})`);
 
     return this.queueRequest(async () => {
-      const url = `https://nftpf-api-v0.p.rapidapi.com/projects/${mappedSlug}/charts/${timeframe}`;
+      const url = `/api/collections/${encodeURIComponent(mappedSlug)}/history?chart=${timeframe}`;
       console.log(`📡 [RATE-LIMITED-API] Fetching price history: ${url}`);
       
       let lastError;
@@ -181,8 +181,7 @@ class RateLimitedNftAPIService {
           const response = await fetch(url, {
             method: 'GET',
             headers: {
-              'X-RapidAPI-Key': rapidApiKey,
-              'X-RapidAPI-Host': 'nftpf-api-v0.p.rapidapi.com'
+              'Accept': 'application/json'
             },
             timeout: 30000 // 30 second timeout
           });
@@ -221,7 +220,7 @@ class RateLimitedNftAPIService {
   /**
    * Batch fetch multiple collections with proper rate limiting
    */
-  async batchFetchCollections(collectionNames, rapidApiKey) {
+  async batchFetchCollections(collectionNames) {
     console.log(`🔄 [RATE-LIMITED-API] Batch fetching ${collectionNames.length} collections`);
     
     const results = [];
@@ -230,8 +229,8 @@ class RateLimitedNftAPIService {
     for (const collectionName of collectionNames) {
       try {
         const [collectionDetails, priceHistory] = await Promise.all([
-          this.fetchCollectionDetails(collectionName, rapidApiKey),
-          this.fetchPriceHistory(collectionName, '1d', rapidApiKey)
+          this.fetchCollectionDetails(collectionName),
+          this.fetchPriceHistory(collectionName, '1d')
         ]);
 
         results.push({
@@ -0,0 +1,230 @@
+/**
+ * Sales Providers
+ * Pluggable marketplace sale sources for strategy collections.
+ *
+ * Every provider implements `getSales(collectionSlug, options)` and resolves to
+ * `{ sales, next }`, newest first, where each sale has the shape:
+ * `{ tokenId, name, imageUrl, contractAddress, collectionSlug, priceEth, priceUsd,
+ *    paymentSymbol, marketplace, buyer, seller, txHash, timestamp }`
+ * with `timestamp` in seconds. `next` is an opaque cursor (null on the last page).
+ *
+ * `getAccountSales(address, options)` pages the sales an account bought or sold
+ * in the same shape (used for strategy purchase events).
+ */
+
+import axios from 'axios';
+import salesFixtures from './fixtures/sales.js';
+
+const OPENSEA_API_BASE = 'https://api.opensea.io/api/v2';
+const MAX_PAGE_SIZE = 50; // OpenSea events per-request limit
+
+// Payment tokens priced 1:1 in ETH / USD
+const ETH_SYMBOLS = ['ETH', 'WETH'];
+const USD_SYMBOLS = ['USDC', 'USDT', 'DAI'];
+
+/**
+ * Normalize an OpenSea v2 sale event
+ */
+export const normalizeOpenSeaSale = (event) => {
+  const payment = event.payment || {};
+  const symbol = (payment.symbol || 'ETH').toUpperCase();
+  const amount = parseFloat(payment.quantity) / Math.pow(10, payment.decimals ?? 18);
+  const quantity = parseInt(event.quantity) || 1;
+  const unitPrice = isNaN(amount) ? null : amount / quantity;
+
+  return {
+    tokenId: event.nft?.identifier != null ? String(event.nft.identifier) : null,
+    name: event.nft?.name || null,
+    imageUrl: event.nft?.display_image_url || event.nft?.image_url || null,
+    contractAddress: event.nft?.contract?.toLowerCase() || null,
+    collectionSlug: event.nft?.collection || null,
+    priceEth: ETH_SYMBOLS.includes(symbol) ? unitPrice : null,
+    priceUsd: USD_SYMBOLS.includes(symbol) ? unitPrice : null,
+    paymentSymbol: symbol,
+    marketplace: 'OpenSea',
+    buyer: event.buyer?.toLowerCase() || null,
+    seller: event.seller?.toLowerCase() || null,
+    txHash: event.transaction?.toLowerCase() || null,
+    timestamp: parseInt(event.event_timestamp || event.closing_date)
+  };
+};
+
+/**
+ * OpenSea provider (requires OPENSEA_API_KEY)
+ * Reads sale events for a collection from the v2 events API.
+ */
+export class OpenSeaSalesProvider {
+  constructor(options = {}) {
+    this.name = 'opensea';
+    this.apiKey = options.apiKey || (typeof process !== 'undefined' ? process.env?.OPENSEA_API_KEY : undefined);
+    this.timeout = options.timeout || 15000;
+  }
+
+  async getSales(collectionSlug, { limit = MAX_PAGE_SIZE, cursor = null, after = null } = {}) {
+    if (!this.apiKey) {
+      throw new Error('OPENSEA_API_KEY is not configured');
+    }
+
+    const params = {
+      event_type: 'sale',
+      limit: Math.min(limit, MAX_PAGE_SIZE)
+    };
+    if (cursor) {
+      params.next = cursor;
+    }
+    if (after) {
+      params.after = after;
+    }
+
+    const response = await axios.get(`${OPENSEA_API_BASE}/events/collection/${encodeURIComponent(collectionSlug)}`, {
+      params,
+      timeout: this.timeout,
+      headers: {
+        'Accept': 'application/json',
+        'X-API-KEY': this.apiKey
+      }
+    });
+
+    const events = response.data?.asset_events;
+    if (!Array.isArray(events)) {
+      throw new Error(`Invalid sales response for collection ${collectionSlug}`);
+    }
+
+    return this.toPage(response.data, events);
+  }
+
+  async getAccountSales(address, { limit = MAX_PAGE_SIZE, cursor = null } = {}) {
+    if (!this.apiKey) {
+      throw new Error('OPENSEA_API_KEY is not configured');
+    }
+
+    const params = {
+      event_type: 'sale',
+      limit: Math.min(limit, MAX_PAGE_SIZE)
+    };
+    if (cursor) {
+      params.next = cursor;
+    }
+
+    const response = await axios.get(`${OPENSEA_API_BASE}/events/accounts/${address.toLowerCase()}`, {
+      params,
+      timeout: this.timeout,
+      headers: {
+        'Accept': 'application/json',
+        'X-API-KEY': this.apiKey
+      }
+    });
+
+    const events = response.data?.asset_events;
+    if (!Array.isArray(events)) {
+      throw new Error(`Invalid sales response for account ${address}`);
+    }
+
+    return this.toPage(response.data, events);
+  }
+
+  toPage(data, events) {
+    return {
+      sales: events
+        .map(normalizeOpenSeaSale)
+        .filter(sale => sale.tokenId && sale.txHash && sale.timestamp > 0),
+      next: data.next || null
+    };
+  }
+}
+
+/**
+ * Fixture provider for tests and offline development
+ * Serves sales from `fixtures/sales.js` (or the fixtures passed in), paged by offset.
+ */
+export class FixtureSalesProvider {
+  constructor(fixtures = salesFixtures) {
+    this.name = 'fixture';
+    this.fixtures = fixtures;
+  }
+
+  async getSales(collectionSlug, { contractAddress = null, limit = MAX_PAGE_SIZE, cursor = null, after = null } = {}) {
+    const sales = (this.fixtures[collectionSlug] || this.fixtures.default || [])
+      .map(sale => ({
+        name: null,
+        imageUrl: null,
+        contractAddress: contractAddress?.toLowerCase() || null,
+        ...sale,
+        collectionSlug
+      }))
+      .filter(sale => !after || sale.timestamp > after)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    const offset = parseInt(cursor) || 0;
+    const page = sales.slice(offset, offset + limit);
+
+    return {
+      sales: page,
+      next: offset + limit < sales.length ? String(offset + limit) : null
+    };
+  }
+
+  /**
+   * Fixture sales replayed as the account's trades: the account bought every
+   * token, then sold the most recently traded third of them a day later
+   */
+  async getAccountSales(address, { contractAddress = null, limit = MAX_PAGE_SIZE, cursor = null } = {}) {
+    const account = address.toLowerCase();
+    const sales = (this.fixtures.default || []).flatMap((sale, index) => {
+      const purchase = { name: null, imageUrl: null, contractAddress: contractAddress?.toLowerCase() || null, ...sale, buyer: account };
+      if (index % 3 !== 0) {
+        return [purchase];
+      }
+      return [purchase, {
+        ...purchase,
+        priceEth: Math.round(sale.priceEth * 1.2 * 10000) / 10000,
+        buyer: sale.seller,
+        seller: account,
+        txHash: `${sale.txHash.slice(0, -4)}5e11`,
+        timestamp: sale.timestamp + 86400
+      }];
+    }).sort((a, b) => b.timestamp - a.timestamp);
+
+    const offset = parseInt(cursor) || 0;
+    return {
+      sales: sales.slice(offset, offset + limit),
+      next: offset + limit < sales.length ? String(offset + limit) : null
+    };
+  }
+}
+
+const providers = {
+  opensea: OpenSeaSalesProvider,
+  fixture: FixtureSalesProvider
+};
+
+/**
+ * Create a provider by name
+ */
+export const createSalesProvider = (name = 'opensea') => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown sales provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+let providerInstance = null;
+
+/**
+ * Get the configured provider (SALES_PROVIDER, defaults to opensea)
+ */
+export const getSalesProvider = () => {
+  if (!providerInstance) {
+    const configured = (typeof process !== 'undefined' && process.env?.SALES_PROVIDER) || 'opensea';
+    providerInstance = createSalesProvider(configured);
+  }
+  return providerInstance;
+};
+
+/**
+ * Override the active provider (tests, scripts)
+ */
+export const setSalesProvider = (provider) => {
+  providerInstance = provider;
+};
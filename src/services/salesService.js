@@ -0,0 +1,287 @@
+/**
+ * Sales Service
+ * Pages marketplace sales for strategy collections, writing them through to the
+ * local database and serving stored history when the provider is unavailable
+ */
+
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+import { getSalesProvider } from './salesProviders.js';
+import { getStrategySnapshotService } from './strategySnapshotService.js';
+
+// Cursors for pages served from the local database carry this prefix
+const DB_CURSOR_PREFIX = 'db:';
+
+class SalesService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.provider = getSalesProvider();
+    this.config = {
+      pageSize: 50,                // Sales per provider request
+      maxPagesPerSync: 20,         // Stop a collection sync after 1,000 sales
+      delayBetweenPages: 500,      // OpenSea allows ~4 requests/second
+      delayBetweenCollections: 2000,
+      maxAccountPages: 10          // Strategy purchase events read per P&L request
+    };
+
+    console.log(`🧾 Sales Service initialized (provider: ${this.provider.name})`);
+  }
+
+  /**
+   * Get a page of sales for a collection: provider first (written through to the
+   * database), local database when the provider fails or a database cursor is passed
+   * @param {string} collectionSlug - Marketplace collection slug
+   * @param {Object} options - { contractAddress, limit, cursor }
+   */
+  async getSales(collectionSlug, { contractAddress = null, limit = this.config.pageSize, cursor = null } = {}) {
+    if (cursor && cursor.startsWith(DB_CURSOR_PREFIX)) {
+      const before = parseInt(cursor.slice(DB_CURSOR_PREFIX.length)) || null;
+      return { success: true, ...this.getStoredSales(collectionSlug, { before, limit }), source: 'local_database' };
+    }
+
+    try {
+      const page = await this.provider.getSales(collectionSlug, { contractAddress, limit, cursor });
+      const sales = this.withUsdPrices(page.sales);
+      const next = page.next;
+      this.storeSales(collectionSlug, sales);
+
+      return { success: true, sales, next, source: this.provider.name };
+    } catch (error) {
+      console.warn(`⚠️ ${this.provider.name} sales failed for ${collectionSlug}, using local data:`, error.message);
+
+      const stored = this.getStoredSales(collectionSlug, { limit });
+      if (stored.sales.length === 0) {
+        return { success: false, error: error.message, sales: [], next: null };
+      }
+
+      return { success: true, ...stored, source: 'local_database', stale: true };
+    }
+  }
+
+  /**
+   * Read a page of stored sales, newest first
+   */
+  getStoredSales(collectionSlug, { before = null, limit = this.config.pageSize } = {}) {
+    const sales = this.db.getSales(collectionSlug, { before, limit }).map(this.transformRowToSale);
+    const last = sales[sales.length - 1];
+
+    return {
+      sales,
+      next: sales.length === limit && last ? `${DB_CURSOR_PREFIX}${last.timestamp}` : null
+    };
+  }
+
+  /**
+   * Fetch only the sales newer than the last stored one for a collection
+   */
+  async syncCollectionSales(collectionSlug, contractAddress = null) {
+    const latest = this.db.getLatestSale(collectionSlug);
+    const after = latest ? latest.timestamp : null;
+
+    let cursor = null;
+    let pages = 0;
+    let inserted = 0;
+
+    do {
+      const page = await this.provider.getSales(collectionSlug, {
+        contractAddress,
+        limit: this.config.pageSize,
+        cursor,
+        after
+      });
+
+      inserted += this.storeSales(collectionSlug, this.withUsdPrices(page.sales));
+      cursor = page.next;
+      pages++;
+
+      if (cursor && pages < this.config.maxPagesPerSync) {
+        await this.sleep(this.config.delayBetweenPages);
+      }
+    } while (cursor && pages < this.config.maxPagesPerSync);
+
+    return { success: true, inserted, pages };
+  }
+
+  /**
+   * Get the trades a strategy made in one collection for P&L: its own purchase
+   * and sale events from the provider, plus whatever the sales table holds for
+   * the given tokens (the fallback when an event is missing)
+   * @returns {Promise<{trades: Array, tokenSales: Array, tradesError: string|null}>}
+   */
+  async getStrategyTrades(strategyAddress, nftAddress, tokenIds = []) {
+    const account = strategyAddress.toLowerCase();
+    const contract = nftAddress.toLowerCase();
+    let trades = [];
+    let tradesError = null;
+
+    try {
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const page = await this.provider.getAccountSales(account, {
+          contractAddress: contract,
+          limit: this.config.pageSize,
+          cursor
+        });
+
+        trades.push(...page.sales.filter(sale => sale.contractAddress === contract));
+        cursor = page.next;
+        pages++;
+
+        if (cursor && pages < this.config.maxAccountPages) {
+          await this.sleep(this.config.delayBetweenPages);
+        }
+      } while (cursor && pages < this.config.maxAccountPages);
+
+      trades = this.withUsdPrices(trades);
+
+      // Keep the events for the sales history as well
+      const bySlug = new Map();
+      trades.filter(trade => trade.collectionSlug).forEach(trade => {
+        bySlug.set(trade.collectionSlug, [...(bySlug.get(trade.collectionSlug) || []), trade]);
+      });
+      bySlug.forEach((slugTrades, slug) => this.storeSales(slug, slugTrades));
+    } catch (error) {
+      console.warn(`⚠️ ${this.provider.name} account sales failed for ${account}, using the sales table:`, error.message);
+      tradesError = error.message;
+    }
+
+    const tokenSales = this.db.getTokenSales(contract, tokenIds).map(this.transformRowToSale);
+
+    return { trades, tokenSales, tradesError };
+  }
+
+  /**
+   * Sync sales for every live strategy collection
+   */
+  async syncStrategySales() {
+    const logId = await this.storage.startSyncLog('sales');
+    const startTime = Date.now();
+
+    try {
+      const strategies = await getStrategySnapshotService().fetchStrategies();
+      const collections = strategies
+        .filter(strategy => strategy.collectionOsSlug)
+        .map(strategy => ({
+          slug: strategy.collectionOsSlug,
+          contractAddress: strategy.collection || strategy.contractAddress || null
+        }));
+
+      console.log(`🧾 Syncing sales for ${collections.length} strategy collections...`);
+
+      let inserted = 0;
+      let errors = 0;
+
+      for (let i = 0; i < collections.length; i++) {
+        const { slug, contractAddress } = collections[i];
+        try {
+          const result = await this.syncCollectionSales(slug, contractAddress);
+          inserted += result.inserted;
+          console.log(`✅ ${slug}: ${result.inserted} sales (${result.pages} pages)`);
+        } catch (error) {
+          errors++;
+          console.error(`❌ ${slug}: ${error.message}`);
+        }
+
+        if (i < collections.length - 1) {
+          await this.sleep(this.config.delayBetweenCollections);
+        }
+      }
+
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: collections.length,
+        inserted,
+        error: errors > 0 ? `${errors} collections failed` : null
+      });
+
+      return {
+        success: true,
+        processed: collections.length,
+        inserted,
+        errors,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('❌ Sales sync failed:', error);
+      await this.storage.completeSyncLog(logId, 'failed', { error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Fill missing USD prices of ETH sales from the stored ETH/USD close of the sale's day
+   */
+  withUsdPrices(sales) {
+    return sales.map(sale => {
+      if (sale.priceUsd != null || !sale.priceEth) {
+        return sale;
+      }
+
+      const close = this.db.getEthPriceOn(new Date(sale.timestamp * 1000).toISOString().split('T')[0]);
+      return close ? { ...sale, priceUsd: sale.priceEth * close.close_usd } : sale;
+    });
+  }
+
+  /**
+   * Store sales, never letting a database failure break the caller
+   */
+  storeSales(collectionSlug, sales) {
+    if (!sales || sales.length === 0) {
+      return 0;
+    }
+
+    try {
+      return this.db.bulkInsertSales(collectionSlug, sales, this.provider.name);
+    } catch (error) {
+      console.error(`❌ Failed to store sales for ${collectionSlug}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Transform database row to sale format
+   */
+  transformRowToSale(row) {
+    return {
+      tokenId: row.token_id,
+      name: row.name,
+      imageUrl: row.image_url,
+      contractAddress: row.contract_address,
+      collectionSlug: row.collection_slug,
+      priceEth: row.price_eth,
+      priceUsd: row.price_usd,
+      paymentSymbol: row.payment_symbol,
+      marketplace: row.marketplace,
+      buyer: row.buyer,
+      seller: row.seller,
+      txHash: row.tx_hash,
+      timestamp: row.timestamp
+    };
+  }
+
+  /**
+   * Sleep utility
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Create singleton instance
+let salesInstance = null;
+
+export const getSalesService = () => {
+  if (!salesInstance) {
+    salesInstance = new SalesService();
+  }
+  return salesInstance;
+};
+
+export default SalesService;
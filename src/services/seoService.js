@@ -4,6 +4,8 @@
  * Provides dynamic metadata generation for SEO and social media sharing
  */
 
+import { getStrategySlug } from '../utils/urlUtils.js';
+
 export class SEOService {
   constructor() {
     this.siteConfig = {
@@ -21,6 +23,8 @@ export class SEOService {
    * Generate SEO metadata for the main dashboard
    */
   generateDashboardMeta() {
+    const ogImage = this.generateOGImageMeta();
+
     return {
       title: 'NFT Strategy Dashboard - Comprehensive Strategy Analysis & Performance Tracking',
       description: 'Analyze NFT strategies with real-time data, interactive charts, and comprehensive performance metrics. Track floor prices, market trends, and strategy performance across top NFT collections.',
@@ -31,7 +35,8 @@ export class SEOService {
         description: 'Comprehensive NFT strategy analysis with real-time data and performance tracking',
         url: this.siteConfig.siteUrl,
         type: 'website',
-        image: `${this.siteConfig.siteUrl}/assets/og-dashboard.jpg`,
+        image: ogImage.url,
+        imageAlt: ogImage.alt,
         siteName: this.siteConfig.siteName,
         locale: this.siteConfig.locale
       },
@@ -40,7 +45,8 @@ export class SEOService {
         site: this.siteConfig.twitterHandle,
         title: 'NFT Strategy Dashboard',
         description: 'Real-time NFT strategy analysis and performance tracking',
-        image: `${this.siteConfig.siteUrl}/assets/twitter-dashboard.jpg`
+        image: ogImage.url,
+        imageAlt: ogImage.alt
       }
     };
   }
@@ -54,7 +60,6 @@ export class SEOService {
     }
 
     const strategyName = strategy.collectionName || strategy.tokenName || 'Strategy';
-    const collectionSlug = this.generateSlug(strategyName);
     
     // Generate performance summary for description
     const performanceSummary = this.generatePerformanceSummary(performanceData);
@@ -62,8 +67,8 @@ export class SEOService {
     const title = `${strategyName} Strategy - Performance Analysis & Metrics`;
     const description = `Detailed analysis of ${strategyName} NFT strategy. ${performanceSummary} Track real-time performance, floor prices, and market trends.`;
     
-    const strategyUrl = `${this.siteConfig.siteUrl}/nftstrategies/${collectionSlug}`;
-    const ogImageUrl = `${this.siteConfig.siteUrl}/api/og-image/${collectionSlug}`;
+    const strategyUrl = `${this.siteConfig.siteUrl}/nftstrategies/${getStrategySlug(strategy)}`;
+    const ogImage = this.generateOGImageMeta(strategy);
     
     return {
       title,
@@ -75,7 +80,8 @@ export class SEOService {
         description,
         url: strategyUrl,
         type: 'article',
-        image: ogImageUrl,
+        image: ogImage.url,
+        imageAlt: ogImage.alt,
         siteName: this.siteConfig.siteName,
         locale: this.siteConfig.locale,
         article: {
@@ -88,7 +94,8 @@ export class SEOService {
         site: this.siteConfig.twitterHandle,
         title: `${strategyName} Strategy Analysis`,
         description,
-        image: ogImageUrl
+        image: ogImage.url,
+        imageAlt: ogImage.alt
       },
       jsonLd: this.generateStrategyJsonLd(strategy, performanceData, strategyUrl)
     };
@@ -200,34 +207,25 @@ export class SEOService {
 
   /**
    * Generate Open Graph image metadata
+   * The image route looks the strategy up by slug and renders its live numbers,
+   * so nothing but the slug goes into the URL
    */
-  generateOGImageMeta(strategy, performanceData = null) {
+  generateOGImageMeta(strategy = null) {
     const baseUrl = `${this.siteConfig.siteUrl}/api/og-image`;
     
     if (!strategy) {
       return {
         url: `${baseUrl}/dashboard`,
+        type: 'image/png',
         width: 1200,
         height: 630,
         alt: 'NFT Strategy Dashboard'
       };
     }
 
-    const params = new URLSearchParams({
-      collection: strategy.collectionName || strategy.tokenName,
-      ...(performanceData?.totalReturn !== undefined && { 
-        return: (performanceData.totalReturn * 100).toFixed(1) 
-      }),
-      ...(performanceData?.currentValue && { 
-        value: this.formatCurrency(performanceData.currentValue, false) 
-      }),
-      ...(performanceData?.floorPrice && { 
-        floor: performanceData.floorPrice.toFixed(3) 
-      })
-    });
-
     return {
-      url: `${baseUrl}/strategy?${params.toString()}`,
+      url: `${baseUrl}/${getStrategySlug(strategy)}`,
+      type: 'image/png',
       width: 1200,
       height: 630,
       alt: `${strategy.collectionName || strategy.tokenName} Strategy Analysis`
@@ -237,15 +235,6 @@ export class SEOService {
   /**
    * Utility functions
    */
-  generateSlug(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9 -]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim();
-  }
-
   formatCurrency(value, includeSymbol = true) {
     if (typeof value !== 'number') return 'N/A';
     
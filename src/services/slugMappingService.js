@@ -0,0 +1,267 @@
+/**
+ * Slug Mapping Service
+ * Resolves strategy collections to their NFTPriceFloor slug from the `collection_mappings`
+ * table, keyed by contract address, OpenSea slug and collection name.
+ *
+ * Every mapping carries its provenance:
+ * - `direct`    - seeded from the mapping tables shipped in code
+ * - `fuzzy`     - the name only partially matched a known name (`matched_via`)
+ * - `generated` - nothing matched, the slug was derived from the name
+ * - `manual`    - confirmed or corrected by someone (CLI or /admin/mappings)
+ *
+ * Fuzzy and generated matches, and names without a slug, make up the review queue.
+ */
+
+import { getDatabase } from './databaseService.js';
+import { strategyToSlugMappingService } from './strategyToSlugMapping.js';
+import { collectionMappingService } from './collectionMappingService.js';
+import { isValidSlug } from '../../api/_lib/http.js';
+
+export const MAPPING_PROVENANCES = ['direct', 'fuzzy', 'generated', 'manual'];
+export const REVIEW_PROVENANCES = ['fuzzy', 'generated'];
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+class SlugMappingService {
+  constructor() {
+    this.db = getDatabase();
+    this.ensureSeeded();
+  }
+
+  /**
+   * Seed the table from the in-code mapping tables the first time it is used
+   */
+  ensureSeeded() {
+    if (Object.keys(this.db.getCollectionMappingCounts()).length === 0) {
+      this.seed();
+      console.log(`🌱 Seeded ${this.getStats().total} collection mappings from the built-in tables`);
+    }
+  }
+
+  /**
+   * Copy the in-code mappings into the table as `direct` rows
+   * Rows that already exist keep their provenance when they were reviewed.
+   * @returns {{seeded: number}} Rows written
+   */
+  seed() {
+    const { strategyToSlugMap, openSeaSlugMap } = strategyToSlugMappingService;
+    const knownSlugs = new Set([...Object.values(strategyToSlugMap), ...Object.values(openSeaSlugMap)]);
+    const slugByName = new Map(Object.entries(strategyToSlugMap).map(([name, slug]) => [name.toLowerCase(), slug]));
+
+    // Addresses share a slug across their aliases ('crypto punks' -> 'cryptopunks')
+    const slugByAddress = new Map();
+    Object.entries(collectionMappingService.collectionAddresses).forEach(([name, address]) => {
+      const generated = strategyToSlugMappingService.generateSlugFromName(name);
+      const slug = slugByName.get(name.toLowerCase()) || (knownSlugs.has(generated) ? generated : null);
+      if (slug && !slugByAddress.has(address.toLowerCase())) {
+        slugByAddress.set(address.toLowerCase(), slug);
+      }
+    });
+
+    const rows = [
+      ...Object.entries(strategyToSlugMap).map(([name, nftpfSlug]) => ({ name, nftpfSlug })),
+      ...Object.entries(openSeaSlugMap).map(([openSeaSlug, nftpfSlug]) => ({ name: openSeaSlug, openSeaSlug, nftpfSlug })),
+      ...Object.entries(collectionMappingService.collectionAddresses).map(([name, address]) => ({
+        name,
+        contractAddress: address,
+        nftpfSlug: slugByName.get(name.toLowerCase()) || slugByAddress.get(address.toLowerCase()) || null
+      }))
+    ];
+
+    return { seeded: this.db.bulkUpsertCollectionMappings(rows.map(row => ({ ...row, provenance: 'direct' }))) };
+  }
+
+  /**
+   * Resolve a collection to its NFTPriceFloor slug
+   * Tries the contract address, then the OpenSea slug, then the name; a name nobody mapped
+   * yet is matched against known names and recorded for review.
+   *
+   * @param {Object} collection
+   * @param {string} collection.name - Collection name from nftstrategy.fun
+   * @param {string} collection.contractAddress - NFT contract address
+   * @param {string} collection.openSeaSlug
+   * @returns {{slug: string|null, provenance: string|null, mapping: Object|null}}
+   */
+  resolve({ name, contractAddress, openSeaSlug } = {}) {
+    const address = ADDRESS_PATTERN.test(contractAddress || '') ? contractAddress.toLowerCase() : null;
+
+    const known = (address && this.db.findCollectionMapping('contract_address', address)) ||
+      (openSeaSlug && this.db.findCollectionMapping('opensea_slug', openSeaSlug.toLowerCase())) ||
+      (name && this.db.getCollectionMappingByName(name.trim()));
+
+    if (known?.nftpf_slug) {
+      const mapping = this.recordMapping({ name: known.name, contractAddress: address }, known.nftpf_slug, known.provenance);
+      return { slug: mapping.nftpf_slug, provenance: mapping.provenance, mapping: this.transformRow(mapping) };
+    }
+
+    if (!name) {
+      return { slug: null, provenance: null, mapping: null };
+    }
+
+    const match = this.matchName(name.trim());
+    const mapping = this.recordMapping({ name: name.trim(), contractAddress: address, openSeaSlug }, match.slug, match.provenance, match.matchedVia);
+    return { slug: mapping.nftpf_slug, provenance: mapping.provenance, mapping: this.transformRow(mapping) };
+  }
+
+  /**
+   * Match a name nobody mapped yet against the names already in the table
+   * @returns {{slug: string, provenance: 'fuzzy'|'generated', matchedVia: string|null}}
+   */
+  matchName(name) {
+    const normalized = name.toLowerCase();
+    // Longest names first, so 'Pudgy Penguins' wins over 'penguins'
+    const candidates = this.db.getCollectionMappings({ provenance: ['direct', 'manual'] })
+      .filter(row => row.nftpf_slug)
+      .sort((a, b) => b.name.length - a.name.length);
+
+    const partial = candidates.find(row => {
+      const key = row.name.toLowerCase();
+      return normalized.includes(key) || key.includes(normalized);
+    });
+    if (partial) {
+      return { slug: partial.nftpf_slug, provenance: 'fuzzy', matchedVia: partial.name };
+    }
+
+    const slug = strategyToSlugMappingService.generateSlugFromName(name);
+    console.warn(`⚠️ No mapping found for "${name}". Generated slug: "${slug}" (queued for review)`);
+    return { slug, provenance: 'generated', matchedVia: null };
+  }
+
+  /**
+   * Persist a resolver result; a name already in the table only has its seen count bumped
+   * @returns {Object} The stored row
+   */
+  recordMapping(input, nftpfSlug, provenance, matchedVia = null) {
+    return this.db.recordCollectionMapping({
+      name: input.name,
+      contractAddress: input.contractAddress,
+      openSeaSlug: input.openSeaSlug,
+      nftpfSlug,
+      provenance,
+      matchedVia
+    });
+  }
+
+  /**
+   * All mappings, optionally only some provenances
+   */
+  list({ provenance = null } = {}) {
+    return this.db.getCollectionMappings({ provenance }).map(row => this.transformRow(row));
+  }
+
+  /**
+   * Fuzzy and generated matches plus names without a slug, most seen first
+   */
+  getReviewQueue() {
+    const rows = this.db.getCollectionMappings({ provenance: REVIEW_PROVENANCES });
+    const unresolved = this.db.getCollectionMappings({ provenance: ['direct'] }).filter(row => !row.nftpf_slug);
+    return [...rows, ...unresolved].map(row => this.transformRow(row));
+  }
+
+  /**
+   * Accept a mapping as it is
+   */
+  confirm(id) {
+    const row = this.db.getCollectionMapping(id);
+    if (!row) {
+      throw new Error(`Mapping ${id} not found`);
+    }
+    if (!row.nftpf_slug) {
+      throw new Error(`Mapping ${id} has no NFTPriceFloor slug to confirm, correct it instead`);
+    }
+    return this.transformRow(this.db.reviewCollectionMapping(id));
+  }
+
+  /**
+   * Replace a mapping's slugs/contract (fields left undefined are kept)
+   */
+  correct(id, fields) {
+    if (!this.db.getCollectionMapping(id)) {
+      throw new Error(`Mapping ${id} not found`);
+    }
+    return this.transformRow(this.db.reviewCollectionMapping(id, this.validateFields(fields)));
+  }
+
+  /**
+   * Add (or overwrite) a manual mapping
+   */
+  add(name, fields) {
+    if (!name || !name.trim()) {
+      throw new Error('A collection name is required');
+    }
+    const valid = this.validateFields(fields);
+    if (!valid.nftpfSlug) {
+      throw new Error('An NFTPriceFloor slug is required');
+    }
+    return this.transformRow(this.db.upsertCollectionMapping({
+      name: name.trim(),
+      ...valid,
+      provenance: 'manual'
+    }));
+  }
+
+  /**
+   * Delete a mapping (an automatic match will be recorded again next time the name is seen)
+   */
+  remove(id) {
+    return this.db.deleteCollectionMapping(id);
+  }
+
+  getStats() {
+    const counts = this.db.getCollectionMappingCounts();
+    return {
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      byProvenance: counts,
+      pendingReview: this.getReviewQueue().length
+    };
+  }
+
+  validateFields({ contractAddress, openSeaSlug, nftpfSlug } = {}) {
+    if (contractAddress && !ADDRESS_PATTERN.test(contractAddress)) {
+      throw new Error('contractAddress must be a 0x-prefixed 40 hex character address');
+    }
+    if (openSeaSlug && !isValidSlug(openSeaSlug)) {
+      throw new Error('openSeaSlug must be a slug (letters, digits, ".", "_" or "-")');
+    }
+    if (nftpfSlug && !isValidSlug(nftpfSlug)) {
+      throw new Error('nftpfSlug must be a slug (letters, digits, ".", "_" or "-")');
+    }
+    return { contractAddress, openSeaSlug, nftpfSlug };
+  }
+
+  /**
+   * Transform database row to mapping format
+   */
+  transformRow(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      contractAddress: row.contract_address,
+      openSeaSlug: row.opensea_slug,
+      nftpfSlug: row.nftpf_slug,
+      provenance: row.provenance,
+      matchedVia: row.matched_via,
+      seenCount: row.seen_count,
+      lastSeenAt: row.last_seen_at,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Create singleton instance
+let slugMappingInstance = null;
+
+export const getSlugMappingService = () => {
+  if (!slugMappingInstance) {
+    slugMappingInstance = new SlugMappingService();
+  }
+  return slugMappingInstance;
+};
+
+export default SlugMappingService;
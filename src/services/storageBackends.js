@@ -0,0 +1,206 @@
+/**
+ * Storage Backends
+ * Pluggable storage for the synced floor data: collections, price history, the sync log
+ * and quarterly selection periods.
+ *
+ * Every backend implements the same async interface:
+ * - Collections: `upsertCollection(collection)`, `bulkInsertCollections(collections)`,
+ *   `getCollection(slug)`, `getAllCollections()`, `getCurrentTop250Collections()`,
+ *   `searchCollections(query, limit)`, `ensureCollections(slugs)`
+ * - Price history: `bulkInsertPriceHistory(rows)` (creating bare rows for unknown collections),
+ *   `getPriceHistory(slug, startDate, endDate, limit)`, `getLatestPrice(slug)`,
+ *   `getMultipleCollectionHistory(slugs, startDate, endDate)`,
+ *   `getLatestPrices(slugs, limit)` (`latest_prices` view), `getCollectionStats(slug, limit)`
+ *   (`collection_stats` view), `getPriceHistoryGaps(slugs, untilDate)`, `cleanOldData(daysToKeep)`,
+ *   `markPriceHistoryUnavailable(slug, dates)`, `cleanUnavailableDays(daysToKeep)`
+ * - `getStats()`: collection and price record counts, the stored date range and the database size in MB
+ * - Sync log: `startSyncLog(type, slug)` resolving to the entry id, `completeSyncLog(id, status, stats)`,
+ *   `getRecentSyncLogs(limit)`, `getLastCompletedSync(types)`, `cleanOldSyncLogs(daysToKeep)`
+ * - Selection periods: `getActiveSelectionPeriod()`, `getSelectionPeriods(limit)`,
+ *   `getActiveSelectionInfo()`, `startSelectionPeriod(period, { criteria, collections, stats })`
+ * - `close()`
+ *
+ * Rows keep the SQLite column names and types: dates are YYYY-MM-DD strings, timestamps
+ * 'YYYY-MM-DD HH:MM:SS' in UTC, flags 0/1. Everything else (strategy snapshots, sales,
+ * NAV, alerts, tracked collections, mappings, sync jobs) stays in the SQLite database.
+ */
+
+import { getDatabase } from './databaseService.js';
+import { PostgresStorage } from './postgresStorage.js';
+
+/**
+ * SQLite backend, delegating to the DatabaseService singleton
+ * The database is only opened on first use.
+ */
+export class SqliteStorage {
+  constructor() {
+    this.name = 'sqlite';
+  }
+
+  get db() {
+    return getDatabase();
+  }
+
+  // Collections
+
+  async upsertCollection(collection) {
+    return this.db.upsertCollection(collection);
+  }
+
+  async bulkInsertCollections(collections) {
+    return this.db.bulkInsertCollections(collections);
+  }
+
+  async getCollection(slug) {
+    return this.db.getCollection(slug);
+  }
+
+  async getAllCollections() {
+    return this.db.getAllCollections();
+  }
+
+  async getCurrentTop250Collections() {
+    return this.db.getCurrentTop250Collections();
+  }
+
+  async searchCollections(query, limit = 10) {
+    return this.db.searchCollections(query, limit);
+  }
+
+  async ensureCollections(collectionSlugs) {
+    return this.db.ensureCollections(collectionSlugs);
+  }
+
+  // Price history
+
+  async bulkInsertPriceHistory(rows) {
+    this.db.ensureCollections(rows.map(row => row.collectionSlug));
+    return this.db.bulkInsertPriceHistory(rows);
+  }
+
+  async getPriceHistory(collectionSlug, startDate, endDate, limit = 1000) {
+    return this.db.getPriceHistory(collectionSlug, startDate, endDate, limit);
+  }
+
+  async getLatestPrice(collectionSlug) {
+    return this.db.getLatestPrice(collectionSlug);
+  }
+
+  async getMultipleCollectionHistory(collectionSlugs, startDate, endDate) {
+    return this.db.getMultipleCollectionHistory(collectionSlugs, startDate, endDate);
+  }
+
+  async getLatestPrices(collectionSlugs = null, limit = 250) {
+    return this.db.getLatestPrices(collectionSlugs, limit);
+  }
+
+  async getCollectionStats(collectionSlug = null, limit = 1000) {
+    return this.db.getCollectionStats(collectionSlug, limit);
+  }
+
+  async getPriceHistoryGaps(collectionSlugs, untilDate) {
+    return this.db.getPriceHistoryGaps(collectionSlugs, untilDate);
+  }
+
+  async cleanOldData(daysToKeep = 365) {
+    return this.db.cleanOldData(daysToKeep);
+  }
+
+  async markPriceHistoryUnavailable(collectionSlug, dates) {
+    return this.db.markPriceHistoryUnavailable(collectionSlug, dates);
+  }
+
+  async cleanUnavailableDays(daysToKeep = 30) {
+    return this.db.cleanUnavailableDays(daysToKeep);
+  }
+
+  // Sync log
+
+  async startSyncLog(syncType, collectionSlug = null) {
+    return this.db.startSyncLog(syncType, collectionSlug);
+  }
+
+  async completeSyncLog(logId, status, stats = {}) {
+    this.db.completeSyncLog(logId, status, stats);
+  }
+
+  async getRecentSyncLogs(limit = 50) {
+    return this.db.getRecentSyncLogs(limit);
+  }
+
+  async getLastCompletedSync(syncTypes) {
+    return this.db.getLastCompletedSync(syncTypes);
+  }
+
+  async cleanOldSyncLogs(daysToKeep = 30) {
+    return this.db.cleanOldSyncLogs(daysToKeep);
+  }
+
+  // Selection periods
+
+  async getActiveSelectionPeriod() {
+    return this.db.getActiveSelectionPeriod();
+  }
+
+  async getSelectionPeriods(limit = 10) {
+    return this.db.getSelectionPeriods(limit);
+  }
+
+  async getActiveSelectionInfo() {
+    return this.db.getActiveSelectionInfo();
+  }
+
+  async startSelectionPeriod(period, selection) {
+    return this.db.startSelectionPeriod(period, selection);
+  }
+
+  async getStats() {
+    return this.db.getFloorDataStats();
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+const backends = {
+  sqlite: SqliteStorage,
+  postgres: PostgresStorage
+};
+
+/**
+ * Create a backend by name
+ */
+export const createStorage = (name = 'sqlite', options = {}) => {
+  const Backend = backends[name];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend: ${name}. Available: ${Object.keys(backends).join(', ')}`);
+  }
+  return new Backend(options);
+};
+
+/**
+ * Whether DATABASE_URL selects the PostgreSQL backend (a postgres:// or postgresql:// URL)
+ */
+export const usesPostgres = (databaseUrl = process.env.DATABASE_URL) => /^postgres(ql)?:\/\//.test(databaseUrl || '');
+
+let storageInstance = null;
+
+/**
+ * Get the configured backend: PostgreSQL when DATABASE_URL is a postgres:// URL, SQLite otherwise
+ */
+export const getStorage = () => {
+  if (!storageInstance) {
+    storageInstance = usesPostgres()
+      ? createStorage('postgres', { connectionString: process.env.DATABASE_URL })
+      : createStorage('sqlite');
+  }
+  return storageInstance;
+};
+
+/**
+ * Override the active backend (tests, scripts)
+ */
+export const setStorage = (storage) => {
+  storageInstance = storage;
+};
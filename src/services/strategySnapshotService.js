@@ -0,0 +1,233 @@
+/**
+ * Strategy Snapshot Service
+ * Captures nftstrategy.fun pool data and holdings counts into the local database
+ */
+
+import axios from 'axios';
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+
+const NFTSTRATEGY_API_BASE = process.env.NFTSTRATEGY_API_BASE || 'https://www.nftstrategy.fun/api';
+
+class StrategySnapshotService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.config = {
+      batchSize: 5,               // Holdings requests in flight at once
+      delayBetweenBatches: 1000,  // 1 second delay between holdings batches
+      requestTimeout: 30000,      // 30s timeout per upstream request
+      dataRetentionDays: 365      // Keep 1 year of snapshots (rolling window)
+    };
+
+    console.log('📸 Strategy Snapshot Service initialized');
+  }
+
+  /**
+   * Capture a snapshot of every live strategy
+   */
+  async captureSnapshots() {
+    const logId = await this.storage.startSyncLog('strategy_snapshot');
+    const startTime = Date.now();
+
+    try {
+      console.log('📸 Capturing strategy snapshots...');
+
+      const strategies = await this.fetchStrategies();
+      const holdingsCounts = await this.fetchHoldingsCounts(strategies);
+
+      // Snapshots are keyed to the hour so reruns within the same hour overwrite
+      const now = new Date();
+      now.setUTCMinutes(0, 0, 0);
+      const snapshotAt = now.toISOString();
+      const timestamp = Math.floor(now.getTime() / 1000);
+
+      const snapshots = strategies
+        .filter(strategy => strategy.id)
+        .map(strategy => this.transformStrategyToSnapshot(strategy, {
+          snapshotAt,
+          timestamp,
+          holdingsCount: holdingsCounts.get(strategy.id) ?? null
+        }));
+
+      const inserted = this.db.bulkInsertStrategySnapshots(snapshots);
+      const holdingsErrors = snapshots.filter(s => s.holdingsCount === null).length;
+
+      console.log('✅ Strategy snapshots captured:', {
+        strategies: strategies.length,
+        inserted,
+        holdingsErrors,
+        duration: `${Math.round((Date.now() - startTime) / 1000)}s`
+      });
+
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: strategies.length,
+        inserted,
+        error: holdingsErrors > 0 ? `${holdingsErrors} holdings lookups failed` : null
+      });
+
+      return {
+        success: true,
+        processed: strategies.length,
+        inserted,
+        errors: holdingsErrors,
+        snapshotAt,
+        duration: Date.now() - startTime
+      };
+
+    } catch (error) {
+      console.error('❌ Strategy snapshot capture failed:', error);
+
+      await this.storage.completeSyncLog(logId, 'failed', {
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Fetch the live strategies list from nftstrategy.fun
+   */
+  async fetchStrategies() {
+    const response = await axios.get(`${NFTSTRATEGY_API_BASE}/strategies`, {
+      timeout: this.config.requestTimeout,
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!Array.isArray(response.data)) {
+      throw new Error('Invalid response format from strategies API. Expected array.');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Fetch holdings counts for all strategies in small batches
+   * @returns {Promise<Map<string, number>>} Holdings count keyed by strategy id
+   */
+  async fetchHoldingsCounts(strategies) {
+    const counts = new Map();
+
+    for (let i = 0; i < strategies.length; i += this.config.batchSize) {
+      const batch = strategies.slice(i, i + this.config.batchSize);
+
+      const results = await Promise.allSettled(batch.map(strategy => this.fetchHoldingsCount(strategy)));
+
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && result.value !== null) {
+          counts.set(batch[index].id, result.value);
+        } else if (result.status === 'rejected') {
+          console.warn(`⚠️ Holdings lookup failed for ${batch[index].name || batch[index].id}:`, result.reason?.message);
+        }
+      });
+
+      if (i + this.config.batchSize < strategies.length) {
+        await this.sleep(this.config.delayBetweenBatches);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Fetch holdings count for a single strategy
+   */
+  async fetchHoldingsCount(strategy) {
+    const strategyAddress = strategy.tokenAddress;
+    const nftAddress = strategy.collection || strategy.contractAddress;
+
+    if (!strategyAddress || !nftAddress) {
+      return null;
+    }
+
+    const response = await axios.get(`${NFTSTRATEGY_API_BASE}/holdings`, {
+      params: { strategyAddress, nftAddress },
+      timeout: this.config.requestTimeout,
+      headers: { 'Accept': 'application/json' }
+    });
+
+    return Array.isArray(response.data) ? response.data.length : null;
+  }
+
+  /**
+   * Transform API strategy object to database snapshot format
+   */
+  transformStrategyToSnapshot(strategy, { snapshotAt, timestamp, holdingsCount }) {
+    const poolData = strategy.poolData || null;
+    const deadWalletBalance = strategy.deadWalletBalance || 0;
+
+    return {
+      strategyId: strategy.id,
+      strategyName: strategy.tokenName || strategy.name || null,
+      tokenAddress: strategy.tokenAddress || null,
+      collectionAddress: strategy.collection || strategy.contractAddress || null,
+      collectionName: strategy.collectionName || null,
+      snapshotAt,
+      timestamp,
+      priceUsd: parseFloat(poolData?.price_usd) || null,
+      marketCapUsd: parseFloat(poolData?.market_cap_usd) || null,
+      priceChange24h: poolData?.price_change_24h != null ? parseFloat(poolData.price_change_24h) : null,
+      // Same calculation as NFTStrategyService.enhanceStrategiesData
+      burnPercentage: deadWalletBalance > 0 ? (deadWalletBalance / 1000000000) * 100 : 0,
+      holdingsCount,
+      totalHolders: parseInt(strategy.totalHolders) || null,
+      poolData
+    };
+  }
+
+  /**
+   * Get snapshot history for a strategy in chart-friendly form
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} options - { startDate, endDate, granularity: 'hourly' | 'daily' }
+   */
+  getStrategyHistory(strategyId, options = {}) {
+    const endDate = options.endDate || new Date().toISOString();
+    const startDate = options.startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    const rows = options.granularity === 'daily'
+      ? this.db.getDailyStrategySnapshots(strategyId, startDate, endDate)
+      : this.db.getStrategySnapshots(strategyId, startDate, endDate);
+
+    return rows.map(row => ({
+      timestamp: row.timestamp,
+      snapshotAt: row.snapshot_at,
+      priceUsd: row.price_usd,
+      marketCapUsd: row.market_cap_usd,
+      priceChange24h: row.price_change_24h,
+      burnPercentage: row.burn_percentage,
+      holdingsCount: row.holdings_count,
+      totalHolders: row.total_holders
+    }));
+  }
+
+  /**
+   * Clean up old snapshots
+   */
+  cleanupSnapshots(daysToKeep = this.config.dataRetentionDays) {
+    return this.db.cleanOldStrategySnapshots(daysToKeep);
+  }
+
+  /**
+   * Sleep utility
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Create singleton instance
+let snapshotInstance = null;
+
+export const getStrategySnapshotService = () => {
+  if (!snapshotInstance) {
+    snapshotInstance = new StrategySnapshotService();
+  }
+  return snapshotInstance;
+};
+
+export default StrategySnapshotService;
@@ -4,8 +4,14 @@
  * 
  * This service handles the mapping between strategy collection names from nftstrategy.fun
  * and the slugs used by the NFTPriceFloor API for fetching price history data.
+ *
+ * The tables below seed the `collection_mappings` database table (slugMappingService).
+ * In the browser, loadMappings() overlays the reviewed rows from /api/mappings so
+ * corrections apply without a deploy.
  */
 
+import axios from 'axios';
+
 class StrategyToSlugMappingService {
   constructor() {
     // Comprehensive mapping of strategy collection names to NFTPriceFloor API slugs
@@ -394,6 +400,55 @@ class StrategyToSlugMappingService {
       'deadfellaz': 'deadfellaz',
       'cyberkongz': 'cyberkongz'
     };
+
+    // Lowercased NFT contract address -> NFTPriceFloor slug, filled by loadMappings()
+    this.contractSlugMap = {};
+    this.mappingsRequest = null;
+  }
+
+  /**
+   * Overlay the database mappings (GET /api/mappings) on the built-in tables
+   * Loaded once per page; without the API the built-in tables are used as is.
+   * @returns {Promise<number>} Number of mappings applied
+   */
+  loadMappings() {
+    if (!this.mappingsRequest) {
+      this.mappingsRequest = axios.get('/api/mappings', { timeout: 10000 })
+        .then(response => {
+          // Manual rows last, so a reviewed mapping wins over an automatic one
+          const mappings = (response.data?.mappings || [])
+            .filter(mapping => mapping.nftpfSlug)
+            .sort((a, b) => (a.provenance === 'manual') - (b.provenance === 'manual'));
+
+          mappings.forEach(mapping => {
+            this.strategyToSlugMap[mapping.name] = mapping.nftpfSlug;
+            if (mapping.contractAddress) {
+              this.contractSlugMap[mapping.contractAddress.toLowerCase()] = mapping.nftpfSlug;
+            }
+            if (mapping.openSeaSlug) {
+              this.openSeaSlugMap[mapping.openSeaSlug.toLowerCase()] = mapping.nftpfSlug;
+            }
+          });
+
+          console.log(`✅ Loaded ${mappings.length} collection mappings`);
+          return mappings.length;
+        })
+        .catch(error => {
+          console.warn('⚠️ Collection mappings unavailable, using built-in tables:', error.message);
+          return 0;
+        });
+    }
+    return this.mappingsRequest;
+  }
+
+  /**
+   * Map a strategy to its NFTPriceFloor slug, by NFT contract address first, then by collection name
+   * @param {Object} strategy - Strategy from nftstrategy.fun (`collection` is the NFT contract)
+   * @returns {string|null} The NFTPriceFloor API slug
+   */
+  getSlugForStrategy(strategy) {
+    const contractAddress = (strategy?.collection || strategy?.contractAddress || '').toLowerCase();
+    return this.contractSlugMap[contractAddress] || this.getSlugFromStrategyName(strategy?.collectionName);
   }
 
   /**
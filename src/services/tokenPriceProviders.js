@@ -0,0 +1,159 @@
+/**
+ * Token Price Providers
+ * Pluggable OHLCV candle sources for strategy tokens.
+ *
+ * Every provider implements `getCandles(tokenAddress, options)` and resolves to
+ * an ascending array of `{ timestamp, open, high, low, close, volume }` where
+ * `timestamp` is in seconds and prices/volume are in USD.
+ */
+
+import axios from 'axios';
+import tokenCandleFixtures from './fixtures/tokenCandles.js';
+
+const GECKOTERMINAL_API_BASE = 'https://api.geckoterminal.com/api/v2';
+const DEFAULT_NETWORK = 'eth';
+const MAX_CANDLES = 1000; // GeckoTerminal per-request limit
+
+/**
+ * Normalize a raw [timestamp, open, high, low, close, volume] tuple
+ */
+export const normalizeCandle = ([timestamp, open, high, low, close, volume]) => ({
+  timestamp: parseInt(timestamp),
+  open: parseFloat(open),
+  high: parseFloat(high),
+  low: parseFloat(low),
+  close: parseFloat(close),
+  volume: parseFloat(volume) || 0
+});
+
+/**
+ * GeckoTerminal provider (free, no API key)
+ * Resolves the token's most liquid pool, then reads daily OHLCV for that pool.
+ */
+export class GeckoTerminalProvider {
+  constructor(options = {}) {
+    this.name = 'geckoterminal';
+    this.network = options.network || DEFAULT_NETWORK;
+    this.timeout = options.timeout || 15000;
+    this.poolCache = new Map();
+  }
+
+  async request(path, params = {}) {
+    const response = await axios.get(`${GECKOTERMINAL_API_BASE}${path}`, {
+      params,
+      timeout: this.timeout,
+      headers: { 'Accept': 'application/json;version=20230302' }
+    });
+    return response.data;
+  }
+
+  /**
+   * Find the pool with the deepest liquidity for a token
+   */
+  async resolvePoolAddress(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (this.poolCache.has(key)) {
+      return this.poolCache.get(key);
+    }
+
+    const result = await this.request(`/networks/${this.network}/tokens/${key}/pools`, { page: 1 });
+    const pools = Array.isArray(result?.data) ? result.data : [];
+
+    if (pools.length === 0) {
+      throw new Error(`No liquidity pools found for token ${tokenAddress}`);
+    }
+
+    const [topPool] = [...pools].sort((a, b) =>
+      (parseFloat(b.attributes?.reserve_in_usd) || 0) - (parseFloat(a.attributes?.reserve_in_usd) || 0)
+    );
+
+    const poolAddress = topPool.attributes?.address;
+    this.poolCache.set(key, poolAddress);
+    return poolAddress;
+  }
+
+  async getCandles(tokenAddress, { days = 90, endTimestamp = null } = {}) {
+    const poolAddress = await this.resolvePoolAddress(tokenAddress);
+
+    const params = {
+      aggregate: 1,
+      limit: Math.min(days, MAX_CANDLES),
+      currency: 'usd',
+      token: tokenAddress.toLowerCase()
+    };
+    if (endTimestamp) {
+      params.before_timestamp = endTimestamp;
+    }
+
+    const result = await this.request(`/networks/${this.network}/pools/${poolAddress}/ohlcv/day`, params);
+    const ohlcvList = result?.data?.attributes?.ohlcv_list;
+
+    if (!Array.isArray(ohlcvList)) {
+      throw new Error(`Invalid OHLCV response for pool ${poolAddress}`);
+    }
+
+    return ohlcvList
+      .map(normalizeCandle)
+      .filter(candle => candle.timestamp > 0 && candle.close > 0)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+/**
+ * Fixture provider for tests and offline development
+ * Serves candles from `fixtures/tokenCandles.js` (or the fixtures passed in).
+ */
+export class FixtureProvider {
+  constructor(fixtures = tokenCandleFixtures) {
+    this.name = 'fixture';
+    this.fixtures = fixtures;
+  }
+
+  async getCandles(tokenAddress, { days = 90, endTimestamp = null } = {}) {
+    const candles = this.fixtures[tokenAddress.toLowerCase()] || this.fixtures.default || [];
+
+    return candles
+      .map(normalizeCandle)
+      .filter(candle => !endTimestamp || candle.timestamp <= endTimestamp)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-days);
+  }
+}
+
+const providers = {
+  geckoterminal: GeckoTerminalProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * Create a provider by name
+ */
+export const createTokenPriceProvider = (name = 'geckoterminal') => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown token price provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+let providerInstance = null;
+
+/**
+ * Get the configured provider (TOKEN_PRICE_PROVIDER, defaults to geckoterminal)
+ */
+export const getTokenPriceProvider = () => {
+  if (!providerInstance) {
+    const configured = (typeof process !== 'undefined' && process.env?.TOKEN_PRICE_PROVIDER) ||
+      import.meta.env?.VITE_TOKEN_PRICE_PROVIDER ||
+      'geckoterminal';
+    providerInstance = createTokenPriceProvider(configured);
+  }
+  return providerInstance;
+};
+
+/**
+ * Override the active provider (tests, scripts)
+ */
+export const setTokenPriceProvider = (provider) => {
+  providerInstance = provider;
+};
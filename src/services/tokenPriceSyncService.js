@@ -0,0 +1,174 @@
+/**
+ * Token Price Sync Service
+ * Backfills strategy token OHLCV candles into the local database and serves
+ * them back when the upstream provider is unavailable
+ */
+
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+import { getTokenPriceProvider } from './tokenPriceProviders.js';
+import { getStrategySnapshotService } from './strategySnapshotService.js';
+
+class TokenPriceSyncService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.provider = getTokenPriceProvider();
+    this.config = {
+      backfillDays: 365,         // Days of candles fetched for a token seen for the first time
+      delayBetweenTokens: 2500,  // GeckoTerminal allows ~30 requests/min, two requests per token
+    };
+
+    console.log(`💹 Token Price Sync Service initialized (provider: ${this.provider.name})`);
+  }
+
+  /**
+   * Get candles for a token: provider first (written through to the database),
+   * local database when the provider fails
+   */
+  async getTokenPriceHistory(tokenAddress, { days = 90 } = {}) {
+    const endTimestamp = Math.floor(Date.now() / 1000);
+    const startTimestamp = endTimestamp - days * 24 * 60 * 60;
+
+    try {
+      const candles = await this.provider.getCandles(tokenAddress, { days });
+      this.storeCandles(tokenAddress, candles);
+
+      return { success: true, candles, source: this.provider.name };
+    } catch (error) {
+      console.warn(`⚠️ ${this.provider.name} failed for ${tokenAddress}, using local data:`, error.message);
+
+      const candles = this.db.getTokenCandles(tokenAddress, startTimestamp, endTimestamp)
+        .map(this.transformRowToCandle);
+
+      if (candles.length === 0) {
+        return { success: false, error: error.message, candles: [] };
+      }
+
+      return { success: true, candles, source: 'local_database', stale: true };
+    }
+  }
+
+  /**
+   * Fetch only the candles missing since the last stored one (full backfill for new tokens)
+   */
+  async syncTokenPriceHistory(tokenAddress) {
+    const latest = this.db.getLatestTokenCandle(tokenAddress);
+    const days = latest
+      ? Math.min(this.config.backfillDays, Math.ceil((Date.now() / 1000 - latest.timestamp) / 86400) + 1)
+      : this.config.backfillDays;
+
+    const candles = await this.provider.getCandles(tokenAddress, { days });
+    const inserted = this.storeCandles(tokenAddress, candles);
+
+    return { success: true, inserted, days };
+  }
+
+  /**
+   * Backfill candles for every live strategy token
+   */
+  async backfillStrategyTokens() {
+    const logId = await this.storage.startSyncLog('token_price');
+    const startTime = Date.now();
+
+    try {
+      const strategies = await getStrategySnapshotService().fetchStrategies();
+      const tokenAddresses = [...new Set(
+        strategies.map(strategy => strategy.tokenAddress?.toLowerCase()).filter(Boolean)
+      )];
+
+      console.log(`💹 Backfilling token prices for ${tokenAddresses.length} strategy tokens...`);
+
+      let inserted = 0;
+      let errors = 0;
+
+      for (let i = 0; i < tokenAddresses.length; i++) {
+        const tokenAddress = tokenAddresses[i];
+        try {
+          const result = await this.syncTokenPriceHistory(tokenAddress);
+          inserted += result.inserted;
+          console.log(`✅ ${tokenAddress}: ${result.inserted} candles (${result.days}d window)`);
+        } catch (error) {
+          errors++;
+          console.error(`❌ ${tokenAddress}: ${error.message}`);
+        }
+
+        if (i < tokenAddresses.length - 1) {
+          await this.sleep(this.config.delayBetweenTokens);
+        }
+      }
+
+      await this.storage.completeSyncLog(logId, 'completed', {
+        processed: tokenAddresses.length,
+        inserted,
+        error: errors > 0 ? `${errors} tokens failed` : null
+      });
+
+      return {
+        success: true,
+        processed: tokenAddresses.length,
+        inserted,
+        errors,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('❌ Token price backfill failed:', error);
+      await this.storage.completeSyncLog(logId, 'failed', { error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Store candles, never letting a database failure break the caller
+   */
+  storeCandles(tokenAddress, candles) {
+    if (!candles || candles.length === 0) {
+      return 0;
+    }
+
+    try {
+      return this.db.bulkInsertTokenCandles(tokenAddress, candles, this.provider.name);
+    } catch (error) {
+      console.error(`❌ Failed to store candles for ${tokenAddress}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Transform database row to candle format
+   */
+  transformRowToCandle(row) {
+    return {
+      timestamp: row.timestamp,
+      open: row.open_usd,
+      high: row.high_usd,
+      low: row.low_usd,
+      close: row.close_usd,
+      volume: row.volume_usd
+    };
+  }
+
+  /**
+   * Sleep utility
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Create singleton instance
+let tokenPriceSyncInstance = null;
+
+export const getTokenPriceSyncService = () => {
+  if (!tokenPriceSyncInstance) {
+    tokenPriceSyncInstance = new TokenPriceSyncService();
+  }
+  return tokenPriceSyncInstance;
+};
+
+export default TokenPriceSyncService;
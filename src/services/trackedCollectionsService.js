@@ -0,0 +1,155 @@
+/**
+ * Tracked Collections Service
+ * The set of collections the daily sync always covers, kept in `tracked_collections`
+ * with the origin that put each one there:
+ * - `top_250`  - the current quarterly market cap selection
+ * - `strategy` - a live nftstrategy.fun strategy's collection (via the slug mapping)
+ * - `manual`   - added by hand (`npm run sync:manual tracked add <slug>`)
+ *
+ * A collection that enters the set for the first time is backfilled by the next daily sync.
+ */
+
+import { getDatabase } from './databaseService.js';
+import { getStorage } from './storageBackends.js';
+import { getStrategySnapshotService } from './strategySnapshotService.js';
+import { getSlugMappingService } from './slugMappingService.js';
+import { isValidSlug } from '../../api/_lib/http.js';
+
+export const TRACKED_ORIGINS = ['top_250', 'strategy', 'manual'];
+
+class TrackedCollectionsService {
+  constructor() {
+    this.db = getDatabase();
+    this.storage = getStorage();
+    this.snapshotService = getStrategySnapshotService();
+    this.slugMappingService = getSlugMappingService();
+  }
+
+  /**
+   * Re-read the top 250 selection and the live strategies list into the set
+   * A failed (or empty) strategies response keeps the previous strategy entries.
+   * @returns {Promise<{added: Array<string>, removed: Array<string>, total: number, strategyError: string|null}>}
+   */
+  async refresh() {
+    const top250 = (await this.storage.getCurrentTop250Collections()).map(collection => ({
+      slug: collection.slug,
+      name: collection.name,
+      sourceRef: collection.selection_period
+    }));
+    const topResult = this.db.replaceTrackedCollections('top_250', top250);
+
+    let strategyResult = { added: [], removed: [] };
+    let strategyError = null;
+    try {
+      const strategies = await this.snapshotService.fetchStrategies();
+      if (strategies.length === 0) {
+        throw new Error('Strategies API returned no strategies');
+      }
+      strategyResult = this.db.replaceTrackedCollections('strategy', this.getStrategyCollections(strategies));
+    } catch (error) {
+      strategyError = error.message;
+      console.warn('⚠️ Strategies unavailable, keeping the tracked strategy collections:', error.message);
+    }
+
+    const added = [...new Set([...topResult.added, ...strategyResult.added])];
+    const removed = [...new Set([...topResult.removed, ...strategyResult.removed])]
+      .filter(slug => !added.includes(slug));
+    const total = this.db.getTrackedCollectionSlugs().length;
+
+    console.log(`📌 Tracking ${total} collections (${added.length} added, ${removed.length} removed)`);
+    return { added, removed, total, strategyError };
+  }
+
+  /**
+   * One entry per strategy collection the slug mapping resolves
+   */
+  getStrategyCollections(strategies) {
+    const entries = new Map();
+    strategies.forEach(strategy => {
+      const slug = strategy.collectionSlug || this.slugMappingService.resolve({
+        name: strategy.collectionName,
+        contractAddress: strategy.collection || strategy.contractAddress
+      }).slug;
+
+      if (isValidSlug(slug) && !entries.has(slug)) {
+        entries.set(slug, { slug, name: strategy.collectionName, sourceRef: strategy.id });
+      }
+    });
+    return [...entries.values()];
+  }
+
+  /**
+   * Track a collection by hand
+   * @returns {{slug: string, isNew: boolean}}
+   */
+  add(slug, note = null) {
+    if (!isValidSlug(slug)) {
+      throw new Error('Collection slug must be an NFTPriceFloor slug (letters, digits, ".", "_" or "-")');
+    }
+    return { slug, isNew: this.db.insertTrackedCollection(slug, 'manual', { sourceRef: note }) };
+  }
+
+  /**
+   * Drop a manual entry (top 250 and strategy entries follow their sources)
+   */
+  remove(slug) {
+    return this.db.deleteTrackedCollection(slug, 'manual');
+  }
+
+  /**
+   * Slugs the daily sync covers
+   */
+  getSlugs() {
+    return this.db.getTrackedCollectionSlugs();
+  }
+
+  /**
+   * Tracked collections with their origins and stored history range
+   * The range comes from the storage backend, which may not be the SQLite database the set lives in.
+   */
+  async list({ pendingBackfillOnly = false } = {}) {
+    const rows = this.db.getTrackedCollections({ pendingBackfillOnly });
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const stats = await this.storage.getCollectionStats(null, Number.MAX_SAFE_INTEGER);
+    const statsBySlug = new Map(stats.map(row => [row.slug, row]));
+
+    return rows.map(row => {
+      const history = statsBySlug.get(row.collection_slug);
+      return {
+        slug: row.collection_slug,
+        name: history?.name || row.name,
+        origins: row.origins ? row.origins.split(',') : [],
+        addedAt: row.added_at,
+        backfilledAt: row.backfilled_at,
+        earliestDate: history?.first_data_date || null,
+        latestDate: history?.last_data_date || null
+      };
+    });
+  }
+
+  /**
+   * Collections still waiting for their history backfill
+   */
+  async getPendingBackfill() {
+    return this.list({ pendingBackfillOnly: true });
+  }
+
+  markBackfilled(slug) {
+    return this.db.markTrackedCollectionBackfilled(slug);
+  }
+}
+
+// Create singleton instance
+let trackedInstance = null;
+
+export const getTrackedCollectionsService = () => {
+  if (!trackedInstance) {
+    trackedInstance = new TrackedCollectionsService();
+  }
+  return trackedInstance;
+};
+
+export default TrackedCollectionsService;
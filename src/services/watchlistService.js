@@ -0,0 +1,115 @@
+const STORAGE_KEY = 'strategyWatchlist';
+const EXPORT_VERSION = 1;
+
+/**
+ * Watchlist of strategy ids, persisted in localStorage
+ * Exports as `{ version, exportedAt, strategies: [{ id, collectionName, tokenName }] }`;
+ * imports accept that format or a plain array of ids.
+ */
+class WatchlistService {
+  /**
+   * @returns {string[]} Watched strategy ids, in the order they were added
+   */
+  getIds() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return this.normalize(saved);
+    } catch (error) {
+      console.warn('Failed to read watchlist:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * @returns {string[]} The saved ids
+   */
+  save(ids) {
+    const normalized = this.normalize(ids);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+    } catch (error) {
+      console.warn('Failed to save watchlist:', error.message);
+    }
+    return normalized;
+  }
+
+  /**
+   * Add or remove a strategy
+   * @returns {string[]} The updated watchlist
+   */
+  toggle(id) {
+    const ids = this.getIds();
+    const key = String(id);
+    return this.save(ids.includes(key) ? ids.filter(watched => watched !== key) : [...ids, key]);
+  }
+
+  /**
+   * Add ids that aren't watched yet (shared links, imports)
+   * @returns {string[]} The updated watchlist
+   */
+  merge(ids) {
+    return this.save([...this.getIds(), ...this.normalize(ids)]);
+  }
+
+  /**
+   * Serialize the watchlist, with names so the file is readable on its own
+   * @param {Array} strategies - Loaded strategies used to resolve names
+   */
+  exportJson(strategies = []) {
+    const byId = new Map(strategies.map(strategy => [String(strategy.id), strategy]));
+
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      strategies: this.getIds().map(id => ({
+        id,
+        collectionName: byId.get(id)?.collectionName || null,
+        tokenName: byId.get(id)?.tokenName || null
+      }))
+    }, null, 2);
+  }
+
+  /**
+   * Merge an exported watchlist into the current one
+   * @param {string} text - File contents
+   * @returns {{success: boolean, ids?: string[], added?: number, error?: string}}
+   */
+  importJson(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { success: false, error: 'File is not valid JSON' };
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.strategies;
+    if (!Array.isArray(entries)) {
+      return { success: false, error: 'Expected a watchlist export or an array of strategy ids' };
+    }
+
+    return this.importIds(entries.map(entry => (typeof entry === 'object' && entry !== null ? entry.id : entry)));
+  }
+
+  /**
+   * Merge ids (an import or a shared link) into the current watchlist
+   * @returns {{success: boolean, ids: string[], added: number}}
+   */
+  importIds(ids) {
+    const before = this.getIds().length;
+    const merged = this.merge(ids);
+    return { success: true, ids: merged, added: merged.length - before };
+  }
+
+  normalize(ids) {
+    if (!Array.isArray(ids)) {
+      return [];
+    }
+    return [...new Set(
+      ids
+        .filter(id => (typeof id === 'string' || typeof id === 'number') && String(id).trim() !== '')
+        .map(id => String(id).trim())
+    )];
+  }
+}
+
+export const watchlistService = new WatchlistService();
@@ -0,0 +1,67 @@
+/**
+ * Strategy comparison helpers
+ */
+
+export const MIN_COMPARE_STRATEGIES = 2;
+export const MAX_COMPARE_STRATEGIES = 4; // TradingViewChart has a four-color series palette
+
+/**
+ * Comparison ranges
+ * `timeframe` is the cacheService TTL tier used for the floor history request
+ */
+export const COMPARE_RANGES = [
+  { label: '30D', days: 30, timeframe: '30d' },
+  { label: '90D', days: 90, timeframe: '90d' },
+  { label: '1Y', days: 365, timeframe: '1Y' }
+];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Get the range as unix seconds, aligned to UTC midnight so repeated requests share cache keys
+ * @param {number} days - Range length in days
+ * @returns {{startTime: number, endTime: number}}
+ */
+export const getCompareRange = (days) => {
+  const endTime = Math.ceil(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+  return { startTime: endTime - days * DAY_SECONDS, endTime };
+};
+
+const toSeconds = (x) => {
+  if (x instanceof Date) return Math.floor(x.getTime() / 1000);
+  if (typeof x === 'number') return x > 1000000000000 ? Math.floor(x / 1000) : x;
+  const time = Date.parse(x);
+  return isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+/**
+ * Rebase a `{ x, y }` series to 100 at its first point inside the range
+ * A series that starts after the range start (e.g. a token launched mid-range) is
+ * rebased at its own first point.
+ * @param {Array<{x: Date|number|string, y: number}>} points - Price series
+ * @param {number} startTime - Range start in unix seconds
+ * @returns {Array<{x: number, y: number}>} Rebased series with `x` in unix seconds, ascending
+ */
+export const rebaseSeries = (points, startTime) => {
+  if (!Array.isArray(points)) return [];
+
+  const inRange = points
+    .map(point => ({ x: toSeconds(point?.x), y: parseFloat(point?.y) }))
+    .filter(point => point.x !== null && point.x >= startTime && point.y > 0)
+    .sort((a, b) => a.x - b.x);
+
+  if (inRange.length === 0) return [];
+
+  const base = inRange[0].y;
+  return inRange.map(point => ({ x: point.x, y: (point.y / base) * 100 }));
+};
+
+/**
+ * Change over the range of a rebased series, in percent
+ * @param {Array<{x: number, y: number}>} rebased - Output of rebaseSeries
+ * @returns {number|null}
+ */
+export const getRebasedChange = (rebased) => {
+  if (!rebased || rebased.length < 2) return null;
+  return rebased[rebased.length - 1].y - 100;
+};
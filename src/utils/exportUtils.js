@@ -0,0 +1,153 @@
+/**
+ * Data export: column definitions and CSV/JSON serialization
+ * Shared by the export actions in the UI and the API routes' `?format=csv`, so a file
+ * downloaded from the dashboard has the same columns as one pulled from a script.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// Formats the API routes answer with (besides their default JSON body)
+export const API_EXPORT_FORMATS = ['json', 'csv'];
+
+const isoDate = (timestamp) => {
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString().split('T')[0] : null;
+};
+
+const isoDateTime = (timestamp) => {
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Strategies table columns
+ * `computed` columns are derived in the browser (holdings, collection market cap, NAV),
+ * so the API's CSV leaves them out.
+ */
+export const STRATEGY_EXPORT_COLUMNS = [
+  { key: 'id', label: 'Strategy ID', getValue: strategy => strategy.id },
+  { key: 'collectionName', label: 'Collection', getValue: strategy => strategy.collectionName },
+  { key: 'tokenName', label: 'Token', getValue: strategy => strategy.tokenName },
+  { key: 'tokenAddress', label: 'Token Address', getValue: strategy => strategy.tokenAddress },
+  { key: 'collectionAddress', label: 'NFT Contract', getValue: strategy => strategy.collection || strategy.contractAddress },
+  { key: 'priceUsd', label: 'Price (USD)', getValue: strategy => toNumber(strategy.poolData?.price_usd) },
+  { key: 'priceChange24h', label: '24h Change (%)', getValue: strategy => toNumber(strategy.poolData?.price_change_24h) },
+  { key: 'marketCapUsd', label: 'Market Cap (USD)', getValue: strategy => toNumber(strategy.poolData?.market_cap_usd) },
+  { key: 'volume24hUsd', label: '24h Volume (USD)', getValue: strategy => toNumber(strategy.poolData?.volume_24h_usd) },
+  { key: 'burnPercentage', label: 'Burn (%)', getValue: strategy => toNumber(strategy.burnPercentage), computed: true },
+  { key: 'holdingsCount', label: 'Holdings', getValue: strategy => toNumber(strategy.holdingsCount), computed: true },
+  { key: 'holdingsValueEth', label: 'Holdings Listed Value (ETH)', getValue: strategy => toNumber(strategy.holdingsValueEth), computed: true },
+  { key: 'collectionMarketCapUsd', label: 'Collection Market Cap (USD)', getValue: strategy => toNumber(strategy.nftPriceFloorMarketCap), computed: true },
+  { key: 'floorMarketCapRatio', label: 'MC Ratio (%)', getValue: strategy => toNumber(strategy.floorMarketCapRatio), computed: true },
+  { key: 'navEth', label: 'NAV (ETH)', getValue: strategy => toNumber(strategy.navEth), computed: true },
+  { key: 'treasuryEth', label: 'Treasury (ETH)', getValue: strategy => toNumber(strategy.treasuryEth), computed: true },
+  { key: 'navPerTokenUsd', label: 'NAV per Token (USD)', getValue: strategy => toNumber(strategy.navPerTokenUsd), computed: true },
+  { key: 'navPremium', label: 'NAV Premium (%)', getValue: strategy => toNumber(strategy.navPremium), computed: true }
+];
+
+/**
+ * Floor history points: `{ timestamp (seconds), floorEth, floorUsd? }`, or the
+ * `{ date, floorEth, ... }` points of /api/floor/history
+ */
+export const FLOOR_HISTORY_EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date', getValue: point => point.date || isoDate(point.timestamp) },
+  { key: 'floorEth', label: 'Floor (ETH)', getValue: point => toNumber(point.floorEth) },
+  { key: 'floorUsd', label: 'Floor (USD)', getValue: point => toNumber(point.floorUsd) },
+  { key: 'volumeEth', label: 'Volume (ETH)', getValue: point => toNumber(point.volumeEth) },
+  { key: 'salesCount', label: 'Sales', getValue: point => toNumber(point.salesCount) }
+];
+
+/**
+ * Daily token candles `{ timestamp (seconds), open, high, low, close, volume }` in USD
+ */
+export const TOKEN_PRICE_EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date', getValue: candle => isoDate(candle.timestamp) },
+  { key: 'open', label: 'Open (USD)', getValue: candle => toNumber(candle.open) },
+  { key: 'high', label: 'High (USD)', getValue: candle => toNumber(candle.high) },
+  { key: 'low', label: 'Low (USD)', getValue: candle => toNumber(candle.low) },
+  { key: 'close', label: 'Close (USD)', getValue: candle => toNumber(candle.close) },
+  { key: 'volume', label: 'Volume (USD)', getValue: candle => toNumber(candle.volume) }
+];
+
+/**
+ * NFTs held by a strategy, as returned by holdingsService.fetchHoldings
+ */
+export const HOLDINGS_EXPORT_COLUMNS = [
+  { key: 'tokenId', label: 'Token ID', getValue: holding => holding.tokenId },
+  { key: 'priceEth', label: 'Listed Price (ETH)', getValue: holding => toNumber(holding.priceInEth) },
+  { key: 'priceUsd', label: 'Listed Price (USD)', getValue: holding => toNumber(holding.priceInUsd) },
+  { key: 'imageUrl', label: 'Image URL', getValue: holding => holding.imageUrl }
+];
+
+/**
+ * Marketplace sales as returned by /api/sales
+ */
+export const SALES_EXPORT_COLUMNS = [
+  { key: 'timestamp', label: 'Time (UTC)', getValue: sale => isoDateTime(sale.timestamp) },
+  { key: 'tokenId', label: 'Token ID', getValue: sale => sale.tokenId },
+  { key: 'name', label: 'Name', getValue: sale => sale.name },
+  { key: 'priceEth', label: 'Price (ETH)', getValue: sale => toNumber(sale.priceEth) },
+  { key: 'priceUsd', label: 'Price (USD)', getValue: sale => toNumber(sale.priceUsd) },
+  { key: 'paymentSymbol', label: 'Currency', getValue: sale => sale.paymentSymbol },
+  { key: 'marketplace', label: 'Marketplace', getValue: sale => sale.marketplace },
+  { key: 'buyer', label: 'Buyer', getValue: sale => sale.buyer },
+  { key: 'seller', label: 'Seller', getValue: sale => sale.seller },
+  { key: 'txHash', label: 'Transaction', getValue: sale => sale.txHash }
+];
+
+/**
+ * Rows as plain objects keyed by column key (the JSON export)
+ */
+export const toExportRecords = (rows, columns) =>
+  (rows || []).map(row => Object.fromEntries(columns.map(column => [column.key, column.getValue(row) ?? null])));
+
+/**
+ * Rows as arrays of cell values, header row first (the XLSX export)
+ */
+export const toExportTable = (rows, columns) => [
+  columns.map(column => column.label),
+  ...(rows || []).map(row => columns.map(column => column.getValue(row) ?? null))
+];
+
+/**
+ * RFC 4180 CSV with a header row
+ * Text cells that a spreadsheet would run as a formula are prefixed with a quote.
+ */
+export const toCsv = (rows, columns) =>
+  toExportTable(rows, columns).map(cells => cells.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * `<name>-<YYYY-MM-DD>.<format>`, with the name reduced to a file-system safe slug
+ */
+export const getExportFilename = (name, format) => {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+  return `${slug}-${new Date().toISOString().split('T')[0]}.${format}`;
+};
+
+/**
+ * Keep rows whose timestamp (seconds) falls within the last `days` days
+ * @param {Array} rows
+ * @param {number|null} days - null keeps everything
+ * @param {Function} getTimestamp - Row -> timestamp in seconds
+ */
+export const filterRowsByDays = (rows, days, getTimestamp = row => row.timestamp) => {
+  if (!days) return rows || [];
+  const cutoff = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+  return (rows || []).filter(row => Number(getTimestamp(row)) >= cutoff);
+};
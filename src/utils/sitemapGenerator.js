@@ -5,6 +5,14 @@
  */
 
 import { seoService } from '../services/seoService.js';
+import { getStrategySlug } from './urlUtils.js';
+
+// Sitemaps beyond this many URLs are split into pages behind a sitemap index
+// (the protocol allows 50,000; smaller files keep each crawl cheap)
+export const MAX_URLS_PER_SITEMAP = 1000;
+
+// Strategy fields that may carry the time of its latest data (ISO string, unix seconds or ms)
+const LAST_MODIFIED_FIELDS = ['updatedAt', 'updated_at', 'lastUpdated', 'last_updated'];
 
 export class SitemapGenerator {
   constructor() {
@@ -13,25 +21,93 @@ export class SitemapGenerator {
 
   /**
    * Generate XML sitemap for all pages
+   * @param {Array} strategies - Strategies list
+   * @param {Object} options - `{ fetchedAt }`: when the list was fetched, the lastmod of
+   *   strategies without a timestamp of their own
    */
-  generateSitemap(strategies = []) {
-    const urls = [];
-    const currentDate = new Date().toISOString();
+  generateSitemap(strategies = [], options = {}) {
+    return this.generateXML(this.getUrls(strategies, options));
+  }
 
-    // Add main pages
-    urls.push(this.createUrl('/', currentDate, 'daily', '1.0'));
-    urls.push(this.createUrl('/nftstrategies', currentDate, 'hourly', '0.9'));
+  /**
+   * Build the URL entries for the main pages and one per strategy
+   * Strategy pages use the router's slug (collection + token name); duplicate slugs are dropped.
+   */
+  getUrls(strategies = [], { fetchedAt = Date.now() } = {}) {
+    const fallbackDate = new Date(fetchedAt).toISOString();
+    const strategyUrls = [];
+    const seenSlugs = new Set();
 
-    // Add strategy pages
     strategies.forEach(strategy => {
-      if (strategy && strategy.collectionName) {
-        const strategySlug = this.generateSlug(strategy.collectionName);
-        const strategyUrl = `/nftstrategies/${strategySlug}`;
-        urls.push(this.createUrl(strategyUrl, currentDate, 'hourly', '0.8'));
+      if (!strategy?.collectionName || !strategy?.tokenName) return;
+
+      const strategySlug = getStrategySlug(strategy);
+      if (!strategySlug || seenSlugs.has(strategySlug)) return;
+      seenSlugs.add(strategySlug);
+
+      const lastmod = this.getStrategyLastModified(strategy) || fallbackDate;
+      strategyUrls.push(this.createUrl(`/nftstrategies/${strategySlug}`, lastmod, 'hourly', '0.8'));
+    });
+
+    // Main pages list every strategy, so they change whenever any strategy does
+    const latestDate = strategyUrls.reduce((latest, url) => (url.lastmod > latest ? url.lastmod : latest), fallbackDate);
+
+    return [
+      this.createUrl('/', latestDate, 'daily', '1.0'),
+      this.createUrl('/nftstrategies', latestDate, 'hourly', '0.9'),
+      ...strategyUrls
+    ];
+  }
+
+  /**
+   * Split URL entries into sitemap pages of at most MAX_URLS_PER_SITEMAP
+   */
+  paginate(urls, pageSize = MAX_URLS_PER_SITEMAP) {
+    const pages = [];
+    for (let i = 0; i < urls.length; i += pageSize) {
+      pages.push(urls.slice(i, i + pageSize));
+    }
+    return pages;
+  }
+
+  /**
+   * Generate a sitemap index pointing at `/sitemap-<n>.xml` for each page
+   */
+  generateSitemapIndex(pages) {
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+
+    pages.forEach((urls, index) => {
+      const lastmod = urls.reduce((latest, url) => (url.lastmod > latest ? url.lastmod : latest), '');
+      xml += '  <sitemap>\n';
+      xml += `    <loc>${this.escapeXML(`${this.siteConfig.siteUrl}/sitemap-${index + 1}.xml`)}</loc>\n`;
+      if (lastmod) {
+        xml += `    <lastmod>${lastmod}</lastmod>\n`;
       }
+      xml += '  </sitemap>\n';
     });
 
-    return this.generateXML(urls);
+    xml += '</sitemapindex>';
+    return xml;
+  }
+
+  /**
+   * Time of a strategy's latest data, as an ISO string
+   * @returns {string|null} null when the strategy has no usable timestamp
+   */
+  getStrategyLastModified(strategy) {
+    const value = LAST_MODIFIED_FIELDS
+      .map(field => strategy[field] ?? strategy.poolData?.[field])
+      .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+    if (value === undefined) return null;
+
+    const numeric = Number(value);
+    const time = Number.isFinite(numeric)
+      ? (numeric > 1e12 ? numeric : numeric * 1000) // Seconds or milliseconds
+      : Date.parse(value);
+
+    // Ignore unparseable and future timestamps
+    return Number.isFinite(time) && time > 0 && time <= Date.now() ? new Date(time).toISOString() : null;
   }
 
   /**
@@ -78,11 +154,12 @@ export class SitemapGenerator {
       '# Crawl-delay for respectful crawling',
       'Crawl-delay: 1',
       '',
-      '# Sitemap location',
+      '# Sitemap location (a sitemap index once the strategy list outgrows one file)',
       `Sitemap: ${this.siteConfig.siteUrl}/sitemap.xml`,
       '',
       '# Block unnecessary paths',
       'Disallow: /api/',
+      'Disallow: /admin/',
       'Disallow: /.vite/',
       'Disallow: /node_modules/',
       ''
@@ -108,7 +185,7 @@ export class SitemapGenerator {
           '@type': 'FinancialProduct',
           name: `${strategy.collectionName} Strategy`,
           description: `NFT trading strategy for ${strategy.collectionName}`,
-          url: `${this.siteConfig.siteUrl}/nftstrategies/${this.generateSlug(strategy.collectionName)}`,
+          url: `${this.siteConfig.siteUrl}/nftstrategies/${getStrategySlug(strategy)}`,
           provider: {
             '@type': 'Organization',
             name: this.siteConfig.siteName,
@@ -124,15 +201,6 @@ export class SitemapGenerator {
   /**
    * Utility functions
    */
-  generateSlug(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9 -]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim();
-  }
-
   escapeXML(text) {
     return text
       .replace(/&/g, '&amp;')
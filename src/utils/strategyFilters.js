@@ -0,0 +1,118 @@
+/**
+ * Strategies table filtering and column definitions
+ */
+
+/**
+ * Columns of the strategies table, in display order
+ * The collection column can't be hidden (it carries the row's name and watchlist star)
+ */
+export const STRATEGY_COLUMNS = [
+  { key: 'collection', label: 'NFT Collection', hideable: false },
+  { key: 'strategy', label: 'Strategy' },
+  { key: 'holdings', label: 'Holdings' },
+  { key: 'price', label: 'Price' },
+  { key: 'change24h', label: '24h Change' },
+  { key: 'burn', label: '% Burn' },
+  { key: 'ratio', label: 'MC Ratio' },
+  { key: 'navPremium', label: 'NAV Prem.' },
+  { key: 'marketCap', label: 'Market Cap' }
+];
+
+/**
+ * Numeric range filters
+ * `param` is the URL parameter, `getValue` reads the value from an enhanced strategy
+ */
+export const RANGE_FILTERS = [
+  { key: 'marketCap', param: 'mcap', label: 'Market Cap', unit: '$', getValue: strategy => strategy.nftStrategyMarketCap },
+  { key: 'change24h', param: 'chg', label: '24h Change', unit: '%', getValue: strategy => strategy.poolData?.price_change_24h },
+  { key: 'burn', param: 'burn', label: '% Burn', unit: '%', getValue: strategy => strategy.burnPercentage },
+  { key: 'holdings', param: 'hold', label: 'Holdings', unit: 'NFTs', getValue: strategy => strategy.holdingsCount },
+  { key: 'ratio', param: 'ratio', label: 'MC Ratio', unit: '%', getValue: strategy => strategy.floorMarketCapRatio }
+];
+
+/**
+ * Built-in column presets (hidden column keys)
+ */
+export const DEFAULT_COLUMN_PRESETS = [
+  { name: 'All columns', hiddenColumns: [], builtIn: true },
+  { name: 'Compact', hiddenColumns: ['strategy', 'burn', 'ratio', 'navPremium'], builtIn: true },
+  { name: 'Valuation', hiddenColumns: ['strategy', 'holdings', 'burn'], builtIn: true }
+];
+
+const HIDEABLE_COLUMNS = STRATEGY_COLUMNS.filter(column => column.hideable !== false).map(column => column.key);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Serialize a `{ min, max }` range as `min..max` (either side may be empty)
+ * @returns {string|null} - null when neither bound is set
+ */
+export const formatRange = (range) => {
+  const min = toNumber(range?.min);
+  const max = toNumber(range?.max);
+  if (min === null && max === null) return null;
+  return `${min ?? ''}..${max ?? ''}`;
+};
+
+/**
+ * Parse a `min..max` URL value
+ * @returns {{min: number|null, max: number|null}|null} - null when invalid or empty
+ */
+export const parseRange = (value) => {
+  if (!value || !value.includes('..')) return null;
+  const [min, max] = value.split('..').map(toNumber);
+  if (min === null && max === null) return null;
+  return { min, max };
+};
+
+/**
+ * Keep only known, hideable column keys
+ */
+export const normalizeHiddenColumns = (columns) => {
+  if (!Array.isArray(columns)) return [];
+  return [...new Set(columns.filter(column => HIDEABLE_COLUMNS.includes(column)))];
+};
+
+/**
+ * Count the active filters (search counts as one)
+ */
+export const countActiveFilters = ({ search = '', ranges = {} } = {}) => {
+  const activeRanges = RANGE_FILTERS.filter(filter => formatRange(ranges[filter.key]) !== null).length;
+  return activeRanges + (search.trim() ? 1 : 0);
+};
+
+/**
+ * Apply text search and range filters to strategies
+ * A strategy without a value for a filtered field is excluded
+ * @param {Array} strategies - Enhanced strategies
+ * @param {object} filters - `{ search, ranges: { [key]: { min, max } } }`
+ * @returns {Array} - Matching strategies, in their original order
+ */
+export const applyStrategyFilters = (strategies, { search = '', ranges = {} } = {}) => {
+  const term = search.trim().toLowerCase();
+  const activeRanges = RANGE_FILTERS
+    .map(filter => ({ ...filter, min: toNumber(ranges[filter.key]?.min), max: toNumber(ranges[filter.key]?.max) }))
+    .filter(filter => filter.min !== null || filter.max !== null);
+
+  return strategies.filter(strategy => {
+    if (term) {
+      const haystack = [strategy.name, strategy.collectionName, strategy.tokenName]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(term)) return false;
+    }
+
+    return activeRanges.every(filter => {
+      const value = toNumber(filter.getValue(strategy));
+      if (value === null) return false;
+      if (filter.min !== null && value < filter.min) return false;
+      if (filter.max !== null && value > filter.max) return false;
+      return true;
+    });
+  });
+};
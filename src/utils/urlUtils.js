@@ -2,6 +2,12 @@
  * URL parameter utilities for sharing collection comparisons
  */
 
+import { RANGE_FILTERS, formatRange, parseRange, normalizeHiddenColumns } from './strategyFilters.js';
+import { MAX_COMPARE_STRATEGIES } from './compareUtils.js';
+
+// Path segment of the comparison view (/nftstrategies/compare), reserved from strategy slugs
+export const COMPARE_PATH_SEGMENT = 'compare';
+
 /**
  * Encode a collection slug for URL parameter
  * @param {string} slug - Collection slug
@@ -47,9 +53,14 @@ export const encodeStrategyName = (strategyName) => {
  * @param {string} options.layout - Current layout
  * @param {string} options.view - Current view
  * @param {string} options.strategyName - Strategy name for detail view
+ * @param {string[]} options.watchlist - Watched strategy ids to share
+ * @param {string} options.filter - Strategies table filter ('all' or 'watchlist')
+ * @param {string} options.search - Strategies table text search
+ * @param {object} options.ranges - Strategies table range filters (`{ [key]: { min, max } }`)
+ * @param {string[]} options.hiddenColumns - Hidden strategies table columns
  * @returns {URLSearchParams} - URL search parameters
  */
-export const createUrlParams = ({ collection1, collection2, timeframe, layout, view, strategyName }) => {
+export const createUrlParams = ({ collection1, collection2, timeframe, layout, view, strategyName, watchlist, filter, search, ranges, hiddenColumns }) => {
   const params = new URLSearchParams();
   
   if (collection1?.slug) {
@@ -76,6 +87,30 @@ export const createUrlParams = ({ collection1, collection2, timeframe, layout, v
     params.set('strategy', encodeStrategyName(strategyName));
   }
   
+  if (watchlist?.length > 0) {
+    params.set('watch', watchlist.map(id => encodeURIComponent(id)).join(','));
+  }
+  
+  if (filter && filter !== 'all') { // Don't include default filter
+    params.set('filter', filter);
+  }
+  
+  if (search?.trim()) {
+    params.set('q', search.trim());
+  }
+  
+  RANGE_FILTERS.forEach(({ key, param }) => {
+    const range = formatRange(ranges?.[key]);
+    if (range) {
+      params.set(param, range);
+    }
+  });
+  
+  const hidden = normalizeHiddenColumns(hiddenColumns);
+  if (hidden.length > 0) {
+    params.set('hide', hidden.join(','));
+  }
+  
   return params;
 };
 
@@ -91,7 +126,12 @@ export const parseUrlParams = (searchParams) => {
     timeframe: '30d',
     layout: 'horizontal',
     view: 'strategies', // Default to strategies view
-    strategyName: null
+    strategyName: null,
+    watchlist: [],
+    filter: 'all',
+    search: '',
+    ranges: {},
+    hiddenColumns: []
   };
   
   // Parse collection slugs
@@ -146,6 +186,37 @@ export const parseUrlParams = (searchParams) => {
     }
   }
   
+  // Parse shared watchlist (comma-separated strategy ids)
+  const watch = searchParams.get('watch');
+  if (watch) {
+    state.watchlist = watch.split(',').filter(Boolean).map(id => decodeCollectionSlug(id));
+  }
+  
+  // Parse strategies table filter
+  const filter = searchParams.get('filter');
+  if (filter) {
+    // Validate filter is one of the allowed values
+    const validFilters = ['all', 'watchlist'];
+    if (validFilters.includes(filter)) {
+      state.filter = filter;
+    }
+  }
+  
+  // Parse strategies table search and range filters (`min..max`)
+  state.search = searchParams.get('q') || '';
+  RANGE_FILTERS.forEach(({ key, param }) => {
+    const range = parseRange(searchParams.get(param));
+    if (range) {
+      state.ranges[key] = range;
+    }
+  });
+  
+  // Parse hidden columns (unknown keys are dropped)
+  const hide = searchParams.get('hide');
+  if (hide) {
+    state.hiddenColumns = normalizeHiddenColumns(hide.split(','));
+  }
+  
   return state;
 };
 
@@ -186,8 +257,42 @@ export const createStrategiesUrl = () => {
 export const createStrategyUrl = (strategy) => {
   if (!strategy) return '/nftstrategies';
   
-  const strategySlug = encodeStrategyName(strategy.collectionName + ' ' + strategy.tokenName);
-  return `/nftstrategies/${strategySlug}`;
+  return `/nftstrategies/${getStrategySlug(strategy)}`;
+};
+
+/**
+ * Get the URL slug of a strategy
+ * @param {object} strategy - Strategy object
+ * @returns {string} - Encoded "collection token" name
+ */
+export const getStrategySlug = (strategy) => {
+  if (!strategy) return '';
+  return encodeStrategyName(strategy.collectionName + ' ' + strategy.tokenName);
+};
+
+/**
+ * Create strategy comparison URL (`/nftstrategies/compare?s=a,b,c`)
+ * @param {Array} strategies - Strategy objects, in display order (extras beyond the max are dropped)
+ * @returns {string} - Comparison URL
+ */
+export const createCompareUrl = (strategies = []) => {
+  const slugs = strategies.slice(0, MAX_COMPARE_STRATEGIES).map(getStrategySlug).filter(Boolean);
+  const path = `/nftstrategies/${COMPARE_PATH_SEGMENT}`;
+  // Slugs are already URL-safe; keep the commas readable
+  return slugs.length > 0 ? `${path}?s=${slugs.join(',')}` : path;
+};
+
+/**
+ * Parse the compared strategy slugs from URL search parameters
+ * @param {URLSearchParams} searchParams - URL search parameters
+ * @returns {string[]} - Unique strategy slugs, at most MAX_COMPARE_STRATEGIES
+ */
+export const parseCompareParam = (searchParams) => {
+  const value = searchParams.get('s');
+  if (!value) return [];
+  
+  const slugs = value.split(',').map(slug => slug.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(slugs)].slice(0, MAX_COMPARE_STRATEGIES);
 };
 
 /**
@@ -199,10 +304,7 @@ export const createStrategyUrl = (strategy) => {
 export const findStrategyByEncodedName = (strategies, encodedName) => {
   if (!strategies || !encodedName) return null;
   
-  return strategies.find(strategy => {
-    const strategySlug = encodeStrategyName(strategy.collectionName + ' ' + strategy.tokenName);
-    return strategySlug === encodedName;
-  });
+  return strategies.find(strategy => getStrategySlug(strategy) === encodedName);
 };
 
 /**
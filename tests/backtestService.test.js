@@ -0,0 +1,170 @@
+/**
+ * Backtest Service Tests
+ * Replays small fixed floor series through `simulate` and checks the trades, NAV series
+ * and drawdown by hand-computed values. The storage is a stub, so no database is opened.
+ *
+ * Usage: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import BacktestService from '../src/services/backtestService.js';
+import { setStorage } from '../src/services/storageBackends.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const START = Date.parse('2025-01-01T00:00:00Z') / 1000;
+
+const date = (offset) => new Date((START + offset * DAY_SECONDS) * 1000).toISOString().split('T')[0];
+
+// One floor per day from 2025-01-01; `[offset, floorEth]` pairs leave gaps
+const series = (floors) => floors.map((floor, index) => {
+  const [offset, floorEth] = Array.isArray(floor) ? floor : [index, floor];
+  return { date: date(offset), timestamp: START + offset * DAY_SECONDS, floorEth };
+});
+
+describe('BacktestService', () => {
+  let service;
+  let priceRows = [];
+
+  before(() => {
+    setStorage({ getPriceHistory: async () => priceRows });
+    service = new BacktestService();
+  });
+
+  after(() => {
+    setStorage(null);
+  });
+
+  describe('simulate', () => {
+    it('sells a position once the floor reaches its listing', () => {
+      const { trades, openPositions, summary } = service.simulate(series([1, 1.2, 1.5]), { markupPct: 50 });
+
+      assert.deepEqual(trades, [{
+        positionId: 1,
+        boughtOn: date(0),
+        buyPriceEth: 1,
+        listPriceEth: 1.5,
+        soldOn: date(2),
+        sellPriceEth: 1.5,
+        profitEth: 0.5,
+        returnPct: 50,
+        holdingDays: 2,
+        exit: 'listing'
+      }]);
+
+      // The proceeds buy the next floor the same day
+      assert.equal(openPositions.length, 1);
+      assert.equal(openPositions[0].boughtOn, date(2));
+      assert.equal(summary.hitRate, 100);
+      assert.equal(summary.realizedProfitEth, 0.5);
+      assert.equal(summary.finalTreasuryEth, 2);
+      assert.equal(summary.finalNavEth, 3.5);
+      assert.equal(summary.returnOnInflowPct, 16.67);
+    });
+
+    it('dumps a position at the floor after maxHoldDays', () => {
+      const { trades, summary } = service.simulate(series([1, 0.9, 0.8]), {
+        initialTreasuryEth: 0.5,
+        dailyInflowEth: 0.5,
+        markupPct: 100,
+        maxHoldDays: 2
+      });
+
+      assert.equal(trades.length, 1);
+      assert.equal(trades[0].exit, 'max_hold');
+      assert.equal(trades[0].soldOn, date(2));
+      assert.equal(trades[0].sellPriceEth, 0.8);
+      assert.equal(trades[0].profitEth, -0.2);
+      assert.equal(trades[0].returnPct, -20);
+      assert.equal(trades[0].holdingDays, 2);
+      assert.equal(summary.hitRate, 0);
+    });
+
+    it('holds unsold positions when maxHoldDays is null', () => {
+      const { trades, openPositions } = service.simulate(series([1, 0.9, 0.8]), {
+        initialTreasuryEth: 0.5,
+        dailyInflowEth: 0.5,
+        markupPct: 100
+      });
+
+      assert.equal(trades.length, 0);
+      assert.deepEqual(openPositions.map(position => position.boughtOn), [date(0), date(2)]);
+      assert.equal(openPositions[0].unrealizedEth, -0.2);
+      assert.equal(openPositions[0].holdingDays, 2);
+    });
+
+    it('waits for the treasury to reach the threshold before buying', () => {
+      const floors = series([1, 1, 1, 1]);
+
+      const gated = service.simulate(floors, { thresholdEth: 3 });
+      assert.deepEqual(gated.navSeries.map(point => point.heldCount), [0, 0, 1, 2]);
+      assert.deepEqual(gated.openPositions.map(position => position.boughtOn), [date(2), date(3)]);
+
+      const ungated = service.simulate(floors);
+      assert.deepEqual(ungated.navSeries.map(point => point.heldCount), [1, 2, 3, 4]);
+    });
+
+    it('credits the inflow of every calendar day in a gap', () => {
+      const { navSeries, summary } = service.simulate(series([[0, 1], [3, 1], [4, 1]]), { thresholdEth: 100 });
+
+      assert.deepEqual(navSeries.map(point => point.treasuryEth), [1, 4, 5]);
+      assert.deepEqual(navSeries.map(point => point.investedEth), [1, 4, 5]);
+      assert.equal(summary.totalInflowEth, 5);
+      assert.equal(summary.buys, 0);
+    });
+
+    it('measures drawdown on NAV per ETH of inflow', () => {
+      // NAV per invested ETH: 1 → 0.75 → 0.8333
+      const { navSeries, summary } = service.simulate(series([1, 0.5, 0.5]), { markupPct: 100 });
+
+      assert.deepEqual(navSeries.map(point => point.navPerInvested), [1, 0.75, 0.833333]);
+      assert.equal(summary.maxDrawdownPct, 25);
+      assert.equal(summary.drawdownPeakDate, date(0));
+      assert.equal(summary.drawdownTroughDate, date(1));
+    });
+  });
+
+  describe('calculateMaxDrawdown', () => {
+    const navSeries = (values) => values.map((navPerInvested, index) => ({ date: date(index), navPerInvested }));
+
+    it('finds the largest peak-to-trough fall', () => {
+      // 1.25 → 1.0 is 20%, 1.3 → 0.65 is 50%
+      assert.deepEqual(service.calculateMaxDrawdown(navSeries([null, 1, 1.25, 1, 1.3, 0.65, 1.4])), {
+        maxDrawdownPct: 50,
+        drawdownPeakDate: date(4),
+        drawdownTroughDate: date(5)
+      });
+    });
+
+    it('reports no drawdown for a rising series', () => {
+      assert.deepEqual(service.calculateMaxDrawdown(navSeries([null, 1, 1.1, 1.2])), {
+        maxDrawdownPct: 0,
+        drawdownPeakDate: null,
+        drawdownTroughDate: null
+      });
+    });
+  });
+
+  describe('run', () => {
+    it('simulates the stored floors, skipping days without one', async () => {
+      priceRows = series([1, 0, 1.2, 1.5]).map(day => ({ date: day.date, timestamp: day.timestamp, floor_eth: day.floorEth }));
+
+      const result = await service.run('azuki', { startDate: date(0), endDate: date(3), markupPct: 50 });
+
+      assert.equal(result.success, true);
+      assert.equal(result.startDate, date(0));
+      assert.equal(result.endDate, date(3));
+      assert.equal(result.summary.days, 3);
+      assert.equal(result.trades[0].soldOn, date(3));
+    });
+
+    it('fails with fewer than two days of floors', async () => {
+      priceRows = [{ date: date(0), timestamp: START, floor_eth: 1 }];
+
+      const result = await service.run('azuki', { startDate: date(0), endDate: date(3) });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Not enough price history for azuki/);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Migration Service Tests
+ * Applies and rolls back migrations on in-memory SQLite databases.
+ *
+ * Most tests use small migration files written to a throwaway directory; adopting a database
+ * that predates migrations uses the real ones in `database/migrations`.
+ *
+ * Usage: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import MigrationService, { loadMigrations } from '../src/services/migrationService.js';
+
+const REPO_MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'database', 'migrations');
+
+const MIGRATIONS = {
+  '001_create_items.sql': `-- Baseline, can't be rolled back
+-- migrate:up
+CREATE TABLE IF NOT EXISTS items (id INTEGER PRIMARY KEY, name TEXT NOT NULL);
+`,
+  '002_add_tags.sql': `-- migrate:up
+CREATE TABLE tags (item_id INTEGER NOT NULL, tag TEXT NOT NULL);
+
+-- migrate:down
+DROP TABLE tags;
+`,
+  '003_add_notes.sql': `-- migrate:up
+CREATE TABLE notes (item_id INTEGER NOT NULL, body TEXT);
+
+-- migrate:down
+DROP TABLE notes;
+`
+};
+
+const tableNames = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all()
+  .map(row => row.name);
+
+describe('MigrationService', () => {
+  let dir;
+  let db;
+
+  const writeMigration = (file, sql) => fs.writeFileSync(path.join(dir, file), sql);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    Object.entries(MIGRATIONS).forEach(([file, sql]) => writeMigration(file, sql));
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('migrate', () => {
+    it('applies pending migrations in order and records them', () => {
+      const migrations = new MigrationService(db, dir);
+
+      assert.equal(migrations.getCurrentVersion(), 0);
+      assert.deepEqual(migrations.migrate(), [
+        { version: 1, name: 'create_items' },
+        { version: 2, name: 'add_tags' },
+        { version: 3, name: 'add_notes' }
+      ]);
+
+      assert.deepEqual(tableNames(db), ['items', 'notes', 'schema_migrations', 'tags']);
+      assert.equal(migrations.getCurrentVersion(), 3);
+      assert.deepEqual(
+        migrations.getAppliedMigrations().map(row => row.checksum),
+        loadMigrations(dir).map(migration => migration.checksum)
+      );
+      assert.deepEqual(migrations.migrate(), []);
+    });
+
+    it('stops at the requested version', () => {
+      const migrations = new MigrationService(db, dir);
+
+      assert.deepEqual(migrations.migrate({ to: 2 }).map(row => row.version), [1, 2]);
+      assert.deepEqual(migrations.getStatus().map(migration => migration.status), ['applied', 'applied', 'pending']);
+    });
+
+    it('leaves a failing migration unapplied', () => {
+      writeMigration('004_broken.sql', '-- migrate:up\nCREATE TABLE broken (id INTEGER);\nINSERT INTO missing_table VALUES (1);\n');
+      const migrations = new MigrationService(db, dir);
+
+      assert.throws(() => migrations.migrate(), /no such table: missing_table/);
+      assert.equal(migrations.getCurrentVersion(), 3);
+      assert.ok(!tableNames(db).includes('broken'));
+    });
+  });
+
+  describe('rollback', () => {
+    it('rolls back the latest migration by default', () => {
+      const migrations = new MigrationService(db, dir);
+      migrations.migrate();
+
+      assert.deepEqual(migrations.rollback(), [{ version: 3, name: 'add_notes' }]);
+      assert.ok(!tableNames(db).includes('notes'));
+      assert.equal(migrations.getCurrentVersion(), 2);
+    });
+
+    it('rolls back everything above a version, newest first', () => {
+      const migrations = new MigrationService(db, dir);
+      migrations.migrate();
+
+      assert.deepEqual(migrations.rollback({ to: 1 }).map(row => row.version), [3, 2]);
+      assert.deepEqual(tableNames(db), ['items', 'schema_migrations']);
+      assert.equal(migrations.getCurrentVersion(), 1);
+    });
+
+    it('refuses a range with a migration that has no down section before undoing anything', () => {
+      const migrations = new MigrationService(db, dir);
+      migrations.migrate();
+
+      assert.throws(() => migrations.rollback({ to: 0 }), /001_create_items\.sql has no "-- migrate:down" section/);
+      assert.deepEqual(tableNames(db), ['items', 'notes', 'schema_migrations', 'tags']);
+      assert.equal(migrations.getCurrentVersion(), 3);
+    });
+  });
+
+  describe('checksums', () => {
+    it('reports a migration edited after it was applied as modified', () => {
+      const migrations = new MigrationService(db, dir);
+      migrations.migrate();
+
+      writeMigration('002_add_tags.sql', MIGRATIONS['002_add_tags.sql'].replace('tag TEXT NOT NULL', 'tag TEXT'));
+
+      assert.deepEqual(migrations.getStatus().map(migration => migration.status), ['applied', 'modified', 'applied']);
+    });
+  });
+
+  describe('newer schemas', () => {
+    it('refuses a database migrated by a newer build', () => {
+      const migrations = new MigrationService(db, dir);
+      migrations.migrate();
+      db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)').run(4, 'from_the_future', 'abc');
+
+      assert.throws(() => migrations.migrate(), /Database schema is at version 4 but this build only knows migrations up to 3/);
+      assert.throws(() => migrations.rollback(), /Migration 4 \(from_the_future\) was applied by a newer build/);
+      assert.equal(migrations.getStatus().at(-1).status, 'unknown');
+    });
+  });
+
+  describe('adopting an existing database', () => {
+    it('records the baseline over tables created before migrations existed', () => {
+      // The schema as the pre-migration init script created it, with data in it
+      const [baseline] = loadMigrations(REPO_MIGRATIONS_DIR);
+      db.exec(baseline.up);
+      db.prepare('INSERT INTO collections (slug, name) VALUES (?, ?)').run('azuki', 'Azuki');
+
+      const migrations = new MigrationService(db, REPO_MIGRATIONS_DIR);
+      assert.equal(migrations.getCurrentVersion(), 0);
+
+      const applied = migrations.migrate();
+      assert.equal(applied[0].version, 1);
+      assert.equal(migrations.getCurrentVersion(), migrations.getLatestVersion());
+      assert.ok(migrations.getStatus().every(migration => migration.status === 'applied'));
+      assert.equal(db.prepare('SELECT name FROM collections WHERE slug = ?').get('azuki').name, 'Azuki');
+    });
+  });
+
+  describe('loadMigrations', () => {
+    it('rejects duplicate versions', () => {
+      writeMigration('003_also_three.sql', '-- migrate:up\nSELECT 1;\n');
+      assert.throws(() => loadMigrations(dir), /Duplicate migration version 3/);
+    });
+
+    it('rejects a file without an up section', () => {
+      writeMigration('004_empty.sql', '-- nothing to do\n');
+      assert.throws(() => loadMigrations(dir), /004_empty\.sql has no "-- migrate:up" section/);
+    });
+
+    it('ignores files that are not numbered migrations', () => {
+      writeMigration('README.md', '# Notes');
+      writeMigration('draft.sql', '-- migrate:up\nSELECT 1;\n');
+      assert.deepEqual(loadMigrations(dir).map(migration => migration.version), [1, 2, 3]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * P&L Service Tests
+ * Cost basis lookup, unrealized and realized P&L over hand-made holdings and sales.
+ *
+ * Usage: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pnlService } from '../src/services/pnlService.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const NOW = Date.parse('2025-06-01T00:00:00Z') / 1000;
+const STRATEGY = '0xAbCdEf0000000000000000000000000000000001';
+const ACCOUNT = STRATEGY.toLowerCase();
+const OTHER = '0x9999999999999999999999999999999999999999';
+
+// A normalized sale `daysAgo` days before NOW
+const sale = (tokenId, { buyer = ACCOUNT, seller = OTHER, priceEth, priceUsd = null, daysAgo, txHash = `0xtx${tokenId}_${daysAgo}` }) => ({
+  tokenId,
+  buyer,
+  seller,
+  priceEth,
+  priceUsd,
+  timestamp: NOW - daysAgo * DAY_SECONDS,
+  txHash,
+  marketplace: 'opensea'
+});
+
+const calculate = (input) => pnlService.calculateHoldingsPnl({ strategyAddress: STRATEGY, now: NOW, ...input });
+
+describe('PnlService', () => {
+  describe('cost basis', () => {
+    const holdings = [1, 2, 3, 4].map(tokenId => ({ tokenId, listPriceEth: '2' }));
+    const trades = [
+      sale(1, { priceEth: 0.6, daysAgo: 20 }),
+      sale(1, { priceEth: 0.8, priceUsd: 2400, daysAgo: 10 }),
+      sale(1, { priceEth: 5, daysAgo: -1 }), // After `now`
+      sale(2, { buyer: OTHER, seller: ACCOUNT, priceEth: 0.9, daysAgo: 30 })
+    ];
+    const tokenSales = [
+      sale(2, { priceEth: 1, daysAgo: 5 }),
+      sale(3, { buyer: OTHER, seller: '0x8888888888888888888888888888888888888888', priceEth: 0.5, daysAgo: 3 })
+    ];
+
+    const { positions } = calculate({ holdings, trades, tokenSales, floorPriceEth: '1.2', ethUsd: 3000 });
+    const byToken = Object.fromEntries(positions.map(position => [position.tokenId, position]));
+
+    it('uses the latest purchase event up to now', () => {
+      assert.equal(byToken['1'].costEth, 0.8);
+      assert.equal(byToken['1'].acquisition.source, 'purchase_events');
+      assert.equal(byToken['1'].acquisition.estimated, false);
+      assert.equal(byToken['1'].holdingDays, 10);
+      assert.equal(byToken['1'].listPriceEth, 2);
+    });
+
+    it('falls back to a stored sale to the strategy', () => {
+      assert.equal(byToken['2'].costEth, 1);
+      assert.equal(byToken['2'].acquisition.source, 'sales_table');
+      assert.equal(byToken['2'].acquisition.estimated, false);
+    });
+
+    it('estimates from the last stored sale to anyone', () => {
+      assert.equal(byToken['3'].costEth, 0.5);
+      assert.equal(byToken['3'].acquisition.source, 'sales_table');
+      assert.equal(byToken['3'].acquisition.estimated, true);
+    });
+
+    it('leaves holdings with no purchase record uncosted', () => {
+      assert.deepEqual(byToken['4'], {
+        tokenId: '4',
+        acquisition: null,
+        costEth: null,
+        listPriceEth: 2,
+        floorEth: 1.2,
+        unrealizedEth: null,
+        unrealizedUsd: null,
+        unrealizedPct: null,
+        holdingDays: null
+      });
+    });
+  });
+
+  describe('unrealized P&L', () => {
+    const holdings = [{ tokenId: 1 }, { tokenId: 2 }, { tokenId: 3 }];
+    const trades = [sale(1, { priceEth: 0.8, priceUsd: 2400, daysAgo: 10 })];
+    const tokenSales = [sale(2, { priceEth: 1, daysAgo: 5 })];
+
+    it('prices each position against the floor', () => {
+      const { positions } = calculate({ holdings, trades, tokenSales, floorPriceEth: 1.2, ethUsd: 3000 });
+
+      assert.equal(positions[0].unrealizedEth, 0.4);
+      assert.equal(positions[0].unrealizedPct, 50);
+      // The USD cost is what was paid, not today's ETH price
+      assert.equal(positions[0].unrealizedUsd, 1200);
+
+      // Without a USD price the cost is converted at today's ETH price
+      assert.equal(positions[1].unrealizedEth, 0.2);
+      assert.equal(positions[1].unrealizedUsd, 600);
+      assert.equal(positions[1].unrealizedPct, 20);
+    });
+
+    it('summarizes only the costed positions', () => {
+      const { summary } = calculate({ holdings, trades, tokenSales, floorPriceEth: 1.2, ethUsd: 3000 });
+
+      assert.equal(summary.heldCount, 3);
+      assert.equal(summary.costedCount, 2);
+      assert.equal(summary.totalCostEth, 1.8);
+      assert.equal(summary.averageCostEth, 0.9);
+      assert.equal(summary.marketValueEth, 3.6);
+      assert.equal(summary.marketValueUsd, 10800);
+      assert.equal(summary.unrealizedEth, 0.6);
+      assert.equal(summary.unrealizedUsd, 1800);
+      assert.equal(summary.unrealizedPct, 33.33);
+      assert.equal(summary.averageHoldingDays, 7.5);
+    });
+
+    it('keeps the cost basis but no P&L without a floor', () => {
+      const { positions, summary } = calculate({ holdings, trades, tokenSales, floorPriceEth: null, ethUsd: 3000 });
+
+      assert.equal(positions[0].costEth, 0.8);
+      assert.equal(positions[0].unrealizedEth, null);
+      assert.equal(positions[0].unrealizedUsd, null);
+      assert.equal(summary.totalCostEth, 1.8);
+      assert.equal(summary.marketValueEth, null);
+      assert.equal(summary.unrealizedEth, null);
+      assert.equal(summary.unrealizedPct, null);
+    });
+
+    it('skips USD figures without an ETH price', () => {
+      const { positions, summary } = calculate({ holdings, trades, tokenSales, floorPriceEth: 1.2, ethUsd: null });
+
+      assert.equal(positions[0].unrealizedEth, 0.4);
+      assert.equal(positions[0].unrealizedUsd, null);
+      assert.equal(summary.marketValueUsd, null);
+      assert.equal(summary.unrealizedUsd, null);
+    });
+  });
+
+  describe('realized P&L', () => {
+    it('pairs each sale with the purchase before it', () => {
+      const bought = sale(5, { priceEth: 1, priceUsd: 3000, daysAgo: 8 });
+      const sold = sale(5, { buyer: OTHER, seller: ACCOUNT, priceEth: 1.5, priceUsd: 4800, daysAgo: 2 });
+      const unmatched = sale(6, { buyer: OTHER, seller: ACCOUNT, priceEth: 0.7, daysAgo: 1 });
+
+      // The same sale stored in both sources counts once
+      const { realized, summary } = calculate({ trades: [bought, sold, unmatched], tokenSales: [sold] });
+
+      assert.deepEqual(realized.map(trade => trade.tokenId), ['6', '5']);
+      assert.equal(realized[0].realizedEth, null);
+      assert.deepEqual(realized[1], {
+        tokenId: '5',
+        costEth: 1,
+        proceedsEth: 1.5,
+        realizedEth: 0.5,
+        realizedUsd: 1800,
+        boughtAt: bought.timestamp,
+        soldAt: sold.timestamp,
+        holdingDays: 6,
+        txHash: sold.txHash
+      });
+      assert.equal(summary.soldCount, 2);
+      assert.equal(summary.realizedEth, 0.5);
+      assert.equal(summary.realizedUsd, 1800);
+    });
+  });
+});
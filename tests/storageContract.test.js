@@ -0,0 +1,375 @@
+/**
+ * Storage Contract Tests
+ * Runs the same assertions against every storage backend, so SQLite and PostgreSQL keep
+ * returning the same rows.
+ *
+ * SQLite uses a throwaway database file. PostgreSQL runs when TEST_DATABASE_URL points at a
+ * scratch database (`docker compose up -d postgres`). Its floor data tables are emptied
+ * before every test, so never point it at real data.
+ *
+ * Usage: npm run test:storage
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage, getStorage, setStorage } from '../src/services/storageBackends.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Children first, so deletes don't trip the foreign keys
+const TABLES = ['price_history_unavailable', 'price_history', 'sync_log', 'collection_selection_periods', 'collections'];
+
+const day = (offset) => new Date(Date.now() + offset * DAY_MS).toISOString().split('T')[0];
+
+const collection = (slug, ranking, marketCap = 1000 - ranking) => ({
+  slug,
+  name: slug.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+  ranking,
+  image: `https://example.com/${slug}.png`,
+  totalSupply: 10000,
+  owners: 5000,
+  marketCap
+});
+
+const priceRow = (collectionSlug, date, floorEth = 1) => ({
+  collectionSlug,
+  date,
+  timestamp: Date.parse(`${date}T00:00:00Z`),
+  floorEth,
+  floorUsd: floorEth * 3000,
+  volumeEth: 2,
+  volumeUsd: 6000,
+  salesCount: 3
+});
+
+const selectionStats = { min_market_cap: 100, max_market_cap: 900, avg_market_cap: 500 };
+
+const backends = [
+  {
+    name: 'sqlite',
+    skip: false,
+    open() {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-contract-'));
+      process.env.DATABASE_PATH = path.join(this.dir, 'nft_floor_data.db');
+      return createStorage('sqlite');
+    },
+    async reset(storage) {
+      TABLES.forEach(table => storage.db.query(`DELETE FROM ${table}`));
+    },
+    cleanup() {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+  },
+  {
+    name: 'postgres',
+    skip: process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set',
+    open() {
+      return createStorage('postgres', { connectionString: process.env.TEST_DATABASE_URL, autoMigrate: true });
+    },
+    async reset(storage) {
+      await storage.run(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY`);
+    },
+    cleanup() {}
+  }
+];
+
+backends.forEach(backend => {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let storage;
+
+    before(() => {
+      setStorage(backend.open());
+      storage = getStorage();
+    });
+
+    beforeEach(async () => {
+      await backend.reset(storage);
+    });
+
+    after(async () => {
+      await storage.close();
+      setStorage(null);
+      backend.cleanup();
+    });
+
+    describe('collections', () => {
+      it('upserts a collection and updates it in place', async () => {
+        await storage.upsertCollection(collection('azuki', 2));
+        await storage.upsertCollection({ ...collection('azuki', 1), name: 'Azuki Official' });
+
+        const row = await storage.getCollection('azuki');
+        assert.equal(row.name, 'Azuki Official');
+        assert.equal(row.ranking, 1);
+        assert.equal(row.total_supply, 10000);
+        assert.equal(row.is_active, 1);
+        assert.equal(row.is_top_250, 0);
+        assert.match(row.updated_at, TIMESTAMP_PATTERN);
+        assert.deepEqual((await storage.getAllCollections()).map(c => c.slug), ['azuki']);
+      });
+
+      it('bulk inserts collections and searches them by name or slug', async () => {
+        const inserted = await storage.bulkInsertCollections([
+          collection('pudgy-penguins', 3),
+          collection('lil-pudgys', 5),
+          collection('azuki', 1)
+        ]);
+
+        assert.equal(inserted, 3);
+        assert.deepEqual((await storage.getAllCollections()).map(c => c.slug), ['azuki', 'pudgy-penguins', 'lil-pudgys']);
+        assert.deepEqual((await storage.searchCollections('PUDG')).map(c => c.slug), ['pudgy-penguins', 'lil-pudgys']);
+        assert.deepEqual((await storage.searchCollections('pudg', 1)).map(c => c.slug), ['pudgy-penguins']);
+        assert.equal(await storage.getCollection('missing'), undefined);
+      });
+
+      it('creates bare rows only for unknown collections', async () => {
+        await storage.upsertCollection(collection('azuki', 1));
+
+        assert.equal(await storage.ensureCollections(['azuki', 'doodles-official', 'doodles-official']), 1);
+        assert.equal((await storage.getCollection('doodles-official')).name, 'doodles-official');
+        assert.equal((await storage.getCollection('azuki')).name, 'Azuki');
+      });
+    });
+
+    describe('price history', () => {
+      it('bulk inserts daily rows, creating unknown collections and replacing existing days', async () => {
+        const inserted = await storage.bulkInsertPriceHistory([
+          priceRow('azuki', day(-3), 5),
+          priceRow('azuki', day(-2), 6),
+          priceRow('azuki', day(-1), 7)
+        ]);
+        assert.equal(inserted, 3);
+        assert.equal((await storage.getCollection('azuki')).name, 'azuki');
+
+        await storage.bulkInsertPriceHistory([priceRow('azuki', day(-1), 8)]);
+
+        const rows = await storage.getPriceHistory('azuki', day(-30), day(0));
+        assert.deepEqual(rows.map(row => [row.date, row.floor_eth]), [[day(-3), 5], [day(-2), 6], [day(-1), 8]]);
+        assert.equal(rows[0].timestamp, Date.parse(`${day(-3)}T00:00:00Z`));
+        assert.equal(rows[0].sales_count, 3);
+        assert.match(rows[0].created_at, TIMESTAMP_PATTERN);
+      });
+
+      it('reads history by date range, the latest day and several collections at once', async () => {
+        await storage.bulkInsertPriceHistory([
+          priceRow('azuki', day(-4), 5),
+          priceRow('azuki', day(-3), 6),
+          priceRow('azuki', day(-2), 7),
+          priceRow('doodles-official', day(-3), 2)
+        ]);
+
+        assert.deepEqual((await storage.getPriceHistory('azuki', day(-3), day(-2))).map(row => row.date), [day(-3), day(-2)]);
+        assert.deepEqual((await storage.getPriceHistory('azuki', day(-30), day(0), 1)).map(row => row.date), [day(-4)]);
+        assert.equal((await storage.getLatestPrice('azuki')).date, day(-2));
+        assert.equal(await storage.getLatestPrice('missing'), undefined);
+
+        const history = await storage.getMultipleCollectionHistory(['doodles-official', 'azuki'], day(-3), day(0));
+        assert.deepEqual(history.map(row => [row.collection_slug, row.date]), [
+          ['azuki', day(-3)],
+          ['azuki', day(-2)],
+          ['doodles-official', day(-3)]
+        ]);
+      });
+
+      it('lists the top 250 with their latest floor (latest_prices view)', async () => {
+        await storage.startSelectionPeriod('2026-Q4', {
+          criteria: 'market_cap_usd',
+          collections: [collection('azuki', 1), collection('doodles-official', 2)],
+          stats: selectionStats
+        });
+        await storage.bulkInsertPriceHistory([
+          priceRow('azuki', day(-2), 5),
+          priceRow('azuki', day(-1), 6),
+          priceRow('pudgy-penguins', day(-1), 9)
+        ]);
+
+        const latest = await storage.getLatestPrices();
+        assert.deepEqual(latest.map(row => [row.slug, row.market_cap_rank, row.floor_eth, row.last_updated]), [
+          ['azuki', 1, 6, day(-1)],
+          ['doodles-official', 2, null, null]
+        ]);
+        assert.equal(latest[0].selection_period, '2026-Q4');
+        assert.deepEqual((await storage.getLatestPrices(['doodles-official'])).map(row => row.slug), ['doodles-official']);
+        assert.equal((await storage.getLatestPrices(null, 1)).length, 1);
+      });
+
+      it('summarizes each collection\'s history (collection_stats view)', async () => {
+        await storage.bulkInsertPriceHistory([
+          priceRow('azuki', day(-3), 1),
+          priceRow('azuki', day(-2), 2),
+          priceRow('azuki', day(-1), 3),
+          priceRow('doodles-official', day(-1), 4)
+        ]);
+        await storage.ensureCollections(['pudgy-penguins']);
+
+        const [azuki] = await storage.getCollectionStats('azuki');
+        assert.equal(azuki.days_tracked, 3);
+        assert.equal(azuki.first_data_date, day(-3));
+        assert.equal(azuki.last_data_date, day(-1));
+        assert.equal(azuki.avg_floor_eth, 2);
+        assert.equal(azuki.max_floor_eth, 3);
+        assert.equal(azuki.min_floor_eth, 1);
+
+        const stats = await storage.getCollectionStats();
+        assert.deepEqual(stats.map(row => [row.slug, row.days_tracked]), [
+          ['azuki', 3],
+          ['doodles-official', 1],
+          ['pudgy-penguins', 0]
+        ]);
+        assert.equal(stats[2].first_data_date, null);
+      });
+
+      it('finds gaps between stored days and through the given date', async () => {
+        await storage.bulkInsertPriceHistory([
+          priceRow('azuki', day(-10)),
+          priceRow('azuki', day(-9)),
+          priceRow('azuki', day(-6)),
+          priceRow('azuki', day(-3)),
+          priceRow('doodles-official', day(-1))
+        ]);
+        await storage.ensureCollections(['pudgy-penguins']);
+
+        const gaps = await storage.getPriceHistoryGaps(['azuki', 'doodles-official', 'pudgy-penguins'], day(-1));
+        assert.deepEqual(gaps.map(gap => ({ ...gap })), [
+          { collection_slug: 'azuki', gap_start: day(-2), gap_end: day(-1), missing_days: 2 },
+          { collection_slug: 'azuki', gap_start: day(-5), gap_end: day(-4), missing_days: 2 },
+          { collection_slug: 'azuki', gap_start: day(-8), gap_end: day(-7), missing_days: 2 }
+        ]);
+        assert.deepEqual(await storage.getPriceHistoryGaps([], day(-1)), []);
+      });
+
+      it('leaves days marked unavailable out of the gaps until the mark expires', async () => {
+        await storage.bulkInsertPriceHistory([priceRow('azuki', day(-10)), priceRow('azuki', day(-6))]);
+
+        assert.equal(await storage.markPriceHistoryUnavailable('azuki', [day(-9), day(-8)]), 2);
+        assert.equal(await storage.markPriceHistoryUnavailable('azuki', [day(-8)]), 1);
+        assert.equal(await storage.markPriceHistoryUnavailable('azuki', []), 0);
+
+        const gaps = await storage.getPriceHistoryGaps(['azuki'], day(-6));
+        assert.deepEqual(gaps.map(gap => [gap.gap_start, gap.gap_end, gap.missing_days]), [[day(-7), day(-7), 1]]);
+
+        assert.equal(await storage.cleanUnavailableDays(30), 0);
+        assert.equal((await storage.getPriceHistoryGaps(['azuki'], day(-6))).length, 1);
+      });
+
+      it('reports collection and price record counts', async () => {
+        await storage.bulkInsertPriceHistory([priceRow('azuki', day(-2)), priceRow('azuki', day(-1))]);
+        await storage.upsertCollection(collection('doodles-official', 2));
+
+        const stats = await storage.getStats();
+        assert.equal(stats.totalCollections, 2);
+        assert.equal(stats.activeCollections, 2);
+        assert.equal(stats.totalPriceRecords, 2);
+        assert.equal(stats.earliestDate, day(-2));
+        assert.equal(stats.latestDate, day(-1));
+        assert.equal(typeof stats.databaseSize, 'number');
+      });
+    });
+
+    describe('sync log', () => {
+      it('records a sync from start to completion', async () => {
+        const logId = await storage.startSyncLog('daily');
+        assert.equal(typeof logId, 'number');
+
+        let [entry] = await storage.getRecentSyncLogs(10);
+        assert.equal(entry.id, logId);
+        assert.equal(entry.status, 'started');
+        assert.equal(entry.collection_slug, null);
+        assert.match(entry.started_at, TIMESTAMP_PATTERN);
+
+        await storage.completeSyncLog(logId, 'completed', { processed: 5, inserted: 4 });
+        [entry] = await storage.getRecentSyncLogs(10);
+        assert.equal(entry.status, 'completed');
+        assert.equal(entry.records_processed, 5);
+        assert.equal(entry.records_inserted, 4);
+        assert.equal(entry.records_updated, 0);
+        assert.equal(entry.error_message, null);
+        assert.match(entry.completed_at, TIMESTAMP_PATTERN);
+        assert.ok(entry.duration_seconds >= 0);
+      });
+
+      it('finds the last completed sync of the given types', async () => {
+        const repairId = await storage.startSyncLog('repair', 'azuki');
+        await storage.completeSyncLog(repairId, 'failed', { processed: 3, error: 'No data received' });
+        const dailyId = await storage.startSyncLog('daily');
+        await storage.completeSyncLog(dailyId, 'completed', { processed: 1 });
+
+        const [daily] = (await storage.getRecentSyncLogs(10)).filter(entry => entry.id === dailyId);
+        assert.equal(await storage.getLastCompletedSync(['daily', 'full']), daily.completed_at);
+        assert.equal(await storage.getLastCompletedSync(['repair']), null);
+
+        const [repair] = (await storage.getRecentSyncLogs(10)).filter(entry => entry.id === repairId);
+        assert.equal(repair.collection_slug, 'azuki');
+        assert.equal(repair.error_message, 'No data received');
+
+        assert.equal((await storage.getRecentSyncLogs(1)).length, 1);
+        assert.equal(await storage.cleanOldSyncLogs(30), 0);
+        assert.equal((await storage.getRecentSyncLogs(10)).length, 2);
+      });
+    });
+
+    describe('selection periods', () => {
+      it('starts a period, flagging its collections by market cap rank', async () => {
+        await storage.upsertCollection(collection('azuki', 4));
+
+        const result = await storage.startSelectionPeriod('2026-Q3', {
+          criteria: 'market_cap_usd',
+          collections: [collection('pudgy-penguins', 3), collection('azuki', 4)],
+          stats: selectionStats
+        });
+        assert.deepEqual(result, { updated: 1, inserted: 1 });
+
+        const period = await storage.getActiveSelectionPeriod();
+        assert.equal(period.period, '2026-Q3');
+        assert.equal(period.status, 'active');
+        assert.equal(period.selection_date, day(0));
+        assert.equal(period.total_collections_selected, 2);
+        assert.equal(period.selection_criteria, 'market_cap_usd');
+        assert.equal(period.avg_market_cap, 500);
+
+        const top = await storage.getCurrentTop250Collections();
+        assert.deepEqual(top.map(row => [row.slug, row.market_cap_rank, row.is_top_250, row.selection_period]), [
+          ['pudgy-penguins', 1, 1, '2026-Q3'],
+          ['azuki', 2, 1, '2026-Q3']
+        ]);
+        assert.match(top[0].selected_at, TIMESTAMP_PATTERN);
+      });
+
+      it('expires the previous period and its selection', async () => {
+        await storage.startSelectionPeriod('2026-Q3', {
+          criteria: 'market_cap_usd',
+          collections: [collection('pudgy-penguins', 1), collection('azuki', 2)],
+          stats: selectionStats
+        });
+        const result = await storage.startSelectionPeriod('2026-Q4', {
+          criteria: 'market_cap_usd',
+          collections: [collection('azuki', 2), collection('doodles-official', 3)],
+          stats: selectionStats
+        });
+        assert.deepEqual(result, { updated: 1, inserted: 1 });
+
+        assert.equal((await storage.getActiveSelectionPeriod()).period, '2026-Q4');
+        const periods = await storage.getSelectionPeriods(10);
+        assert.deepEqual(periods.map(row => [row.period, row.status]).sort(), [['2026-Q3', 'expired'], ['2026-Q4', 'active']]);
+        assert.equal((await storage.getSelectionPeriods(1)).length, 1);
+
+        assert.deepEqual((await storage.getCurrentTop250Collections()).map(row => row.slug), ['azuki', 'doodles-official']);
+        assert.equal((await storage.getCollection('pudgy-penguins')).is_top_250, 0);
+
+        const info = await storage.getActiveSelectionInfo();
+        assert.equal(info.period, '2026-Q4');
+        assert.equal(info.active_collections_count, 2);
+      });
+
+      it('has no active period before the first selection', async () => {
+        assert.equal(await storage.getActiveSelectionPeriod(), null);
+        assert.equal(await storage.getActiveSelectionInfo(), null);
+        assert.deepEqual(await storage.getSelectionPeriods(), []);
+        assert.deepEqual(await storage.getCurrentTop250Collections(), []);
+      });
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Token Price History Tests
+ * FixtureProvider, the sync service backfill and the /api/token-price-history route.
+ *
+ * The service runs against a throwaway SQLite file and a fixture provider with candles for
+ * the last few days, so the local fallback window (relative to now) finds them.
+ *
+ * Usage: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FixtureProvider, setTokenPriceProvider } from '../src/services/tokenPriceProviders.js';
+import { getTokenPriceSyncService } from '../src/services/tokenPriceSyncService.js';
+import { getStorage, setStorage } from '../src/services/storageBackends.js';
+import { MemoryCacheStore, setCacheStore } from '../api/_lib/cacheStores.js';
+import handler from '../api/token-price-history.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const OTHER_TOKEN = '0x2222222222222222222222222222222222222222';
+const FIXTURE_DAYS = 10;
+
+// Midnight UTC `offset` days from today
+const dayTimestamp = (offset) => Math.floor(Date.now() / 1000 / DAY_SECONDS + offset) * DAY_SECONDS;
+
+// [timestamp, open, high, low, close, volume] tuples for the last FIXTURE_DAYS days, oldest last
+const candles = (basePrice) => Array.from({ length: FIXTURE_DAYS }, (_, index) => {
+  const close = basePrice + index * 0.0001;
+  return [dayTimestamp(-index), close, close * 1.02, close * 0.98, close, 1000 + index];
+});
+
+const fixtures = {
+  [TOKEN]: candles(0.001),
+  default: candles(0.5)
+};
+
+// Fixture provider that counts calls and can be switched off to exercise the fallbacks
+const provider = {
+  name: 'fixture',
+  fixture: new FixtureProvider(fixtures),
+  calls: 0,
+  failing: false,
+  async getCandles(tokenAddress, options) {
+    this.calls++;
+    if (this.failing) {
+      throw new Error('Provider unavailable');
+    }
+    return this.fixture.getCandles(tokenAddress, options);
+  }
+};
+
+// Just enough of the Vercel request/response for the route
+const request = (query) => ({ method: 'GET', query, headers: {} });
+
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  body: undefined,
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+  end() {
+    return this;
+  }
+});
+
+const callRoute = async (query) => {
+  const res = response();
+  await handler(request(query), res);
+  return res;
+};
+
+describe('FixtureProvider', () => {
+  const fixtureProvider = new FixtureProvider(fixtures);
+
+  it('serves a token its own candles, ascending and normalized', async () => {
+    const result = await fixtureProvider.getCandles(TOKEN.toUpperCase().replace('0X', '0x'));
+
+    assert.equal(result.length, FIXTURE_DAYS);
+    assert.deepEqual(result.map(candle => candle.timestamp), [...result.map(candle => candle.timestamp)].sort((a, b) => a - b));
+    assert.deepEqual(Object.keys(result[0]), ['timestamp', 'open', 'high', 'low', 'close', 'volume']);
+    assert.equal(result[result.length - 1].close, 0.001);
+  });
+
+  it('falls back to the default candles for unknown tokens', async () => {
+    const result = await fixtureProvider.getCandles(OTHER_TOKEN);
+    assert.equal(result[result.length - 1].close, 0.5);
+  });
+
+  it('keeps the latest `days` candles up to endTimestamp', async () => {
+    const result = await fixtureProvider.getCandles(TOKEN, { days: 3, endTimestamp: dayTimestamp(-2) });
+
+    assert.deepEqual(result.map(candle => candle.timestamp), [dayTimestamp(-4), dayTimestamp(-3), dayTimestamp(-2)]);
+  });
+
+  it('serves the bundled fixtures by default', async () => {
+    const result = await new FixtureProvider().getCandles(TOKEN, { days: 5 });
+
+    assert.equal(result.length, 5);
+    result.forEach(candle => assert.ok(candle.close > 0));
+  });
+});
+
+describe('token prices', () => {
+  let dir;
+  let service;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-prices-'));
+    process.env.DATABASE_PATH = path.join(dir, 'nft_floor_data.db');
+    delete process.env.DATABASE_URL;
+
+    setTokenPriceProvider(provider);
+    setCacheStore(new MemoryCacheStore());
+    service = getTokenPriceSyncService();
+  });
+
+  after(async () => {
+    await getStorage().close();
+    setStorage(null);
+    setTokenPriceProvider(null);
+    setCacheStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('TokenPriceSyncService', () => {
+    it('backfills a new token from the provider', async () => {
+      const result = await service.syncTokenPriceHistory(TOKEN);
+
+      assert.equal(result.days, service.config.backfillDays);
+      assert.equal(result.inserted, FIXTURE_DAYS);
+
+      const rows = service.db.getTokenCandles(TOKEN, 0, dayTimestamp(1));
+      assert.equal(rows.length, FIXTURE_DAYS);
+      assert.equal(rows[0].timestamp, dayTimestamp(-(FIXTURE_DAYS - 1)));
+      assert.equal(rows[rows.length - 1].close_usd, 0.001);
+      assert.equal(rows[0].provider, 'fixture');
+    });
+
+    it('only fetches the days since the last stored candle', async () => {
+      const result = await service.syncTokenPriceHistory(TOKEN);
+
+      assert.ok(result.days <= 2, `expected an incremental window, got ${result.days} days`);
+      assert.equal(service.db.getTokenCandles(TOKEN, 0, dayTimestamp(1)).length, FIXTURE_DAYS);
+    });
+
+    it('serves stored candles, flagged stale, when the provider fails', async () => {
+      provider.failing = true;
+      try {
+        const result = await service.getTokenPriceHistory(TOKEN, { days: 30 });
+
+        assert.equal(result.success, true);
+        assert.equal(result.source, 'local_database');
+        assert.equal(result.stale, true);
+        assert.equal(result.candles.length, FIXTURE_DAYS);
+      } finally {
+        provider.failing = false;
+      }
+    });
+
+    it('fails when the provider fails and nothing is stored', async () => {
+      provider.failing = true;
+      try {
+        const result = await service.getTokenPriceHistory('0x3333333333333333333333333333333333333333', { days: 30 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Provider unavailable');
+      } finally {
+        provider.failing = false;
+      }
+    });
+  });
+
+  describe('/api/token-price-history', () => {
+    it('rejects a missing or malformed tokenAddress', async () => {
+      for (const query of [{}, { tokenAddress: '0x123' }, { tokenAddress: `${TOKEN}00` }, { tokenAddress: 'not-an-address' }]) {
+        const res = await callRoute(query);
+        assert.equal(res.statusCode, 400, JSON.stringify(query));
+        assert.match(res.body.error, /tokenAddress/);
+      }
+    });
+
+    it('rejects days outside 1-1000', async () => {
+      for (const days of ['0', '-5', '1001', 'abc']) {
+        const res = await callRoute({ tokenAddress: TOKEN, days });
+        assert.equal(res.statusCode, 400, days);
+        assert.equal(res.body.error, 'Invalid days parameter (1-1000)');
+      }
+    });
+
+    it('caches provider data and answers repeats from the cache', async () => {
+      const callsBefore = provider.calls;
+
+      const first = await callRoute({ tokenAddress: OTHER_TOKEN, days: '7' });
+      assert.equal(first.statusCode, 200);
+      assert.equal(first.headers['x-cache-status'], 'MISS');
+      assert.equal(first.headers['x-data-count'], '7');
+      assert.equal(first.body.source, 'fixture');
+      assert.equal(first.body.stale, false);
+      assert.match(first.headers['cache-control'], /max-age=600/);
+
+      const second = await callRoute({ tokenAddress: OTHER_TOKEN.toUpperCase().replace('0X', '0x'), days: '7' });
+      assert.equal(second.statusCode, 200);
+      assert.equal(second.headers['x-cache-status'], 'HIT');
+      assert.deepEqual(second.body, first.body);
+      assert.equal(provider.calls - callsBefore, 1);
+    });
+
+    it('serves the database fallback without caching it', async () => {
+      provider.failing = true;
+      try {
+        const callsBefore = provider.calls;
+
+        const first = await callRoute({ tokenAddress: TOKEN, days: '30' });
+        assert.equal(first.statusCode, 200);
+        assert.equal(first.headers['x-cache-status'], 'MISS');
+        assert.equal(first.body.stale, true);
+        assert.equal(first.body.source, 'local_database');
+        assert.match(first.headers['cache-control'], /max-age=60,/);
+
+        const second = await callRoute({ tokenAddress: TOKEN, days: '30' });
+        assert.equal(second.headers['x-cache-status'], 'MISS');
+        assert.equal(provider.calls - callsBefore, 2);
+      } finally {
+        provider.failing = false;
+      }
+
+      const recovered = await callRoute({ tokenAddress: TOKEN, days: '30' });
+      assert.equal(recovered.headers['x-cache-status'], 'MISS');
+      assert.equal(recovered.body.stale, false);
+      assert.equal(recovered.body.source, 'fixture');
+    });
+
+    it('answers 502 when the provider fails and nothing is stored', async () => {
+      provider.failing = true;
+      try {
+        const res = await callRoute({ tokenAddress: '0x4444444444444444444444444444444444444444' });
+        assert.equal(res.statusCode, 502);
+        assert.equal(res.body.error, 'Token price provider error');
+        assert.equal(res.body.message, 'Provider unavailable');
+      } finally {
+        provider.failing = false;
+      }
+    });
+
+    it('answers the candles as CSV with format=csv', async () => {
+      const res = await callRoute({ tokenAddress: TOKEN, days: '5', format: 'csv' });
+
+      assert.equal(res.statusCode, 200);
+      assert.match(res.headers['content-type'], /^text\/csv/);
+      assert.equal(res.body.trim().split(/\r?\n/).length, 6); // header + 5 candles
+    });
+  });
+});
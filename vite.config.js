@@ -92,6 +92,15 @@ export default defineConfig({
     },
     
     proxy: {
+      // Synced floor data and collection mappings come from the local database (npm run api:local)
+      '/api/floor': {
+        target: `http://localhost:${process.env.LOCAL_API_PORT || 3001}`,
+        changeOrigin: true
+      },
+      '/api/mappings': {
+        target: `http://localhost:${process.env.LOCAL_API_PORT || 3001}`,
+        changeOrigin: true
+      },
       '/api/strategies': {
         target: 'https://www.nftstrategy.fun',
         changeOrigin: true,
@@ -106,6 +115,11 @@ export default defineConfig({
           })
         }
       },
+      // Before '/api/holdings': the bulk route only exists in this repo
+      '/api/holdings/bulk': {
+        target: `http://localhost:${process.env.LOCAL_API_PORT || 3001}`,
+        changeOrigin: true
+      },
       '/api/holdings': {
         target: 'https://www.nftstrategy.fun',
         changeOrigin: true,
@@ -118,6 +132,11 @@ export default defineConfig({
             }
           })
         }
+      },
+      // NFTPriceFloor proxy routes only exist in this repo; the local server runs them with RAPIDAPI_KEY
+      '/api/collections': {
+        target: `http://localhost:${process.env.LOCAL_API_PORT || 3001}`,
+        changeOrigin: true
       }
     }
   },